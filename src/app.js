@@ -4,7 +4,9 @@ import helmet from "helmet";
 import cors from "cors";
 import cookieParser from "cookie-parser";
 import mainRouter from "./routes/api.js";
+import wellKnownRouter from "./routes/wellKnown.js";
 import { globalErrorHandler } from "./middlewares/errorMiddleware.js";
+import { requestId } from "./middlewares/requestIdMiddleware.js";
 import redisClient from "./libs/redis.js";
 import environment from "./configs/environment.js";
 import  prismaClient  from "./libs/database.js";
@@ -12,6 +14,9 @@ import  prismaClient  from "./libs/database.js";
 const initApp = async () => {
   const app = express();
 
+  app.set("trust proxy", environment.api.trustProxy);
+
+  app.use(requestId);
   app.use(express.json());
   app.use(cookieParser());
   app.use(helmet());
@@ -31,6 +36,7 @@ const initApp = async () => {
   );
 
   app.use("/api", mainRouter);
+  app.use("/.well-known", wellKnownRouter);
 
   // Health check
   app.get("/health", (req, res) => {
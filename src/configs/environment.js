@@ -22,6 +22,13 @@ const redis = {
 };
 
 const jwt = {
+    // RS256 signs with the active key from keysDir (public keys are served as JWKS);
+    // HS256 signs with the per-type secrets below
+    algorithm: process.env.JWT_ALGORITHM || 'HS256',
+    keys: {
+        dir: process.env.JWT_KEYS_DIR || 'keys',
+        activeKid: process.env.JWT_ACTIVE_KID,
+    },
     accessToken: {
         secret: process.env.JWT_ACCESS_SECRET,
         expiresIn: process.env.JWT_ACCESS_EXPIRES_IN || '24h',
@@ -33,11 +40,63 @@ const jwt = {
     resetToken: {
         secret: process.env.JWT_RESET_SECRET,
         expiresIn: process.env.JWT_RESET_EXPIRES_IN || '1h',
-    }
+    },
+    // Issued after a correct password when a second factor is still required
+    mfaToken: {
+        secret: process.env.JWT_MFA_SECRET,
+        expiresIn: process.env.JWT_MFA_EXPIRES_IN || '5m',
+    },
+};
+
+const auth = {
+    // Support staff acting as a student (short-lived access token, no refresh token)
+    impersonation: {
+        expiresIn: process.env.IMPERSONATION_EXPIRES_IN || '15m',
+    },
+    // Days a rejected admin applicant waits before re-applying
+    adminReapplyCooldownDays: parseInt(process.env.ADMIN_REAPPLY_COOLDOWN_DAYS) || 30,
+    // Numeric email codes (alternative to link tokens for mobile clients)
+    otp: {
+        length: 6,
+        expiresInSeconds: parseInt(process.env.OTP_EXPIRES_IN_SECONDS) || 10 * 60,
+        maxAttempts: parseInt(process.env.OTP_MAX_ATTEMPTS) || 5,
+        resendCooldownSeconds: parseInt(process.env.OTP_RESEND_COOLDOWN_SECONDS) || 60,
+    },
+    twoFactor: {
+        issuer: process.env.TWO_FACTOR_ISSUER || 'Campus Market',
+        recoveryCodeCount: 10,
+    },
+    loginThrottle: {
+        // Failed attempts per email from one IP before that email is locked for the IP
+        maxAttemptsPerEmail: parseInt(process.env.LOGIN_MAX_ATTEMPTS_PER_EMAIL) || 5,
+        // Failed attempts per email across all IPs before the email is locked for every IP
+        maxAttemptsPerAccount: parseInt(process.env.LOGIN_MAX_ATTEMPTS_PER_ACCOUNT) || 30,
+        // Failed attempts per IP (across all emails) before the IP is blocked
+        maxAttemptsPerIp: parseInt(process.env.LOGIN_MAX_ATTEMPTS_PER_IP) || 20,
+        // Window in which failed attempts are counted
+        windowSeconds: parseInt(process.env.LOGIN_ATTEMPT_WINDOW_SECONDS) || 15 * 60,
+        // First lockout duration; doubles with each consecutive lockout
+        baseLockoutSeconds: parseInt(process.env.LOGIN_BASE_LOCKOUT_SECONDS) || 60,
+        maxLockoutSeconds: parseInt(process.env.LOGIN_MAX_LOCKOUT_SECONDS) || 60 * 60,
+    },
+};
+
+/**
+ * Express "trust proxy" value from TRUST_PROXY
+ * Unset/false: use the socket address; true: trust every hop; a number: trust that many hops;
+ * anything else is passed through as addresses/subnets (e.g. "loopback, 10.0.0.0/8")
+ */
+const parseTrustProxy = (value) => {
+    if (!value || value === 'false') return false;
+    if (value === 'true') return true;
+    if (/^\d+$/.test(value)) return parseInt(value, 10);
+    return value;
 };
 
 const api = {
     baseUrl: process.env.API_BASE_URL,
+    // Needed behind a reverse proxy so req.ip (rate limits, API key IP allowlists) is the client
+    trustProxy: parseTrustProxy(process.env.TRUST_PROXY),
     version: process.env.API_VERSION || 'v1',
     rateLimit: {
         windowMs: 15 * 60 * 1000,
@@ -54,6 +113,27 @@ const whatsapp = {
     apiKey: process.env.WHATSAPP_API_KEY,
 }
 
+const mail = {
+    // smtp | json | file
+    transport: process.env.MAIL_TRANSPORT || 'json',
+    from: process.env.MAIL_FROM || 'Campus Market <no-reply@campus-market.local>',
+    smtp: {
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        user: process.env.SMTP_USER,
+        pass: process.env.SMTP_PASS,
+    },
+    outputDir: process.env.MAIL_OUTPUT_DIR || 'logs/mail',
+};
+
+const listings = {
+    // Categories whose new and edited listings wait for admin approval (comma-separated, case-insensitive)
+    preApprovalCategories: (process.env.LISTING_PREAPPROVAL_CATEGORIES || '')
+        .split(',')
+        .map((category) => category.trim().toLowerCase())
+        .filter(Boolean),
+};
 
 const environment = {
     nodeEnv,
@@ -62,9 +142,12 @@ const environment = {
     redis,
     database,
     jwt,
+    auth,
     api,
     logging,
     whatsapp,
+    mail,
+    listings,
 };
 
 Object.freeze(environment);
@@ -0,0 +1,85 @@
+/**
+ * Named permissions and the roles that hold them
+ * Routes declare the permission they need (see requirePermission); roles map to
+ * permission sets here, and super admins can grant extra admin permissions per admin.
+ */
+export const Permission = {
+    // Students
+    PROFILE_MANAGE: "profile:manage",
+    LISTINGS_CREATE: "listings:create",
+    LISTINGS_MANAGE_OWN: "listings:manage-own",
+    ORDERS_CREATE: "orders:create",
+    ORDERS_MANAGE_OWN: "orders:manage-own",
+    VERIFICATIONS_SUBMIT: "verifications:submit",
+    REPORTS_CREATE: "reports:create",
+
+    // Admins
+    VERIFICATIONS_REVIEW: "verifications:review",
+    LISTINGS_MODERATE: "listings:moderate",
+    REPORTS_RESOLVE: "reports:resolve",
+    DISPUTES_RESOLVE: "disputes:resolve",
+    USERS_VIEW: "users:view",
+    USERS_SUSPEND: "users:suspend",
+    LOCKOUTS_CLEAR: "lockouts:clear",
+    API_KEYS_MANAGE: "api-keys:manage",
+    CONTENT_FILTER_MANAGE: "content-filter:manage",
+
+    // API keys (partner integrations)
+    LISTINGS_READ: "listings:read",
+
+    // Super admins (grantable to individual admins)
+    UNIVERSITIES_MANAGE: "universities:manage",
+
+    // Super admins only
+    ADMINS_APPROVE: "admins:approve",
+    USERS_IMPERSONATE: "users:impersonate",
+    PERMISSIONS_GRANT: "permissions:grant",
+    AUDIT_LOG_VIEW: "audit-log:view",
+};
+
+const STUDENT_PERMISSIONS = [
+    Permission.PROFILE_MANAGE,
+    Permission.LISTINGS_CREATE,
+    Permission.LISTINGS_MANAGE_OWN,
+    Permission.ORDERS_CREATE,
+    Permission.ORDERS_MANAGE_OWN,
+    Permission.VERIFICATIONS_SUBMIT,
+    Permission.REPORTS_CREATE,
+];
+
+const ADMIN_PERMISSIONS = [
+    Permission.VERIFICATIONS_REVIEW,
+    Permission.LISTINGS_MODERATE,
+    Permission.REPORTS_RESOLVE,
+    Permission.DISPUTES_RESOLVE,
+    Permission.USERS_VIEW,
+    Permission.USERS_SUSPEND,
+    Permission.LOCKOUTS_CLEAR,
+    Permission.API_KEYS_MANAGE,
+    Permission.CONTENT_FILTER_MANAGE,
+];
+
+/**
+ * Scopes an API key may carry (API keys hold only their scopes, never role permissions)
+ */
+export const API_KEY_SCOPES = [
+    Permission.LISTINGS_READ,
+];
+
+/**
+ * Base permissions per role
+ */
+export const ROLE_PERMISSIONS = {
+    STUDENT: STUDENT_PERMISSIONS,
+    ADMIN: ADMIN_PERMISSIONS,
+    SUPER_ADMIN: Object.values(Permission).filter(
+        (permission) => !STUDENT_PERMISSIONS.includes(permission) && !API_KEY_SCOPES.includes(permission)
+    ),
+};
+
+/**
+ * Permissions a super admin may grant to an individual admin
+ */
+export const GRANTABLE_PERMISSIONS = [
+    Permission.UNIVERSITIES_MANAGE,
+];
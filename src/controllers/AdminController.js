@@ -1,11 +1,62 @@
 import { matchedData } from "express-validator";
 import AdminRepository from "../repositories/AdminRepository.js";
 import AdminApprovalService from "../services/AdminApprovalService.js";
+import LoginThrottleRepository from "../repositories/LoginThrottleRepository.js";
+import LoginThrottleService from "../services/LoginThrottleService.js";
+import PermissionRepository from "../repositories/PermissionRepository.js";
+import PermissionService from "../services/PermissionService.js";
+import AuthRepository from "../repositories/AuthRepository.js";
+import ImpersonationService from "../services/ImpersonationService.js";
+import ApiKeyRepository from "../repositories/ApiKeyRepository.js";
+import ApiKeyService from "../services/ApiKeyService.js";
+import TokenDenylistRepository from "../repositories/TokenDenylistRepository.js";
+import SuspensionRepository from "../repositories/SuspensionRepository.js";
+import SuspensionService from "../services/SuspensionService.js";
+import UserRepository from "../repositories/UserRepository.js";
+import UserDirectoryService from "../services/UserDirectoryService.js";
+import ListingRepository from "../repositories/ListingRepository.js";
+import ListingModerationService from "../services/ListingModerationService.js";
+import ContentFilterRepository from "../repositories/ContentFilterRepository.js";
+import ContentFilterService from "../services/ContentFilterService.js";
+import AuditLogRepository from "../repositories/AuditLogRepository.js";
+import AuditLogService, { auditContext } from "../services/AuditLogService.js";
+import MailService from "../services/MailService.js";
+import mailer from "../libs/mailer.js";
 import { catchAsync } from "../utils/catchAsync.js";
 
 // Create instances with dependency injection
 const adminRepository = new AdminRepository();
-const adminApprovalService = new AdminApprovalService(adminRepository);
+const mailService = new MailService(mailer);
+const auditLogService = new AuditLogService(new AuditLogRepository());
+const authRepository = new AuthRepository();
+const tokenDenylistRepository = new TokenDenylistRepository();
+const adminApprovalService = new AdminApprovalService(
+    adminRepository,
+    authRepository,
+    tokenDenylistRepository,
+    auditLogService
+);
+const permissionService = new PermissionService(new PermissionRepository(), adminRepository, auditLogService);
+const impersonationService = new ImpersonationService(authRepository, auditLogService);
+const apiKeyService = new ApiKeyService(new ApiKeyRepository(), auditLogService);
+const userDirectoryService = new UserDirectoryService(new UserRepository());
+const suspensionService = new SuspensionService(
+    new SuspensionRepository(),
+    authRepository,
+    tokenDenylistRepository,
+    auditLogService
+);
+const loginThrottleService = new LoginThrottleService(
+    new LoginThrottleRepository(),
+    mailService,
+    auditLogService
+);
+const listingModerationService = new ListingModerationService(
+    new ListingRepository(),
+    mailService,
+    auditLogService
+);
+const contentFilterService = new ContentFilterService(new ContentFilterRepository(), auditLogService);
 
 /**
  * Format successful response
@@ -17,7 +68,7 @@ const successResponse = (data, statusCode = 200) => ({
 
 /**
  * Get all pending admins
- * Only SUPER_ADMIN can access this
+ * Requires admins:approve
  */
 export const getPendingAdmins = catchAsync(async (req, res) => {
     const pendingAdmins = await adminApprovalService.getPendingAdmins();
@@ -27,28 +78,71 @@ export const getPendingAdmins = catchAsync(async (req, res) => {
 
 /**
  * Approve an admin
- * Only SUPER_ADMIN can access this
+ * Requires admins:approve
  */
 export const approveAdmin = catchAsync(async (req, res) => {
     const { id } = matchedData(req);
-    const approvedById = req.user.id; // SuperAdmin's user ID
-
-    const approvedAdmin = await adminApprovalService.approveAdmin(id, approvedById);
+    const approvedAdmin = await adminApprovalService.approveAdmin(id, req.user.id, auditContext(req));
 
     res.status(200).json(successResponse({ admin: approvedAdmin }));
 });
 
 /**
- * Reject an admin
- * Only SUPER_ADMIN can access this
- * Note: This deletes the Admin record but NOT the User
+ * Reject an admin application
+ * Requires admins:approve
+ * Note: The Admin record is kept as REJECTED so the decision stays on record
  */
 export const rejectAdmin = catchAsync(async (req, res) => {
+    const { id, reason } = matchedData(req);
+
+    const rejectedAdmin = await adminApprovalService.rejectAdmin(id, reason, req.user.id, auditContext(req));
+
+    res.status(200).json(successResponse({ admin: rejectedAdmin }));
+});
+
+/**
+ * Revoke an approved admin
+ * Requires admins:approve
+ */
+export const revokeAdmin = catchAsync(async (req, res) => {
+    const { id, reason } = matchedData(req);
+
+    const revokedAdmin = await adminApprovalService.revokeAdmin(id, reason, req.user.id, auditContext(req));
+
+    res.status(200).json(successResponse({ admin: revokedAdmin }));
+});
+
+/**
+ * Reinstate a revoked admin
+ * Requires admins:approve
+ */
+export const reinstateAdmin = catchAsync(async (req, res) => {
+    const { id, reason } = matchedData(req);
+
+    const reinstatedAdmin = await adminApprovalService.reinstateAdmin(id, reason, req.user.id, auditContext(req));
+
+    res.status(200).json(successResponse({ admin: reinstatedAdmin }));
+});
+
+/**
+ * Get an admin's status history (applications, decisions, revocations)
+ * Requires admins:approve
+ */
+export const getAdminStatusHistory = catchAsync(async (req, res) => {
     const { id } = matchedData(req);
 
-    const result = await adminApprovalService.rejectAdmin(id);
+    const history = await adminApprovalService.getStatusHistory(id);
 
-    res.status(200).json(successResponse(result));
+    res.status(200).json(successResponse({ history }));
+});
+
+/**
+ * Re-submit the current user's rejected admin application
+ */
+export const reapplyAsAdmin = catchAsync(async (req, res) => {
+    const admin = await adminApprovalService.reapply(req.user.id, auditContext(req));
+
+    res.status(200).json(successResponse({ admin }));
 });
 
 /**
@@ -89,3 +183,302 @@ export const getAdminByUserId = catchAsync(async (req, res) => {
 
     res.status(200).json(successResponse({ isAdmin: true, admin }));
 });
+
+/**
+ * Clear a login lockout
+ * Requires lockouts:clear
+ */
+export const clearLoginLockout = catchAsync(async (req, res) => {
+    const { email } = matchedData(req);
+
+    const result = await loginThrottleService.clearLockout(email, auditContext(req));
+
+    res.status(200).json(successResponse(result));
+});
+
+/**
+ * Get an admin's permissions
+ * Requires permissions:grant
+ */
+export const getAdminPermissions = catchAsync(async (req, res) => {
+    const { id } = matchedData(req);
+
+    const permissions = await permissionService.getAdminPermissions(id);
+
+    res.status(200).json(successResponse({ permissions }));
+});
+
+/**
+ * Grant a permission to an admin
+ * Requires permissions:grant
+ */
+export const grantAdminPermission = catchAsync(async (req, res) => {
+    const { id, permission } = matchedData(req);
+
+    const permissions = await permissionService.grantPermission(id, permission, req.user.id, auditContext(req));
+
+    res.status(200).json(successResponse({ permissions }));
+});
+
+/**
+ * Revoke a permission from an admin
+ * Requires permissions:grant
+ */
+export const revokeAdminPermission = catchAsync(async (req, res) => {
+    const { id, permission } = matchedData(req);
+
+    const permissions = await permissionService.revokePermission(id, permission, auditContext(req));
+
+    res.status(200).json(successResponse({ permissions }));
+});
+
+/**
+ * Start impersonating a student (returns a short-lived access token)
+ * Requires users:impersonate
+ */
+export const impersonateUser = catchAsync(async (req, res) => {
+    const { userId, reason, readOnly } = matchedData(req);
+
+    const result = await impersonationService.impersonate(req.user, userId, { reason, readOnly }, auditContext(req));
+
+    res.status(200).json(successResponse(result));
+});
+
+/**
+ * Create an API key owned by the current admin
+ * Requires api-keys:manage
+ */
+export const createApiKey = catchAsync(async (req, res) => {
+    const { name, scopes, allowedIps, expiresAt } = matchedData(req);
+
+    const result = await apiKeyService.createKey(req.user.id, { name, scopes, allowedIps, expiresAt }, auditContext(req));
+
+    res.status(201).json(successResponse(result));
+});
+
+/**
+ * List API keys (own keys, or every key for super admins)
+ * Requires api-keys:manage
+ */
+export const getApiKeys = catchAsync(async (req, res) => {
+    const apiKeys = await apiKeyService.listKeys(req.user);
+
+    res.status(200).json(successResponse({ apiKeys }));
+});
+
+/**
+ * Revoke an API key
+ * Requires api-keys:manage
+ */
+export const revokeApiKey = catchAsync(async (req, res) => {
+    const { id } = matchedData(req);
+
+    const apiKey = await apiKeyService.revokeKey(id, req.user, auditContext(req));
+
+    res.status(200).json(successResponse({ apiKey }));
+});
+
+/**
+ * Suspend a student account
+ * Requires users:suspend
+ */
+export const suspendUser = catchAsync(async (req, res) => {
+    const { userId, reason, expiresAt } = matchedData(req);
+
+    const suspension = await suspensionService.suspend(userId, { reason, expiresAt }, req.user.id, auditContext(req));
+
+    res.status(201).json(successResponse({ suspension }));
+});
+
+/**
+ * Reinstate a suspended account
+ * Requires users:suspend
+ */
+export const reinstateUser = catchAsync(async (req, res) => {
+    const { userId, reason } = matchedData(req);
+
+    const suspension = await suspensionService.reinstate(userId, { reason }, req.user.id, auditContext(req));
+
+    res.status(200).json(successResponse({ suspension }));
+});
+
+/**
+ * Get a user's suspension history
+ * Requires users:suspend
+ */
+export const getUserSuspensions = catchAsync(async (req, res) => {
+    const { userId } = matchedData(req);
+
+    const suspensions = await suspensionService.getSuspensions(userId);
+
+    res.status(200).json(successResponse({ suspensions }));
+});
+
+/**
+ * Search the user directory
+ * Requires users:view
+ */
+export const getUsers = catchAsync(async (req, res) => {
+    const {
+        page = 1,
+        limit = 20,
+        email,
+        role,
+        isEmailVerified,
+        status,
+        universityId,
+        createdFrom,
+        createdTo,
+    } = matchedData(req);
+
+    const result = await userDirectoryService.listUsers({
+        page,
+        limit,
+        email,
+        role,
+        isEmailVerified,
+        status,
+        universityId,
+        createdFrom,
+        createdTo,
+    });
+
+    res.status(200).json(successResponse({ users: result.items, pagination: result.meta }));
+});
+
+/**
+ * Get a user's detail view (profile, listings, orders, reports, moderation history)
+ * Requires users:view
+ */
+export const getUserDetail = catchAsync(async (req, res) => {
+    const { userId } = matchedData(req);
+
+    const detail = await userDirectoryService.getUserDetail(userId);
+
+    res.status(200).json(successResponse(detail));
+});
+
+/**
+ * Search the audit log, as JSON or a CSV download
+ * Requires audit-log:view
+ */
+export const getAuditLog = catchAsync(async (req, res) => {
+    const { page = 1, limit = 50, format = "json", ...filters } = matchedData(req);
+
+    if (format === "csv") {
+        const csv = await auditLogService.exportCsv(filters);
+        const date = new Date().toISOString().slice(0, 10);
+
+        res.setHeader("Content-Type", "text/csv; charset=utf-8");
+        res.setHeader("Content-Disposition", `attachment; filename="audit-log-${date}.csv"`);
+        return res.status(200).send(csv);
+    }
+
+    const result = await auditLogService.getEntries({ page, limit, ...filters });
+
+    res.status(200).json(successResponse({ entries: result.items, pagination: result.meta }));
+});
+
+/**
+ * Get listings waiting for moderation (pre-approval and flagged)
+ * Requires listings:moderate
+ */
+export const getListingModerationQueue = catchAsync(async (req, res) => {
+    const { page = 1, limit = 20, status, category } = matchedData(req);
+
+    const result = await listingModerationService.getQueue({ page, limit, status, category });
+
+    res.status(200).json(successResponse({ listings: result.items, pagination: result.meta }));
+});
+
+/**
+ * Approve a pending or flagged listing
+ * Requires listings:moderate
+ */
+export const approveListing = catchAsync(async (req, res) => {
+    const { id } = matchedData(req);
+
+    const listing = await listingModerationService.approve(id, req.user.id, auditContext(req));
+
+    res.status(200).json(successResponse({ listing }));
+});
+
+/**
+ * Hide a listing from the marketplace
+ * Requires listings:moderate
+ */
+export const hideListing = catchAsync(async (req, res) => {
+    const { id, reason } = matchedData(req);
+
+    const listing = await listingModerationService.hide(id, reason, req.user.id, auditContext(req));
+
+    res.status(200).json(successResponse({ listing }));
+});
+
+/**
+ * Restore a hidden listing
+ * Requires listings:moderate
+ */
+export const restoreListing = catchAsync(async (req, res) => {
+    const { id, reason } = matchedData(req);
+
+    const listing = await listingModerationService.restore(id, reason, req.user.id, auditContext(req));
+
+    res.status(200).json(successResponse({ listing }));
+});
+
+/**
+ * Get content filter rules
+ * Requires content-filter:manage
+ */
+export const getContentFilterRules = catchAsync(async (req, res) => {
+    const rules = await contentFilterService.getRules(matchedData(req));
+
+    res.status(200).json(successResponse({ rules }));
+});
+
+/**
+ * Create a content filter rule
+ * Requires content-filter:manage
+ */
+export const createContentFilterRule = catchAsync(async (req, res) => {
+    const rule = await contentFilterService.createRule(matchedData(req), req.user.id, auditContext(req));
+
+    res.status(201).json(successResponse({ rule }));
+});
+
+/**
+ * Update a content filter rule
+ * Requires content-filter:manage
+ */
+export const updateContentFilterRule = catchAsync(async (req, res) => {
+    const { id, ...data } = matchedData(req);
+
+    const rule = await contentFilterService.updateRule(id, data, auditContext(req));
+
+    res.status(200).json(successResponse({ rule }));
+});
+
+/**
+ * Delete a content filter rule
+ * Requires content-filter:manage
+ */
+export const deleteContentFilterRule = catchAsync(async (req, res) => {
+    const { id } = matchedData(req);
+
+    const result = await contentFilterService.deleteRule(id, auditContext(req));
+
+    res.status(200).json(successResponse(result));
+});
+
+/**
+ * Get content that matched content filter rules
+ * Requires content-filter:manage
+ */
+export const getContentFilterMatches = catchAsync(async (req, res) => {
+    const { page = 1, limit = 20, ...filters } = matchedData(req);
+
+    const result = await contentFilterService.getMatches({ ...filters, page, limit });
+
+    res.status(200).json(successResponse({ matches: result.items, pagination: result.meta }));
+});
@@ -1,12 +1,48 @@
 import { matchedData } from "express-validator";
 import AuthService from "../services/AuthService.js";
 import AuthRepository from "../repositories/AuthRepository.js";
+import MailService from "../services/MailService.js";
+import mailer from "../libs/mailer.js";
+import TokenDenylistRepository from "../repositories/TokenDenylistRepository.js";
+import LoginThrottleRepository from "../repositories/LoginThrottleRepository.js";
+import LoginThrottleService from "../services/LoginThrottleService.js";
+import TwoFactorService from "../services/TwoFactorService.js";
+import UniversityRepository from "../repositories/UniversityRepository.js";
+import UniversityService from "../services/UniversityService.js";
+import OtpRepository from "../repositories/OtpRepository.js";
+import OtpService from "../services/OtpService.js";
+import SuspensionRepository from "../repositories/SuspensionRepository.js";
+import SuspensionService from "../services/SuspensionService.js";
+import AuditLogRepository from "../repositories/AuditLogRepository.js";
+import AuditLogService from "../services/AuditLogService.js";
 import { catchAsync } from "../utils/catchAsync.js";
 import environment from "../configs/environment.js";
 
 // Create instances with dependency injection
 const authRepository = new AuthRepository();
-const authService = new AuthService(authRepository);
+const mailService = new MailService(mailer);
+const tokenDenylistRepository = new TokenDenylistRepository();
+const auditLogService = new AuditLogService(new AuditLogRepository());
+const loginThrottleService = new LoginThrottleService(new LoginThrottleRepository(), mailService, auditLogService);
+const twoFactorService = new TwoFactorService(authRepository);
+const universityService = new UniversityService(new UniversityRepository(), mailService, auditLogService);
+const otpService = new OtpService(new OtpRepository());
+const suspensionService = new SuspensionService(
+    new SuspensionRepository(),
+    authRepository,
+    tokenDenylistRepository,
+    auditLogService
+);
+const authService = new AuthService(
+    authRepository,
+    mailService,
+    tokenDenylistRepository,
+    loginThrottleService,
+    twoFactorService,
+    universityService,
+    otpService,
+    suspensionService
+);
 
 /**
  * Format successful response
@@ -16,31 +52,97 @@ const successResponse = (data, statusCode = 200) => ({
     data,
 });
 
+/**
+ * Refresh token cookie options
+ */
+const refreshCookieOptions = () => ({
+    httpOnly: true,
+    secure: environment.nodeEnv === "production",
+    sameSite: environment.nodeEnv === "development" ? "strict" : "none",
+});
+
+/**
+ * Set refresh token in httpOnly cookie
+ */
+const setRefreshTokenCookie = (res, refreshToken) => {
+    res.cookie("refreshToken", refreshToken, {
+        ...refreshCookieOptions(),
+        maxAge: 7 * 24 * 60 * 60 * 1000, // 7 days
+    });
+};
+
+/**
+ * Clear refresh token cookie
+ */
+const clearRefreshTokenCookie = (res) => {
+    res.clearCookie("refreshToken", refreshCookieOptions());
+};
+
+/**
+ * Refresh token from the cookie, the body or (deprecated) the query string
+ * Query string use is flagged with a Deprecation header
+ */
+const requestRefreshToken = (req, res) => {
+    if (req.cookies?.refreshToken) {
+        return req.cookies.refreshToken;
+    }
+
+    const fromBody = matchedData(req, { locations: ["body"] }).refreshToken;
+
+    if (fromBody) {
+        return fromBody;
+    }
+
+    const fromQuery = matchedData(req, { locations: ["query"] }).refreshToken;
+
+    if (fromQuery) {
+        res.set("Deprecation", "true");
+        res.set("Warning", '299 - "refreshToken in the query string is deprecated; send it in the request body"');
+    }
+
+    return fromQuery;
+};
+
+/**
+ * Client info recorded on the session
+ */
+const clientInfo = (req) => ({
+    userAgent: req.get("user-agent"),
+    ipAddress: req.ip,
+});
+
 /**
  * Register a new student
  */
 export const register = catchAsync(async (req, res) => {
+    const { email, password, verificationMode } = matchedData(req);
+
+    const result = await authService.register({ email, password, verificationMode, ...clientInfo(req) });
+
+    setRefreshTokenCookie(res, result.tokens.refreshToken);
+
+    res.status(201).json(
+        successResponse({
+            user: result.user,
+            accessToken: result.tokens.accessToken,
+        })
+    );
+});
+
+/**
+ * Register a new admin (pending super admin approval)
+ */
+export const registerAdmin = catchAsync(async (req, res) => {
     const { email, password } = matchedData(req);
 
-    const result = await authService.register({ email, password });
+    const result = await authService.registerAdmin({ email, password, ...clientInfo(req) });
 
-    // Set refresh token in httpOnly cookie
-    res.cookie("refreshToken", result.tokens.refreshToken, {
-        httpOnly: true,
-        secure: environment.nodeEnv === "production",
-        sameSite: environment.nodeEnv === "development" ? "strict" : "none",
-        maxAge: 7 * 24 * 60 * 60 * 1000, // 7 days
-    });
+    setRefreshTokenCookie(res, result.tokens.refreshToken);
 
     res.status(201).json(
         successResponse({
             user: result.user,
             accessToken: result.tokens.accessToken,
-            // In development, return verification token for testing
-            // In production, this should be sent via email
-            ...(environment.nodeEnv !== "production" && { 
-                emailVerificationToken: result.emailVerificationToken 
-            }),
         })
     );
 });
@@ -51,15 +153,14 @@ export const register = catchAsync(async (req, res) => {
 export const login = catchAsync(async (req, res) => {
     const { email, password } = matchedData(req);
 
-    const result = await authService.login({ email, password });
+    const result = await authService.login({ email, password, ...clientInfo(req) });
 
-    // Set refresh token in httpOnly cookie
-    res.cookie("refreshToken", result.tokens.refreshToken, {
-        httpOnly: true,
-        secure: environment.nodeEnv === "production",
-        sameSite: environment.nodeEnv === "development" ? "strict" : "none",
-        maxAge: 7 * 24 * 60 * 60 * 1000, // 7 days
-    });
+    // 2FA enabled: the client must call /auth/2fa/verify with the mfaToken
+    if (result.mfaRequired) {
+        return res.status(200).json(successResponse(result));
+    }
+
+    setRefreshTokenCookie(res, result.tokens.refreshToken);
 
     res.status(200).json(
         successResponse({
@@ -73,22 +174,35 @@ export const login = catchAsync(async (req, res) => {
  * Logout user
  */
 export const logout = catchAsync(async (req, res) => {
-    res.clearCookie("refreshToken", {
-        httpOnly: true,
-        secure: environment.nodeEnv === "production",
-        sameSite: environment.nodeEnv === "development" ? "strict" : "none",
-    });
+    const refreshToken = requestRefreshToken(req, res);
 
-    res.status(200).json(successResponse({ message: "Logged out successfully" }));
+    const result = await authService.logout(refreshToken, req.token);
+
+    clearRefreshTokenCookie(res);
+
+    res.status(200).json(successResponse(result));
 });
 
 /**
  * Verify user email
  */
 export const verifyEmail = catchAsync(async (req, res) => {
-    const { token } = matchedData(req);
+    const { token, email, code } = matchedData(req);
 
-    const result = await authService.verifyEmail(token);
+    const result = token
+        ? await authService.verifyEmail(token)
+        : await authService.verifyEmailCode({ email, code });
+
+    res.status(200).json(successResponse(result));
+});
+
+/**
+ * Resend email verification link or code
+ */
+export const resendVerification = catchAsync(async (req, res) => {
+    const { email, mode } = matchedData(req);
+
+    const result = await authService.resendVerification({ email, mode });
 
     res.status(200).json(successResponse(result));
 });
@@ -97,9 +211,9 @@ export const verifyEmail = catchAsync(async (req, res) => {
  * Request password reset
  */
 export const forgotPassword = catchAsync(async (req, res) => {
-    const { email } = matchedData(req);
+    const { email, mode } = matchedData(req);
 
-    const result = await authService.forgotPassword(email);
+    const result = await authService.forgotPassword(email, mode);
 
     res.status(200).json(successResponse(result));
 });
@@ -108,17 +222,13 @@ export const forgotPassword = catchAsync(async (req, res) => {
  * Reset password
  */
 export const resetPassword = catchAsync(async (req, res) => {
-    const { token, newPassword } = matchedData(req);
+    const { token, email, code, newPassword } = matchedData(req);
 
-    const result = await authService.resetPassword({ token, newPassword });
+    const result = await authService.resetPassword({ token, email, code, newPassword });
 
     // Clear refresh token cookie if exists
     if (req.cookies?.refreshToken) {
-        res.clearCookie("refreshToken", {
-            httpOnly: true,
-            secure: environment.nodeEnv === "production",
-            sameSite: environment.nodeEnv === "development" ? "strict" : "none",
-        });
+        clearRefreshTokenCookie(res);
     }
 
     res.status(200).json(successResponse(result));
@@ -126,9 +236,11 @@ export const resetPassword = catchAsync(async (req, res) => {
 
 /**
  * Generate new access token from refresh token
+ * The refresh token is rotated on every call
  */
 export const generateAccessToken = catchAsync(async (req, res) => {
-    const refreshToken = req.cookies?.refreshToken || matchedData(req).refreshToken;
+    const fromCookie = Boolean(req.cookies?.refreshToken);
+    const refreshToken = requestRefreshToken(req, res);
 
     if (!refreshToken) {
         return res.status(401).json({
@@ -137,9 +249,17 @@ export const generateAccessToken = catchAsync(async (req, res) => {
         });
     }
 
-    const result = await authService.generateAccessToken(refreshToken);
+    const result = await authService.generateAccessToken(refreshToken, clientInfo(req));
 
-    res.status(200).json(successResponse(result));
+    setRefreshTokenCookie(res, result.refreshToken);
+
+    res.status(200).json(
+        successResponse({
+            accessToken: result.accessToken,
+            // Clients that keep the refresh token themselves need the rotated one back
+            ...(!fromCookie && { refreshToken: result.refreshToken }),
+        })
+    );
 });
 
 /**
@@ -150,3 +270,137 @@ export const getMe = catchAsync(async (req, res) => {
     
     res.status(200).json(successResponse({ user }));
 });
+
+/**
+ * List current user's active sessions
+ */
+export const getSessions = catchAsync(async (req, res) => {
+    const sessions = await authService.getSessions(req.user.id, req.user.sessionId);
+
+    res.status(200).json(successResponse({ sessions }));
+});
+
+/**
+ * Revoke one of the current user's sessions
+ */
+export const revokeSession = catchAsync(async (req, res) => {
+    const { id } = matchedData(req);
+
+    const result = await authService.revokeSession(req.user.id, id);
+
+    if (id === req.user.sessionId) {
+        clearRefreshTokenCookie(res);
+    }
+
+    res.status(200).json(successResponse(result));
+});
+
+/**
+ * Revoke all of the current user's sessions except this one
+ */
+export const revokeOtherSessions = catchAsync(async (req, res) => {
+    const result = await authService.revokeOtherSessions(req.user.id, req.user.sessionId);
+
+    res.status(200).json(successResponse(result));
+});
+
+/**
+ * Change password of the current user (other sessions are revoked)
+ */
+export const changePassword = catchAsync(async (req, res) => {
+    const { currentPassword, newPassword } = matchedData(req);
+
+    const result = await authService.changePassword(req.user.id, req.user.sessionId, {
+        currentPassword,
+        newPassword,
+    });
+
+    res.status(200).json(successResponse(result));
+});
+
+/**
+ * Request an email change (confirmation is sent to the new address)
+ */
+export const requestEmailChange = catchAsync(async (req, res) => {
+    const { newEmail, password } = matchedData(req);
+
+    const result = await authService.requestEmailChange(req.user.id, { newEmail, password });
+
+    res.status(200).json(successResponse(result));
+});
+
+/**
+ * Confirm an email change
+ */
+export const confirmEmailChange = catchAsync(async (req, res) => {
+    const { token } = matchedData(req);
+
+    const result = await authService.confirmEmailChange(token);
+
+    res.status(200).json(successResponse(result));
+});
+
+/**
+ * Complete login with a TOTP or recovery code
+ */
+export const verifyMfaLogin = catchAsync(async (req, res) => {
+    const { mfaToken, code, recoveryCode } = matchedData(req);
+
+    const result = await authService.verifyMfaLogin({
+        mfaToken,
+        code,
+        recoveryCode,
+        ...clientInfo(req),
+    });
+
+    setRefreshTokenCookie(res, result.tokens.refreshToken);
+
+    res.status(200).json(
+        successResponse({
+            user: result.user,
+            accessToken: result.tokens.accessToken,
+        })
+    );
+});
+
+/**
+ * Start 2FA enrollment
+ */
+export const setupTwoFactor = catchAsync(async (req, res) => {
+    const result = await twoFactorService.setup(req.user.id);
+
+    res.status(200).json(successResponse(result));
+});
+
+/**
+ * Confirm 2FA enrollment
+ */
+export const confirmTwoFactor = catchAsync(async (req, res) => {
+    const { code } = matchedData(req);
+
+    const result = await twoFactorService.confirm(req.user.id, code);
+
+    res.status(200).json(successResponse(result));
+});
+
+/**
+ * Disable 2FA
+ */
+export const disableTwoFactor = catchAsync(async (req, res) => {
+    const { password, code } = matchedData(req);
+
+    const result = await twoFactorService.disable(req.user.id, { password, code });
+
+    res.status(200).json(successResponse(result));
+});
+
+/**
+ * Regenerate 2FA recovery codes
+ */
+export const regenerateRecoveryCodes = catchAsync(async (req, res) => {
+    const { code } = matchedData(req);
+
+    const result = await twoFactorService.regenerateRecoveryCodes(req.user.id, code);
+
+    res.status(200).json(successResponse(result));
+});
@@ -0,0 +1,87 @@
+import { matchedData } from "express-validator";
+import DisputeRepository from "../repositories/DisputeRepository.js";
+import DisputeService from "../services/DisputeService.js";
+import MailService from "../services/MailService.js";
+import mailer from "../libs/mailer.js";
+import AuditLogRepository from "../repositories/AuditLogRepository.js";
+import AuditLogService, { auditContext } from "../services/AuditLogService.js";
+import { catchAsync } from "../utils/catchAsync.js";
+
+// Create instances with dependency injection
+const disputeService = new DisputeService(
+    new DisputeRepository(),
+    new MailService(mailer),
+    new AuditLogService(new AuditLogRepository())
+);
+
+/**
+ * Format successful response
+ */
+const successResponse = (data, meta = null) => ({
+    status: "success",
+    data,
+    ...(meta && { meta }),
+});
+
+/**
+ * Open a dispute on a paid or active order
+ * POST /api/v1/disputes
+ */
+export const openDispute = catchAsync(async (req, res) => {
+    const { orderId, reason, evidence } = matchedData(req);
+
+    const dispute = await disputeService.open({
+        orderId,
+        userId: req.user.id,
+        reason,
+        evidence,
+    });
+
+    res.status(201).json(successResponse({ dispute }));
+});
+
+/**
+ * List disputes (admin queue)
+ * GET /api/v1/disputes
+ */
+export const getDisputes = catchAsync(async (req, res) => {
+    const { status, outcome, page, limit } = matchedData(req);
+
+    const result = await disputeService.getQueue({
+        status,
+        outcome,
+        page: page || 1,
+        limit: limit || 20,
+    });
+
+    res.status(200).json(successResponse(result.items, result.meta));
+});
+
+/**
+ * Get a dispute
+ * GET /api/v1/disputes/:id
+ */
+export const getDispute = catchAsync(async (req, res) => {
+    const { id } = matchedData(req);
+
+    const dispute = await disputeService.getDispute(id);
+
+    res.status(200).json(successResponse({ dispute }));
+});
+
+/**
+ * Resolve a dispute
+ * PATCH /api/v1/disputes/:id/resolve
+ */
+export const resolveDispute = catchAsync(async (req, res) => {
+    const { id, outcome, refundAmount, resolution } = matchedData(req);
+
+    const dispute = await disputeService.resolve(
+        id,
+        { outcome, refundAmount, resolution },
+        req.user.id,
+        auditContext(req)
+    );
+
+    res.status(200).json(successResponse({ dispute }));
+});
@@ -2,12 +2,30 @@ import { matchedData } from "express-validator";
 import { catchAsync } from "../utils/catchAsync.js";
 import ListingService from "../services/ListingService.js";
 import ListingRepository from "../repositories/ListingRepository.js";
+import AuthRepository from "../repositories/AuthRepository.js";
+import TokenDenylistRepository from "../repositories/TokenDenylistRepository.js";
+import SuspensionRepository from "../repositories/SuspensionRepository.js";
+import SuspensionService from "../services/SuspensionService.js";
+import AuditLogRepository from "../repositories/AuditLogRepository.js";
+import AuditLogService from "../services/AuditLogService.js";
+import ContentFilterRepository from "../repositories/ContentFilterRepository.js";
+import ContentFilterService from "../services/ContentFilterService.js";
 import prisma from "../libs/database.js";
 import { ForbiddenError } from "../errors/errors.js";
 
 // Create instances with dependency injection
 const listingRepository = new ListingRepository();
-const listingService = new ListingService(listingRepository);
+const auditLogService = new AuditLogService(new AuditLogRepository());
+const listingService = new ListingService(
+    listingRepository,
+    new ContentFilterService(new ContentFilterRepository(), auditLogService)
+);
+const suspensionService = new SuspensionService(
+    new SuspensionRepository(),
+    new AuthRepository(),
+    new TokenDenylistRepository(),
+    auditLogService
+);
 
 /**
  * Format successful response
@@ -43,7 +61,7 @@ async function getStudentProfile(userId) {
  * Create a new listing (Student only, verified)
  */
 export const createListing = catchAsync(async (req, res) => {
-    const { title, description, category, price, listingType, condition } = matchedData(req);
+    const { title, description, category, price, listingType, condition, requiresVerifiedBuyer } = matchedData(req);
 
     // Get student profile from user ID
     const student = await getStudentProfile(req.user.id);
@@ -56,18 +74,22 @@ export const createListing = catchAsync(async (req, res) => {
         throw new ForbiddenError("Please verify your email before creating a listing");
     }
 
+    await suspensionService.assertNotSuspended(req.user.id);
+
     if (!student.isActive) {
         throw new ForbiddenError("Your account is not active");
     }
 
     const listing = await listingService.create({
         ownerId: student.id,
+        userId: req.user.id,
         title,
         description,
         category,
         price,
         listingType,
         condition,
+        requiresVerifiedBuyer,
     });
 
     res.status(201).json(successResponse(listing));
@@ -108,6 +130,7 @@ export const updateListing = catchAsync(async (req, res) => {
     const listing = await listingService.update({
         listingId: id,
         ownerId: student.id,
+        userId: req.user.id,
         updateData,
     });
 
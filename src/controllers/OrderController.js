@@ -1,11 +1,23 @@
 import { matchedData } from "express-validator";
 import OrderRepository from "../repositories/OrderRepository.js";
 import OrderService from "../services/OrderService.js";
+import AuthRepository from "../repositories/AuthRepository.js";
+import TokenDenylistRepository from "../repositories/TokenDenylistRepository.js";
+import SuspensionRepository from "../repositories/SuspensionRepository.js";
+import SuspensionService from "../services/SuspensionService.js";
+import AuditLogRepository from "../repositories/AuditLogRepository.js";
+import AuditLogService from "../services/AuditLogService.js";
 import { catchAsync } from "../utils/catchAsync.js";
 
 // Create instances with dependency injection
 const orderRepository = new OrderRepository();
-const orderService = new OrderService(orderRepository);
+const suspensionService = new SuspensionService(
+    new SuspensionRepository(),
+    new AuthRepository(),
+    new TokenDenylistRepository(),
+    new AuditLogService(new AuditLogRepository())
+);
+const orderService = new OrderService(orderRepository, suspensionService);
 
 /**
  * Format successful response
@@ -0,0 +1,158 @@
+import { matchedData } from "express-validator";
+import ReportRepository from "../repositories/ReportRepository.js";
+import ReportService from "../services/ReportService.js";
+import AuthRepository from "../repositories/AuthRepository.js";
+import AdminRepository from "../repositories/AdminRepository.js";
+import PermissionRepository from "../repositories/PermissionRepository.js";
+import PermissionService from "../services/PermissionService.js";
+import TokenDenylistRepository from "../repositories/TokenDenylistRepository.js";
+import SuspensionRepository from "../repositories/SuspensionRepository.js";
+import SuspensionService from "../services/SuspensionService.js";
+import ListingRepository from "../repositories/ListingRepository.js";
+import ListingModerationService from "../services/ListingModerationService.js";
+import MailService from "../services/MailService.js";
+import mailer from "../libs/mailer.js";
+import AuditLogRepository from "../repositories/AuditLogRepository.js";
+import AuditLogService, { auditContext } from "../services/AuditLogService.js";
+import { catchAsync } from "../utils/catchAsync.js";
+
+// Create instances with dependency injection
+const authRepository = new AuthRepository();
+const auditLogService = new AuditLogService(new AuditLogRepository());
+const reportService = new ReportService(
+    new ReportRepository(),
+    authRepository,
+    new PermissionService(new PermissionRepository(), new AdminRepository(), auditLogService),
+    new SuspensionService(new SuspensionRepository(), authRepository, new TokenDenylistRepository(), auditLogService),
+    new ListingModerationService(new ListingRepository(), new MailService(mailer), auditLogService),
+    auditLogService
+);
+
+/**
+ * Format successful response
+ */
+const successResponse = (data, meta = null) => ({
+    status: "success",
+    data,
+    ...(meta && { meta }),
+});
+
+/**
+ * Report a listing or a user
+ * POST /api/v1/reports
+ */
+export const createReport = catchAsync(async (req, res) => {
+    const { listingId, userId, category, reason } = matchedData(req);
+
+    const report = await reportService.create({
+        reporterId: req.user.id,
+        listingId,
+        userId,
+        category,
+        reason,
+    });
+
+    res.status(201).json(successResponse({ report }));
+});
+
+/**
+ * List reports (moderation queue)
+ * GET /api/v1/reports
+ */
+export const getReports = catchAsync(async (req, res) => {
+    const {
+        status,
+        targetType,
+        category,
+        reportedUserId,
+        reportedListingId,
+        assignee,
+        page,
+        limit,
+    } = matchedData(req);
+
+    const result = await reportService.getQueue({
+        status,
+        targetType,
+        category,
+        reportedUserId,
+        reportedListingId,
+        assignee,
+        page: page || 1,
+        limit: limit || 20,
+    }, req.user);
+
+    res.status(200).json(successResponse(result.items, result.meta));
+});
+
+/**
+ * Get a report with its notes
+ * GET /api/v1/reports/:id
+ */
+export const getReport = catchAsync(async (req, res) => {
+    const { id } = matchedData(req);
+
+    const report = await reportService.getReport(id);
+
+    res.status(200).json(successResponse({ report }));
+});
+
+/**
+ * Claim a report
+ * PATCH /api/v1/reports/:id/claim
+ */
+export const claimReport = catchAsync(async (req, res) => {
+    const { id } = matchedData(req);
+
+    const report = await reportService.claim(id, req.user, auditContext(req));
+
+    res.status(200).json(successResponse({ report }));
+});
+
+/**
+ * Assign a report to a moderator
+ * PATCH /api/v1/reports/:id/assign
+ */
+export const assignReport = catchAsync(async (req, res) => {
+    const { id, assigneeUserId } = matchedData(req);
+
+    const report = await reportService.assign(id, assigneeUserId, auditContext(req));
+
+    res.status(200).json(successResponse({ report }));
+});
+
+/**
+ * Add a note to a report
+ * POST /api/v1/reports/:id/notes
+ */
+export const addReportNote = catchAsync(async (req, res) => {
+    const { id, body } = matchedData(req);
+
+    const note = await reportService.addNote(id, req.user.id, body);
+
+    res.status(201).json(successResponse({ note }));
+});
+
+/**
+ * Resolve a report, optionally hiding the listing or suspending the user
+ * PATCH /api/v1/reports/:id/resolve
+ */
+export const resolveReport = catchAsync(async (req, res) => {
+    const { id, resolution, action, suspensionExpiresAt } = matchedData(req);
+
+    const report = await reportService.resolve(id, req.user, { resolution, action, suspensionExpiresAt }, auditContext(req));
+
+    res.status(200).json(successResponse({ report }));
+});
+
+/**
+ * Reject a report
+ * PATCH /api/v1/reports/:id/reject
+ */
+export const rejectReport = catchAsync(async (req, res) => {
+    const { id, resolution } = matchedData(req);
+
+    const report = await reportService.reject(id, req.user, { resolution }, auditContext(req));
+
+    res.status(200).json(successResponse({ report }));
+});
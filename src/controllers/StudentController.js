@@ -0,0 +1,79 @@
+import { matchedData } from "express-validator";
+import StudentRepository from "../repositories/StudentRepository.js";
+import StudentService from "../services/StudentService.js";
+import AuthRepository from "../repositories/AuthRepository.js";
+import TokenDenylistRepository from "../repositories/TokenDenylistRepository.js";
+import { catchAsync } from "../utils/catchAsync.js";
+
+// Create instances with dependency injection
+const studentService = new StudentService(
+    new StudentRepository(),
+    new AuthRepository(),
+    new TokenDenylistRepository()
+);
+
+/**
+ * Format successful response
+ */
+const successResponse = (data) => ({
+    status: "success",
+    data,
+});
+
+/**
+ * Get current student's profile
+ * GET /api/v1/students/me
+ */
+export const getMyProfile = catchAsync(async (req, res) => {
+    const student = await studentService.getMyProfile(req.user.id);
+
+    res.status(200).json(successResponse({ student }));
+});
+
+/**
+ * Update current student's profile
+ * PATCH /api/v1/students/me
+ */
+export const updateMyProfile = catchAsync(async (req, res) => {
+    const { studentId, grade, department } = matchedData(req);
+
+    const student = await studentService.updateMyProfile(req.user.id, { studentId, grade, department });
+
+    res.status(200).json(successResponse({ student }));
+});
+
+/**
+ * Download everything stored about the current student
+ * GET /api/v1/students/me/export
+ */
+export const exportMyData = catchAsync(async (req, res) => {
+    const archive = await studentService.exportMyData(req.user.id);
+    const fileName = `campus-market-export-${archive.exportedAt.slice(0, 10)}.json`;
+
+    res.setHeader("Content-Disposition", `attachment; filename="${fileName}"`);
+    res.status(200).json(archive);
+});
+
+/**
+ * Close the current student's account (anonymizes personal data)
+ * DELETE /api/v1/students/me
+ */
+export const deleteMyAccount = catchAsync(async (req, res) => {
+    const { password } = matchedData(req);
+
+    const result = await studentService.deleteMyAccount(req.user.id, password);
+
+    res.status(200).json(successResponse(result));
+});
+
+/**
+ * Get a student's public profile
+ * GET /api/v1/students/:id
+ */
+export const getPublicProfile = catchAsync(async (req, res) => {
+    const { id } = matchedData(req);
+
+    const student = await studentService.getPublicProfile(id);
+
+    res.status(200).json(successResponse({ student }));
+});
@@ -0,0 +1,91 @@
+import { matchedData } from "express-validator";
+import StudentVerificationRepository from "../repositories/StudentVerificationRepository.js";
+import StudentVerificationService from "../services/StudentVerificationService.js";
+import AuditLogRepository from "../repositories/AuditLogRepository.js";
+import AuditLogService, { auditContext } from "../services/AuditLogService.js";
+import MailService from "../services/MailService.js";
+import mailer from "../libs/mailer.js";
+import { catchAsync } from "../utils/catchAsync.js";
+
+// Create instances with dependency injection
+const studentVerificationRepository = new StudentVerificationRepository();
+const studentVerificationService = new StudentVerificationService(
+    studentVerificationRepository,
+    new MailService(mailer),
+    new AuditLogService(new AuditLogRepository())
+);
+
+/**
+ * Format successful response
+ */
+const successResponse = (data, meta = null) => ({
+    status: "success",
+    data,
+    ...(meta && { meta }),
+});
+
+/**
+ * Submit a student ID for verification
+ * POST /api/v1/verifications
+ */
+export const submitVerification = catchAsync(async (req, res) => {
+    const { studentNumber, idCardImageUrl } = matchedData(req);
+
+    const verification = await studentVerificationService.submit({
+        userId: req.user.id,
+        studentNumber,
+        idCardImageUrl,
+    });
+
+    res.status(201).json(successResponse({ verification }));
+});
+
+/**
+ * Get current student's verification status
+ * GET /api/v1/verifications/me
+ */
+export const getMyVerification = catchAsync(async (req, res) => {
+    const result = await studentVerificationService.getMyStatus(req.user.id);
+
+    res.status(200).json(successResponse(result));
+});
+
+/**
+ * List verification requests (review queue)
+ * GET /api/v1/verifications
+ */
+export const getVerifications = catchAsync(async (req, res) => {
+    const { status, page, limit } = matchedData(req);
+
+    const result = await studentVerificationService.getRequests({
+        status: status || "PENDING",
+        page: page || 1,
+        limit: limit || 20,
+    });
+
+    res.status(200).json(successResponse(result.items, result.meta));
+});
+
+/**
+ * Approve a verification request
+ * PATCH /api/v1/verifications/:id/approve
+ */
+export const approveVerification = catchAsync(async (req, res) => {
+    const { id } = matchedData(req);
+
+    const verification = await studentVerificationService.approve(id, req.user.id, auditContext(req));
+
+    res.status(200).json(successResponse({ verification }));
+});
+
+/**
+ * Reject a verification request
+ * PATCH /api/v1/verifications/:id/reject
+ */
+export const rejectVerification = catchAsync(async (req, res) => {
+    const { id, reason } = matchedData(req);
+
+    const verification = await studentVerificationService.reject(id, req.user.id, reason, auditContext(req));
+
+    res.status(200).json(successResponse({ verification }));
+});
@@ -0,0 +1,114 @@
+import { matchedData } from "express-validator";
+import UniversityRepository from "../repositories/UniversityRepository.js";
+import UniversityService from "../services/UniversityService.js";
+import AuditLogRepository from "../repositories/AuditLogRepository.js";
+import AuditLogService, { auditContext } from "../services/AuditLogService.js";
+import MailService from "../services/MailService.js";
+import mailer from "../libs/mailer.js";
+import { catchAsync } from "../utils/catchAsync.js";
+
+// Create instances with dependency injection
+const universityRepository = new UniversityRepository();
+const universityService = new UniversityService(
+    universityRepository,
+    new MailService(mailer),
+    new AuditLogService(new AuditLogRepository())
+);
+
+/**
+ * Format successful response
+ */
+const successResponse = (data) => ({
+    status: "success",
+    data,
+});
+
+/**
+ * List universities (Public; SUPER_ADMIN may include inactive ones)
+ */
+export const getUniversities = catchAsync(async (req, res) => {
+    const { includeInactive } = matchedData(req);
+
+    const universities = await universityService.getUniversities({
+        includeInactive: includeInactive && req.user?.role === "SUPER_ADMIN",
+    });
+
+    res.status(200).json(successResponse({ universities }));
+});
+
+/**
+ * Create a university (SUPER_ADMIN only)
+ */
+export const createUniversity = catchAsync(async (req, res) => {
+    const { name, domains } = matchedData(req);
+
+    const university = await universityService.create({ name, domains }, auditContext(req));
+
+    res.status(201).json(successResponse({ university }));
+});
+
+/**
+ * Update a university (SUPER_ADMIN only)
+ */
+export const updateUniversity = catchAsync(async (req, res) => {
+    const { id, ...updateData } = matchedData(req);
+
+    const university = await universityService.update(id, updateData, auditContext(req));
+
+    res.status(200).json(successResponse({ university }));
+});
+
+/**
+ * Delete a university without students (SUPER_ADMIN only)
+ */
+export const deleteUniversity = catchAsync(async (req, res) => {
+    const { id } = matchedData(req);
+
+    const result = await universityService.delete(id, auditContext(req));
+
+    res.status(200).json(successResponse(result));
+});
+
+/**
+ * Add an allowed domain (SUPER_ADMIN only)
+ */
+export const addDomain = catchAsync(async (req, res) => {
+    const { id, domain } = matchedData(req);
+
+    const university = await universityService.addDomain(id, domain, auditContext(req));
+
+    res.status(201).json(successResponse({ university }));
+});
+
+/**
+ * Remove an allowed domain (SUPER_ADMIN only)
+ */
+export const removeDomain = catchAsync(async (req, res) => {
+    const { id, domain } = matchedData(req);
+
+    const university = await universityService.removeDomain(id, domain, auditContext(req));
+
+    res.status(200).json(successResponse({ university }));
+});
+
+/**
+ * Join the waitlist for an unsupported university (Public)
+ */
+export const joinWaitlist = catchAsync(async (req, res) => {
+    const { email } = matchedData(req);
+
+    const result = await universityService.joinWaitlist(email);
+
+    res.status(201).json(successResponse(result));
+});
+
+/**
+ * View the waitlist (SUPER_ADMIN only)
+ */
+export const getWaitlist = catchAsync(async (req, res) => {
+    const { domain } = matchedData(req);
+
+    const result = await universityService.getWaitlist({ domain });
+
+    res.status(200).json(successResponse(result));
+});
@@ -0,0 +1,115 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import environment from "../configs/environment.js";
+
+/**
+ * RS256 key store
+ *
+ * Keys live in JWT_KEYS_DIR as <kid>.private.pem / <kid>.public.pem.
+ * Every public key verifies tokens and is published in the JWKS; only
+ * JWT_ACTIVE_KID signs. To rotate: add the new pair, let the JWKS propagate,
+ * switch JWT_ACTIVE_KID, then delete the old pair once its tokens have expired.
+ */
+
+const PUBLIC_SUFFIX = ".public.pem";
+const PRIVATE_SUFFIX = ".private.pem";
+
+let cache = null;
+
+/**
+ * Read all key pairs from the keys directory
+ * @returns {object} { verificationKeys: Map<kid, KeyObject>, signingKey: { kid, privateKey } | null }
+ */
+const loadKeys = () => {
+    const { dir, activeKid } = environment.jwt.keys;
+    const verificationKeys = new Map();
+
+    const files = fs.existsSync(dir) ? fs.readdirSync(dir) : [];
+
+    for (const file of files.filter((name) => name.endsWith(PUBLIC_SUFFIX))) {
+        const kid = file.slice(0, -PUBLIC_SUFFIX.length);
+        verificationKeys.set(kid, crypto.createPublicKey(fs.readFileSync(path.join(dir, file))));
+    }
+
+    let signingKey = null;
+
+    if (activeKid) {
+        const privateKeyPath = path.join(dir, `${activeKid}${PRIVATE_SUFFIX}`);
+
+        if (!fs.existsSync(privateKeyPath)) {
+            throw new Error(`Private key for JWT_ACTIVE_KID "${activeKid}" not found in ${dir}`);
+        }
+
+        const privateKey = crypto.createPrivateKey(fs.readFileSync(privateKeyPath));
+
+        // The signing key must always be verifiable by ourselves and by JWKS consumers
+        if (!verificationKeys.has(activeKid)) {
+            verificationKeys.set(activeKid, crypto.createPublicKey(privateKey));
+        }
+
+        signingKey = { kid: activeKid, privateKey };
+    }
+
+    return { verificationKeys, signingKey };
+};
+
+const getKeys = () => {
+    if (!cache) {
+        cache = loadKeys();
+    }
+    return cache;
+};
+
+const jwtKeys = {
+    /**
+     * Get the key used to sign new tokens
+     * @returns {object} { kid, privateKey }
+     */
+    getSigningKey() {
+        const { signingKey } = getKeys();
+
+        if (!signingKey) {
+            throw new Error("JWT_ACTIVE_KID must be set when JWT_ALGORITHM is RS256");
+        }
+
+        return signingKey;
+    },
+
+    /**
+     * Get the public key for a key ID
+     * @param {string} kid - Key ID from the token header
+     * @returns {crypto.KeyObject|null} Public key
+     */
+    getVerificationKey(kid) {
+        return getKeys().verificationKeys.get(kid) || null;
+    },
+
+    /**
+     * Build the JSON Web Key Set of all verification keys
+     * @returns {object} { keys: JWK[] }
+     */
+    getJwks() {
+        if (environment.jwt.algorithm !== "RS256") {
+            return { keys: [] };
+        }
+
+        const keys = [...getKeys().verificationKeys.entries()].map(([kid, publicKey]) => ({
+            ...publicKey.export({ format: "jwk" }),
+            kid,
+            use: "sig",
+            alg: "RS256",
+        }));
+
+        return { keys };
+    },
+
+    /**
+     * Drop cached keys so the next call re-reads the keys directory
+     */
+    reload() {
+        cache = null;
+    },
+};
+
+export default jwtKeys;
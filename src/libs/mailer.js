@@ -0,0 +1,71 @@
+import fs from "fs/promises";
+import path from "path";
+import nodemailer from "nodemailer";
+import environment from "../configs/environment.js";
+import { logger } from "./winston.js";
+
+/**
+ * Build the nodemailer transport selected by MAIL_TRANSPORT
+ * - smtp: deliver through the configured SMTP server
+ * - json: render the message and log it, text body included (local development only:
+ *   links carry verification and reset tokens)
+ * - file: render the message and write it to MAIL_OUTPUT_DIR (tests, local inbox)
+ */
+const createTransport = () => {
+    const { transport, smtp } = environment.mail;
+
+    switch (transport) {
+        case "smtp":
+            return nodemailer.createTransport({
+                host: smtp.host,
+                port: smtp.port,
+                secure: smtp.secure,
+                auth: smtp.user ? { user: smtp.user, pass: smtp.pass } : undefined,
+            });
+        case "json":
+        case "file":
+            return nodemailer.createTransport({ jsonTransport: true });
+        default:
+            throw new Error(`Unknown mail transport: ${transport}`);
+    }
+};
+
+const transporter = createTransport();
+
+/**
+ * Persist a rendered message to the output directory (file transport only)
+ * @param {object} info - nodemailer send info
+ */
+const writeToOutputDir = async (info) => {
+    const dir = environment.mail.outputDir;
+    await fs.mkdir(dir, { recursive: true });
+
+    const fileName = `${Date.now()}-${info.messageId.replace(/[<>@]/g, "")}.json`;
+    await fs.writeFile(path.join(dir, fileName), info.message);
+};
+
+const mailer = {
+    /**
+     * Send a message through the configured transport
+     * @param {object} message - nodemailer message ({ to, subject, html, text })
+     * @returns {object} nodemailer send info
+     */
+    async sendMail(message) {
+        const info = await transporter.sendMail({
+            from: environment.mail.from,
+            ...message,
+        });
+
+        if (environment.mail.transport === "file") {
+            await writeToOutputDir(info);
+        } else if (environment.mail.transport === "json") {
+            // The text body holds the links, so local developers can follow them from the log
+            logger.info("📧 Mail captured", { to: message.to, subject: message.subject, text: message.text });
+            logger.debug("📧 Rendered mail", { message: info.message });
+        }
+
+        return info;
+    },
+};
+
+export default mailer;
@@ -1,11 +1,14 @@
 import { ForbiddenError, UnauthorizedError } from "../errors/errors.js";
 import AdminRepository from "../repositories/AdminRepository.js";
+import { adminAccessError } from "../services/AdminApprovalService.js";
+import { hasRequiredMfa } from "./authMiddleware.js";
 
 /**
  * Middleware to check if user is an approved admin
  * Requires:
  * - User must have ADMIN role
- * - Admin record must exist and be approved (isApproved = true)
+ * - Session must have passed two-factor authentication
+ * - Admin record must exist and be approved (status = APPROVED)
  */
 export const requireApprovedAdmin = async (req, res, next) => {
     try {
@@ -19,6 +22,10 @@ export const requireApprovedAdmin = async (req, res, next) => {
             return next(new ForbiddenError("Admin role required"));
         }
 
+        if (!hasRequiredMfa(req.user)) {
+            return next(new ForbiddenError("Two-factor authentication is required for admin accounts. Enable it and log in again"));
+        }
+
         // Get admin record from database
         const adminRepository = new AdminRepository();
         const admin = await adminRepository.findAdminWithApprovalStatus(req.user.id);
@@ -28,16 +35,18 @@ export const requireApprovedAdmin = async (req, res, next) => {
             return next(new ForbiddenError("Admin profile not found"));
         }
 
-        // Check if admin is approved
-        if (!admin.isApproved) {
-            return next(new ForbiddenError("Admin approval pending. Please wait for Super Admin approval."));
+        // Check if admin is approved (not pending, rejected or revoked)
+        const accessError = adminAccessError(admin);
+
+        if (accessError) {
+            return next(accessError);
         }
 
         // Attach admin info to request
         req.admin = {
             id: admin.id,
             userId: admin.userId,
-            isApproved: admin.isApproved,
+            status: admin.status,
             approvedAt: admin.approvedAt,
         };
 
@@ -46,3 +55,18 @@ export const requireApprovedAdmin = async (req, res, next) => {
         next(error);
     }
 };
+
+/**
+ * Middleware to allow super admins and approved admins
+ * SUPER_ADMIN passes straight through; ADMIN must pass requireApprovedAdmin
+ */
+export const requireApprovedAdminOrSuperAdmin = (req, res, next) => {
+    if (req.user?.role === "SUPER_ADMIN") {
+        if (!hasRequiredMfa(req.user)) {
+            return next(new ForbiddenError("Two-factor authentication is required for admin accounts. Enable it and log in again"));
+        }
+        return next();
+    }
+
+    return requireApprovedAdmin(req, res, next);
+};
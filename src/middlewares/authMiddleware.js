@@ -1,38 +1,160 @@
 import { decodeToken } from "../utils/tokens.js";
 import { UnauthorizedError, ForbiddenError } from "../errors/errors.js";
+import TokenDenylistRepository from "../repositories/TokenDenylistRepository.js";
+import ApiKeyRepository from "../repositories/ApiKeyRepository.js";
+import ApiKeyService from "../services/ApiKeyService.js";
+import AuditLogRepository from "../repositories/AuditLogRepository.js";
+import AuditLogService, { auditContext } from "../services/AuditLogService.js";
+import { MFA_REQUIRED_ROLES } from "../services/TwoFactorService.js";
+
+const READ_ONLY_METHODS = ["GET", "HEAD", "OPTIONS"];
+
+const tokenDenylistRepository = new TokenDenylistRepository();
+const auditLogService = new AuditLogService(new AuditLogRepository());
+const apiKeyService = new ApiKeyService(new ApiKeyRepository(), auditLogService);
 
 /**
- * Middleware to authenticate JWT token
+ * Read the access token from the Authorization header or cookie
+ * @param {object} req - Express request
+ * @returns {string|null} Access token
+ */
+const extractAccessToken = (req) => {
+    // Check Authorization header first
+    const authHeader = req.headers.authorization;
+    if (authHeader && authHeader.startsWith("Bearer ")) {
+        return authHeader.substring(7);
+    }
+
+    // Fall back to cookie
+    return req.cookies?.accessToken || null;
+};
+
+/**
+ * Verify an access token and reject it if it has been revoked
+ * (logout, password reset, session revocation, suspension)
+ * @param {string} token - Access token
+ * @returns {object} Decoded token payload
+ */
+const verifyAccessToken = async (token) => {
+    const decoded = decodeToken("accessToken", token);
+
+    if (await tokenDenylistRepository.isDenied(decoded)) {
+        throw new UnauthorizedError("Token has been revoked");
+    }
+
+    return decoded;
+};
+
+/**
+ * Attach the token's user and token info to the request
+ * @param {object} req - Express request
+ * @param {object} decoded - Decoded token payload
+ */
+const attachUser = (req, decoded) => {
+    req.user = {
+        id: decoded.userId,
+        role: decoded.role,
+        sessionId: decoded.sid,
+        mfa: Boolean(decoded.mfa),
+    };
+    req.token = {
+        id: decoded.jti,
+        expiresAt: decoded.exp,
+    };
+
+    // Impersonation token: the subject is the student, `act` is the super admin behind it
+    if (decoded.act) {
+        req.impersonation = {
+            impersonatorId: decoded.act.userId,
+            impersonatorRole: decoded.act.role,
+            readOnly: decoded.act.readOnly !== false,
+        };
+    }
+};
+
+/**
+ * Attach an API key principal to the request
+ * The key acts with its scopes only (req.permissions), never with its owner's role
+ * @param {object} req - Express request
+ * @param {object} apiKey - Resolved key ({ id, ownerId, scopes })
+ */
+const attachApiKey = (req, apiKey) => {
+    req.user = {
+        id: apiKey.ownerId,
+        role: "API_KEY",
+        mfa: false,
+    };
+    req.apiKey = apiKey;
+    req.permissions = new Set(apiKey.scopes);
+};
+
+/**
+ * Enforce read-only impersonation and audit-log every impersonated request
+ * The audit entry's actor is the super admin behind the token, not the student
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ */
+const guardImpersonation = async (req, res) => {
+    if (!req.impersonation) {
+        return;
+    }
+
+    const context = {
+        ...auditContext(req),
+        actorId: req.impersonation.impersonatorId,
+        actorRole: req.impersonation.impersonatorRole,
+    };
+    const metadata = {
+        tokenId: req.token.id,
+        readOnly: req.impersonation.readOnly,
+        method: req.method,
+        path: req.originalUrl,
+    };
+
+    if (req.impersonation.readOnly && !READ_ONLY_METHODS.includes(req.method)) {
+        await auditLogService.record(context, {
+            action: "impersonation.write_blocked",
+            targetType: "User",
+            targetId: req.user.id,
+            metadata,
+        });
+        throw new ForbiddenError("This impersonation session is read-only");
+    }
+
+    res.on("finish", () => {
+        auditLogService.record(context, {
+            action: "impersonation.request",
+            targetType: "User",
+            targetId: req.user.id,
+            metadata: { ...metadata, statusCode: res.statusCode },
+        });
+    });
+};
+
+/**
+ * Middleware to authenticate JWT token or X-API-Key header
  * Attaches user information to req.user
  */
-export const authenticate = (req, res, next) => {
+export const authenticate = async (req, res, next) => {
     try {
-        // Get token from Authorization header or cookies
-        let token = null;
+        const rawApiKey = req.get("X-API-Key");
 
-        // Check Authorization header first
-        const authHeader = req.headers.authorization;
-        if (authHeader && authHeader.startsWith("Bearer ")) {
-            token = authHeader.substring(7);
+        if (rawApiKey) {
+            attachApiKey(req, await apiKeyService.authenticate(rawApiKey, req.ip));
+            return next();
         }
 
-        // Fall back to cookie
-        if (!token && req.cookies?.accessToken) {
-            token = req.cookies.accessToken;
-        }
+        const token = extractAccessToken(req);
 
         if (!token) {
             throw new UnauthorizedError("Access token is required");
         }
 
         // Verify and decode token
-        const decoded = decodeToken("accessToken", token);
+        const decoded = await verifyAccessToken(token);
 
-        // Attach user to request
-        req.user = {
-            id: decoded.userId,
-            role: decoded.role,
-        };
+        attachUser(req, decoded);
+        await guardImpersonation(req, res);
 
         next();
     } catch (error) {
@@ -43,6 +165,15 @@ export const authenticate = (req, res, next) => {
     }
 };
 
+/**
+ * Check that admin roles passed a second factor in this session
+ * @param {object} user - req.user
+ * @returns {boolean} False if the role requires 2FA and the session has none
+ */
+export const hasRequiredMfa = (user) => {
+    return !MFA_REQUIRED_ROLES.includes(user.role) || user.mfa;
+};
+
 /**
  * Middleware to check if user has specific role(s)
  * @param {...string} roles - Allowed roles
@@ -58,6 +189,10 @@ export const authorize = (...roles) => {
             return next(new ForbiddenError("You don't have permission to perform this action"));
         }
 
+        if (!hasRequiredMfa(req.user)) {
+            return next(new ForbiddenError("Two-factor authentication is required for admin accounts. Enable it and log in again"));
+        }
+
         next();
     };
 };
@@ -85,38 +220,79 @@ export const requireAdminOrSuperAdmin = authorize("ADMIN", "SUPER_ADMIN");
 /**
  * Optional authentication - attaches user if token exists but doesn't require it
  */
-export const optionalAuth = (req, res, next) => {
-    try {
-        let token = null;
+export const optionalAuth = async (req, res, next) => {
+    const rawApiKey = req.get("X-API-Key");
 
-        // Check Authorization header first
-        const authHeader = req.headers.authorization;
-        if (authHeader && authHeader.startsWith("Bearer ")) {
-            token = authHeader.substring(7);
+    // A bad API key is rejected rather than ignored, so integrations notice
+    if (rawApiKey) {
+        try {
+            attachApiKey(req, await apiKeyService.authenticate(rawApiKey, req.ip));
+            return next();
+        } catch (error) {
+            return next(error);
         }
+    }
 
-        // Fall back to cookie
-        if (!token && req.cookies?.accessToken) {
-            token = req.cookies.accessToken;
-        }
+    try {
+        const token = extractAccessToken(req);
 
         // If no token, continue without user
         if (!token) {
             return next();
         }
 
-        // Verify and decode token
-        const decoded = decodeToken("accessToken", token);
+        const decoded = await verifyAccessToken(token);
 
-        // Attach user to request
-        req.user = {
-            id: decoded.userId,
-            role: decoded.role,
-        };
+        attachUser(req, decoded);
+    } catch (error) {
+        // If token is invalid or revoked, continue without user
+        return next();
+    }
 
+    try {
+        await guardImpersonation(req, res);
         next();
     } catch (error) {
-        // If token is invalid, continue without user
+        next(error);
+    }
+};
+
+/**
+ * Middleware to reject API keys that lack a scope, leaving other callers untouched
+ * For public endpoints that also serve integrations (pair with optionalAuth)
+ * @param {string} scope - Scope from API_KEY_SCOPES
+ * @returns {Function} Middleware function
+ */
+export const requireApiKeyScope = (scope) => {
+    return (req, res, next) => {
+        if (req.apiKey && !req.apiKey.scopes.includes(scope)) {
+            return next(new ForbiddenError(`Missing API key scope: ${scope}`));
+        }
+
         next();
+    };
+};
+
+/**
+ * Middleware to block impersonation tokens, even in write mode
+ * For account-level actions only the real user may take (credentials, 2FA, data export, deletion)
+ */
+export const forbidImpersonation = (req, res, next) => {
+    if (req.impersonation) {
+        return next(new ForbiddenError("This action is not available while impersonating"));
+    }
+
+    next();
+};
+
+/**
+ * Middleware to block API keys on routes that act on the caller's own account
+ * (an API key authenticates as its owner's user ID but is not a user session)
+ */
+export const forbidApiKey = (req, res, next) => {
+    if (req.apiKey) {
+        return next(new ForbiddenError("This action is not available to API keys"));
     }
+
+    next();
 };
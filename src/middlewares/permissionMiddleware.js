@@ -0,0 +1,54 @@
+import { UnauthorizedError, ForbiddenError } from "../errors/errors.js";
+import PermissionRepository from "../repositories/PermissionRepository.js";
+import AdminRepository from "../repositories/AdminRepository.js";
+import PermissionService from "../services/PermissionService.js";
+import AuditLogRepository from "../repositories/AuditLogRepository.js";
+import AuditLogService from "../services/AuditLogService.js";
+import { hasRequiredMfa } from "./authMiddleware.js";
+
+const permissionService = new PermissionService(
+    new PermissionRepository(),
+    new AdminRepository(),
+    new AuditLogService(new AuditLogRepository())
+);
+
+/**
+ * Middleware to require named permissions (all of them)
+ * Resolves the user's role permissions plus per-admin grants, enforces 2FA for
+ * admin roles and admin approval, and attaches req.permissions (and req.admin)
+ * @param {...string} required - Permissions from configs/permissions.js
+ * @returns {Function} Middleware function
+ */
+export const requirePermission = (...required) => {
+    return async (req, res, next) => {
+        try {
+            if (!req.user) {
+                return next(new UnauthorizedError("Authentication required"));
+            }
+
+            if (!hasRequiredMfa(req.user)) {
+                return next(new ForbiddenError("Two-factor authentication is required for admin accounts. Enable it and log in again"));
+            }
+
+            if (!req.permissions) {
+                const { permissions, admin } = await permissionService.resolvePermissions(req.user);
+
+                req.permissions = permissions;
+
+                if (admin) {
+                    req.admin = admin;
+                }
+            }
+
+            const missing = required.filter((permission) => !req.permissions.has(permission));
+
+            if (missing.length > 0) {
+                return next(new ForbiddenError(`Missing permission: ${missing.join(", ")}`));
+            }
+
+            next();
+        } catch (error) {
+            next(error);
+        }
+    };
+};
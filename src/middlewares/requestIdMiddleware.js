@@ -0,0 +1,18 @@
+import crypto from "crypto";
+
+// Accept an upstream ID (load balancer, client) only if it looks like one
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._-]{1,100}$/;
+
+/**
+ * Middleware to tag each request with an ID
+ * Reuses a well-formed incoming X-Request-Id, otherwise generates one; exposed as
+ * req.id and echoed in the X-Request-Id response header for correlating logs
+ */
+export const requestId = (req, res, next) => {
+    const incoming = req.get("X-Request-Id");
+
+    req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+    res.setHeader("X-Request-Id", req.id);
+
+    next();
+};
@@ -0,0 +1,40 @@
+import { ForbiddenError } from "../errors/errors.js";
+
+/**
+ * Resource ownership policies
+ * Each policy answers "may this student do X to this resource?" so services
+ * state the rule by name instead of comparing IDs inline.
+ * Signature: (studentId, resource) => boolean
+ */
+
+export const listingPolicies = {
+    /**
+     * Owner may update or delete the listing
+     */
+    manage: (studentId, listing) => listing.ownerId === studentId,
+};
+
+export const orderPolicies = {
+    /**
+     * Buyer or seller may view and cancel the order
+     */
+    participate: (studentId, order) => order.buyerId === studentId || order.sellerId === studentId,
+
+    /**
+     * Only the seller may approve or reject the order
+     */
+    decide: (studentId, order) => order.sellerId === studentId,
+};
+
+/**
+ * Throw unless a policy allows the action
+ * @param {Function} policy - Policy function
+ * @param {string} studentId - Acting student ID
+ * @param {object} resource - Resource being acted on
+ * @param {string} message - Error message if denied
+ */
+export const authorizePolicy = (policy, studentId, resource, message) => {
+    if (!policy(studentId, resource)) {
+        throw new ForbiddenError(message);
+    }
+};
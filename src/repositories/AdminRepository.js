@@ -1,4 +1,30 @@
 import prisma from "../libs/database.js";
+import { ConflictError } from "../errors/errors.js";
+
+const superAdminInclude = {
+    include: {
+        user: {
+            select: {
+                id: true,
+                email: true,
+            },
+        },
+    },
+};
+
+const adminInclude = {
+    user: {
+        select: {
+            id: true,
+            email: true,
+            role: true,
+            isEmailVerified: true,
+            createdAt: true,
+        },
+    },
+    approvedBy: superAdminInclude,
+    statusChangedBy: superAdminInclude,
+};
 
 export default class AdminRepository {
     constructor(prismaClient = prisma) {
@@ -13,27 +39,7 @@ export default class AdminRepository {
     async findAdminByUserId(userId) {
         return this.prisma.admin.findUnique({
             where: { userId },
-            include: {
-                user: {
-                    select: {
-                        id: true,
-                        email: true,
-                        role: true,
-                        isEmailVerified: true,
-                        createdAt: true,
-                    },
-                },
-                approvedBy: {
-                    include: {
-                        user: {
-                            select: {
-                                id: true,
-                                email: true,
-                            },
-                        },
-                    },
-                },
-            },
+            include: adminInclude,
         });
     }
 
@@ -45,37 +51,28 @@ export default class AdminRepository {
     async findAdminById(adminId) {
         return this.prisma.admin.findUnique({
             where: { id: adminId },
-            include: {
-                user: {
-                    select: {
-                        id: true,
-                        email: true,
-                        role: true,
-                        isEmailVerified: true,
-                        createdAt: true,
-                    },
-                },
-                approvedBy: {
-                    include: {
-                        user: {
-                            select: {
-                                id: true,
-                                email: true,
-                            },
-                        },
-                    },
-                },
-            },
+            include: adminInclude,
+        });
+    }
+
+    /**
+     * Find super admin by user ID
+     * @param {string} userId - User ID
+     * @returns {object|null} SuperAdmin record
+     */
+    async findSuperAdminByUserId(userId) {
+        return this.prisma.superAdmin.findUnique({
+            where: { userId },
         });
     }
 
     /**
-     * Find all pending admins (not approved)
+     * Find all pending admins (awaiting a decision)
      * @returns {object[]} List of pending admins
      */
     async findPendingAdmins() {
         return this.prisma.admin.findMany({
-            where: { isApproved: false },
+            where: { status: "PENDING" },
             include: {
                 user: {
                     select: {
@@ -94,51 +91,87 @@ export default class AdminRepository {
     }
 
     /**
-     * Approve an admin
+     * Approve a pending admin
      * @param {string} adminId - Admin ID
-     * @param {string} approvedById - SuperAdmin user ID
+     * @param {string} approvedById - SuperAdmin ID
      * @returns {object} Updated admin record
+     * @throws {ConflictError} If the admin is no longer pending
      */
     async approveAdmin(adminId, approvedById) {
-        return this.prisma.admin.update({
-            where: { id: adminId },
-            data: {
-                isApproved: true,
-                approvedById,
-                approvedAt: new Date(),
-            },
-            include: {
-                user: {
-                    select: {
-                        id: true,
-                        email: true,
-                        role: true,
-                        isEmailVerified: true,
-                        createdAt: true,
-                    },
-                },
-                approvedBy: {
-                    include: {
-                        user: {
-                            select: {
-                                id: true,
-                                email: true,
-                            },
-                        },
-                    },
+        const now = new Date();
+
+        return this._transition(adminId, "PENDING", {
+            status: "APPROVED",
+            reason: null,
+            changedById: approvedById,
+            extraData: { approvedById, approvedAt: now },
+            changedAt: now,
+        });
+    }
+
+    /**
+     * Move an admin from an expected status to a new one and append it to the status history
+     * @param {string} adminId - Admin ID
+     * @param {object} params
+     * @param {string} params.fromStatus - AdminStatus the admin must still be in
+     * @param {string} params.status - AdminStatus
+     * @param {string|null} [params.reason] - Reason
+     * @param {string|null} [params.changedById] - SuperAdmin ID (null when the admin re-applies)
+     * @returns {object} Updated admin record
+     * @throws {ConflictError} If the admin is no longer in fromStatus
+     */
+    async updateStatus(adminId, { fromStatus, status, reason = null, changedById = null }) {
+        return this._transition(adminId, fromStatus, { status, reason, changedById });
+    }
+
+    /**
+     * Apply a status change only if the admin is still in the expected status,
+     * so concurrent approve/reject/revoke decisions apply once
+     * @param {string} adminId - Admin ID
+     * @param {string} fromStatus - Expected current AdminStatus
+     * @param {object} change - { status, reason, changedById, extraData?, changedAt? }
+     * @returns {object} Updated admin record
+     */
+    async _transition(adminId, fromStatus, { status, reason, changedById, extraData = {}, changedAt = new Date() }) {
+        return this.prisma.$transaction(async (tx) => {
+            const { count } = await tx.admin.updateMany({
+                where: { id: adminId, status: fromStatus },
+                data: {
+                    status,
+                    statusReason: reason,
+                    statusChangedById: changedById,
+                    statusChangedAt: changedAt,
+                    ...extraData,
                 },
-            },
+            });
+
+            if (count === 0) {
+                throw new ConflictError(`Admin is no longer ${fromStatus.toLowerCase()}`);
+            }
+
+            await tx.adminStatusChange.create({
+                data: { adminId, status, reason, changedById },
+            });
+
+            return tx.admin.findUnique({
+                where: { id: adminId },
+                include: adminInclude,
+            });
         });
     }
 
     /**
-     * Delete admin (reject)
+     * Find an admin's status history
      * @param {string} adminId - Admin ID
-     * @returns {object} Deleted admin record
+     * @returns {object[]} Status changes, oldest first
      */
-    async deleteAdmin(adminId) {
-        return this.prisma.admin.delete({
-            where: { id: adminId },
+    async findStatusHistory(adminId) {
+        return this.prisma.adminStatusChange.findMany({
+            where: { adminId },
+            include: {
+                changedBy: superAdminInclude,
+            },
+            orderBy: { createdAt: "asc" },
         });
     }
 
@@ -153,7 +186,9 @@ export default class AdminRepository {
             select: {
                 id: true,
                 userId: true,
-                isApproved: true,
+                status: true,
+                statusReason: true,
+                statusChangedAt: true,
                 approvedAt: true,
             },
         });
@@ -0,0 +1,125 @@
+import prisma from "../libs/database.js";
+
+const API_KEY_SELECT = {
+    id: true,
+    name: true,
+    prefix: true,
+    scopes: true,
+    allowedIps: true,
+    ownerId: true,
+    expiresAt: true,
+    lastUsedAt: true,
+    lastUsedIp: true,
+    revokedAt: true,
+    createdAt: true,
+    owner: {
+        select: {
+            id: true,
+            email: true,
+            role: true,
+        },
+    },
+};
+
+export default class ApiKeyRepository {
+    constructor(prismaClient = prisma) {
+        this.prisma = prismaClient;
+    }
+
+    /**
+     * Create an API key
+     * @param {object} data - Key data (name, prefix, keyHash, scopes, allowedIps, ownerId, expiresAt)
+     * @returns {object} Created key (without hash)
+     */
+    async create(data) {
+        return this.prisma.apiKey.create({
+            data: {
+                name: data.name,
+                prefix: data.prefix,
+                keyHash: data.keyHash,
+                scopes: data.scopes,
+                allowedIps: data.allowedIps ?? [],
+                ownerId: data.ownerId,
+                expiresAt: data.expiresAt ?? null,
+            },
+            select: API_KEY_SELECT,
+        });
+    }
+
+    /**
+     * Find API key by hash, with the owner's admin approval state
+     * @param {string} keyHash - Hashed key
+     * @returns {object|null} API key
+     */
+    async findByHash(keyHash) {
+        return this.prisma.apiKey.findUnique({
+            where: { keyHash },
+            include: {
+                owner: {
+                    select: {
+                        id: true,
+                        role: true,
+                        deletedAt: true,
+                        admin: {
+                            select: { status: true },
+                        },
+                    },
+                },
+            },
+        });
+    }
+
+    /**
+     * Find API key by ID
+     * @param {string} id - API key ID
+     * @returns {object|null} API key (without hash)
+     */
+    async findById(id) {
+        return this.prisma.apiKey.findUnique({
+            where: { id },
+            select: API_KEY_SELECT,
+        });
+    }
+
+    /**
+     * Find API keys, optionally of one owner
+     * @param {object} [params] - Filters
+     * @param {string} [params.ownerId] - Owner user ID
+     * @returns {object[]} API keys (without hashes)
+     */
+    async findAll({ ownerId } = {}) {
+        return this.prisma.apiKey.findMany({
+            where: ownerId ? { ownerId } : undefined,
+            select: API_KEY_SELECT,
+            orderBy: { createdAt: "desc" },
+        });
+    }
+
+    /**
+     * Revoke an API key
+     * @param {string} id - API key ID
+     * @returns {object} Revoked key (without hash)
+     */
+    async revoke(id) {
+        return this.prisma.apiKey.update({
+            where: { id },
+            data: { revokedAt: new Date() },
+            select: API_KEY_SELECT,
+        });
+    }
+
+    /**
+     * Record key usage
+     * @param {string} id - API key ID
+     * @param {string} ipAddress - Caller IP
+     */
+    async touch(id, ipAddress) {
+        return this.prisma.apiKey.update({
+            where: { id },
+            data: {
+                lastUsedAt: new Date(),
+                lastUsedIp: ipAddress,
+            },
+        });
+    }
+}
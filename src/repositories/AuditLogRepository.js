@@ -0,0 +1,122 @@
+import prisma from "../libs/database.js";
+
+const auditLogInclude = {
+    actor: {
+        select: { id: true, email: true },
+    },
+};
+
+/**
+ * Audit log entries are append-only: this repository deliberately has no update or delete
+ */
+export default class AuditLogRepository {
+    constructor(prismaClient = prisma) {
+        this.prisma = prismaClient;
+    }
+
+    /**
+     * Append an entry
+     * @param {object} data - Entry data
+     * @returns {object} Created entry
+     */
+    async create(data) {
+        return this.prisma.auditLog.create({
+            data: {
+                actorId: data.actorId,
+                actorRole: data.actorRole,
+                action: data.action,
+                targetType: data.targetType,
+                targetId: data.targetId,
+                before: data.before,
+                after: data.after,
+                metadata: data.metadata,
+                ipAddress: data.ipAddress,
+                requestId: data.requestId,
+            },
+        });
+    }
+
+    /**
+     * Build the where clause for entry filters
+     * @param {object} filters - Filters
+     * @returns {object} Prisma where clause
+     */
+    _buildWhere({ actorId, action, targetType, targetId, requestId, from, to }) {
+        const where = {};
+
+        if (actorId) {
+            where.actorId = actorId;
+        }
+
+        if (action) {
+            // "admin." matches every admin action
+            where.action = action.endsWith(".") ? { startsWith: action } : action;
+        }
+
+        if (targetType) {
+            where.targetType = targetType;
+        }
+
+        if (targetId) {
+            where.targetId = targetId;
+        }
+
+        if (requestId) {
+            where.requestId = requestId;
+        }
+
+        if (from || to) {
+            where.createdAt = {};
+            if (from) {
+                where.createdAt.gte = from;
+            }
+            if (to) {
+                where.createdAt.lte = to;
+            }
+        }
+
+        return where;
+    }
+
+    /**
+     * Find entries with pagination, newest first
+     * @param {object} params - Filters ({ actorId, action, targetType, targetId, requestId, from, to }), page, limit
+     * @returns {object} Entries and pagination info
+     */
+    async findAll({ page, limit, ...filters }) {
+        const where = this._buildWhere(filters);
+
+        const [items, totalCount] = await Promise.all([
+            this.prisma.auditLog.findMany({
+                where,
+                include: auditLogInclude,
+                orderBy: { createdAt: "desc" },
+                skip: (page - 1) * limit,
+                take: limit,
+            }),
+            this.prisma.auditLog.count({ where }),
+        ]);
+
+        return {
+            items,
+            totalCount,
+            totalPages: Math.ceil(totalCount / limit),
+            currentPage: page,
+        };
+    }
+
+    /**
+     * Find entries for export, newest first
+     * @param {object} filters - Filters
+     * @param {number} max - Maximum number of entries
+     * @returns {object[]} Entries
+     */
+    async findForExport(filters, max) {
+        return this.prisma.auditLog.findMany({
+            where: this._buildWhere(filters),
+            include: auditLogInclude,
+            orderBy: { createdAt: "desc" },
+            take: max,
+        });
+    }
+}
@@ -30,9 +30,9 @@ export default class AuthRepository {
     }
 
     /**
-     * Create a new user with student profile
+     * Create a new user with student profile linked to their university
      */
-    async createUser({ email, password, role = "STUDENT" }) {
+    async createUser({ email, password, role = "STUDENT", universityId }) {
         return this.prisma.user.create({
             data: {
                 email,
@@ -42,6 +42,7 @@ export default class AuthRepository {
                 student: {
                     create: {
                         universityEmail: email,
+                        universityId,
                     },
                 },
             },
@@ -51,6 +52,57 @@ export default class AuthRepository {
         });
     }
 
+    /**
+     * Create a new admin user with a pending admin profile
+     */
+    async createAdminUser({ email, password }) {
+        return this.prisma.user.create({
+            data: {
+                email,
+                password,
+                role: "ADMIN",
+                isEmailVerified: false,
+                admin: {
+                    create: {
+                        statusHistory: {
+                            create: { status: "PENDING" },
+                        },
+                    },
+                },
+            },
+            include: {
+                admin: true,
+            },
+        });
+    }
+
+    /**
+     * Create a super admin user (email is trusted, so it starts verified)
+     */
+    async createSuperAdminUser({ email, password }) {
+        return this.prisma.user.create({
+            data: {
+                email,
+                password,
+                role: "SUPER_ADMIN",
+                isEmailVerified: true,
+                superAdmin: {
+                    create: {},
+                },
+            },
+            include: {
+                superAdmin: true,
+            },
+        });
+    }
+
+    /**
+     * Count super admins
+     */
+    async countSuperAdmins() {
+        return this.prisma.superAdmin.count();
+    }
+
     /**
      * Update user email verification status
      */
@@ -133,6 +185,85 @@ export default class AuthRepository {
         });
     }
 
+    /**
+     * Store a pending email change
+     */
+    async setPendingEmailChange(userId, pendingEmail, token, expiresAt) {
+        return this.prisma.user.update({
+            where: { id: userId },
+            data: {
+                pendingEmail,
+                emailChangeToken: token,
+                emailChangeExpires: expiresAt,
+            },
+        });
+    }
+
+    /**
+     * Find user by email change token
+     */
+    async findUserByEmailChangeToken(token) {
+        return this.prisma.user.findFirst({
+            where: {
+                emailChangeToken: token,
+                emailChangeExpires: {
+                    gt: new Date(),
+                },
+            },
+            include: {
+                student: true,
+            },
+        });
+    }
+
+    /**
+     * Check whether an email is used by any user or student profile
+     */
+    async isEmailTaken(email) {
+        const [user, student] = await Promise.all([
+            this.prisma.user.findUnique({ where: { email }, select: { id: true } }),
+            this.prisma.student.findUnique({ where: { universityEmail: email }, select: { id: true } }),
+        ]);
+        return Boolean(user || student);
+    }
+
+    /**
+     * Swap in a confirmed email, keeping the student profile in sync
+     * @param {string} userId - User ID
+     * @param {string} email - New email
+     * @param {object} [student] - Student profile changes
+     * @param {string} [student.universityId] - University the new email belongs to
+     * @param {boolean} [student.resetVerification] - Clear ID verification (university changed)
+     */
+    async applyEmailChange(userId, email, student) {
+        return this.prisma.$transaction(async (tx) => {
+            if (student) {
+                await tx.student.update({
+                    where: { userId },
+                    data: {
+                        universityEmail: email,
+                        universityId: student.universityId,
+                        ...(student.resetVerification && {
+                            verificationStatus: null,
+                            verifiedAt: null,
+                        }),
+                    },
+                });
+            }
+
+            return tx.user.update({
+                where: { id: userId },
+                data: {
+                    email,
+                    isEmailVerified: true,
+                    pendingEmail: null,
+                    emailChangeToken: null,
+                    emailChangeExpires: null,
+                },
+            });
+        });
+    }
+
     /**
      * Clear verification tokens
      */
@@ -145,4 +276,216 @@ export default class AuthRepository {
             },
         });
     }
+
+    /**
+     * Create a refresh token session
+     */
+    async createSession({ id, userId, currentTokenId, expiresAt, userAgent, ipAddress }) {
+        return this.prisma.session.create({
+            data: {
+                id,
+                userId,
+                currentTokenId,
+                expiresAt,
+                userAgent,
+                ipAddress,
+            },
+        });
+    }
+
+    /**
+     * Find active (not revoked, not expired) sessions of a user
+     */
+    async findActiveSessionsByUser(userId) {
+        return this.prisma.session.findMany({
+            where: {
+                userId,
+                revokedAt: null,
+                expiresAt: {
+                    gt: new Date(),
+                },
+            },
+            select: {
+                id: true,
+                userAgent: true,
+                ipAddress: true,
+                lastUsedAt: true,
+                createdAt: true,
+                expiresAt: true,
+            },
+            orderBy: {
+                lastUsedAt: "desc",
+            },
+        });
+    }
+
+    /**
+     * Find session by ID
+     */
+    async findSessionById(sessionId) {
+        return this.prisma.session.findUnique({
+            where: { id: sessionId },
+        });
+    }
+
+    /**
+     * Rotate a session's refresh token
+     * Only succeeds if the presented token is still the current one, so two
+     * concurrent refreshes with the same token cannot both win
+     * @returns {boolean} True if the session was rotated
+     */
+    async rotateSession(sessionId, previousTokenId, nextTokenId, expiresAt, { userAgent, ipAddress } = {}) {
+        const result = await this.prisma.session.updateMany({
+            where: {
+                id: sessionId,
+                currentTokenId: previousTokenId,
+                revokedAt: null,
+            },
+            data: {
+                currentTokenId: nextTokenId,
+                expiresAt,
+                lastUsedAt: new Date(),
+                ...(userAgent && { userAgent }),
+                ...(ipAddress && { ipAddress }),
+            },
+        });
+        return result.count > 0;
+    }
+
+    /**
+     * Revoke a session
+     */
+    async revokeSession(sessionId, reason) {
+        return this.prisma.session.updateMany({
+            where: { id: sessionId, revokedAt: null },
+            data: {
+                revokedAt: new Date(),
+                revokedReason: reason,
+            },
+        });
+    }
+
+    /**
+     * Revoke a session owned by a user
+     * @returns {boolean} True if a session was revoked
+     */
+    async revokeUserSession(userId, sessionId, reason) {
+        const result = await this.prisma.session.updateMany({
+            where: { id: sessionId, userId, revokedAt: null },
+            data: {
+                revokedAt: new Date(),
+                revokedReason: reason,
+            },
+        });
+        return result.count > 0;
+    }
+
+    /**
+     * Revoke all active sessions of a user
+     * @param {string} userId - User ID
+     * @param {string} reason - Revocation reason
+     * @param {string} [exceptSessionId] - Session to keep (e.g. the current one)
+     */
+    async revokeAllUserSessions(userId, reason, exceptSessionId) {
+        return this.prisma.session.updateMany({
+            where: {
+                userId,
+                revokedAt: null,
+                ...(exceptSessionId && { id: { not: exceptSessionId } }),
+            },
+            data: {
+                revokedAt: new Date(),
+                revokedReason: reason,
+            },
+        });
+    }
+
+    /**
+     * Store a new (not yet confirmed) TOTP secret
+     */
+    async setTwoFactorSecret(userId, secret) {
+        return this.prisma.user.update({
+            where: { id: userId },
+            data: {
+                twoFactorSecret: secret,
+                twoFactorEnabled: false,
+                twoFactorRecoveryCodes: [],
+                twoFactorLastUsedStep: null,
+            },
+        });
+    }
+
+    /**
+     * Enable two-factor authentication with hashed recovery codes
+     */
+    async enableTwoFactor(userId, hashedRecoveryCodes, lastUsedStep) {
+        return this.prisma.user.update({
+            where: { id: userId },
+            data: {
+                twoFactorEnabled: true,
+                twoFactorRecoveryCodes: hashedRecoveryCodes,
+                twoFactorLastUsedStep: lastUsedStep,
+            },
+        });
+    }
+
+    /**
+     * Disable two-factor authentication and drop its secret
+     */
+    async disableTwoFactor(userId) {
+        return this.prisma.user.update({
+            where: { id: userId },
+            data: {
+                twoFactorEnabled: false,
+                twoFactorSecret: null,
+                twoFactorRecoveryCodes: [],
+                twoFactorLastUsedStep: null,
+            },
+        });
+    }
+
+    /**
+     * Replace hashed recovery codes
+     */
+    async setRecoveryCodes(userId, hashedRecoveryCodes) {
+        return this.prisma.user.update({
+            where: { id: userId },
+            data: { twoFactorRecoveryCodes: hashedRecoveryCodes },
+        });
+    }
+
+    /**
+     * Record the TOTP time step that was just used
+     * Fails if the same or a later step was already used, so a code cannot be replayed
+     * @returns {boolean} True if the step was recorded
+     */
+    async consumeTotpStep(userId, step) {
+        const result = await this.prisma.user.updateMany({
+            where: {
+                id: userId,
+                OR: [
+                    { twoFactorLastUsedStep: null },
+                    { twoFactorLastUsedStep: { lt: step } },
+                ],
+            },
+            data: { twoFactorLastUsedStep: step },
+        });
+        return result.count > 0;
+    }
+
+    /**
+     * Remove a used recovery code
+     * Only succeeds if the code is still present, so it cannot be used twice
+     * @returns {boolean} True if the code was consumed
+     */
+    async consumeRecoveryCode(userId, hashedCode, remainingCodes) {
+        const result = await this.prisma.user.updateMany({
+            where: {
+                id: userId,
+                twoFactorRecoveryCodes: { has: hashedCode },
+            },
+            data: { twoFactorRecoveryCodes: remainingCodes },
+        });
+        return result.count > 0;
+    }
 }
@@ -0,0 +1,166 @@
+import prisma from "../libs/database.js";
+
+const ruleInclude = {
+    createdBy: {
+        select: { id: true, email: true },
+    },
+};
+
+export default class ContentFilterRepository {
+    constructor(prismaClient = prisma) {
+        this.prisma = prismaClient;
+    }
+
+    /**
+     * Find the rules currently enforced
+     * @returns {object[]} Active rules
+     */
+    async findActiveRules() {
+        return this.prisma.contentFilterRule.findMany({
+            where: { isActive: true },
+            orderBy: { createdAt: "asc" },
+        });
+    }
+
+    /**
+     * Find rules for the admin rule list
+     * @param {object} [filters]
+     * @param {string} [filters.type] - ContentFilterRuleType
+     * @param {string} [filters.action] - ContentFilterAction
+     * @param {boolean} [filters.isActive] - Active flag
+     * @returns {object[]} Rules, newest first
+     */
+    async findRules({ type, action, isActive } = {}) {
+        return this.prisma.contentFilterRule.findMany({
+            where: {
+                ...(type && { type }),
+                ...(action && { action }),
+                ...(isActive !== undefined && { isActive }),
+            },
+            include: ruleInclude,
+            orderBy: { createdAt: "desc" },
+        });
+    }
+
+    /**
+     * Find rule by ID
+     * @param {string} id - Rule ID
+     * @returns {object|null} Rule
+     */
+    async findRuleById(id) {
+        return this.prisma.contentFilterRule.findUnique({
+            where: { id },
+            include: ruleInclude,
+        });
+    }
+
+    /**
+     * Create a rule
+     * @param {object} data - Rule data
+     * @returns {object} Created rule
+     */
+    async createRule({ type, pattern, action, description, isActive, createdById }) {
+        return this.prisma.contentFilterRule.create({
+            data: {
+                type,
+                pattern,
+                action,
+                description,
+                isActive,
+                createdById,
+            },
+            include: ruleInclude,
+        });
+    }
+
+    /**
+     * Update a rule
+     * @param {string} id - Rule ID
+     * @param {object} data - Fields to update
+     * @returns {object} Updated rule
+     */
+    async updateRule(id, data) {
+        const updateData = {};
+
+        if (data.type !== undefined) updateData.type = data.type;
+        if (data.pattern !== undefined) updateData.pattern = data.pattern;
+        if (data.action !== undefined) updateData.action = data.action;
+        if (data.description !== undefined) updateData.description = data.description;
+        if (data.isActive !== undefined) updateData.isActive = data.isActive;
+
+        return this.prisma.contentFilterRule.update({
+            where: { id },
+            data: updateData,
+            include: ruleInclude,
+        });
+    }
+
+    /**
+     * Delete a rule (its recorded matches are kept without the rule)
+     * @param {string} id - Rule ID
+     * @returns {object} Deleted rule
+     */
+    async deleteRule(id) {
+        return this.prisma.contentFilterRule.delete({
+            where: { id },
+        });
+    }
+
+    /**
+     * Store matches
+     * @param {object[]} matches - Matches ({ ruleId, action, contentType, contentId, field, matchedText, authorId })
+     * @returns {object} Count of created matches
+     */
+    async createMatches(matches) {
+        return this.prisma.contentFilterMatch.createMany({
+            data: matches,
+        });
+    }
+
+    /**
+     * Find stored matches, newest first
+     * @param {object} params - Filters and pagination
+     * @param {string} [params.contentType] - e.g. "Listing"
+     * @param {string} [params.contentId] - Content ID
+     * @param {string} [params.action] - ContentFilterAction
+     * @param {string} [params.ruleId] - Rule ID
+     * @param {string} [params.authorId] - Author user ID
+     * @param {number} params.page - Page number
+     * @param {number} params.limit - Page size
+     * @returns {object} Matches and pagination info
+     */
+    async findMatches({ contentType, contentId, action, ruleId, authorId, page, limit }) {
+        const where = {
+            ...(contentType && { contentType }),
+            ...(contentId && { contentId }),
+            ...(action && { action }),
+            ...(ruleId && { ruleId }),
+            ...(authorId && { authorId }),
+        };
+
+        const [items, totalCount] = await Promise.all([
+            this.prisma.contentFilterMatch.findMany({
+                where,
+                include: {
+                    rule: {
+                        select: { id: true, type: true, pattern: true, description: true },
+                    },
+                    author: {
+                        select: { id: true, email: true },
+                    },
+                },
+                orderBy: { createdAt: "desc" },
+                skip: (page - 1) * limit,
+                take: limit,
+            }),
+            this.prisma.contentFilterMatch.count({ where }),
+        ]);
+
+        return {
+            items,
+            totalCount,
+            totalPages: Math.ceil(totalCount / limit),
+            currentPage: page,
+        };
+    }
+}
@@ -0,0 +1,204 @@
+import prisma from "../libs/database.js";
+import { ConflictError } from "../errors/errors.js";
+import { getDisputableStatuses } from "../utils/OrderStateMachine.js";
+
+const participantSelect = {
+    select: {
+        id: true,
+        userId: true,
+        user: {
+            select: { id: true, email: true },
+        },
+    },
+};
+
+const disputeInclude = {
+    order: {
+        include: {
+            listing: {
+                select: { id: true, title: true },
+            },
+            buyer: participantSelect,
+            seller: participantSelect,
+            payment: true,
+        },
+    },
+    openedBy: {
+        select: { id: true, email: true },
+    },
+    resolvedBy: {
+        select: { id: true, email: true },
+    },
+};
+
+export default class DisputeRepository {
+    constructor(prismaClient = prisma) {
+        this.prisma = prismaClient;
+    }
+
+    /**
+     * Find an order with its participants, payment and dispute
+     * @param {string} orderId - Order ID
+     * @returns {object|null} Order
+     */
+    async findOrderById(orderId) {
+        return this.prisma.order.findUnique({
+            where: { id: orderId },
+            include: {
+                listing: {
+                    select: { id: true, title: true },
+                },
+                buyer: participantSelect,
+                seller: participantSelect,
+                payment: true,
+                dispute: true,
+            },
+        });
+    }
+
+    /**
+     * Open a dispute and move the order to DISPUTED
+     * The order must still be in a disputable status when it is updated, so an order that was
+     * completed, cancelled or disputed by the other party in the meantime is left alone
+     * @param {object} data - Dispute data ({ orderId, openedById, previousStatus, reason, evidence })
+     * @returns {object} Created dispute
+     * @throws {ConflictError} If the order can no longer be disputed
+     */
+    async create({ orderId, openedById, previousStatus, reason, evidence }) {
+        return this.prisma.$transaction(async (tx) => {
+            const { count } = await tx.order.updateMany({
+                where: { id: orderId, status: { in: getDisputableStatuses() } },
+                data: { status: "DISPUTED" },
+            });
+
+            if (count === 0) {
+                throw new ConflictError("The order can no longer be disputed");
+            }
+
+            return tx.dispute.create({
+                data: {
+                    orderId,
+                    openedById,
+                    previousStatus,
+                    reason,
+                    evidence,
+                },
+                include: disputeInclude,
+            });
+        });
+    }
+
+    /**
+     * Find dispute by ID
+     * @param {string} id - Dispute ID
+     * @returns {object|null} Dispute
+     */
+    async findById(id) {
+        return this.prisma.dispute.findUnique({
+            where: { id },
+            include: disputeInclude,
+        });
+    }
+
+    /**
+     * Find disputes for the admin queue
+     * @param {object} params - Filters and pagination
+     * @param {string} params.status - DisputeStatus
+     * @param {string} [params.outcome] - DisputeOutcome
+     * @param {number} params.page - Page number
+     * @param {number} params.limit - Page size
+     * @returns {object} Disputes and pagination info
+     */
+    async findAll({ status, outcome, page, limit }) {
+        const where = {
+            status,
+            ...(outcome && { outcome }),
+        };
+
+        const [items, totalCount] = await Promise.all([
+            this.prisma.dispute.findMany({
+                where,
+                include: disputeInclude,
+                // Oldest disputes first
+                orderBy: { createdAt: "asc" },
+                skip: (page - 1) * limit,
+                take: limit,
+            }),
+            this.prisma.dispute.count({ where }),
+        ]);
+
+        return {
+            items,
+            totalCount,
+            totalPages: Math.ceil(totalCount / limit),
+            currentPage: page,
+        };
+    }
+
+    /**
+     * Resolve a dispute and move its order and payment to their final states
+     * @param {string} id - Dispute ID
+     * @param {object} params
+     * @param {string} params.outcome - DisputeOutcome
+     * @param {number|null} params.refundAmount - Amount refunded to the buyer
+     * @param {string} params.resolution - Admin's explanation
+     * @param {string} params.resolvedById - Admin user ID
+     * @param {string} params.orderStatus - Final order status
+     * @param {string|null} params.paymentStatus - Final payment status (null to leave the payment as is)
+     * @returns {object} Resolved dispute
+     * @throws {ConflictError} If the dispute was resolved in the meantime
+     */
+    async resolve(id, { outcome, refundAmount, resolution, resolvedById, orderStatus, paymentStatus }) {
+        return this.prisma.$transaction(async (tx) => {
+            // Only an OPEN dispute is resolved, so concurrent resolutions apply once
+            const { count } = await tx.dispute.updateMany({
+                where: { id, status: "OPEN" },
+                data: {
+                    status: "RESOLVED",
+                    outcome,
+                    refundAmount,
+                    resolution,
+                    resolvedById,
+                    resolvedAt: new Date(),
+                },
+            });
+
+            if (count === 0) {
+                throw new ConflictError("Dispute is already resolved");
+            }
+
+            const dispute = await tx.dispute.findUnique({
+                where: { id },
+                select: { orderId: true },
+            });
+
+            const order = await tx.order.update({
+                where: { id: dispute.orderId },
+                data: { status: orderStatus },
+            });
+
+            // A completed order means the item changed hands
+            if (orderStatus === "COMPLETED") {
+                await tx.listing.update({
+                    where: { id: order.listingId },
+                    data: { isAvailable: false },
+                });
+            }
+
+            if (paymentStatus) {
+                await tx.payment.updateMany({
+                    where: { orderId: dispute.orderId },
+                    data: {
+                        status: paymentStatus,
+                        refundedAmount: refundAmount,
+                    },
+                });
+            }
+
+            return tx.dispute.findUnique({
+                where: { id },
+                include: disputeInclude,
+            });
+        });
+    }
+}
@@ -1,4 +1,31 @@
 import prisma from "../libs/database.js";
+import { ConflictError } from "../errors/errors.js";
+import { activeSuspensionWhere } from "./SuspensionRepository.js";
+
+// Moderation states in which a listing is shown on the marketplace
+export const VISIBLE_MODERATION_STATUSES = ["ACTIVE", "FLAGGED", "RESTORED"];
+
+// Moderation states waiting in the admin queue
+export const QUEUED_MODERATION_STATUSES = ["PENDING_REVIEW", "FLAGGED"];
+
+// Moderation states a listing can be hidden from
+export const HIDEABLE_MODERATION_STATUSES = ["ACTIVE", "PENDING_REVIEW", "FLAGGED", "RESTORED"];
+
+const moderationInclude = {
+    owner: {
+        select: {
+            id: true,
+            userId: true,
+            universityEmail: true,
+            user: {
+                select: { email: true },
+            },
+        },
+    },
+    moderatedBy: {
+        select: { id: true, email: true },
+    },
+};
 
 export default class ListingRepository {
     constructor(prismaClient = prisma) {
@@ -21,6 +48,9 @@ export default class ListingRepository {
                 listingType: data.listingType,
                 condition: data.condition,
                 isAvailable: data.isAvailable ?? true,
+                requiresVerifiedBuyer: data.requiresVerifiedBuyer ?? false,
+                moderationStatus: data.moderationStatus,
+                moderationReason: data.moderationReason,
             },
             include: {
                 owner: {
@@ -31,6 +61,7 @@ export default class ListingRepository {
                         department: true,
                         ratingAverage: true,
                         ratingCount: true,
+                        verificationStatus: true,
                     },
                 },
             },
@@ -39,12 +70,16 @@ export default class ListingRepository {
 
     /**
      * Find listing by ID
+     * Listings held for review or hidden by an admin are not returned
      * @param {string} id - Listing ID
      * @returns {object|null} Listing with owner info
      */
     async findById(id) {
-        return this.prisma.listing.findUnique({
-            where: { id },
+        return this.prisma.listing.findFirst({
+            where: {
+                id,
+                moderationStatus: { in: VISIBLE_MODERATION_STATUSES },
+            },
             include: {
                 owner: {
                     select: {
@@ -54,6 +89,7 @@ export default class ListingRepository {
                         department: true,
                         ratingAverage: true,
                         ratingCount: true,
+                        verificationStatus: true,
                         user: {
                             select: {
                                 email: true,
@@ -83,7 +119,7 @@ export default class ListingRepository {
                 orders: {
                     where: {
                         status: {
-                            in: ["PENDING", "NEGOTIATING", "APPROVED", "PAYMENT_PENDING", "PAID", "ACTIVE"],
+                            in: ["PENDING", "NEGOTIATING", "APPROVED", "PAYMENT_PENDING", "PAID", "ACTIVE", "DISPUTED"],
                         },
                     },
                     select: {
@@ -126,6 +162,9 @@ export default class ListingRepository {
         if (data.listingType !== undefined) updateData.listingType = data.listingType;
         if (data.condition !== undefined) updateData.condition = data.condition;
         if (data.isAvailable !== undefined) updateData.isAvailable = data.isAvailable;
+        if (data.requiresVerifiedBuyer !== undefined) updateData.requiresVerifiedBuyer = data.requiresVerifiedBuyer;
+        if (data.moderationStatus !== undefined) updateData.moderationStatus = data.moderationStatus;
+        if (data.moderationReason !== undefined) updateData.moderationReason = data.moderationReason;
 
         return this.prisma.listing.update({
             where: { id },
@@ -139,6 +178,7 @@ export default class ListingRepository {
                         department: true,
                         ratingAverage: true,
                         ratingCount: true,
+                        verificationStatus: true,
                     },
                 },
             },
@@ -178,6 +218,13 @@ export default class ListingRepository {
         // Build where clause
         const where = {
             isAvailable: true, // Only show available listings
+            moderationStatus: { in: VISIBLE_MODERATION_STATUSES }, // Not held for review or hidden by an admin
+            // Hide listings of suspended sellers while the suspension lasts
+            owner: {
+                user: {
+                    suspensions: { none: activeSuspensionWhere() },
+                },
+            },
         };
 
         // Category filter
@@ -211,6 +258,7 @@ export default class ListingRepository {
                     department: true,
                     ratingAverage: true,
                     ratingCount: true,
+                    verificationStatus: true,
                 },
             },
             _count: {
@@ -302,13 +350,101 @@ export default class ListingRepository {
      */
     async getCategories() {
         const result = await this.prisma.listing.findMany({
-            where: { isAvailable: true },
+            where: {
+                isAvailable: true,
+                moderationStatus: { in: VISIBLE_MODERATION_STATUSES },
+            },
             select: { category: true },
             distinct: ["category"],
         });
         return result.map((r) => r.category);
     }
 
+    /**
+     * Find listings waiting for moderation, oldest first
+     * @param {object} params - Filters and pagination
+     * @param {string[]} params.statuses - Moderation statuses to include
+     * @param {string} [params.category] - Category (case-insensitive)
+     * @param {number} params.page - Page number
+     * @param {number} params.limit - Page size
+     * @returns {object} Listings and pagination info
+     */
+    async findModerationQueue({ statuses, category, page, limit }) {
+        const where = {
+            moderationStatus: { in: statuses },
+        };
+
+        if (category) {
+            where.category = { equals: category, mode: "insensitive" };
+        }
+
+        const [items, totalCount] = await Promise.all([
+            this.prisma.listing.findMany({
+                where,
+                include: moderationInclude,
+                orderBy: { updatedAt: "asc" },
+                skip: (page - 1) * limit,
+                take: limit,
+            }),
+            this.prisma.listing.count({ where }),
+        ]);
+
+        return {
+            items,
+            totalCount,
+            totalPages: Math.ceil(totalCount / limit),
+            currentPage: page,
+        };
+    }
+
+    /**
+     * Find a listing regardless of moderation state, with its owner's email
+     * @param {string} id - Listing ID
+     * @returns {object|null} Listing
+     */
+    async findByIdForModeration(id) {
+        return this.prisma.listing.findUnique({
+            where: { id },
+            include: moderationInclude,
+        });
+    }
+
+    /**
+     * Record a moderation decision
+     * Applies only while the listing is in one of fromStatuses, so concurrent
+     * decisions apply once and a later decision is never overwritten
+     * @param {string} id - Listing ID
+     * @param {object} data
+     * @param {string[]} data.fromStatuses - ListingModerationStatus values the listing must still be in
+     * @param {string} data.status - ListingModerationStatus
+     * @param {string|null} data.reason - Reason shown to the owner
+     * @param {string} data.moderatedById - Admin user ID
+     * @returns {object} Updated listing
+     * @throws {ConflictError} If the listing was moderated in the meantime
+     */
+    async moderate(id, { fromStatuses, status, reason, moderatedById }) {
+        return this.prisma.$transaction(async (tx) => {
+            const { count } = await tx.listing.updateMany({
+                where: { id, moderationStatus: { in: fromStatuses } },
+                data: {
+                    moderationStatus: status,
+                    moderationReason: reason,
+                    moderatedById,
+                    moderatedAt: new Date(),
+                },
+            });
+
+            if (count === 0) {
+                throw new ConflictError("Listing was moderated by someone else in the meantime");
+            }
+
+            return tx.listing.findUnique({
+                where: { id },
+                include: moderationInclude,
+            });
+        });
+    }
+
     /**
      * Check if listing has active orders
      * @param {string} listingId - Listing ID
@@ -319,7 +455,7 @@ export default class ListingRepository {
             where: {
                 listingId,
                 status: {
-                    in: ["PENDING", "NEGOTIATING", "APPROVED", "PAYMENT_PENDING", "PAID", "ACTIVE"],
+                    in: ["PENDING", "NEGOTIATING", "APPROVED", "PAYMENT_PENDING", "PAID", "ACTIVE", "DISPUTED"],
                 },
             },
         });
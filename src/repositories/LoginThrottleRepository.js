@@ -0,0 +1,193 @@
+import redisClient from "../libs/redis.js";
+
+// Regular locks are per email and IP, so an anonymous client cannot lock an account for everyone;
+// a separate account-wide lock (higher threshold) stops guessing one account from many IPs
+const UNKNOWN_IP = "unknown";
+const LOGIN_SUBJECT = (email, ipAddress) => `${email}|${ipAddress || UNKNOWN_IP}`;
+
+const FAILURES_KEY = (scope, id) => `auth:login:failures:${scope}:${id}`;
+const LOCK_KEY = (subject) => `auth:login:lock:${subject}`;
+const LOCKOUT_COUNT_KEY = (subject) => `auth:login:lockouts:${subject}`;
+const LOCKED_IPS_KEY = (email) => `auth:login:locked-ips:${email}`;
+const ACCOUNT_LOCK_KEY = (email) => `auth:login:account-lock:${email}`;
+const ACCOUNT_LOCKOUT_COUNT_KEY = (email) => `auth:login:account-lockouts:${email}`;
+
+// Consecutive lockouts are remembered for a day to drive the backoff
+const LOCKOUT_COUNT_TTL_SECONDS = 24 * 60 * 60;
+
+export default class LoginThrottleRepository {
+    constructor(client = redisClient) {
+        this.redis = client;
+    }
+
+    /**
+     * Increment a failed-attempt counter
+     * @param {string} scope - 'email' (email|IP pair), 'account' (email) or 'ip'
+     * @param {string} id - Email|IP pair, email or IP address
+     * @param {number} windowSeconds - Counting window (set on first failure)
+     * @returns {number} Failures in the current window
+     */
+    async incrementFailures(scope, id, windowSeconds) {
+        const key = FAILURES_KEY(scope, id);
+        const failures = await this.redis.incr(key);
+
+        if (failures === 1) {
+            await this.redis.expire(key, windowSeconds);
+        }
+
+        return failures;
+    }
+
+    /**
+     * Get failed attempts in the current window
+     * @param {string} scope - 'email' (email|IP pair), 'account' (email) or 'ip'
+     * @param {string} id - Email|IP pair, email or IP address
+     * @returns {object} Failure count and seconds until the window resets
+     */
+    async getFailures(scope, id) {
+        const key = FAILURES_KEY(scope, id);
+        const [failures, ttl] = await Promise.all([this.redis.get(key), this.redis.ttl(key)]);
+
+        return {
+            failures: failures ? parseInt(failures, 10) : 0,
+            retryAfterSeconds: Math.max(ttl, 0),
+        };
+    }
+
+    /**
+     * Clear failed attempts for an email|IP pair, email or IP
+     * @param {string} scope - 'email' (email|IP pair), 'account' (email) or 'ip'
+     * @param {string} id - Email|IP pair, email or IP address
+     */
+    async clearFailures(scope, id) {
+        await this.redis.del(FAILURES_KEY(scope, id));
+    }
+
+    /**
+     * Increment the failed-attempt counter of an email from one IP
+     * @param {string} email - Email
+     * @param {string} [ipAddress] - Client IP
+     * @param {number} windowSeconds - Counting window (set on first failure)
+     * @returns {number} Failures in the current window
+     */
+    async incrementLoginFailures(email, ipAddress, windowSeconds) {
+        return this.incrementFailures("email", LOGIN_SUBJECT(email, ipAddress), windowSeconds);
+    }
+
+    /**
+     * Lock an email for one IP and bump that pair's consecutive lockout count
+     * The IP is indexed under the email so an admin can clear every lock of an email
+     * @param {string} email - Email
+     * @param {string} [ipAddress] - Client IP
+     * @param {number} lockSeconds - Lock duration
+     */
+    async lockLogin(email, ipAddress, lockSeconds) {
+        const subject = LOGIN_SUBJECT(email, ipAddress);
+
+        await this.redis.set(LOCK_KEY(subject), "1", { EX: lockSeconds });
+        await this.redis.incr(LOCKOUT_COUNT_KEY(subject));
+        await this.redis.expire(LOCKOUT_COUNT_KEY(subject), LOCKOUT_COUNT_TTL_SECONDS);
+        await this.redis.sAdd(LOCKED_IPS_KEY(email), ipAddress || UNKNOWN_IP);
+        await this.redis.expire(LOCKED_IPS_KEY(email), LOCKOUT_COUNT_TTL_SECONDS);
+        await this.redis.del(FAILURES_KEY("email", subject));
+    }
+
+    /**
+     * Get the remaining lock time of an email for one IP
+     * @param {string} email - Email
+     * @param {string} [ipAddress] - Client IP
+     * @returns {number} Seconds until unlocked (0 if not locked)
+     */
+    async getLoginLockRemaining(email, ipAddress) {
+        const ttl = await this.redis.ttl(LOCK_KEY(LOGIN_SUBJECT(email, ipAddress)));
+        return Math.max(ttl, 0);
+    }
+
+    /**
+     * Get how many times an email was locked recently for one IP
+     * @param {string} email - Email
+     * @param {string} [ipAddress] - Client IP
+     * @returns {number} Consecutive lockout count
+     */
+    async getLockoutCount(email, ipAddress) {
+        const count = await this.redis.get(LOCKOUT_COUNT_KEY(LOGIN_SUBJECT(email, ipAddress)));
+        return count ? parseInt(count, 10) : 0;
+    }
+
+    /**
+     * Remove the lock, failure counter and backoff history of an email for one IP
+     * @param {string} email - Email
+     * @param {string} [ipAddress] - Client IP
+     */
+    async clearLoginLock(email, ipAddress) {
+        const subject = LOGIN_SUBJECT(email, ipAddress);
+
+        await this.redis.del([LOCK_KEY(subject), FAILURES_KEY("email", subject), LOCKOUT_COUNT_KEY(subject)]);
+    }
+
+    /**
+     * Increment the account-wide failed-attempt counter of an email (all IPs)
+     * @param {string} email - Email
+     * @param {number} windowSeconds - Counting window (set on first failure)
+     * @returns {number} Failures in the current window
+     */
+    async incrementAccountFailures(email, windowSeconds) {
+        return this.incrementFailures("account", email, windowSeconds);
+    }
+
+    /**
+     * Lock an email for every IP and bump its account-wide lockout count
+     * @param {string} email - Email
+     * @param {number} lockSeconds - Lock duration
+     */
+    async lockAccount(email, lockSeconds) {
+        await this.redis.set(ACCOUNT_LOCK_KEY(email), "1", { EX: lockSeconds });
+        await this.redis.incr(ACCOUNT_LOCKOUT_COUNT_KEY(email));
+        await this.redis.expire(ACCOUNT_LOCKOUT_COUNT_KEY(email), LOCKOUT_COUNT_TTL_SECONDS);
+        await this.redis.del(FAILURES_KEY("account", email));
+    }
+
+    /**
+     * Get the remaining account-wide lock time of an email
+     * @param {string} email - Email
+     * @returns {number} Seconds until unlocked (0 if not locked)
+     */
+    async getAccountLockRemaining(email) {
+        const ttl = await this.redis.ttl(ACCOUNT_LOCK_KEY(email));
+        return Math.max(ttl, 0);
+    }
+
+    /**
+     * Get how many times an email was locked account-wide recently
+     * @param {string} email - Email
+     * @returns {number} Consecutive account-wide lockout count
+     */
+    async getAccountLockoutCount(email) {
+        const count = await this.redis.get(ACCOUNT_LOCKOUT_COUNT_KEY(email));
+        return count ? parseInt(count, 10) : 0;
+    }
+
+    /**
+     * Remove every lock, failure counter and backoff history of an email:
+     * the account-wide ones and those of each locked IP
+     * @param {string} email - Email
+     * @returns {boolean} True if the email was locked account-wide or for any IP
+     */
+    async clearEmailLocks(email) {
+        const ipAddresses = await this.redis.sMembers(LOCKED_IPS_KEY(email));
+        const subjects = ipAddresses.map((ipAddress) => LOGIN_SUBJECT(email, ipAddress));
+
+        const removed = await this.redis.del([
+            ACCOUNT_LOCK_KEY(email),
+            ...subjects.map((subject) => LOCK_KEY(subject)),
+        ]);
+        await this.redis.del([
+            FAILURES_KEY("account", email),
+            ACCOUNT_LOCKOUT_COUNT_KEY(email),
+            ...subjects.flatMap((subject) => [FAILURES_KEY("email", subject), LOCKOUT_COUNT_KEY(subject)]),
+            LOCKED_IPS_KEY(email),
+        ]);
+
+        return removed > 0;
+    }
+}
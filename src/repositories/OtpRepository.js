@@ -0,0 +1,88 @@
+import redisClient from "../libs/redis.js";
+
+const CODE_KEY = (purpose, userId) => `auth:otp:${purpose}:${userId}`;
+const COOLDOWN_KEY = (purpose, email) => `auth:otp:cooldown:${purpose}:${email}`;
+
+// Increment the attempt counter of an existing code and return [codeHash, attempts]
+const CLAIM_ATTEMPT_SCRIPT = `
+local codeHash = redis.call("HGET", KEYS[1], "codeHash")
+if not codeHash then
+    return nil
+end
+local attempts = redis.call("HINCRBY", KEYS[1], "attempts", 1)
+return { codeHash, attempts }
+`;
+
+export default class OtpRepository {
+    constructor(client = redisClient) {
+        this.redis = client;
+    }
+
+    /**
+     * Store a hashed code, replacing any previous one
+     * @param {string} purpose - e.g. 'email-verification', 'password-reset'
+     * @param {string} userId - User ID
+     * @param {string} codeHash - Hashed code
+     * @param {number} ttlSeconds - Code lifetime
+     */
+    async saveCode(purpose, userId, codeHash, ttlSeconds) {
+        const key = CODE_KEY(purpose, userId);
+
+        await this.redis.del(key);
+        await this.redis.hSet(key, { codeHash, attempts: "0" });
+        await this.redis.expire(key, ttlSeconds);
+    }
+
+    /**
+     * Count a verification attempt and get the stored code, atomically
+     * The counter is only incremented while the code exists, so a late attempt
+     * cannot recreate a deleted code (HINCRBY keeps the key's TTL)
+     * @param {string} purpose - Code purpose
+     * @param {string} userId - User ID
+     * @returns {object|null} { codeHash, attempts } with this attempt included, or null if there is no code
+     */
+    async claimAttempt(purpose, userId) {
+        const result = await this.redis.eval(CLAIM_ATTEMPT_SCRIPT, {
+            keys: [CODE_KEY(purpose, userId)],
+        });
+
+        if (!result) {
+            return null;
+        }
+
+        const [codeHash, attempts] = result;
+        return { codeHash, attempts: Number(attempts) };
+    }
+
+    /**
+     * Delete the stored code
+     * @param {string} purpose - Code purpose
+     * @param {string} userId - User ID
+     */
+    async deleteCode(purpose, userId) {
+        await this.redis.del(CODE_KEY(purpose, userId));
+    }
+
+    /**
+     * Start the resend cooldown for an email
+     * @param {string} purpose - Code purpose
+     * @param {string} email - Email
+     * @param {number} seconds - Cooldown length
+     * @returns {boolean} False if a cooldown was already running
+     */
+    async startCooldown(purpose, email, seconds) {
+        const result = await this.redis.set(COOLDOWN_KEY(purpose, email), "1", { EX: seconds, NX: true });
+        return result === "OK";
+    }
+
+    /**
+     * Get the remaining cooldown for an email
+     * @param {string} purpose - Code purpose
+     * @param {string} email - Email
+     * @returns {number} Seconds remaining (0 if none)
+     */
+    async getCooldownRemaining(purpose, email) {
+        const ttl = await this.redis.ttl(COOLDOWN_KEY(purpose, email));
+        return Math.max(ttl, 0);
+    }
+}
@@ -0,0 +1,77 @@
+import prisma from "../libs/database.js";
+
+export default class PermissionRepository {
+    constructor(prismaClient = prisma) {
+        this.prisma = prismaClient;
+    }
+
+    /**
+     * Find admin by user ID with its permission grants
+     * @param {string} userId - User ID
+     * @returns {object|null} Admin with grants
+     */
+    async findAdminWithGrantsByUserId(userId) {
+        return this.prisma.admin.findUnique({
+            where: { userId },
+            select: {
+                id: true,
+                userId: true,
+                status: true,
+                statusReason: true,
+                approvedAt: true,
+                permissionGrants: {
+                    select: { permission: true },
+                },
+            },
+        });
+    }
+
+    /**
+     * Find the grants of an admin
+     * @param {string} adminId - Admin ID
+     * @returns {object[]} Grants with granting super admin
+     */
+    async findGrantsByAdmin(adminId) {
+        return this.prisma.adminPermissionGrant.findMany({
+            where: { adminId },
+            include: {
+                grantedBy: {
+                    include: {
+                        user: {
+                            select: { id: true, email: true },
+                        },
+                    },
+                },
+            },
+            orderBy: { createdAt: "asc" },
+        });
+    }
+
+    /**
+     * Grant a permission to an admin (no-op if already granted)
+     * @param {string} adminId - Admin ID
+     * @param {string} permission - Permission name
+     * @param {string} grantedById - SuperAdmin ID
+     * @returns {object} Grant
+     */
+    async grant(adminId, permission, grantedById) {
+        return this.prisma.adminPermissionGrant.upsert({
+            where: { adminId_permission: { adminId, permission } },
+            create: { adminId, permission, grantedById },
+            update: {},
+        });
+    }
+
+    /**
+     * Revoke a permission from an admin
+     * @param {string} adminId - Admin ID
+     * @param {string} permission - Permission name
+     * @returns {number} Number of removed grants
+     */
+    async revoke(adminId, permission) {
+        const result = await this.prisma.adminPermissionGrant.deleteMany({
+            where: { adminId, permission },
+        });
+        return result.count;
+    }
+}
@@ -0,0 +1,263 @@
+import prisma from "../libs/database.js";
+import { ConflictError } from "../errors/errors.js";
+
+// Reports still waiting for a decision
+export const OPEN_REPORT_STATUSES = ["OPEN", "IN_REVIEW"];
+
+const reportInclude = {
+    reporter: {
+        select: { id: true, email: true },
+    },
+    reportedUser: {
+        select: { id: true, email: true, role: true },
+    },
+    reportedListing: {
+        select: { id: true, title: true, isAvailable: true, moderationStatus: true, ownerId: true },
+    },
+    assignedTo: {
+        select: { id: true, email: true },
+    },
+    handledBy: {
+        select: { id: true, email: true },
+    },
+};
+
+const reportDetailInclude = {
+    ...reportInclude,
+    notes: {
+        include: {
+            author: {
+                select: { id: true, email: true },
+            },
+        },
+        orderBy: { createdAt: "asc" },
+    },
+};
+
+export default class ReportRepository {
+    constructor(prismaClient = prisma) {
+        this.prisma = prismaClient;
+    }
+
+    /**
+     * Find a listing with its owner's user ID
+     * @param {string} listingId - Listing ID
+     * @returns {object|null} Listing
+     */
+    async findListingWithOwner(listingId) {
+        return this.prisma.listing.findUnique({
+            where: { id: listingId },
+            select: {
+                id: true,
+                isAvailable: true,
+                moderationStatus: true,
+                owner: {
+                    select: { id: true, userId: true },
+                },
+            },
+        });
+    }
+
+    /**
+     * Find a reporter's undecided report against the same target
+     * @param {object} params
+     * @param {string} params.reporterId - Reporter user ID
+     * @param {string|null} params.reportedListingId - Reported listing ID (null for user reports)
+     * @param {string} params.reportedUserId - Reported user ID
+     * @returns {object|null} Report
+     */
+    async findOpenDuplicate({ reporterId, reportedListingId, reportedUserId }) {
+        return this.prisma.report.findFirst({
+            where: {
+                reporterId,
+                reportedListingId,
+                // User reports are matched on the user only; listing reports on the listing
+                ...(!reportedListingId && { reportedUserId }),
+                status: { in: OPEN_REPORT_STATUSES },
+            },
+        });
+    }
+
+    /**
+     * Create a report
+     * @param {object} data - Report data
+     * @returns {object} Created report
+     */
+    async create({ reporterId, reportedUserId, reportedListingId, category, reason }) {
+        return this.prisma.report.create({
+            data: {
+                reporterId,
+                reportedUserId,
+                reportedListingId,
+                category,
+                reason,
+            },
+            include: reportInclude,
+        });
+    }
+
+    /**
+     * Find report by ID, with notes
+     * @param {string} id - Report ID
+     * @returns {object|null} Report
+     */
+    async findById(id) {
+        return this.prisma.report.findUnique({
+            where: { id },
+            include: reportDetailInclude,
+        });
+    }
+
+    /**
+     * Find reports for the moderation queue
+     * @param {object} params - Filters and pagination
+     * @param {string[]} params.statuses - Statuses to include
+     * @param {string} [params.targetType] - 'listing' or 'user'
+     * @param {string} [params.category] - Category
+     * @param {string} [params.reportedUserId] - Reported user ID
+     * @param {string} [params.reportedListingId] - Reported listing ID
+     * @param {string|null} [params.assignedToId] - Assignee user ID (null = unassigned)
+     * @param {number} params.page - Page number
+     * @param {number} params.limit - Page size
+     * @returns {object} Reports and pagination info
+     */
+    async findAll({ statuses, targetType, category, reportedUserId, reportedListingId, assignedToId, page, limit }) {
+        const where = {
+            status: { in: statuses },
+        };
+
+        if (targetType === "listing") {
+            where.reportedListingId = { not: null };
+        } else if (targetType === "user") {
+            where.reportedListingId = null;
+        }
+
+        if (category) {
+            where.category = category;
+        }
+
+        if (reportedUserId) {
+            where.reportedUserId = reportedUserId;
+        }
+
+        if (reportedListingId) {
+            where.reportedListingId = reportedListingId;
+        }
+
+        if (assignedToId !== undefined) {
+            where.assignedToId = assignedToId;
+        }
+
+        const [items, totalCount] = await Promise.all([
+            this.prisma.report.findMany({
+                where,
+                include: reportInclude,
+                // Oldest reports first
+                orderBy: { createdAt: "asc" },
+                skip: (page - 1) * limit,
+                take: limit,
+            }),
+            this.prisma.report.count({ where }),
+        ]);
+
+        return {
+            items,
+            totalCount,
+            totalPages: Math.ceil(totalCount / limit),
+            currentPage: page,
+        };
+    }
+
+    /**
+     * Assign a report and move it into review
+     * Applies only while the report is undecided and still assigned to currentAssigneeId
+     * (or already to the assignee), so it never reopens a decided report and concurrent
+     * claims apply once
+     * @param {string} id - Report ID
+     * @param {string} assigneeId - Assignee user ID
+     * @param {string|null} [currentAssigneeId] - Assignee the caller saw (null = unassigned)
+     * @returns {object} Updated report
+     * @throws {ConflictError} If the report was decided or reassigned in the meantime
+     */
+    async assign(id, assigneeId, currentAssigneeId = null) {
+        return this.prisma.$transaction(async (tx) => {
+            const { count } = await tx.report.updateMany({
+                where: {
+                    id,
+                    status: { in: OPEN_REPORT_STATUSES },
+                    OR: [{ assignedToId: currentAssigneeId }, { assignedToId: assigneeId }],
+                },
+                data: {
+                    assignedToId: assigneeId,
+                    assignedAt: new Date(),
+                    status: "IN_REVIEW",
+                },
+            });
+
+            if (count === 0) {
+                throw new ConflictError("Report was decided or assigned to another moderator in the meantime");
+            }
+
+            return tx.report.findUnique({
+                where: { id },
+                include: reportDetailInclude,
+            });
+        });
+    }
+
+    /**
+     * Add a note to a report
+     * @param {string} reportId - Report ID
+     * @param {string} authorId - Author user ID
+     * @param {string} body - Note text
+     * @returns {object} Created note
+     */
+    async addNote(reportId, authorId, body) {
+        return this.prisma.reportNote.create({
+            data: { reportId, authorId, body },
+            include: {
+                author: {
+                    select: { id: true, email: true },
+                },
+            },
+        });
+    }
+
+    /**
+     * Record a decision on a report
+     * @param {string} id - Report ID
+     * @param {object} data
+     * @param {string} data.status - RESOLVED or REJECTED
+     * @param {string} data.handledById - Deciding user ID
+     * @param {string} data.resolution - Decision summary
+     * @param {string|null} data.actionTaken - ReportAction
+     * @returns {object} Updated report
+     * @throws {ConflictError} If the report was decided in the meantime
+     */
+    async decide(id, { status, handledById, resolution, actionTaken }) {
+        return this.prisma.$transaction(async (tx) => {
+            // Only an undecided report is decided, so concurrent decisions apply once
+            const { count } = await tx.report.updateMany({
+                where: { id, status: { in: OPEN_REPORT_STATUSES } },
+                data: {
+                    status,
+                    handledById,
+                    handledAt: new Date(),
+                    resolution,
+                    actionTaken,
+                },
+            });
+
+            if (count === 0) {
+                throw new ConflictError("Report has already been decided");
+            }
+
+            const report = await tx.report.findUnique({
+                where: { id },
+                include: reportDetailInclude,
+            });
+
+            return report;
+        });
+    }
+}
@@ -0,0 +1,332 @@
+import prisma from "../libs/database.js";
+import { VISIBLE_MODERATION_STATUSES } from "./ListingRepository.js";
+import { activeSuspensionWhere } from "./SuspensionRepository.js";
+import { ConflictError } from "../errors/errors.js";
+
+/**
+ * Orders of a student (as buyer or seller) that are not in a terminal status
+ * @param {string} id - Student ID
+ * @param {string[]} terminalStatuses - Statuses that count as finished
+ */
+const openOrdersWhere = (id, terminalStatuses) => ({
+    status: { notIn: terminalStatuses },
+    OR: [{ buyerId: id }, { sellerId: id }],
+});
+
+export default class StudentRepository {
+    constructor(prismaClient = prisma) {
+        this.prisma = prismaClient;
+    }
+
+    /**
+     * Find student profile by user ID
+     * @param {string} userId - User ID
+     * @returns {object|null} Student with user and university
+     */
+    async findByUserId(userId) {
+        return this.prisma.student.findUnique({
+            where: { userId },
+            include: {
+                user: {
+                    select: {
+                        email: true,
+                        isEmailVerified: true,
+                        createdAt: true,
+                    },
+                },
+                university: {
+                    select: { id: true, name: true },
+                },
+            },
+        });
+    }
+
+    /**
+     * Find student by ID for the public profile
+     * Only public fields are selected (no emails)
+     * @param {string} id - Student ID
+     * @returns {object|null} Student with active listings and any suspension in force
+     */
+    async findPublicById(id) {
+        return this.prisma.student.findUnique({
+            where: { id },
+            select: {
+                id: true,
+                grade: true,
+                department: true,
+                verificationStatus: true,
+                ratingAverage: true,
+                ratingCount: true,
+                isActive: true,
+                createdAt: true,
+                user: {
+                    select: {
+                        suspensions: {
+                            where: activeSuspensionWhere(),
+                            select: { id: true },
+                            take: 1,
+                        },
+                    },
+                },
+                university: {
+                    select: { id: true, name: true },
+                },
+                listings: {
+                    where: {
+                        isAvailable: true,
+                        moderationStatus: { in: VISIBLE_MODERATION_STATUSES },
+                    },
+                    select: {
+                        id: true,
+                        title: true,
+                        category: true,
+                        price: true,
+                        listingType: true,
+                        condition: true,
+                        requiresVerifiedBuyer: true,
+                        createdAt: true,
+                    },
+                    orderBy: { createdAt: "desc" },
+                },
+            },
+        });
+    }
+
+    /**
+     * Update a student profile
+     * @param {string} id - Student ID
+     * @param {object} data - Update data
+     * @returns {object} Updated student
+     */
+    async update(id, data) {
+        const updateData = {};
+
+        if (data.studentId !== undefined) updateData.studentId = data.studentId;
+        if (data.grade !== undefined) updateData.grade = data.grade;
+        if (data.department !== undefined) updateData.department = data.department;
+
+        return this.prisma.student.update({
+            where: { id },
+            data: updateData,
+            include: {
+                user: {
+                    select: {
+                        email: true,
+                        isEmailVerified: true,
+                        createdAt: true,
+                    },
+                },
+                university: {
+                    select: { id: true, name: true },
+                },
+            },
+        });
+    }
+
+    /**
+     * Count a student's completed orders (as buyer or seller)
+     * @param {string} id - Student ID
+     * @returns {number} Completed order count
+     */
+    async countCompletedOrders(id) {
+        return this.prisma.order.count({
+            where: {
+                status: "COMPLETED",
+                OR: [{ buyerId: id }, { sellerId: id }],
+            },
+        });
+    }
+
+    /**
+     * Count received reviews per star rating
+     * @param {string} id - Student ID
+     * @returns {object[]} [{ rating, count }]
+     */
+    async countReviewsByRating(id) {
+        const groups = await this.prisma.review.groupBy({
+            by: ["rating"],
+            where: { reviewedStudentId: id },
+            _count: { _all: true },
+        });
+        return groups.map((group) => ({ rating: group.rating, count: group._count._all }));
+    }
+
+    /**
+     * Collect everything stored about a user for a data export
+     * Secrets (password hash, tokens, 2FA secrets) are never selected
+     * @param {string} userId - User ID
+     * @returns {object|null} User with student profile and related records
+     */
+    async findExportData(userId) {
+        return this.prisma.user.findUnique({
+            where: { id: userId },
+            select: {
+                id: true,
+                email: true,
+                role: true,
+                isEmailVerified: true,
+                twoFactorEnabled: true,
+                createdAt: true,
+                updatedAt: true,
+                student: {
+                    include: {
+                        university: {
+                            select: { id: true, name: true },
+                        },
+                        verifications: {
+                            select: {
+                                id: true,
+                                studentNumber: true,
+                                status: true,
+                                rejectionReason: true,
+                                reviewedAt: true,
+                                createdAt: true,
+                            },
+                        },
+                        listings: true,
+                        ordersAsBuyer: {
+                            include: { payment: true },
+                        },
+                        ordersAsSeller: {
+                            include: { payment: true },
+                        },
+                        reviewsGiven: true,
+                        reviewsReceived: true,
+                    },
+                },
+                chatsSent: {
+                    select: {
+                        id: true,
+                        content: true,
+                        sentAt: true,
+                        chat: {
+                            select: { id: true, orderId: true },
+                        },
+                    },
+                    orderBy: { sentAt: "asc" },
+                },
+                reportsMade: {
+                    select: {
+                        id: true,
+                        reportedUserId: true,
+                        reportedListingId: true,
+                        category: true,
+                        reason: true,
+                        status: true,
+                        createdAt: true,
+                    },
+                },
+                sessions: {
+                    select: {
+                        id: true,
+                        userAgent: true,
+                        ipAddress: true,
+                        lastUsedAt: true,
+                        createdAt: true,
+                        revokedAt: true,
+                    },
+                },
+            },
+        });
+    }
+
+    /**
+     * Count a student's orders (as buyer or seller) that are not in a terminal status
+     * @param {string} id - Student ID
+     * @param {string[]} terminalStatuses - Statuses that count as finished
+     * @returns {number} Open order count
+     */
+    async countOpenOrders(id, terminalStatuses) {
+        return this.prisma.order.count({
+            where: openOrdersWhere(id, terminalStatuses),
+        });
+    }
+
+    /**
+     * Anonymize a student account
+     * Orders, payments, reviews and messages are kept so counterparties' history stays intact;
+     * they now point at an anonymous user. Sessions are revoked in the same transaction
+     * @param {object} params
+     * @param {string} params.userId - User ID
+     * @param {string} params.studentId - Student ID
+     * @param {string} params.placeholderEmail - Unique non-deliverable email
+     * @param {string} params.unusablePassword - Hash no password matches
+     * @param {string[]} params.terminalStatuses - Order statuses that count as finished
+     * @returns {object} Updated user
+     * @throws {ConflictError} If the student has an order in progress
+     */
+    async anonymize({ userId, studentId, placeholderEmail, unusablePassword, terminalStatuses }) {
+        return this.prisma.$transaction(async (tx) => {
+            // Inserting an order key-share locks the buyer and seller rows, so holding this
+            // lock keeps new orders out until the account is anonymized
+            await tx.$queryRaw`SELECT id FROM "Student" WHERE id = ${studentId} FOR UPDATE`;
+
+            const openOrders = await tx.order.count({
+                where: openOrdersWhere(studentId, terminalStatuses),
+            });
+
+            if (openOrders > 0) {
+                throw new ConflictError(
+                    `You have ${openOrders} order(s) in progress. Complete or cancel them before deleting your account`
+                );
+            }
+
+            const user = await tx.user.findUnique({
+                where: { id: userId },
+                select: { email: true },
+            });
+
+            await tx.studentVerification.deleteMany({ where: { studentId } });
+            await tx.universityWaitlistEntry.deleteMany({ where: { email: user.email } });
+
+            await tx.listing.updateMany({
+                where: { ownerId: studentId },
+                data: { isAvailable: false },
+            });
+
+            await tx.student.update({
+                where: { id: studentId },
+                data: {
+                    universityEmail: placeholderEmail,
+                    studentId: null,
+                    grade: null,
+                    department: null,
+                    verificationStatus: null,
+                    verifiedAt: null,
+                    isActive: false,
+                },
+            });
+
+            await tx.session.updateMany({
+                where: { userId, revokedAt: null },
+                data: { revokedAt: new Date(), revokedReason: "ACCOUNT_DELETED" },
+            });
+
+            await tx.session.updateMany({
+                where: { userId },
+                data: { userAgent: null, ipAddress: null },
+            });
+
+            return tx.user.update({
+                where: { id: userId },
+                data: {
+                    email: placeholderEmail,
+                    password: unusablePassword,
+                    isEmailVerified: false,
+                    emailVerificationToken: null,
+                    emailVerificationExpires: null,
+                    passwordResetToken: null,
+                    passwordResetExpires: null,
+                    pendingEmail: null,
+                    emailChangeToken: null,
+                    emailChangeExpires: null,
+                    twoFactorEnabled: false,
+                    twoFactorSecret: null,
+                    twoFactorRecoveryCodes: [],
+                    twoFactorLastUsedStep: null,
+                    deletedAt: new Date(),
+                },
+            });
+        });
+    }
+}
@@ -0,0 +1,201 @@
+import prisma from "../libs/database.js";
+import { ConflictError } from "../errors/errors.js";
+
+const verificationInclude = {
+    student: {
+        select: {
+            id: true,
+            userId: true,
+            universityEmail: true,
+            verificationStatus: true,
+            user: {
+                select: {
+                    id: true,
+                    email: true,
+                },
+            },
+        },
+    },
+    reviewedBy: {
+        select: {
+            id: true,
+            email: true,
+        },
+    },
+};
+
+export default class StudentVerificationRepository {
+    constructor(prismaClient = prisma) {
+        this.prisma = prismaClient;
+    }
+
+    /**
+     * Find student by user ID
+     * @param {string} userId - User ID
+     * @returns {object|null} Student record
+     */
+    async findStudentByUserId(userId) {
+        return this.prisma.student.findUnique({
+            where: { userId },
+        });
+    }
+
+    /**
+     * Find verification request by ID
+     * @param {string} id - Verification request ID
+     * @returns {object|null} Verification request with student and reviewer
+     */
+    async findById(id) {
+        return this.prisma.studentVerification.findUnique({
+            where: { id },
+            include: verificationInclude,
+        });
+    }
+
+    /**
+     * Find a student's most recent verification request
+     * @param {string} studentId - Student ID
+     * @returns {object|null} Latest verification request
+     */
+    async findLatestByStudent(studentId) {
+        return this.prisma.studentVerification.findFirst({
+            where: { studentId },
+            orderBy: { createdAt: "desc" },
+            include: verificationInclude,
+        });
+    }
+
+    /**
+     * Find verification requests with pagination
+     * @param {object} params - Query parameters
+     * @param {string} [params.status] - Filter by status
+     * @param {number} params.page - Page number
+     * @param {number} params.limit - Page size
+     * @returns {object} Requests and pagination info
+     */
+    async findAll({ status, page = 1, limit = 20 }) {
+        const where = status ? { status } : {};
+        const skip = (page - 1) * limit;
+
+        const [items, totalCount] = await Promise.all([
+            this.prisma.studentVerification.findMany({
+                where,
+                include: verificationInclude,
+                // Oldest pending requests first
+                orderBy: { createdAt: "asc" },
+                skip,
+                take: limit,
+            }),
+            this.prisma.studentVerification.count({ where }),
+        ]);
+
+        return {
+            items,
+            totalCount,
+            totalPages: Math.ceil(totalCount / limit),
+            currentPage: page,
+        };
+    }
+
+    /**
+     * Create a verification request and mark the student as pending
+     * The student is flipped to PENDING only from no status or REJECTED, so a double
+     * submit creates a single request
+     * @param {object} data - Request data
+     * @returns {object} Created request
+     * @throws {ConflictError} If the student is already pending or verified
+     */
+    async create({ studentId, studentNumber, idCardImageUrl }) {
+        return this.prisma.$transaction(async (tx) => {
+            const { count } = await tx.student.updateMany({
+                where: {
+                    id: studentId,
+                    OR: [{ verificationStatus: null }, { verificationStatus: "REJECTED" }],
+                },
+                data: { verificationStatus: "PENDING" },
+            });
+
+            if (count === 0) {
+                throw new ConflictError("You already have a verification request under review or are verified");
+            }
+
+            return tx.studentVerification.create({
+                data: {
+                    studentId,
+                    studentNumber,
+                    idCardImageUrl,
+                },
+                include: verificationInclude,
+            });
+        });
+    }
+
+    /**
+     * Approve a pending request and mark the student as verified
+     * @param {string} id - Verification request ID
+     * @param {string} reviewerId - Reviewing user ID
+     * @returns {object} Updated request
+     * @throws {ConflictError} If the request was decided in the meantime
+     */
+    async approve(id, reviewerId) {
+        const reviewedAt = new Date();
+
+        return this._decide(
+            id,
+            { status: "VERIFIED", reviewedById: reviewerId, reviewedAt },
+            (verification) => ({
+                verificationStatus: "VERIFIED",
+                verifiedAt: reviewedAt,
+                studentId: verification.studentNumber,
+            })
+        );
+    }
+
+    /**
+     * Reject a pending request and mark the student as rejected
+     * @param {string} id - Verification request ID
+     * @param {string} reviewerId - Reviewing user ID
+     * @param {string} reason - Rejection reason shown to the student
+     * @returns {object} Updated request
+     * @throws {ConflictError} If the request was decided in the meantime
+     */
+    async reject(id, reviewerId, reason) {
+        return this._decide(
+            id,
+            { status: "REJECTED", rejectionReason: reason, reviewedById: reviewerId, reviewedAt: new Date() },
+            () => ({ verificationStatus: "REJECTED" })
+        );
+    }
+
+    /**
+     * Decide a request only while it is still PENDING, so concurrent decisions apply once
+     * @param {string} id - Verification request ID
+     * @param {object} data - Request fields to set
+     * @param {Function} studentData - Builds the student fields from the updated request
+     * @returns {object} Updated request
+     */
+    async _decide(id, data, studentData) {
+        return this.prisma.$transaction(async (tx) => {
+            const { count } = await tx.studentVerification.updateMany({
+                where: { id, status: "PENDING" },
+                data,
+            });
+
+            if (count === 0) {
+                throw new ConflictError("Verification request has already been decided");
+            }
+
+            const verification = await tx.studentVerification.findUnique({
+                where: { id },
+                include: verificationInclude,
+            });
+
+            await tx.student.update({
+                where: { id: verification.studentId },
+                data: studentData(verification),
+            });
+
+            return verification;
+        });
+    }
+}
@@ -0,0 +1,98 @@
+import prisma from "../libs/database.js";
+
+const SUSPENSION_INCLUDE = {
+    suspendedBy: {
+        select: { id: true, email: true, role: true },
+    },
+    liftedBy: {
+        select: { id: true, email: true, role: true },
+    },
+};
+
+/**
+ * Where clause for suspensions that are in force at a given time
+ * @param {Date} [now] - Reference time
+ * @returns {object} Prisma where clause
+ */
+export const activeSuspensionWhere = (now = new Date()) => ({
+    liftedAt: null,
+    OR: [
+        { expiresAt: null },
+        { expiresAt: { gt: now } },
+    ],
+});
+
+export default class SuspensionRepository {
+    constructor(prismaClient = prisma) {
+        this.prisma = prismaClient;
+    }
+
+    /**
+     * Find the most recent suspension of a user that has not been lifted
+     * (it may have expired; the caller decides)
+     * @param {string} userId - User ID
+     * @returns {object|null} Suspension
+     */
+    async findUnliftedByUser(userId) {
+        return this.prisma.suspension.findFirst({
+            where: { userId, liftedAt: null },
+            orderBy: { createdAt: "desc" },
+        });
+    }
+
+    /**
+     * Find a user's suspension history, newest first
+     * @param {string} userId - User ID
+     * @returns {object[]} Suspensions
+     */
+    async findByUser(userId) {
+        return this.prisma.suspension.findMany({
+            where: { userId },
+            include: SUSPENSION_INCLUDE,
+            orderBy: { createdAt: "desc" },
+        });
+    }
+
+    /**
+     * Suspend a user
+     * Suspensions are read from this table (see activeSuspensionWhere); the student
+     * profile's isActive flag is not touched, so an expired suspension needs no write
+     * @param {object} data - Suspension data
+     * @param {string} data.userId - Suspended user ID
+     * @param {string} data.reason - Reason
+     * @param {Date|null} data.expiresAt - End of the suspension (null = until reinstated)
+     * @param {string} data.suspendedById - User ID of the admin
+     * @returns {object} Created suspension
+     */
+    async create({ userId, reason, expiresAt, suspendedById }) {
+        return this.prisma.suspension.create({
+            data: {
+                userId,
+                reason,
+                expiresAt,
+                suspendedById,
+            },
+            include: SUSPENSION_INCLUDE,
+        });
+    }
+
+    /**
+     * Lift a suspension
+     * @param {string} id - Suspension ID
+     * @param {object} data
+     * @param {string|null} data.liftedById - User ID of the admin (null when it expired)
+     * @param {string} data.liftReason - Reason
+     * @returns {object} Updated suspension
+     */
+    async lift(id, { liftedById, liftReason }) {
+        return this.prisma.suspension.update({
+            where: { id },
+            data: {
+                liftedAt: new Date(),
+                liftedById,
+                liftReason,
+            },
+            include: SUSPENSION_INCLUDE,
+        });
+    }
+}
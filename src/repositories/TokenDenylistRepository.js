@@ -0,0 +1,91 @@
+import redisClient from "../libs/redis.js";
+import { getTokenLifetime } from "../utils/tokens.js";
+
+const TOKEN_KEY = (tokenId) => `auth:denylist:token:${tokenId}`;
+const SESSION_KEY = (sessionId) => `auth:denylist:session:${sessionId}`;
+const USER_KEY = (userId) => `auth:tokens-valid-after:${userId}`;
+const SUSPENDED_KEY = (userId) => `auth:suspended:${userId}`;
+
+export default class TokenDenylistRepository {
+    constructor(client = redisClient) {
+        this.redis = client;
+    }
+
+    /**
+     * Deny a single access token until it expires
+     * @param {string} tokenId - Token ID (jti claim)
+     * @param {number} expiresAt - Token expiry (exp claim, seconds)
+     */
+    async denyToken(tokenId, expiresAt) {
+        const ttl = expiresAt - Math.floor(Date.now() / 1000);
+
+        if (!tokenId || ttl <= 0) {
+            return;
+        }
+
+        await this.redis.set(TOKEN_KEY(tokenId), "1", { EX: ttl });
+    }
+
+    /**
+     * Deny every access token issued for a session
+     * @param {string} sessionId - Session ID (sid claim)
+     */
+    async denySession(sessionId) {
+        await this.redis.set(SESSION_KEY(sessionId), "1", {
+            EX: getTokenLifetime("accessToken"),
+        });
+    }
+
+    /**
+     * Deny every access token issued to a user before now
+     * @param {string} userId - User ID
+     */
+    async denyAllUserTokens(userId) {
+        await this.redis.set(USER_KEY(userId), String(Math.floor(Date.now() / 1000)), {
+            EX: getTokenLifetime("accessToken"),
+        });
+    }
+
+    /**
+     * Deny every access token of a user while they are suspended
+     * @param {string} userId - User ID
+     * @param {Date|null} expiresAt - Suspension end (null = until reinstated)
+     */
+    async denySuspendedUser(userId, expiresAt) {
+        await this.redis.set(
+            SUSPENDED_KEY(userId),
+            "1",
+            expiresAt ? { EXAT: Math.ceil(expiresAt.getTime() / 1000) } : undefined
+        );
+    }
+
+    /**
+     * Lift the suspension denial of a user
+     * @param {string} userId - User ID
+     */
+    async allowSuspendedUser(userId) {
+        await this.redis.del(SUSPENDED_KEY(userId));
+    }
+
+    /**
+     * Check a decoded access token against the denylist
+     * Impersonation tokens are also denied when their actor's tokens are
+     * @param {object} decoded - Decoded access token payload
+     * @returns {boolean} True if the token must be rejected
+     */
+    async isDenied({ jti, sid, userId, iat, act }) {
+        const [tokenDenied, sessionDenied, validAfter, suspended, actorValidAfter = null] = await this.redis.mGet([
+            TOKEN_KEY(jti),
+            SESSION_KEY(sid),
+            USER_KEY(userId),
+            SUSPENDED_KEY(userId),
+            ...(act ? [USER_KEY(act.userId)] : []),
+        ]);
+
+        return Boolean(tokenDenied)
+            || Boolean(sessionDenied)
+            || Boolean(suspended)
+            || (validAfter !== null && iat < parseInt(validAfter, 10))
+            || (actorValidAfter !== null && iat < parseInt(actorValidAfter, 10));
+    }
+}
@@ -0,0 +1,202 @@
+import prisma from "../libs/database.js";
+
+export default class UniversityRepository {
+    constructor(prismaClient = prisma) {
+        this.prisma = prismaClient;
+    }
+
+    /**
+     * Find all universities
+     * @param {object} [params] - Filters
+     * @param {boolean} [params.activeOnly] - Only return active universities
+     * @returns {object[]} Universities with domains
+     */
+    async findAll({ activeOnly = false } = {}) {
+        return this.prisma.university.findMany({
+            where: activeOnly ? { isActive: true } : undefined,
+            include: {
+                domains: {
+                    select: { domain: true },
+                    orderBy: { domain: "asc" },
+                },
+                _count: {
+                    select: { students: true },
+                },
+            },
+            orderBy: { name: "asc" },
+        });
+    }
+
+    /**
+     * Find university by ID
+     * @param {string} id - University ID
+     * @returns {object|null} University with domains
+     */
+    async findById(id) {
+        return this.prisma.university.findUnique({
+            where: { id },
+            include: {
+                domains: {
+                    select: { domain: true },
+                    orderBy: { domain: "asc" },
+                },
+                _count: {
+                    select: { students: true },
+                },
+            },
+        });
+    }
+
+    /**
+     * Find the domain record matching any of the candidate domains
+     * @param {string[]} domains - Candidate domains
+     * @returns {object[]} Matching domain records with their university
+     */
+    async findDomains(domains) {
+        return this.prisma.universityDomain.findMany({
+            where: { domain: { in: domains } },
+            include: { university: true },
+        });
+    }
+
+    /**
+     * Create a university with its domains
+     * @param {object} data - University data
+     * @param {string} data.name - University name
+     * @param {string[]} data.domains - Allowed email domains
+     * @returns {object} Created university
+     */
+    async create({ name, domains }) {
+        return this.prisma.university.create({
+            data: {
+                name,
+                domains: {
+                    create: domains.map((domain) => ({ domain })),
+                },
+            },
+            include: {
+                domains: {
+                    select: { domain: true },
+                },
+            },
+        });
+    }
+
+    /**
+     * Update a university
+     * @param {string} id - University ID
+     * @param {object} data - Update data
+     * @returns {object} Updated university
+     */
+    async update(id, data) {
+        const updateData = {};
+
+        if (data.name !== undefined) updateData.name = data.name;
+        if (data.isActive !== undefined) updateData.isActive = data.isActive;
+
+        return this.prisma.university.update({
+            where: { id },
+            data: updateData,
+            include: {
+                domains: {
+                    select: { domain: true },
+                },
+            },
+        });
+    }
+
+    /**
+     * Delete a university (domains cascade)
+     * @param {string} id - University ID
+     * @returns {object} Deleted university
+     */
+    async delete(id) {
+        return this.prisma.university.delete({
+            where: { id },
+        });
+    }
+
+    /**
+     * Add an allowed domain
+     * @param {string} universityId - University ID
+     * @param {string} domain - Domain
+     * @returns {object} Created domain record
+     */
+    async addDomain(universityId, domain) {
+        return this.prisma.universityDomain.create({
+            data: { universityId, domain },
+        });
+    }
+
+    /**
+     * Remove an allowed domain
+     * @param {string} universityId - University ID
+     * @param {string} domain - Domain
+     * @returns {number} Number of removed domains
+     */
+    async removeDomain(universityId, domain) {
+        const result = await this.prisma.universityDomain.deleteMany({
+            where: { universityId, domain },
+        });
+        return result.count;
+    }
+
+    /**
+     * Add an email to the waitlist (no-op if already listed)
+     * @param {string} email - Email
+     * @param {string} domain - Email domain
+     * @returns {object} Waitlist entry
+     */
+    async addToWaitlist(email, domain) {
+        return this.prisma.universityWaitlistEntry.upsert({
+            where: { email },
+            create: { email, domain },
+            update: {},
+        });
+    }
+
+    /**
+     * Find waitlist entries
+     * @param {object} [params] - Filters
+     * @param {string} [params.domain] - Only entries for this domain
+     * @returns {object[]} Waitlist entries
+     */
+    async findWaitlist({ domain } = {}) {
+        return this.prisma.universityWaitlistEntry.findMany({
+            where: domain ? { domain } : undefined,
+            orderBy: { createdAt: "asc" },
+        });
+    }
+
+    /**
+     * Count waitlist entries per domain
+     * @returns {object[]} [{ domain, count }]
+     */
+    async countWaitlistByDomain() {
+        const groups = await this.prisma.universityWaitlistEntry.groupBy({
+            by: ["domain"],
+            _count: { _all: true },
+            orderBy: { _count: { domain: "desc" } },
+        });
+        return groups.map((group) => ({ domain: group.domain, count: group._count._all }));
+    }
+
+    /**
+     * Remove waitlist entries for a domain and its subdomains
+     * @param {string} domain - Domain
+     * @returns {object[]} Removed entries
+     */
+    async takeWaitlistForDomain(domain) {
+        const where = {
+            OR: [
+                { domain },
+                { domain: { endsWith: `.${domain}` } },
+            ],
+        };
+
+        const entries = await this.prisma.universityWaitlistEntry.findMany({ where });
+        await this.prisma.universityWaitlistEntry.deleteMany({ where });
+
+        return entries;
+    }
+}
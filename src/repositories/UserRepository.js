@@ -0,0 +1,255 @@
+import prisma from "../libs/database.js";
+import { activeSuspensionWhere } from "./SuspensionRepository.js";
+
+// Detail view collections are capped to the most recent records
+const DETAIL_LIMIT = 50;
+
+const USER_SAFE_SELECT = {
+    id: true,
+    email: true,
+    role: true,
+    isEmailVerified: true,
+    twoFactorEnabled: true,
+    deletedAt: true,
+    createdAt: true,
+};
+
+const ORDER_SUMMARY_SELECT = {
+    id: true,
+    type: true,
+    status: true,
+    totalPrice: true,
+    createdAt: true,
+    listing: {
+        select: { id: true, title: true },
+    },
+};
+
+export default class UserRepository {
+    constructor(prismaClient = prisma) {
+        this.prisma = prismaClient;
+    }
+
+    /**
+     * Find users for the admin directory
+     * @param {object} params - Filters and pagination
+     * @param {number} params.page - Page number
+     * @param {number} params.limit - Page size
+     * @param {string} [params.email] - Case-insensitive email search
+     * @param {string} [params.role] - Role
+     * @param {boolean} [params.isEmailVerified] - Email verified
+     * @param {string} [params.status] - 'active', 'suspended' or 'deleted'
+     * @param {string} [params.universityId] - Student's university
+     * @param {Date} [params.createdFrom] - Created on or after
+     * @param {Date} [params.createdTo] - Created on or before
+     * @returns {object} Users and pagination info
+     */
+    async findAll({ page, limit, email, role, isEmailVerified, status, universityId, createdFrom, createdTo }) {
+        const now = new Date();
+        const where = {};
+
+        if (email) {
+            where.email = { contains: email, mode: "insensitive" };
+        }
+
+        if (role) {
+            where.role = role;
+        }
+
+        if (isEmailVerified !== undefined) {
+            where.isEmailVerified = isEmailVerified;
+        }
+
+        if (universityId) {
+            where.student = { universityId };
+        }
+
+        if (createdFrom || createdTo) {
+            where.createdAt = {};
+            if (createdFrom) {
+                where.createdAt.gte = createdFrom;
+            }
+            if (createdTo) {
+                where.createdAt.lte = createdTo;
+            }
+        }
+
+        if (status === "active") {
+            where.deletedAt = null;
+            where.suspensions = { none: activeSuspensionWhere(now) };
+        } else if (status === "suspended") {
+            where.suspensions = { some: activeSuspensionWhere(now) };
+        } else if (status === "deleted") {
+            where.deletedAt = { not: null };
+        }
+
+        const [items, totalCount] = await Promise.all([
+            this.prisma.user.findMany({
+                where,
+                select: {
+                    ...USER_SAFE_SELECT,
+                    student: {
+                        select: {
+                            id: true,
+                            verificationStatus: true,
+                            isActive: true,
+                            university: {
+                                select: { id: true, name: true },
+                            },
+                        },
+                    },
+                    admin: {
+                        select: { id: true, status: true },
+                    },
+                    suspensions: {
+                        where: activeSuspensionWhere(now),
+                        select: { id: true, expiresAt: true },
+                        take: 1,
+                    },
+                },
+                orderBy: { createdAt: "desc" },
+                skip: (page - 1) * limit,
+                take: limit,
+            }),
+            this.prisma.user.count({ where }),
+        ]);
+
+        return {
+            items,
+            totalCount,
+            totalPages: Math.ceil(totalCount / limit),
+            currentPage: page,
+        };
+    }
+
+    /**
+     * Find a user with everything the admin detail view shows
+     * @param {string} userId - User ID
+     * @returns {object|null} User with profile, activity and moderation history
+     */
+    async findDetailById(userId) {
+        return this.prisma.user.findUnique({
+            where: { id: userId },
+            select: {
+                ...USER_SAFE_SELECT,
+                student: {
+                    select: {
+                        id: true,
+                        studentId: true,
+                        universityEmail: true,
+                        grade: true,
+                        department: true,
+                        verificationStatus: true,
+                        verifiedAt: true,
+                        ratingAverage: true,
+                        ratingCount: true,
+                        isActive: true,
+                        university: {
+                            select: { id: true, name: true },
+                        },
+                        listings: {
+                            select: {
+                                id: true,
+                                title: true,
+                                category: true,
+                                price: true,
+                                listingType: true,
+                                isAvailable: true,
+                                moderationStatus: true,
+                                moderationReason: true,
+                                createdAt: true,
+                            },
+                            orderBy: { createdAt: "desc" },
+                            take: DETAIL_LIMIT,
+                        },
+                        ordersAsBuyer: {
+                            select: ORDER_SUMMARY_SELECT,
+                            orderBy: { createdAt: "desc" },
+                            take: DETAIL_LIMIT,
+                        },
+                        ordersAsSeller: {
+                            select: ORDER_SUMMARY_SELECT,
+                            orderBy: { createdAt: "desc" },
+                            take: DETAIL_LIMIT,
+                        },
+                        verifications: {
+                            select: {
+                                id: true,
+                                status: true,
+                                rejectionReason: true,
+                                reviewedAt: true,
+                                reviewedBy: {
+                                    select: { id: true, email: true },
+                                },
+                                createdAt: true,
+                            },
+                            orderBy: { createdAt: "desc" },
+                            take: DETAIL_LIMIT,
+                        },
+                    },
+                },
+                admin: {
+                    select: {
+                        id: true,
+                        status: true,
+                        statusReason: true,
+                        statusChangedAt: true,
+                        approvedAt: true,
+                        statusHistory: {
+                            select: {
+                                id: true,
+                                status: true,
+                                reason: true,
+                                changedById: true,
+                                createdAt: true,
+                            },
+                            orderBy: { createdAt: "desc" },
+                            take: DETAIL_LIMIT,
+                        },
+                    },
+                },
+                suspensions: {
+                    include: {
+                        suspendedBy: {
+                            select: { id: true, email: true },
+                        },
+                        liftedBy: {
+                            select: { id: true, email: true },
+                        },
+                    },
+                    orderBy: { createdAt: "desc" },
+                    take: DETAIL_LIMIT,
+                },
+            },
+        });
+    }
+
+    /**
+     * Find reports filed against a user
+     * @param {string} userId - Reported user ID
+     * @returns {object[]} Reports, newest first
+     */
+    async findReportsAgainst(userId) {
+        return this.prisma.report.findMany({
+            where: { reportedUserId: userId },
+            select: {
+                id: true,
+                category: true,
+                reason: true,
+                status: true,
+                resolution: true,
+                actionTaken: true,
+                reportedListingId: true,
+                createdAt: true,
+                reporter: {
+                    select: { id: true, email: true },
+                },
+                handledBy: {
+                    select: { id: true, email: true },
+                },
+            },
+            orderBy: { createdAt: "desc" },
+            take: DETAIL_LIMIT,
+        });
+    }
+}
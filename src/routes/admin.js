@@ -3,16 +3,71 @@ import {
     getPendingAdmins,
     approveAdmin,
     rejectAdmin,
+    revokeAdmin,
+    reinstateAdmin,
+    getAdminStatusHistory,
+    reapplyAsAdmin,
     getMyAdminStatus,
     getAdminByUserId,
+    clearLoginLockout,
+    getAdminPermissions,
+    grantAdminPermission,
+    revokeAdminPermission,
+    impersonateUser,
+    createApiKey,
+    getApiKeys,
+    revokeApiKey,
+    suspendUser,
+    reinstateUser,
+    getUserSuspensions,
+    getUsers,
+    getUserDetail,
+    getAuditLog,
+    getListingModerationQueue,
+    approveListing,
+    hideListing,
+    restoreListing,
+    getContentFilterRules,
+    createContentFilterRule,
+    updateContentFilterRule,
+    deleteContentFilterRule,
+    getContentFilterMatches,
 } from "../controllers/AdminController.js";
 import validate from "../validators/validate.js";
 import {
     approveAdminValidator,
     rejectAdminValidator,
+    revokeAdminValidator,
+    reinstateAdminValidator,
+    clearLockoutValidator,
+    adminIdParamValidator,
+    grantPermissionValidator,
+    revokePermissionValidator,
+    impersonateValidator,
+    createApiKeyValidator,
+    apiKeyIdParamValidator,
+    userIdParamValidator,
+    suspendUserValidator,
+    reinstateUserValidator,
+    listUsersValidator,
+    listAuditLogValidator,
 } from "../validators/adminValidators.js";
-import { authenticate, requireSuperAdmin, requireAdmin } from "../middlewares/authMiddleware.js";
-import { requireApprovedAdmin } from "../middlewares/adminMiddleware.js";
+import {
+    listingIdParamValidator,
+    moderationQueueValidator,
+    hideListingValidator,
+    restoreListingValidator,
+} from "../validators/listingValidators.js";
+import {
+    ruleIdParamValidator,
+    listRulesValidator,
+    createRuleValidator,
+    updateRuleValidator,
+    listMatchesValidator,
+} from "../validators/contentFilterValidators.js";
+import { authenticate, requireAdmin, forbidImpersonation, forbidApiKey } from "../middlewares/authMiddleware.js";
+import { requirePermission } from "../middlewares/permissionMiddleware.js";
+import { Permission } from "../configs/permissions.js";
 
 const adminRouter = Router();
 
@@ -21,21 +76,21 @@ adminRouter.use(authenticate);
 
 /**
  * GET /api/v1/admins/pending
- * Get all pending admins (SUPER_ADMIN only)
+ * Get all pending admins (admins:approve)
  */
 adminRouter.get(
     "/pending",
-    requireSuperAdmin,
+    requirePermission(Permission.ADMINS_APPROVE),
     getPendingAdmins
 );
 
 /**
  * PATCH /api/v1/admins/:id/approve
- * Approve an admin (SUPER_ADMIN only)
+ * Approve an admin (admins:approve)
  */
 adminRouter.patch(
     "/:id/approve",
-    requireSuperAdmin,
+    requirePermission(Permission.ADMINS_APPROVE),
     approveAdminValidator,
     validate,
     approveAdmin
@@ -43,22 +98,59 @@ adminRouter.patch(
 
 /**
  * PATCH /api/v1/admins/:id/reject
- * Reject an admin - deletes admin record but NOT user (SUPER_ADMIN only)
+ * Reject a pending admin application with a reason (admins:approve)
  */
 adminRouter.patch(
     "/:id/reject",
-    requireSuperAdmin,
+    requirePermission(Permission.ADMINS_APPROVE),
     rejectAdminValidator,
     validate,
     rejectAdmin
 );
 
+/**
+ * PATCH /api/v1/admins/:id/revoke
+ * Revoke an approved admin's access with a reason (admins:approve)
+ */
+adminRouter.patch(
+    "/:id/revoke",
+    requirePermission(Permission.ADMINS_APPROVE),
+    revokeAdminValidator,
+    validate,
+    revokeAdmin
+);
+
+/**
+ * PATCH /api/v1/admins/:id/reinstate
+ * Restore a revoked admin's access (admins:approve)
+ */
+adminRouter.patch(
+    "/:id/reinstate",
+    requirePermission(Permission.ADMINS_APPROVE),
+    reinstateAdminValidator,
+    validate,
+    reinstateAdmin
+);
+
+/**
+ * GET /api/v1/admins/:id/status-history
+ * Get an admin's applications, decisions and revocations (admins:approve)
+ */
+adminRouter.get(
+    "/:id/status-history",
+    requirePermission(Permission.ADMINS_APPROVE),
+    adminIdParamValidator,
+    validate,
+    getAdminStatusHistory
+);
+
 /**
  * GET /api/v1/admins/me/status
  * Get current user's admin status (authenticated users)
  */
 adminRouter.get(
     "/me/status",
+    forbidApiKey,
     getMyAdminStatus
 );
 
@@ -72,4 +164,289 @@ adminRouter.get(
     getAdminByUserId
 );
 
+/**
+ * POST /api/v1/admins/me/reapply
+ * Re-submit a rejected admin application once the cooldown has passed (ADMIN role)
+ */
+adminRouter.post(
+    "/me/reapply",
+    requireAdmin,
+    reapplyAsAdmin
+);
+
+/**
+ * DELETE /api/v1/admins/lockouts/:email
+ * Clear a login lockout (lockouts:clear)
+ */
+adminRouter.delete(
+    "/lockouts/:email",
+    requirePermission(Permission.LOCKOUTS_CLEAR),
+    clearLockoutValidator,
+    validate,
+    clearLoginLockout
+);
+
+/**
+ * POST /api/v1/admins/impersonate/:userId
+ * Get a short-lived, read-only by default access token acting as a student (users:impersonate)
+ */
+adminRouter.post(
+    "/impersonate/:userId",
+    forbidImpersonation,
+    requirePermission(Permission.USERS_IMPERSONATE),
+    impersonateValidator,
+    validate,
+    impersonateUser
+);
+
+/**
+ * GET /api/v1/admins/users
+ * Search users by email, role, verification, status, university and creation date (users:view)
+ */
+adminRouter.get(
+    "/users",
+    requirePermission(Permission.USERS_VIEW),
+    listUsersValidator,
+    validate,
+    getUsers
+);
+
+/**
+ * GET /api/v1/admins/users/:userId
+ * Get a user's profile, listings, orders, reports against them and moderation history (users:view)
+ */
+adminRouter.get(
+    "/users/:userId",
+    requirePermission(Permission.USERS_VIEW),
+    userIdParamValidator,
+    validate,
+    getUserDetail
+);
+
+/**
+ * POST /api/v1/admins/users/:userId/suspend
+ * Suspend a student account, optionally until a date (users:suspend)
+ */
+adminRouter.post(
+    "/users/:userId/suspend",
+    requirePermission(Permission.USERS_SUSPEND),
+    suspendUserValidator,
+    validate,
+    suspendUser
+);
+
+/**
+ * POST /api/v1/admins/users/:userId/reinstate
+ * Lift a user's active suspension (users:suspend)
+ */
+adminRouter.post(
+    "/users/:userId/reinstate",
+    requirePermission(Permission.USERS_SUSPEND),
+    reinstateUserValidator,
+    validate,
+    reinstateUser
+);
+
+/**
+ * GET /api/v1/admins/users/:userId/suspensions
+ * Get a user's suspension history (users:suspend)
+ */
+adminRouter.get(
+    "/users/:userId/suspensions",
+    requirePermission(Permission.USERS_SUSPEND),
+    userIdParamValidator,
+    validate,
+    getUserSuspensions
+);
+
+/**
+ * GET /api/v1/admins/listings/moderation-queue
+ * Get pending (pre-approval) and flagged listings, oldest first (listings:moderate)
+ */
+adminRouter.get(
+    "/listings/moderation-queue",
+    requirePermission(Permission.LISTINGS_MODERATE),
+    moderationQueueValidator,
+    validate,
+    getListingModerationQueue
+);
+
+/**
+ * PATCH /api/v1/admins/listings/:id/approve
+ * Approve a pending or flagged listing (listings:moderate)
+ */
+adminRouter.patch(
+    "/listings/:id/approve",
+    requirePermission(Permission.LISTINGS_MODERATE),
+    listingIdParamValidator,
+    validate,
+    approveListing
+);
+
+/**
+ * PATCH /api/v1/admins/listings/:id/hide
+ * Hide a listing from the marketplace with a reason shown to the owner (listings:moderate)
+ */
+adminRouter.patch(
+    "/listings/:id/hide",
+    requirePermission(Permission.LISTINGS_MODERATE),
+    hideListingValidator,
+    validate,
+    hideListing
+);
+
+/**
+ * PATCH /api/v1/admins/listings/:id/restore
+ * Restore a hidden listing (listings:moderate)
+ */
+adminRouter.patch(
+    "/listings/:id/restore",
+    requirePermission(Permission.LISTINGS_MODERATE),
+    restoreListingValidator,
+    validate,
+    restoreListing
+);
+
+/**
+ * GET /api/v1/admins/content-filter/rules
+ * Get content filter rules (content-filter:manage)
+ */
+adminRouter.get(
+    "/content-filter/rules",
+    requirePermission(Permission.CONTENT_FILTER_MANAGE),
+    listRulesValidator,
+    validate,
+    getContentFilterRules
+);
+
+/**
+ * POST /api/v1/admins/content-filter/rules
+ * Create a keyword, regex or prohibited-term rule that blocks, flags or masks matching text (content-filter:manage)
+ */
+adminRouter.post(
+    "/content-filter/rules",
+    requirePermission(Permission.CONTENT_FILTER_MANAGE),
+    createRuleValidator,
+    validate,
+    createContentFilterRule
+);
+
+/**
+ * PATCH /api/v1/admins/content-filter/rules/:id
+ * Update or deactivate a content filter rule (content-filter:manage)
+ */
+adminRouter.patch(
+    "/content-filter/rules/:id",
+    requirePermission(Permission.CONTENT_FILTER_MANAGE),
+    updateRuleValidator,
+    validate,
+    updateContentFilterRule
+);
+
+/**
+ * DELETE /api/v1/admins/content-filter/rules/:id
+ * Delete a content filter rule, keeping the matches it produced (content-filter:manage)
+ */
+adminRouter.delete(
+    "/content-filter/rules/:id",
+    requirePermission(Permission.CONTENT_FILTER_MANAGE),
+    ruleIdParamValidator,
+    validate,
+    deleteContentFilterRule
+);
+
+/**
+ * GET /api/v1/admins/content-filter/matches
+ * Get content that matched filter rules, newest first (content-filter:manage)
+ */
+adminRouter.get(
+    "/content-filter/matches",
+    requirePermission(Permission.CONTENT_FILTER_MANAGE),
+    listMatchesValidator,
+    validate,
+    getContentFilterMatches
+);
+
+/**
+ * GET /api/v1/admins/audit-log
+ * Search the audit log by actor, action, target, request and date; ?format=csv downloads it (audit-log:view)
+ */
+adminRouter.get(
+    "/audit-log",
+    requirePermission(Permission.AUDIT_LOG_VIEW),
+    listAuditLogValidator,
+    validate,
+    getAuditLog
+);
+
+/**
+ * POST /api/v1/admins/api-keys
+ * Create an API key, the key itself is only shown once (api-keys:manage)
+ */
+adminRouter.post(
+    "/api-keys",
+    requirePermission(Permission.API_KEYS_MANAGE),
+    createApiKeyValidator,
+    validate,
+    createApiKey
+);
+
+/**
+ * GET /api/v1/admins/api-keys
+ * List own API keys, or all keys for super admins (api-keys:manage)
+ */
+adminRouter.get(
+    "/api-keys",
+    requirePermission(Permission.API_KEYS_MANAGE),
+    getApiKeys
+);
+
+/**
+ * DELETE /api/v1/admins/api-keys/:id
+ * Revoke an API key (api-keys:manage)
+ */
+adminRouter.delete(
+    "/api-keys/:id",
+    requirePermission(Permission.API_KEYS_MANAGE),
+    apiKeyIdParamValidator,
+    validate,
+    revokeApiKey
+);
+
+/**
+ * GET /api/v1/admins/:id/permissions
+ * Get an admin's role permissions and grants (permissions:grant)
+ */
+adminRouter.get(
+    "/:id/permissions",
+    requirePermission(Permission.PERMISSIONS_GRANT),
+    adminIdParamValidator,
+    validate,
+    getAdminPermissions
+);
+
+/**
+ * POST /api/v1/admins/:id/permissions
+ * Grant a permission to an admin (permissions:grant)
+ */
+adminRouter.post(
+    "/:id/permissions",
+    requirePermission(Permission.PERMISSIONS_GRANT),
+    grantPermissionValidator,
+    validate,
+    grantAdminPermission
+);
+
+/**
+ * DELETE /api/v1/admins/:id/permissions/:permission
+ * Revoke a granted permission from an admin (permissions:grant)
+ */
+adminRouter.delete(
+    "/:id/permissions/:permission",
+    requirePermission(Permission.PERMISSIONS_GRANT),
+    revokePermissionValidator,
+    validate,
+    revokeAdminPermission
+);
+
 export default adminRouter;
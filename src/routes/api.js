@@ -3,6 +3,11 @@ import authRouter from "./auth.js";
 import adminRouter from "./admin.js";
 import orderRouter from "./order.js";
 import listingsRouter from "./listings.js";
+import universitiesRouter from "./universities.js";
+import verificationsRouter from "./verifications.js";
+import studentsRouter from "./students.js";
+import reportsRouter from "./reports.js";
+import disputesRouter from "./disputes.js";
 
 const mainRouter = Router();
 
@@ -10,5 +15,10 @@ mainRouter.use("/auth", authRouter);
 mainRouter.use("/admins", adminRouter);
 mainRouter.use("/orders", orderRouter);
 mainRouter.use("/listings", listingsRouter);
+mainRouter.use("/universities", universitiesRouter);
+mainRouter.use("/verifications", verificationsRouter);
+mainRouter.use("/students", studentsRouter);
+mainRouter.use("/reports", reportsRouter);
+mainRouter.use("/disputes", disputesRouter);
 
 export default mainRouter;
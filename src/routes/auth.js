@@ -1,23 +1,46 @@
 import { Router } from "express";
 import {
     register,
+    registerAdmin,
     login,
     logout,
     verifyEmail,
+    resendVerification,
     forgotPassword,
     resetPassword,
     generateAccessToken,
     getMe,
+    getSessions,
+    revokeSession,
+    revokeOtherSessions,
+    changePassword,
+    requestEmailChange,
+    confirmEmailChange,
+    verifyMfaLogin,
+    setupTwoFactor,
+    confirmTwoFactor,
+    disableTwoFactor,
+    regenerateRecoveryCodes,
 } from "../controllers/AuthController.js";
 import validate from "../validators/validate.js";
 import {
     registerValidator,
+    registerAdminValidator,
     loginValidator,
     verifyEmailValidator,
+    resendVerificationValidator,
     forgotPasswordValidator,
     resetPasswordValidator,
+    refreshTokenValidator,
+    sessionIdParamValidator,
+    changePasswordValidator,
+    requestEmailChangeValidator,
+    confirmEmailChangeValidator,
+    totpCodeValidator,
+    disableTwoFactorValidator,
+    verifyMfaValidator,
 } from "../validators/authValidators.js";
-import { authenticate } from "../middlewares/authMiddleware.js";
+import { authenticate, optionalAuth, forbidImpersonation, forbidApiKey } from "../middlewares/authMiddleware.js";
 
 const authRouter = Router();
 
@@ -32,6 +55,17 @@ authRouter.post(
     register
 );
 
+/**
+ * POST /api/v1/auth/register-admin
+ * Register a new admin (pending until a super admin approves it)
+ */
+authRouter.post(
+    "/register-admin",
+    registerAdminValidator,
+    validate,
+    registerAdmin
+);
+
 /**
  * POST /api/v1/auth/login
  * Login user
@@ -45,10 +79,13 @@ authRouter.post(
 
 /**
  * POST /api/v1/auth/logout
- * Logout user
+ * Logout user (revokes the session and the presented access token)
  */
 authRouter.post(
     "/logout",
+    optionalAuth,
+    refreshTokenValidator,
+    validate,
     logout
 );
 
@@ -74,6 +111,17 @@ authRouter.post(
     verifyEmail
 );
 
+/**
+ * POST /api/v1/auth/resend-verification
+ * Resend the verification link or code (rate limited per email)
+ */
+authRouter.post(
+    "/resend-verification",
+    resendVerificationValidator,
+    validate,
+    resendVerification
+);
+
 /**
  * POST /api/v1/auth/forgot-password
  * Request password reset
@@ -107,10 +155,12 @@ authRouter.get(
 
 /**
  * POST /api/v1/auth/refresh
- * Refresh access token (body)
+ * Refresh access token (cookie or body; query string deprecated)
  */
 authRouter.post(
     "/refresh",
+    refreshTokenValidator,
+    validate,
     generateAccessToken
 );
 
@@ -121,7 +171,149 @@ authRouter.post(
 authRouter.get(
     "/me",
     authenticate,
+    forbidApiKey,
     getMe
 );
 
+/**
+ * GET /api/v1/auth/sessions
+ * List active sessions of the current user (protected)
+ */
+authRouter.get(
+    "/sessions",
+    authenticate,
+    forbidApiKey,
+    getSessions
+);
+
+/**
+ * DELETE /api/v1/auth/sessions
+ * Revoke all sessions except the current one (protected)
+ */
+authRouter.delete(
+    "/sessions",
+    authenticate,
+    forbidApiKey,
+    forbidImpersonation,
+    revokeOtherSessions
+);
+
+/**
+ * DELETE /api/v1/auth/sessions/:id
+ * Revoke a single session (protected)
+ */
+authRouter.delete(
+    "/sessions/:id",
+    authenticate,
+    forbidApiKey,
+    forbidImpersonation,
+    sessionIdParamValidator,
+    validate,
+    revokeSession
+);
+
+/**
+ * PATCH /api/v1/auth/password
+ * Change password, revokes other sessions (protected)
+ */
+authRouter.patch(
+    "/password",
+    authenticate,
+    forbidApiKey,
+    forbidImpersonation,
+    changePasswordValidator,
+    validate,
+    changePassword
+);
+
+/**
+ * POST /api/v1/auth/email/change
+ * Request an email change, sends a confirmation link to the new address (protected)
+ */
+authRouter.post(
+    "/email/change",
+    authenticate,
+    forbidApiKey,
+    forbidImpersonation,
+    requestEmailChangeValidator,
+    validate,
+    requestEmailChange
+);
+
+/**
+ * POST /api/v1/auth/email/confirm
+ * Confirm an email change
+ */
+authRouter.post(
+    "/email/confirm",
+    confirmEmailChangeValidator,
+    validate,
+    confirmEmailChange
+);
+
+/**
+ * POST /api/v1/auth/2fa/verify
+ * Second login step: exchange the mfaToken and a TOTP/recovery code for a session
+ */
+authRouter.post(
+    "/2fa/verify",
+    verifyMfaValidator,
+    validate,
+    verifyMfaLogin
+);
+
+/**
+ * POST /api/v1/auth/2fa/setup
+ * Start 2FA enrollment, returns secret and otpauth URI (protected)
+ */
+authRouter.post(
+    "/2fa/setup",
+    authenticate,
+    forbidApiKey,
+    forbidImpersonation,
+    setupTwoFactor
+);
+
+/**
+ * POST /api/v1/auth/2fa/confirm
+ * Confirm 2FA enrollment, returns recovery codes (protected)
+ */
+authRouter.post(
+    "/2fa/confirm",
+    authenticate,
+    forbidApiKey,
+    forbidImpersonation,
+    totpCodeValidator,
+    validate,
+    confirmTwoFactor
+);
+
+/**
+ * POST /api/v1/auth/2fa/disable
+ * Disable 2FA (protected, not allowed for admin roles)
+ */
+authRouter.post(
+    "/2fa/disable",
+    authenticate,
+    forbidApiKey,
+    forbidImpersonation,
+    disableTwoFactorValidator,
+    validate,
+    disableTwoFactor
+);
+
+/**
+ * POST /api/v1/auth/2fa/recovery-codes
+ * Regenerate recovery codes (protected)
+ */
+authRouter.post(
+    "/2fa/recovery-codes",
+    authenticate,
+    forbidApiKey,
+    forbidImpersonation,
+    totpCodeValidator,
+    validate,
+    regenerateRecoveryCodes
+);
+
 export default authRouter;
@@ -0,0 +1,72 @@
+import { Router } from "express";
+import {
+    openDispute,
+    getDisputes,
+    getDispute,
+    resolveDispute,
+} from "../controllers/DisputeController.js";
+import validate from "../validators/validate.js";
+import {
+    disputeIdParamValidator,
+    openDisputeValidator,
+    listDisputesValidator,
+    resolveDisputeValidator,
+} from "../validators/disputeValidators.js";
+import { authenticate } from "../middlewares/authMiddleware.js";
+import { requirePermission } from "../middlewares/permissionMiddleware.js";
+import { Permission } from "../configs/permissions.js";
+
+const disputesRouter = Router();
+
+// Apply authentication to all routes
+disputesRouter.use(authenticate);
+
+/**
+ * POST /api/v1/disputes
+ * Open a dispute on a PAID or ACTIVE order as its buyer or seller (orders:manage-own)
+ */
+disputesRouter.post(
+    "/",
+    requirePermission(Permission.ORDERS_MANAGE_OWN),
+    openDisputeValidator,
+    validate,
+    openDispute
+);
+
+/**
+ * GET /api/v1/disputes
+ * Dispute queue, open disputes by default, oldest first (disputes:resolve)
+ */
+disputesRouter.get(
+    "/",
+    requirePermission(Permission.DISPUTES_RESOLVE),
+    listDisputesValidator,
+    validate,
+    getDisputes
+);
+
+/**
+ * GET /api/v1/disputes/:id
+ * Get a dispute with its order and payment (disputes:resolve)
+ */
+disputesRouter.get(
+    "/:id",
+    requirePermission(Permission.DISPUTES_RESOLVE),
+    disputeIdParamValidator,
+    validate,
+    getDispute
+);
+
+/**
+ * PATCH /api/v1/disputes/:id/resolve
+ * Complete the order for the seller, refund the buyer, or refund part of the payment (disputes:resolve)
+ */
+disputesRouter.patch(
+    "/:id/resolve",
+    requirePermission(Permission.DISPUTES_RESOLVE),
+    resolveDisputeValidator,
+    validate,
+    resolveDispute
+);
+
+export default disputesRouter;
@@ -16,16 +16,20 @@ import {
     deleteListingValidator,
     browseListingsValidator,
 } from "../validators/listingValidators.js";
-import { authenticate, requireStudent } from "../middlewares/authMiddleware.js";
+import { authenticate, optionalAuth, requireApiKeyScope } from "../middlewares/authMiddleware.js";
+import { requirePermission } from "../middlewares/permissionMiddleware.js";
+import { Permission } from "../configs/permissions.js";
 
 const listingsRouter = Router();
 
 /**
  * GET /api/v1/listings
- * Browse listings with filters, sorting, and pagination (Public)
+ * Browse listings with filters, sorting, and pagination (Public, API keys need listings:read)
  */
 listingsRouter.get(
     "/",
+    optionalAuth,
+    requireApiKeyScope(Permission.LISTINGS_READ),
     browseListingsValidator,
     validate,
     browseListings
@@ -42,22 +46,24 @@ listingsRouter.get(
 
 /**
  * GET /api/v1/listings/my-inventory
- * Get student's own listings (Protected - Student only)
+ * Get student's own listings (Protected - listings:manage-own)
  */
 listingsRouter.get(
     "/my-inventory",
     authenticate,
-    requireStudent,
+    requirePermission(Permission.LISTINGS_MANAGE_OWN),
     getMyInventory
 );
 
 /**
  * GET /api/v1/listings/:id
- * Get a single listing by ID (Public)
+ * Get a single listing by ID (Public, API keys need listings:read)
  * NOTE: This route MUST be defined after /my-inventory to avoid UUID mismatch
  */
 listingsRouter.get(
     "/:id",
+    optionalAuth,
+    requireApiKeyScope(Permission.LISTINGS_READ),
     getListingValidator,
     validate,
     getListing
@@ -65,12 +71,12 @@ listingsRouter.get(
 
 /**
  * POST /api/v1/listings
- * Create a new listing (Protected - Student only, verified)
+ * Create a new listing (Protected - listings:create, verified)
  */
 listingsRouter.post(
     "/",
     authenticate,
-    requireStudent,
+    requirePermission(Permission.LISTINGS_CREATE),
     createListingValidator,
     validate,
     createListing
@@ -83,7 +89,7 @@ listingsRouter.post(
 listingsRouter.put(
     "/:id",
     authenticate,
-    requireStudent,
+    requirePermission(Permission.LISTINGS_MANAGE_OWN),
     updateListingValidator,
     validate,
     updateListing
@@ -96,7 +102,7 @@ listingsRouter.put(
 listingsRouter.patch(
     "/:id",
     authenticate,
-    requireStudent,
+    requirePermission(Permission.LISTINGS_MANAGE_OWN),
     updateListingValidator,
     validate,
     updateListing
@@ -109,7 +115,7 @@ listingsRouter.patch(
 listingsRouter.delete(
     "/:id",
     authenticate,
-    requireStudent,
+    requirePermission(Permission.LISTINGS_MANAGE_OWN),
     deleteListingValidator,
     validate,
     deleteListing
@@ -13,7 +13,9 @@ import {
     updateOrderStatusValidator,
     orderCancelParamValidator,
 } from "../validators/orderValidators.js";
-import { authenticate, requireStudent } from "../middlewares/authMiddleware.js";
+import { authenticate } from "../middlewares/authMiddleware.js";
+import { requirePermission } from "../middlewares/permissionMiddleware.js";
+import { Permission } from "../configs/permissions.js";
 
 const orderRouter = Router();
 
@@ -23,11 +25,11 @@ orderRouter.use(authenticate);
 /**
  * POST /api/v1/orders/sell
  * Create a new SELL order
- * Requires: STUDENT role (verified via requireStudent)
+ * Requires: orders:create permission
  */
 orderRouter.post(
     "/sell",
-    requireStudent,
+    requirePermission(Permission.ORDERS_CREATE),
     createSellOrderValidator,
     validate,
     createSellOrder
@@ -36,33 +38,33 @@ orderRouter.post(
 /**
  * GET /api/v1/orders/buyer
  * Get orders where current user is the buyer
- * Requires: STUDENT role
+ * Requires: orders:manage-own permission
  */
 orderRouter.get(
     "/buyer",
-    requireStudent,
+    requirePermission(Permission.ORDERS_MANAGE_OWN),
     getBuyerOrders
 );
 
 /**
  * GET /api/v1/orders/seller
  * Get orders where current user is the seller
- * Requires: STUDENT role
+ * Requires: orders:manage-own permission
  */
 orderRouter.get(
     "/seller",
-    requireStudent,
+    requirePermission(Permission.ORDERS_MANAGE_OWN),
     getSellerOrders
 );
 
 /**
  * PATCH /api/v1/orders/:id/status
  * Update order status
- * Requires: STUDENT role
+ * Requires: orders:manage-own permission
  */
 orderRouter.patch(
     "/:id/status",
-    requireStudent,
+    requirePermission(Permission.ORDERS_MANAGE_OWN),
     orderStatusParamValidator,
     updateOrderStatusValidator,
     validate,
@@ -72,11 +74,11 @@ orderRouter.patch(
 /**
  * PATCH /api/v1/orders/:id/cancel
  * Cancel an order
- * Requires: STUDENT role
+ * Requires: orders:manage-own permission
  */
 orderRouter.patch(
     "/:id/cancel",
-    requireStudent,
+    requirePermission(Permission.ORDERS_MANAGE_OWN),
     orderCancelParamValidator,
     validate,
     cancelOrder
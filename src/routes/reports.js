@@ -0,0 +1,127 @@
+import { Router } from "express";
+import {
+    createReport,
+    getReports,
+    getReport,
+    claimReport,
+    assignReport,
+    addReportNote,
+    resolveReport,
+    rejectReport,
+} from "../controllers/ReportController.js";
+import validate from "../validators/validate.js";
+import {
+    createReportValidator,
+    listReportsValidator,
+    reportIdParamValidator,
+    assignReportValidator,
+    addReportNoteValidator,
+    resolveReportValidator,
+    rejectReportValidator,
+} from "../validators/reportValidators.js";
+import { authenticate } from "../middlewares/authMiddleware.js";
+import { requirePermission } from "../middlewares/permissionMiddleware.js";
+import { Permission } from "../configs/permissions.js";
+
+const reportsRouter = Router();
+
+// Apply authentication to all routes
+reportsRouter.use(authenticate);
+
+/**
+ * POST /api/v1/reports
+ * Report a listing or a user (reports:create)
+ */
+reportsRouter.post(
+    "/",
+    requirePermission(Permission.REPORTS_CREATE),
+    createReportValidator,
+    validate,
+    createReport
+);
+
+/**
+ * GET /api/v1/reports
+ * Moderation queue, open and in-review reports by default (reports:resolve)
+ */
+reportsRouter.get(
+    "/",
+    requirePermission(Permission.REPORTS_RESOLVE),
+    listReportsValidator,
+    validate,
+    getReports
+);
+
+/**
+ * GET /api/v1/reports/:id
+ * Get a report with its notes (reports:resolve)
+ */
+reportsRouter.get(
+    "/:id",
+    requirePermission(Permission.REPORTS_RESOLVE),
+    reportIdParamValidator,
+    validate,
+    getReport
+);
+
+/**
+ * PATCH /api/v1/reports/:id/claim
+ * Claim a report for review (reports:resolve)
+ */
+reportsRouter.patch(
+    "/:id/claim",
+    requirePermission(Permission.REPORTS_RESOLVE),
+    reportIdParamValidator,
+    validate,
+    claimReport
+);
+
+/**
+ * PATCH /api/v1/reports/:id/assign
+ * Assign a report to another moderator (reports:resolve)
+ */
+reportsRouter.patch(
+    "/:id/assign",
+    requirePermission(Permission.REPORTS_RESOLVE),
+    assignReportValidator,
+    validate,
+    assignReport
+);
+
+/**
+ * POST /api/v1/reports/:id/notes
+ * Add an internal note (reports:resolve)
+ */
+reportsRouter.post(
+    "/:id/notes",
+    requirePermission(Permission.REPORTS_RESOLVE),
+    addReportNoteValidator,
+    validate,
+    addReportNote
+);
+
+/**
+ * PATCH /api/v1/reports/:id/resolve
+ * Resolve a report, optionally hiding the listing or suspending the user (reports:resolve)
+ */
+reportsRouter.patch(
+    "/:id/resolve",
+    requirePermission(Permission.REPORTS_RESOLVE),
+    resolveReportValidator,
+    validate,
+    resolveReport
+);
+
+/**
+ * PATCH /api/v1/reports/:id/reject
+ * Reject a report (reports:resolve)
+ */
+reportsRouter.patch(
+    "/:id/reject",
+    requirePermission(Permission.REPORTS_RESOLVE),
+    rejectReportValidator,
+    validate,
+    rejectReport
+);
+
+export default reportsRouter;
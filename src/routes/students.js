@@ -0,0 +1,83 @@
+import { Router } from "express";
+import {
+    getMyProfile,
+    updateMyProfile,
+    exportMyData,
+    deleteMyAccount,
+    getPublicProfile,
+} from "../controllers/StudentController.js";
+import validate from "../validators/validate.js";
+import {
+    updateProfileValidator,
+    deleteAccountValidator,
+    studentIdParamValidator,
+} from "../validators/studentValidators.js";
+import { authenticate, forbidImpersonation } from "../middlewares/authMiddleware.js";
+import { requirePermission } from "../middlewares/permissionMiddleware.js";
+import { Permission } from "../configs/permissions.js";
+
+const studentsRouter = Router();
+
+/**
+ * GET /api/v1/students/me
+ * Get current student's profile (Protected - profile:manage)
+ */
+studentsRouter.get(
+    "/me",
+    authenticate,
+    requirePermission(Permission.PROFILE_MANAGE),
+    getMyProfile
+);
+
+/**
+ * PATCH /api/v1/students/me
+ * Update current student's profile (Protected - profile:manage)
+ */
+studentsRouter.patch(
+    "/me",
+    authenticate,
+    requirePermission(Permission.PROFILE_MANAGE),
+    updateProfileValidator,
+    validate,
+    updateMyProfile
+);
+
+/**
+ * DELETE /api/v1/students/me
+ * Close own account, anonymizing personal data (Protected - profile:manage)
+ */
+studentsRouter.delete(
+    "/me",
+    authenticate,
+    forbidImpersonation,
+    requirePermission(Permission.PROFILE_MANAGE),
+    deleteAccountValidator,
+    validate,
+    deleteMyAccount
+);
+
+/**
+ * GET /api/v1/students/me/export
+ * Download own data as JSON (Protected - profile:manage)
+ */
+studentsRouter.get(
+    "/me/export",
+    authenticate,
+    forbidImpersonation,
+    requirePermission(Permission.PROFILE_MANAGE),
+    exportMyData
+);
+
+/**
+ * GET /api/v1/students/:id
+ * Get a student's public seller profile (Public)
+ * NOTE: This route MUST be defined after /me to avoid UUID mismatch
+ */
+studentsRouter.get(
+    "/:id",
+    studentIdParamValidator,
+    validate,
+    getPublicProfile
+);
+
+export default studentsRouter;
@@ -0,0 +1,130 @@
+import { Router } from "express";
+import {
+    getUniversities,
+    createUniversity,
+    updateUniversity,
+    deleteUniversity,
+    addDomain,
+    removeDomain,
+    joinWaitlist,
+    getWaitlist,
+} from "../controllers/UniversityController.js";
+import validate from "../validators/validate.js";
+import {
+    universityIdParamValidator,
+    listUniversitiesValidator,
+    createUniversityValidator,
+    updateUniversityValidator,
+    addDomainValidator,
+    removeDomainValidator,
+    joinWaitlistValidator,
+    getWaitlistValidator,
+} from "../validators/universityValidators.js";
+import { authenticate, optionalAuth } from "../middlewares/authMiddleware.js";
+import { requirePermission } from "../middlewares/permissionMiddleware.js";
+import { Permission } from "../configs/permissions.js";
+
+const universitiesRouter = Router();
+
+/**
+ * GET /api/v1/universities
+ * List supported universities (Public)
+ */
+universitiesRouter.get(
+    "/",
+    optionalAuth,
+    listUniversitiesValidator,
+    validate,
+    getUniversities
+);
+
+/**
+ * POST /api/v1/universities/waitlist
+ * Join the waitlist for an unsupported university (Public)
+ */
+universitiesRouter.post(
+    "/waitlist",
+    joinWaitlistValidator,
+    validate,
+    joinWaitlist
+);
+
+/**
+ * GET /api/v1/universities/waitlist
+ * View waitlist entries and demand per domain (universities:manage)
+ */
+universitiesRouter.get(
+    "/waitlist",
+    authenticate,
+    requirePermission(Permission.UNIVERSITIES_MANAGE),
+    getWaitlistValidator,
+    validate,
+    getWaitlist
+);
+
+/**
+ * POST /api/v1/universities
+ * Create a university with its allowed domains (universities:manage)
+ */
+universitiesRouter.post(
+    "/",
+    authenticate,
+    requirePermission(Permission.UNIVERSITIES_MANAGE),
+    createUniversityValidator,
+    validate,
+    createUniversity
+);
+
+/**
+ * PATCH /api/v1/universities/:id
+ * Rename or (de)activate a university (universities:manage)
+ */
+universitiesRouter.patch(
+    "/:id",
+    authenticate,
+    requirePermission(Permission.UNIVERSITIES_MANAGE),
+    updateUniversityValidator,
+    validate,
+    updateUniversity
+);
+
+/**
+ * DELETE /api/v1/universities/:id
+ * Delete a university without students (universities:manage)
+ */
+universitiesRouter.delete(
+    "/:id",
+    authenticate,
+    requirePermission(Permission.UNIVERSITIES_MANAGE),
+    universityIdParamValidator,
+    validate,
+    deleteUniversity
+);
+
+/**
+ * POST /api/v1/universities/:id/domains
+ * Allow an email domain (universities:manage)
+ */
+universitiesRouter.post(
+    "/:id/domains",
+    authenticate,
+    requirePermission(Permission.UNIVERSITIES_MANAGE),
+    addDomainValidator,
+    validate,
+    addDomain
+);
+
+/**
+ * DELETE /api/v1/universities/:id/domains/:domain
+ * Remove an allowed email domain (universities:manage)
+ */
+universitiesRouter.delete(
+    "/:id/domains/:domain",
+    authenticate,
+    requirePermission(Permission.UNIVERSITIES_MANAGE),
+    removeDomainValidator,
+    validate,
+    removeDomain
+);
+
+export default universitiesRouter;
@@ -0,0 +1,83 @@
+import { Router } from "express";
+import {
+    submitVerification,
+    getMyVerification,
+    getVerifications,
+    approveVerification,
+    rejectVerification,
+} from "../controllers/StudentVerificationController.js";
+import validate from "../validators/validate.js";
+import {
+    submitVerificationValidator,
+    listVerificationsValidator,
+    approveVerificationValidator,
+    rejectVerificationValidator,
+} from "../validators/studentVerificationValidators.js";
+import { authenticate } from "../middlewares/authMiddleware.js";
+import { requirePermission } from "../middlewares/permissionMiddleware.js";
+import { Permission } from "../configs/permissions.js";
+
+const verificationsRouter = Router();
+
+// Apply authentication to all routes
+verificationsRouter.use(authenticate);
+
+/**
+ * POST /api/v1/verifications
+ * Submit a student ID and ID-card image for verification (verifications:submit)
+ */
+verificationsRouter.post(
+    "/",
+    requirePermission(Permission.VERIFICATIONS_SUBMIT),
+    submitVerificationValidator,
+    validate,
+    submitVerification
+);
+
+/**
+ * GET /api/v1/verifications/me
+ * Get current student's verification status (verifications:submit)
+ */
+verificationsRouter.get(
+    "/me",
+    requirePermission(Permission.VERIFICATIONS_SUBMIT),
+    getMyVerification
+);
+
+/**
+ * GET /api/v1/verifications
+ * Review queue, PENDING by default (verifications:review)
+ */
+verificationsRouter.get(
+    "/",
+    requirePermission(Permission.VERIFICATIONS_REVIEW),
+    listVerificationsValidator,
+    validate,
+    getVerifications
+);
+
+/**
+ * PATCH /api/v1/verifications/:id/approve
+ * Approve a verification request (verifications:review)
+ */
+verificationsRouter.patch(
+    "/:id/approve",
+    requirePermission(Permission.VERIFICATIONS_REVIEW),
+    approveVerificationValidator,
+    validate,
+    approveVerification
+);
+
+/**
+ * PATCH /api/v1/verifications/:id/reject
+ * Reject a verification request with a reason (verifications:review)
+ */
+verificationsRouter.patch(
+    "/:id/reject",
+    requirePermission(Permission.VERIFICATIONS_REVIEW),
+    rejectVerificationValidator,
+    validate,
+    rejectVerification
+);
+
+export default verificationsRouter;
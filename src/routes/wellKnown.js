@@ -0,0 +1,15 @@
+import { Router } from "express";
+import jwtKeys from "../libs/jwtKeys.js";
+
+const wellKnownRouter = Router();
+
+/**
+ * GET /.well-known/jwks.json
+ * Public keys that verify our tokens (empty in HS256 mode)
+ */
+wellKnownRouter.get("/jwks.json", (req, res) => {
+    res.set("Cache-Control", "public, max-age=300");
+    res.status(200).json(jwtKeys.getJwks());
+});
+
+export default wellKnownRouter;
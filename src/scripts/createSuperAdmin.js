@@ -0,0 +1,72 @@
+import bcrypt from "bcryptjs";
+import validator from "validator";
+import prismaClient from "../libs/database.js";
+import AuthRepository from "../repositories/AuthRepository.js";
+import { logger } from "../libs/winston.js";
+
+/**
+ * Bootstrap the first SUPER_ADMIN
+ *
+ * Usage: SUPER_ADMIN_EMAIL=... SUPER_ADMIN_PASSWORD=... npm run create-super-admin
+ *
+ * Refuses to run when a super admin already exists or the email is taken,
+ * so running it twice (or against a live database) never changes anything.
+ * Pass --allow-additional to create another super admin on purpose.
+ */
+
+const PASSWORD_RULES = [
+    [/.{12,}/, "be at least 12 characters long"],
+    [/\d/, "contain at least one number"],
+    [/[A-Z]/, "contain at least one uppercase letter"],
+    [/[a-z]/, "contain at least one lowercase letter"],
+    [/[!@#$%^&*(),.?":{}|<>]/, "contain at least one special character"],
+];
+
+const createSuperAdmin = async () => {
+    const rawEmail = process.env.SUPER_ADMIN_EMAIL?.trim();
+    const password = process.env.SUPER_ADMIN_PASSWORD;
+    const allowAdditional = process.argv.includes("--allow-additional");
+
+    if (!rawEmail || !password) {
+        throw new Error("SUPER_ADMIN_EMAIL and SUPER_ADMIN_PASSWORD must be set");
+    }
+
+    if (!validator.isEmail(rawEmail)) {
+        throw new Error("SUPER_ADMIN_EMAIL is not a valid email address");
+    }
+
+    // Same normalization as the auth validators' normalizeEmail(), so the stored
+    // email matches what login looks up
+    const email = validator.normalizeEmail(rawEmail);
+
+    const failedRules = PASSWORD_RULES.filter(([pattern]) => !pattern.test(password));
+
+    if (failedRules.length > 0) {
+        throw new Error(`SUPER_ADMIN_PASSWORD must ${failedRules.map(([, rule]) => rule).join(", ")}`);
+    }
+
+    const authRepository = new AuthRepository(prismaClient);
+
+    const superAdminCount = await authRepository.countSuperAdmins();
+
+    if (superAdminCount > 0 && !allowAdditional) {
+        throw new Error("A super admin already exists. Re-run with --allow-additional to create another one");
+    }
+
+    if (await authRepository.findUserByEmail(email)) {
+        throw new Error(`A user with email ${email} already exists`);
+    }
+
+    const hashedPassword = await bcrypt.hash(password, 12);
+    const user = await authRepository.createSuperAdminUser({ email, password: hashedPassword });
+
+    logger.info("✅ Super admin created", { userId: user.id, email: user.email });
+    logger.info("ℹ️ Sign in and enroll two-factor authentication before using admin endpoints, then unset SUPER_ADMIN_PASSWORD");
+};
+
+createSuperAdmin()
+    .then(() => process.exit(0))
+    .catch((error) => {
+        logger.error(`❌ Could not create super admin: ${error.message}`);
+        process.exit(1);
+    });
@@ -0,0 +1,50 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import environment from "../configs/environment.js";
+import { logger } from "../libs/winston.js";
+
+/**
+ * Generate a new RS256 key pair in JWT_KEYS_DIR
+ *
+ * Usage: npm run generate-jwt-key [-- <kid>]
+ *
+ * The new key is not used for signing until JWT_ACTIVE_KID points at it,
+ * but its public key is served in the JWKS as soon as the server reloads.
+ */
+
+const generateJwtKey = () => {
+    const dir = environment.jwt.keys.dir;
+    const kid = process.argv[2] || `${new Date().toISOString().slice(0, 10)}-${crypto.randomBytes(3).toString("hex")}`;
+
+    if (!/^[A-Za-z0-9_-]+$/.test(kid)) {
+        throw new Error("Key ID may only contain letters, numbers, dashes and underscores");
+    }
+
+    const privateKeyPath = path.join(dir, `${kid}.private.pem`);
+    const publicKeyPath = path.join(dir, `${kid}.public.pem`);
+
+    if (fs.existsSync(privateKeyPath) || fs.existsSync(publicKeyPath)) {
+        throw new Error(`A key with ID "${kid}" already exists in ${dir}`);
+    }
+
+    const { publicKey, privateKey } = crypto.generateKeyPairSync("rsa", {
+        modulusLength: 2048,
+        publicKeyEncoding: { type: "spki", format: "pem" },
+        privateKeyEncoding: { type: "pkcs8", format: "pem" },
+    });
+
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(privateKeyPath, privateKey, { mode: 0o600 });
+    fs.writeFileSync(publicKeyPath, publicKey);
+
+    logger.info("✅ JWT key pair generated", { kid, dir });
+    logger.info(`ℹ️ Set JWT_ACTIVE_KID=${kid} to start signing with it`);
+};
+
+try {
+    generateJwtKey();
+} catch (error) {
+    logger.error(`❌ Could not generate JWT key: ${error.message}`);
+    process.exitCode = 1;
+}
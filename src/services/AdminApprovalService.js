@@ -1,14 +1,51 @@
 import { NotFoundError, BadRequestError, ForbiddenError } from "../errors/errors.js";
+import environment from "../configs/environment.js";
+
+/**
+ * Build the error an admin without approved status gets on admin routes
+ * @param {object} admin - Admin record ({ status, statusReason })
+ * @returns {ForbiddenError|null} Error, or null if the admin is approved
+ */
+export const adminAccessError = (admin) => {
+    const reason = admin.statusReason ? ` Reason: ${admin.statusReason}` : "";
+
+    switch (admin.status) {
+        case "APPROVED":
+            return null;
+        case "REJECTED":
+            return new ForbiddenError(`Your admin application was rejected.${reason}`);
+        case "REVOKED":
+            return new ForbiddenError(`Your admin access has been revoked.${reason}`);
+        default:
+            return new ForbiddenError("Admin approval pending. Please wait for Super Admin approval.");
+    }
+};
 
 export default class AdminApprovalService {
     /**
      * @param {import('../repositories/AdminRepository.js').default} adminRepository
+     * @param {import('../repositories/AuthRepository.js').default} authRepository
+     * @param {import('../repositories/TokenDenylistRepository.js').default} tokenDenylistRepository
+     * @param {import('./AuditLogService.js').default} auditLogService
      */
-    constructor(adminRepository) {
+    constructor(adminRepository, authRepository, tokenDenylistRepository, auditLogService) {
         if (!adminRepository) {
             throw new Error("AdminRepository is required");
         }
+        if (!authRepository) {
+            throw new Error("AuthRepository is required");
+        }
+        if (!tokenDenylistRepository) {
+            throw new Error("TokenDenylistRepository is required");
+        }
+        if (!auditLogService) {
+            throw new Error("AuditLogService is required");
+        }
         this.adminRepository = adminRepository;
+        this.authRepository = authRepository;
+        this.tokenDenylistRepository = tokenDenylistRepository;
+        this.auditLogService = auditLogService;
+        this.reapplyCooldownMs = environment.auth.adminReapplyCooldownDays * 24 * 60 * 60 * 1000;
     }
 
     /**
@@ -24,48 +61,151 @@ export default class AdminApprovalService {
     /**
      * Approve an admin
      * @param {string} adminId - Admin ID to approve
-     * @param {string} approvedById - SuperAdmin user ID who is approving
+     * @param {string} approverUserId - User ID of the approving SuperAdmin
+     * @param {object} context - Audit context (see auditContext)
      * @returns {object} Approved admin
      */
-    async approveAdmin(adminId, approvedById) {
-        // Check if admin exists
-        const admin = await this.adminRepository.findAdminById(adminId);
-        
+    async approveAdmin(adminId, approverUserId, context) {
+        const superAdmin = await this._getSuperAdmin(approverUserId, "approve");
+        const admin = await this._getAdminInStatus(adminId, "PENDING", "Only pending applications can be approved");
+
+        if (!admin.user.isEmailVerified) {
+            throw new BadRequestError("Admin has not verified their email yet");
+        }
+
+        const approvedAdmin = await this.adminRepository.approveAdmin(adminId, superAdmin.id);
+
+        return this._recordStatusChange(context, "admin.approve", admin, approvedAdmin);
+    }
+
+    /**
+     * Reject a pending admin application
+     * The profile is kept as REJECTED; the user may re-apply after the cooldown
+     * @param {string} adminId - Admin ID to reject
+     * @param {string} reason - Reason shown to the applicant
+     * @param {string} rejecterUserId - User ID of the rejecting SuperAdmin
+     * @param {object} context - Audit context (see auditContext)
+     * @returns {object} Rejected admin
+     */
+    async rejectAdmin(adminId, reason, rejecterUserId, context) {
+        const superAdmin = await this._getSuperAdmin(rejecterUserId, "reject");
+        const admin = await this._getAdminInStatus(adminId, "PENDING", "Only pending applications can be rejected");
+
+        const rejectedAdmin = await this.adminRepository.updateStatus(adminId, {
+            fromStatus: "PENDING",
+            status: "REJECTED",
+            reason,
+            changedById: superAdmin.id,
+        });
+
+        return this._recordStatusChange(context, "admin.reject", admin, rejectedAdmin);
+    }
+
+    /**
+     * Revoke an approved admin
+     * Their sessions are revoked and their access tokens, including impersonation
+     * tokens they issued, are denied; grants are kept but inactive
+     * @param {string} adminId - Admin ID to revoke
+     * @param {string} reason - Reason shown to the admin
+     * @param {string} revokerUserId - User ID of the revoking SuperAdmin
+     * @param {object} context - Audit context (see auditContext)
+     * @returns {object} Revoked admin
+     */
+    async revokeAdmin(adminId, reason, revokerUserId, context) {
+        const superAdmin = await this._getSuperAdmin(revokerUserId, "revoke");
+        const admin = await this._getAdminInStatus(adminId, "APPROVED", "Only approved admins can be revoked");
+
+        const revokedAdmin = await this.adminRepository.updateStatus(adminId, {
+            fromStatus: "APPROVED",
+            status: "REVOKED",
+            reason,
+            changedById: superAdmin.id,
+        });
+
+        await this.authRepository.revokeAllUserSessions(admin.userId, "ADMIN_REVOKED");
+        await this.tokenDenylistRepository.denyAllUserTokens(admin.userId);
+
+        return this._recordStatusChange(context, "admin.revoke", admin, revokedAdmin);
+    }
+
+    /**
+     * Reinstate a revoked admin
+     * @param {string} adminId - Admin ID to reinstate
+     * @param {string} [reason] - Reason
+     * @param {string} reinstaterUserId - User ID of the reinstating SuperAdmin
+     * @param {object} context - Audit context (see auditContext)
+     * @returns {object} Reinstated admin
+     */
+    async reinstateAdmin(adminId, reason, reinstaterUserId, context) {
+        const superAdmin = await this._getSuperAdmin(reinstaterUserId, "reinstate");
+        const admin = await this._getAdminInStatus(adminId, "REVOKED", "Only revoked admins can be reinstated");
+
+        const reinstatedAdmin = await this.adminRepository.updateStatus(adminId, {
+            fromStatus: "REVOKED",
+            status: "APPROVED",
+            reason,
+            changedById: superAdmin.id,
+        });
+
+        return this._recordStatusChange(context, "admin.reinstate", admin, reinstatedAdmin);
+    }
+
+    /**
+     * Re-submit a rejected admin application
+     * @param {string} userId - Admin's user ID
+     * @param {object} context - Audit context (see auditContext)
+     * @returns {object} Pending admin
+     */
+    async reapply(userId, context) {
+        const admin = await this.adminRepository.findAdminByUserId(userId);
+
         if (!admin) {
-            throw new NotFoundError("Admin not found");
+            throw new NotFoundError("Admin profile not found");
         }
 
-        // Check if already approved
-        if (admin.isApproved) {
-            throw new BadRequestError("Admin is already approved");
+        if (admin.status !== "REJECTED") {
+            throw new BadRequestError("Only rejected applications can be re-submitted");
         }
 
-        // Approve the admin
-        const approvedAdmin = await this.adminRepository.approveAdmin(adminId, approvedById);
+        const canReapplyAt = this._getReapplyDate(admin);
 
-        return this._formatAdminResponse(approvedAdmin);
+        if (canReapplyAt > new Date()) {
+            throw new BadRequestError(`You can re-apply after ${canReapplyAt.toISOString()}`);
+        }
+
+        const pendingAdmin = await this.adminRepository.updateStatus(admin.id, {
+            fromStatus: "REJECTED",
+            status: "PENDING",
+        });
+
+        return this._recordStatusChange(context, "admin.reapply", admin, pendingAdmin);
     }
 
     /**
-     * Reject an admin (delete admin record, keep user)
-     * @param {string} adminId - Admin ID to reject
-     * @returns {object} Success message
+     * Get an admin's status history
+     * @param {string} adminId - Admin ID
+     * @returns {object[]} Status changes, oldest first
      */
-    async rejectAdmin(adminId) {
-        // Check if admin exists
+    async getStatusHistory(adminId) {
         const admin = await this.adminRepository.findAdminById(adminId);
-        
+
         if (!admin) {
             throw new NotFoundError("Admin not found");
         }
 
-        // Delete admin record (User is NOT deleted)
-        await this.adminRepository.deleteAdmin(adminId);
+        const history = await this.adminRepository.findStatusHistory(adminId);
 
-        return {
-            message: "Admin rejected successfully",
-            adminId,
-        };
+        return history.map((change) => ({
+            id: change.id,
+            status: change.status,
+            reason: change.reason,
+            changedBy: change.changedBy ? {
+                id: change.changedBy.id,
+                userId: change.changedBy.userId,
+                email: change.changedBy.user?.email,
+            } : null,
+            createdAt: change.createdAt,
+        }));
     }
 
     /**
@@ -83,8 +223,12 @@ export default class AdminApprovalService {
         return {
             id: admin.id,
             userId: admin.userId,
-            isApproved: admin.isApproved,
+            status: admin.status,
+            isApproved: admin.status === "APPROVED",
+            statusReason: admin.statusReason,
+            statusChangedAt: admin.statusChangedAt,
             approvedAt: admin.approvedAt,
+            canReapplyAt: admin.status === "REJECTED" ? this._getReapplyDate(admin) : undefined,
         };
     }
 
@@ -103,6 +247,74 @@ export default class AdminApprovalService {
         return this._formatAdminResponse(admin);
     }
 
+    /**
+     * Find the super admin record behind a user
+     * @param {string} userId - User ID
+     * @param {string} action - Action name for the error message
+     * @returns {object} SuperAdmin record
+     */
+    async _getSuperAdmin(userId, action) {
+        const superAdmin = await this.adminRepository.findSuperAdminByUserId(userId);
+
+        if (!superAdmin) {
+            throw new ForbiddenError(`Only super admins can ${action} admins`);
+        }
+
+        return superAdmin;
+    }
+
+    /**
+     * Load an admin that must be in a given status
+     * @param {string} adminId - Admin ID
+     * @param {string} status - Required AdminStatus
+     * @param {string} message - Error message when it is not
+     * @returns {object} Admin record
+     */
+    async _getAdminInStatus(adminId, status, message) {
+        const admin = await this.adminRepository.findAdminById(adminId);
+
+        if (!admin) {
+            throw new NotFoundError("Admin not found");
+        }
+
+        if (admin.status !== status) {
+            throw new BadRequestError(`${message}. Admin is ${admin.status.toLowerCase()}`);
+        }
+
+        return admin;
+    }
+
+    /**
+     * Audit-log a status change and format the updated admin
+     * @param {object} context - Audit context
+     * @param {string} action - Audit action
+     * @param {object} before - Admin before the change
+     * @param {object} after - Admin after the change
+     * @returns {object} Formatted admin
+     */
+    async _recordStatusChange(context, action, before, after) {
+        const formatted = this._formatAdminResponse(after);
+
+        await this.auditLogService.record(context, {
+            action,
+            targetType: "Admin",
+            targetId: after.id,
+            before: this._formatAdminResponse(before),
+            after: formatted,
+        });
+
+        return formatted;
+    }
+
+    /**
+     * When a rejected applicant may re-apply
+     * @param {object} admin - Admin record
+     * @returns {Date} Earliest re-application date
+     */
+    _getReapplyDate(admin) {
+        return new Date((admin.statusChangedAt ?? admin.createdAt).getTime() + this.reapplyCooldownMs);
+    }
+
     /**
      * Format admin response
      * @param {object} admin - Admin object from database
@@ -112,7 +324,10 @@ export default class AdminApprovalService {
         return {
             id: admin.id,
             userId: admin.userId,
-            isApproved: admin.isApproved,
+            status: admin.status,
+            isApproved: admin.status === "APPROVED",
+            statusReason: admin.statusReason,
+            statusChangedAt: admin.statusChangedAt,
             approvedAt: admin.approvedAt,
             createdAt: admin.createdAt,
             user: admin.user ? {
@@ -130,6 +345,14 @@ export default class AdminApprovalService {
                     email: admin.approvedBy.user.email,
                 } : undefined,
             } : undefined,
+            statusChangedBy: admin.statusChangedBy ? {
+                id: admin.statusChangedBy.id,
+                userId: admin.statusChangedBy.userId,
+                user: admin.statusChangedBy.user ? {
+                    id: admin.statusChangedBy.user.id,
+                    email: admin.statusChangedBy.user.email,
+                } : undefined,
+            } : undefined,
         };
     }
 }
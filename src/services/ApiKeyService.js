@@ -0,0 +1,235 @@
+import { BlockList, isIP } from "net";
+import crypto from "crypto";
+import { ForbiddenError, NotFoundError, UnauthorizedError } from "../errors/errors.js";
+import { generateRandomToken, hashToken } from "../utils/tokens.js";
+import { logger } from "../libs/winston.js";
+
+const API_KEY_PREFIX = "cmk";
+
+// lastUsedAt is only written this often per key, so a busy integration doesn't
+// turn every request into a database write
+const LAST_USED_WRITE_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Strip the IPv4-mapped IPv6 prefix Express reports on dual-stack sockets
+ * @param {string} ipAddress - Request IP (req.ip, resolved through TRUST_PROXY behind a proxy)
+ * @returns {string} Plain IPv4 or IPv6 address
+ */
+const normalizeIp = (ipAddress = "") => ipAddress.replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/, "");
+
+/**
+ * Check an IP against a key's allow-list of addresses and CIDR ranges
+ * @param {string[]} allowedIps - Addresses or CIDR ranges (empty = any)
+ * @param {string} ipAddress - Request IP (req.ip, resolved through TRUST_PROXY behind a proxy)
+ * @returns {boolean} True if allowed
+ */
+const isIpAllowed = (allowedIps, ipAddress) => {
+    if (allowedIps.length === 0) {
+        return true;
+    }
+
+    const ip = normalizeIp(ipAddress);
+    const family = isIP(ip);
+
+    if (!family) {
+        return false;
+    }
+
+    const list = new BlockList();
+
+    allowedIps.forEach((entry) => {
+        const [address, prefix] = entry.split("/");
+        const type = isIP(address) === 6 ? "ipv6" : "ipv4";
+
+        if (prefix === undefined) {
+            list.addAddress(address, type);
+        } else {
+            list.addSubnet(address, Number(prefix), type);
+        }
+    });
+
+    return list.check(ip, family === 6 ? "ipv6" : "ipv4");
+};
+
+export default class ApiKeyService {
+    /**
+     * @param {import('../repositories/ApiKeyRepository.js').default} apiKeyRepository
+     * @param {import('./AuditLogService.js').default} auditLogService
+     */
+    constructor(apiKeyRepository, auditLogService) {
+        if (!apiKeyRepository) {
+            throw new Error("ApiKeyRepository is required");
+        }
+        if (!auditLogService) {
+            throw new Error("AuditLogService is required");
+        }
+        this.apiKeyRepository = apiKeyRepository;
+        this.auditLogService = auditLogService;
+    }
+
+    /**
+     * Create an API key for the current admin
+     * The plaintext key is only returned here; only its hash is stored
+     * @param {string} ownerId - User ID of the admin or super admin
+     * @param {object} data
+     * @param {string} data.name - Label shown in key listings
+     * @param {string[]} data.scopes - Scopes from API_KEY_SCOPES
+     * @param {string[]} [data.allowedIps] - Addresses or CIDR ranges allowed to use the key
+     * @param {Date} [data.expiresAt] - Expiry (never expires if omitted)
+     * @param {object} context - Audit context (see auditContext)
+     * @returns {object} Key metadata and the plaintext key
+     */
+    async createKey(ownerId, { name, scopes, allowedIps = [], expiresAt = null }, context) {
+        const prefix = crypto.randomBytes(4).toString("hex");
+        const key = `${API_KEY_PREFIX}_${prefix}_${generateRandomToken()}`;
+
+        const apiKey = await this.apiKeyRepository.create({
+            name,
+            prefix,
+            keyHash: hashToken(key),
+            scopes: [...new Set(scopes)],
+            allowedIps: [...new Set(allowedIps)],
+            ownerId,
+            expiresAt,
+        });
+
+        await this.auditLogService.record(context, {
+            action: "api_key.create",
+            targetType: "ApiKey",
+            targetId: apiKey.id,
+            after: this._formatApiKeyResponse(apiKey),
+        });
+
+        return {
+            apiKey: this._formatApiKeyResponse(apiKey),
+            key,
+        };
+    }
+
+    /**
+     * List API keys
+     * Super admins see every key; admins only see their own
+     * @param {object} user - req.user
+     * @returns {object[]} Keys (without hashes)
+     */
+    async listKeys(user) {
+        const apiKeys = await this.apiKeyRepository.findAll(
+            user.role === "SUPER_ADMIN" ? {} : { ownerId: user.id }
+        );
+
+        return apiKeys.map((apiKey) => this._formatApiKeyResponse(apiKey));
+    }
+
+    /**
+     * Revoke an API key
+     * Admins may revoke their own keys; super admins may revoke any key
+     * @param {string} apiKeyId - API key ID
+     * @param {object} user - req.user
+     * @param {object} context - Audit context (see auditContext)
+     * @returns {object} Revoked key
+     */
+    async revokeKey(apiKeyId, user, context) {
+        const apiKey = await this.apiKeyRepository.findById(apiKeyId);
+
+        // Someone else's key is reported as missing, not forbidden
+        if (!apiKey || (apiKey.ownerId !== user.id && user.role !== "SUPER_ADMIN")) {
+            throw new NotFoundError("API key not found");
+        }
+
+        if (apiKey.revokedAt) {
+            return this._formatApiKeyResponse(apiKey);
+        }
+
+        const revoked = await this.apiKeyRepository.revoke(apiKeyId);
+
+        await this.auditLogService.record(context, {
+            action: "api_key.revoke",
+            targetType: "ApiKey",
+            targetId: apiKeyId,
+            before: this._formatApiKeyResponse(apiKey),
+            after: this._formatApiKeyResponse(revoked),
+        });
+
+        return this._formatApiKeyResponse(revoked);
+    }
+
+    /**
+     * Resolve the principal behind a presented API key
+     * @param {string} rawKey - X-API-Key header value
+     * @param {string} ipAddress - Request IP
+     * @returns {object} { id, ownerId, scopes }
+     */
+    async authenticate(rawKey, ipAddress) {
+        const apiKey = await this.apiKeyRepository.findByHash(hashToken(rawKey));
+
+        if (!apiKey || apiKey.revokedAt) {
+            throw new UnauthorizedError("Invalid API key");
+        }
+
+        if (apiKey.expiresAt && apiKey.expiresAt <= new Date()) {
+            throw new UnauthorizedError("API key has expired");
+        }
+
+        // Keys stop working as soon as the owner loses the standing to create them
+        const { owner } = apiKey;
+        const ownerActive = !owner.deletedAt && (
+            owner.role === "SUPER_ADMIN" || (owner.role === "ADMIN" && owner.admin?.status === "APPROVED")
+        );
+
+        if (!ownerActive) {
+            throw new UnauthorizedError("Invalid API key");
+        }
+
+        if (!isIpAllowed(apiKey.allowedIps, ipAddress)) {
+            throw new ForbiddenError("API key is not allowed from this IP address");
+        }
+
+        this._recordUsage(apiKey, normalizeIp(ipAddress));
+
+        return {
+            id: apiKey.id,
+            ownerId: apiKey.ownerId,
+            scopes: apiKey.scopes,
+        };
+    }
+
+    /**
+     * Update last-used tracking without holding up the request
+     * @param {object} apiKey - API key record
+     * @param {string} ipAddress - Request IP
+     */
+    _recordUsage(apiKey, ipAddress) {
+        const recentlyRecorded = apiKey.lastUsedAt
+            && Date.now() - apiKey.lastUsedAt.getTime() < LAST_USED_WRITE_INTERVAL_MS
+            && apiKey.lastUsedIp === ipAddress;
+
+        if (recentlyRecorded) {
+            return;
+        }
+
+        this.apiKeyRepository.touch(apiKey.id, ipAddress).catch((error) => {
+            logger.error("❌ Failed to record API key usage", { apiKeyId: apiKey.id, error: error.message });
+        });
+    }
+
+    /**
+     * Format API key for response
+     * @param {object} apiKey - API key record
+     * @returns {object} Formatted key
+     */
+    _formatApiKeyResponse(apiKey) {
+        return {
+            id: apiKey.id,
+            name: apiKey.name,
+            prefix: `${API_KEY_PREFIX}_${apiKey.prefix}`,
+            scopes: apiKey.scopes,
+            allowedIps: apiKey.allowedIps,
+            owner: apiKey.owner,
+            expiresAt: apiKey.expiresAt,
+            lastUsedAt: apiKey.lastUsedAt,
+            lastUsedIp: apiKey.lastUsedIp,
+            revokedAt: apiKey.revokedAt,
+            createdAt: apiKey.createdAt,
+        };
+    }
+}
@@ -0,0 +1,165 @@
+import { logger } from "../libs/winston.js";
+import { toCsv } from "../utils/csv.js";
+
+// Keys never copied into before/after snapshots
+const REDACTED_KEYS = /password|token|secret|recoverycodes|keyhash/i;
+
+// Upper bound on rows in one CSV export
+const EXPORT_MAX_ROWS = 10000;
+
+/**
+ * Build the audit context of a request: who is acting, from where, in which request
+ * @param {object} req - Express request (after authenticate)
+ * @returns {object} { actorId, actorRole, ipAddress, requestId }
+ */
+export const auditContext = (req) => ({
+    actorId: req.user?.id ?? null,
+    actorRole: req.user?.role ?? null,
+    ipAddress: req.ip ?? null,
+    requestId: req.id ?? null,
+});
+
+/**
+ * Copy a record into a JSON snapshot without credentials
+ * @param {*} value - Record
+ * @returns {*} JSON-safe copy, or undefined
+ */
+const snapshot = (value) => {
+    if (value === undefined || value === null) {
+        return undefined;
+    }
+
+    return JSON.parse(JSON.stringify(value, (key, nested) => (
+        REDACTED_KEYS.test(key) ? undefined : nested
+    )));
+};
+
+export default class AuditLogService {
+    /**
+     * @param {import('../repositories/AuditLogRepository.js').default} auditLogRepository
+     */
+    constructor(auditLogRepository) {
+        if (!auditLogRepository) {
+            throw new Error("AuditLogRepository is required");
+        }
+        this.auditLogRepository = auditLogRepository;
+    }
+
+    /**
+     * Record a privileged action
+     * Write failures are logged, not thrown: the action itself has already happened
+     * @param {object|null} context - auditContext(req), or null for system actions
+     * @param {object} entry
+     * @param {string} entry.action - Dotted action name, e.g. "admin.approve"
+     * @param {string} entry.targetType - e.g. "Admin", "User", "Report"
+     * @param {string} [entry.targetId] - Target ID
+     * @param {object} [entry.before] - Target before the action
+     * @param {object} [entry.after] - Target after the action
+     * @param {object} [entry.metadata] - Anything else worth keeping (reason, request path)
+     */
+    async record(context, { action, targetType, targetId = null, before, after, metadata }) {
+        const entry = {
+            actorId: context?.actorId ?? null,
+            actorRole: context?.actorRole ?? null,
+            action,
+            targetType,
+            targetId,
+            before: snapshot(before),
+            after: snapshot(after),
+            metadata: snapshot(metadata),
+            ipAddress: context?.ipAddress ?? null,
+            requestId: context?.requestId ?? null,
+        };
+
+        try {
+            await this.auditLogRepository.create(entry);
+        } catch (error) {
+            logger.error("❌ Failed to write audit log", { ...entry, error: error.message });
+        }
+    }
+
+    /**
+     * Search the audit log
+     * @param {object} params - Filters, page and limit
+     * @returns {object} Paginated entries
+     */
+    async getEntries(params) {
+        const result = await this.auditLogRepository.findAll(params);
+
+        return {
+            items: result.items.map((entry) => this._formatEntryResponse(entry)),
+            meta: {
+                totalCount: result.totalCount,
+                totalPages: result.totalPages,
+                currentPage: result.currentPage,
+            },
+        };
+    }
+
+    /**
+     * Export matching entries as CSV (newest first, capped at 10,000 rows)
+     * @param {object} filters - Filters
+     * @returns {string} CSV document
+     */
+    async exportCsv(filters) {
+        const entries = await this.auditLogRepository.findForExport(filters, EXPORT_MAX_ROWS);
+
+        return toCsv(
+            [
+                "id",
+                "createdAt",
+                "actorId",
+                "actorEmail",
+                "actorRole",
+                "action",
+                "targetType",
+                "targetId",
+                "ipAddress",
+                "requestId",
+                "before",
+                "after",
+                "metadata",
+            ],
+            entries.map((entry) => [
+                entry.id,
+                entry.createdAt.toISOString(),
+                entry.actorId,
+                entry.actor?.email,
+                entry.actorRole,
+                entry.action,
+                entry.targetType,
+                entry.targetId,
+                entry.ipAddress,
+                entry.requestId,
+                entry.before && JSON.stringify(entry.before),
+                entry.after && JSON.stringify(entry.after),
+                entry.metadata && JSON.stringify(entry.metadata),
+            ])
+        );
+    }
+
+    /**
+     * Format audit log entry for response
+     * @param {object} entry - Entry from database
+     * @returns {object} Formatted entry
+     */
+    _formatEntryResponse(entry) {
+        return {
+            id: entry.id,
+            actor: entry.actorId ? {
+                id: entry.actorId,
+                email: entry.actor?.email,
+                role: entry.actorRole,
+            } : null,
+            action: entry.action,
+            targetType: entry.targetType,
+            targetId: entry.targetId,
+            before: entry.before,
+            after: entry.after,
+            metadata: entry.metadata,
+            ipAddress: entry.ipAddress,
+            requestId: entry.requestId,
+            createdAt: entry.createdAt,
+        };
+    }
+}
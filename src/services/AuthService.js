@@ -1,16 +1,68 @@
 import bcrypt from "bcryptjs";
-import { generateToken, generateRandomToken, hashToken } from "../utils/tokens.js";
-import { BadRequestError, UnauthorizedError, NotFoundError } from "../errors/errors.js";
+import {
+    generateToken,
+    decodeToken,
+    generateTokenId,
+    generateRandomToken,
+    hashToken,
+} from "../utils/tokens.js";
+import { BadRequestError, UnauthorizedError, NotFoundError, ConflictError } from "../errors/errors.js";
+import { logger } from "../libs/winston.js";
+import { OtpPurpose } from "./OtpService.js";
 
 export default class AuthService {
     /**
      * @param {import('../repositories/AuthRepository.js').default} authRepository
+     * @param {import('./MailService.js').default} mailService
+     * @param {import('../repositories/TokenDenylistRepository.js').default} tokenDenylistRepository
+     * @param {import('./LoginThrottleService.js').default} loginThrottleService
+     * @param {import('./TwoFactorService.js').default} twoFactorService
+     * @param {import('./UniversityService.js').default} universityService
+     * @param {import('./OtpService.js').default} otpService
+     * @param {import('./SuspensionService.js').default} suspensionService
      */
-    constructor(authRepository) {
+    constructor(
+        authRepository,
+        mailService,
+        tokenDenylistRepository,
+        loginThrottleService,
+        twoFactorService,
+        universityService,
+        otpService,
+        suspensionService
+    ) {
         if (!authRepository) {
             throw new Error("AuthRepository is required");
         }
+        if (!mailService) {
+            throw new Error("MailService is required");
+        }
+        if (!tokenDenylistRepository) {
+            throw new Error("TokenDenylistRepository is required");
+        }
+        if (!loginThrottleService) {
+            throw new Error("LoginThrottleService is required");
+        }
+        if (!twoFactorService) {
+            throw new Error("TwoFactorService is required");
+        }
+        if (!universityService) {
+            throw new Error("UniversityService is required");
+        }
+        if (!otpService) {
+            throw new Error("OtpService is required");
+        }
+        if (!suspensionService) {
+            throw new Error("SuspensionService is required");
+        }
         this.authRepository = authRepository;
+        this.mailService = mailService;
+        this.tokenDenylistRepository = tokenDenylistRepository;
+        this.loginThrottleService = loginThrottleService;
+        this.twoFactorService = twoFactorService;
+        this.universityService = universityService;
+        this.otpService = otpService;
+        this.suspensionService = suspensionService;
     }
 
     /**
@@ -18,9 +70,12 @@ export default class AuthService {
      * @param {object} params - Registration parameters
      * @param {string} params.email - User email
      * @param {string} params.password - User password
+     * @param {string} [params.verificationMode] - 'link' (default) or 'otp'
+     * @param {string} [params.userAgent] - Client user agent (for the session)
+     * @param {string} [params.ipAddress] - Client IP (for the session)
      * @returns {object} User data and tokens
      */
-    async register({ email, password }) {
+    async register({ email, password, verificationMode = "link", userAgent, ipAddress }) {
         // Check if user already exists
         const existingUser = await this.authRepository.findUserByEmail(email);
         
@@ -28,6 +83,9 @@ export default class AuthService {
             throw new BadRequestError("Email already registered");
         }
 
+        // Only emails on a supported university's domains may register
+        const university = await this.universityService.requireUniversityForEmail(email);
+
         // Hash password
         const hashedPassword = await bcrypt.hash(password, 12);
 
@@ -36,28 +94,52 @@ export default class AuthService {
             email,
             password: hashedPassword,
             role: "STUDENT",
+            universityId: university.id,
         });
 
-        // Generate email verification token
-        const verificationToken = generateRandomToken();
-        const hashedVerificationToken = hashToken(verificationToken);
-        const verificationExpires = new Date(Date.now() + 24 * 60 * 60 * 1000); // 24 hours
-
-        // Store hashed verification token
-        await this.authRepository.setEmailVerificationToken(
-            user.id,
-            hashedVerificationToken,
-            verificationExpires
-        );
+        await this._sendEmailVerification(user, verificationMode);
 
         // Generate JWT tokens
-        const tokens = this._generateTokens(user);
+        const tokens = await this._startSession(user, { userAgent, ipAddress });
+
+        return {
+            user: this._formatUserResponse(user),
+            tokens,
+        };
+    }
+
+    /**
+     * Register a new admin
+     * The admin profile starts unapproved and must be approved by a super admin
+     * @param {object} params - Registration parameters
+     * @param {string} params.email - User email
+     * @param {string} params.password - User password
+     * @param {string} [params.userAgent] - Client user agent (for the session)
+     * @param {string} [params.ipAddress] - Client IP (for the session)
+     * @returns {object} User data and tokens
+     */
+    async registerAdmin({ email, password, userAgent, ipAddress }) {
+        const existingUser = await this.authRepository.findUserByEmail(email);
+
+        if (existingUser) {
+            throw new BadRequestError("Email already registered");
+        }
+
+        const hashedPassword = await bcrypt.hash(password, 12);
+
+        const user = await this.authRepository.createAdminUser({
+            email,
+            password: hashedPassword,
+        });
+
+        await this._sendEmailVerification(user, "link");
+
+        // Pending admins can sign in (e.g. to enroll 2FA) but admin routes stay closed until approval
+        const tokens = await this._startSession(user, { userAgent, ipAddress });
 
         return {
             user: this._formatUserResponse(user),
             tokens,
-            // In production, send this via email, not in response
-            emailVerificationToken: verificationToken,
         };
     }
 
@@ -66,27 +148,95 @@ export default class AuthService {
      * @param {object} params - Login parameters
      * @param {string} params.email - User email
      * @param {string} params.password - User password
-     * @returns {object} User data and tokens
+     * @param {string} [params.userAgent] - Client user agent (for the session)
+     * @param {string} [params.ipAddress] - Client IP (for the session)
+     * @returns {object} User data and tokens, or an MFA challenge if 2FA is enabled
      */
-    async login({ email, password }) {
+    async login({ email, password, userAgent, ipAddress }) {
+        await this.loginThrottleService.assertCanAttempt(email, ipAddress);
+
         const user = await this.authRepository.findUserByEmail(email);
 
         if (!user) {
+            await this.loginThrottleService.recordFailure({ email, ipAddress });
             throw new UnauthorizedError("Invalid credentials");
         }
 
         const isMatch = await bcrypt.compare(password, user.password);
 
         if (!isMatch) {
+            await this.loginThrottleService.recordFailure({ email, ipAddress, user });
             throw new UnauthorizedError("Invalid credentials");
         }
 
+        await this.loginThrottleService.recordSuccess(email, ipAddress);
+
         // Check if email is verified
         if (!user.isEmailVerified) {
             throw new UnauthorizedError("Please verify your email first");
         }
 
-        const tokens = this._generateTokens(user);
+        await this.suspensionService.assertNotSuspended(user.id);
+
+        // Second step required: hand back a short-lived token instead of a session
+        if (user.twoFactorEnabled) {
+            return {
+                mfaRequired: true,
+                mfaToken: generateToken("mfaToken", { userId: user.id, purpose: "mfa" }),
+            };
+        }
+
+        const tokens = await this._startSession(user, { userAgent, ipAddress });
+
+        return {
+            user: this._formatUserResponse(user),
+            tokens,
+        };
+    }
+
+    /**
+     * Complete a two-step login with a TOTP or recovery code
+     * @param {object} params - Verification parameters
+     * @param {string} params.mfaToken - Token returned by login
+     * @param {string} [params.code] - TOTP code
+     * @param {string} [params.recoveryCode] - Recovery code
+     * @param {string} [params.userAgent] - Client user agent (for the session)
+     * @param {string} [params.ipAddress] - Client IP (for the session)
+     * @returns {object} User data and tokens
+     */
+    async verifyMfaLogin({ mfaToken, code, recoveryCode, userAgent, ipAddress }) {
+        let decoded;
+
+        try {
+            decoded = decodeToken("mfaToken", mfaToken);
+        } catch (error) {
+            throw new UnauthorizedError("Invalid or expired MFA token. Please log in again");
+        }
+
+        if (decoded.purpose !== "mfa") {
+            throw new UnauthorizedError("Invalid or expired MFA token. Please log in again");
+        }
+
+        const user = await this.authRepository.findUserById(decoded.userId);
+
+        if (!user || !user.twoFactorEnabled) {
+            throw new UnauthorizedError("Invalid or expired MFA token. Please log in again");
+        }
+
+        await this.loginThrottleService.assertCanAttempt(user.email, ipAddress);
+
+        const isValid = await this.twoFactorService.verifyChallenge(user, { code, recoveryCode });
+
+        if (!isValid) {
+            await this.loginThrottleService.recordFailure({ email: user.email, ipAddress, user });
+            throw new UnauthorizedError("Invalid authentication code");
+        }
+
+        await this.loginThrottleService.recordSuccess(user.email, ipAddress);
+
+        await this.suspensionService.assertNotSuspended(user.id);
+
+        const tokens = await this._startSession(user, { userAgent, ipAddress }, { mfa: true });
 
         return {
             user: this._formatUserResponse(user),
@@ -111,6 +261,30 @@ export default class AuthService {
             throw new BadRequestError("Invalid or expired verification token");
         }
 
+        await this.authRepository.markEmailAsVerified(user.id);
+        await this.otpService.revoke(OtpPurpose.EMAIL_VERIFICATION, user.id);
+
+        return {
+            message: "Email verified successfully",
+        };
+    }
+
+    /**
+     * Verify user email with a numeric code
+     * @param {object} params - Verification parameters
+     * @param {string} params.email - User email
+     * @param {string} params.code - Code from the verification email
+     * @returns {object} Success message
+     */
+    async verifyEmailCode({ email, code }) {
+        const user = await this.authRepository.findUserByEmail(email);
+        const isValid = user && !user.isEmailVerified
+            && await this.otpService.verify(OtpPurpose.EMAIL_VERIFICATION, user.id, code);
+
+        if (!isValid) {
+            throw new BadRequestError("Invalid or expired verification code");
+        }
+
         await this.authRepository.markEmailAsVerified(user.id);
 
         return {
@@ -118,12 +292,38 @@ export default class AuthService {
         };
     }
 
+    /**
+     * Resend the email verification link or code
+     * @param {object} params - Resend parameters
+     * @param {string} params.email - User email
+     * @param {string} [params.mode] - 'link' (default) or 'otp'
+     * @returns {object} Success message (don't reveal if email exists)
+     */
+    async resendVerification({ email, mode = "link" }) {
+        // Cooldown applies per address, whether or not an account exists
+        await this.otpService.startCooldown(OtpPurpose.EMAIL_VERIFICATION, email);
+
+        const user = await this.authRepository.findUserByEmail(email);
+
+        if (user && !user.isEmailVerified) {
+            await this._sendEmailVerification(user, mode);
+        }
+
+        return { message: "If the email needs verification, a new message will be sent" };
+    }
+
     /**
      * Request password reset
      * @param {string} email - User email
+     * @param {string} [mode] - 'link' (default) or 'otp'
      * @returns {object} Success message (don't reveal if email exists)
      */
-    async forgotPassword(email) {
+    async forgotPassword(email, mode = "link") {
+        // Re-issuing a code resets its attempt counter, so code requests are rate limited
+        if (mode === "otp") {
+            await this.otpService.startCooldown(OtpPurpose.PASSWORD_RESET, email);
+        }
+
         const user = await this.authRepository.findUserByEmail(email);
 
         // Don't reveal if email exists or not
@@ -131,6 +331,13 @@ export default class AuthService {
             return { message: "If the email exists, a reset link will be sent" };
         }
 
+        if (mode === "otp") {
+            const { code, expiresInMinutes } = await this.otpService.issue(OtpPurpose.PASSWORD_RESET, user.id);
+            await this.mailService.sendPasswordResetCodeEmail(user.email, code, expiresInMinutes);
+
+            return { message: "If the email exists, a reset link will be sent" };
+        }
+
         // Generate password reset token
         const resetToken = generateRandomToken();
         const hashedResetToken = hashToken(resetToken);
@@ -142,35 +349,49 @@ export default class AuthService {
             resetExpires
         );
 
-        // In production, send this via email
-        return {
-            message: "If the email exists, a reset link will be sent",
-            // Remove this in production
-            passwordResetToken: resetToken,
-        };
+        await this.mailService.sendPasswordResetEmail(user.email, resetToken);
+
+        return { message: "If the email exists, a reset link will be sent" };
     }
 
     /**
      * Reset password
      * @param {object} params - Reset parameters
-     * @param {string} params.token - Password reset token
+     * @param {string} [params.token] - Password reset token (link mode)
+     * @param {string} [params.email] - User email (code mode)
+     * @param {string} [params.code] - Code from the reset email (code mode)
      * @param {string} params.newPassword - New password
      * @returns {object} Success message
      */
-    async resetPassword({ token, newPassword }) {
-        if (!token || !newPassword) {
-            throw new BadRequestError("Token and new password are required");
+    async resetPassword({ token, email, code, newPassword }) {
+        if (!newPassword || (!token && !(email && code))) {
+            throw new BadRequestError("Token or email and code, and new password are required");
         }
 
-        const hashedToken = hashToken(token);
-        const user = await this.authRepository.findUserByPasswordResetToken(hashedToken);
+        let user;
 
-        if (!user) {
-            throw new BadRequestError("Invalid or expired reset token");
+        if (token) {
+            user = await this.authRepository.findUserByPasswordResetToken(hashToken(token));
+
+            if (!user) {
+                throw new BadRequestError("Invalid or expired reset token");
+            }
+        } else {
+            user = await this.authRepository.findUserByEmail(email);
+
+            if (!user || !await this.otpService.verify(OtpPurpose.PASSWORD_RESET, user.id, code)) {
+                throw new BadRequestError("Invalid or expired reset code");
+            }
         }
 
+        await this.otpService.revoke(OtpPurpose.PASSWORD_RESET, user.id);
+
         const hashedPassword = await bcrypt.hash(newPassword, 12);
         await this.authRepository.updatePassword(user.id, hashedPassword);
+        await this.authRepository.revokeAllUserSessions(user.id, "PASSWORD_RESET");
+        await this.tokenDenylistRepository.denyAllUserTokens(user.id);
+
+        await this.mailService.sendPasswordChangedEmail(user.email);
 
         return {
             message: "Password reset successfully",
@@ -178,20 +399,271 @@ export default class AuthService {
     }
 
     /**
-     * Generate new access token from refresh token
+     * Change password of a logged-in user
+     * Other sessions are revoked; the current one stays signed in
+     * @param {string} userId - User ID
+     * @param {string} currentSessionId - Session making the request
+     * @param {object} params - Change parameters
+     * @param {string} params.currentPassword - Current password
+     * @param {string} params.newPassword - New password
+     * @returns {object} Success message
+     */
+    async changePassword(userId, currentSessionId, { currentPassword, newPassword }) {
+        const user = await this.authRepository.findUserById(userId);
+
+        if (!user) {
+            throw new NotFoundError("User not found");
+        }
+
+        const isPasswordValid = await bcrypt.compare(currentPassword, user.password);
+
+        if (!isPasswordValid) {
+            throw new UnauthorizedError("Current password is incorrect");
+        }
+
+        if (await bcrypt.compare(newPassword, user.password)) {
+            throw new BadRequestError("New password must be different from the current password");
+        }
+
+        const hashedPassword = await bcrypt.hash(newPassword, 12);
+        await this.authRepository.updatePassword(user.id, hashedPassword);
+
+        const sessions = await this.authRepository.findActiveSessionsByUser(user.id);
+        const otherSessions = sessions.filter((session) => session.id !== currentSessionId);
+
+        await this.authRepository.revokeAllUserSessions(user.id, "PASSWORD_CHANGED", currentSessionId);
+        await Promise.all(
+            otherSessions.map((session) => this.tokenDenylistRepository.denySession(session.id))
+        );
+
+        await this.mailService.sendPasswordChangedEmail(user.email);
+
+        return {
+            message: "Password changed successfully",
+            revokedSessions: otherSessions.length,
+        };
+    }
+
+    /**
+     * Request an email change
+     * The new address receives a confirmation link; nothing changes until it is confirmed
+     * @param {string} userId - User ID
+     * @param {object} params - Change parameters
+     * @param {string} params.newEmail - New email
+     * @param {string} params.password - Current password
+     * @returns {object} Success message
+     */
+    async requestEmailChange(userId, { newEmail, password }) {
+        const user = await this.authRepository.findUserById(userId);
+
+        if (!user) {
+            throw new NotFoundError("User not found");
+        }
+
+        const isPasswordValid = await bcrypt.compare(password, user.password);
+
+        if (!isPasswordValid) {
+            throw new UnauthorizedError("Password is incorrect");
+        }
+
+        if (newEmail === user.email) {
+            throw new BadRequestError("New email must be different from the current email");
+        }
+
+        if (await this.authRepository.isEmailTaken(newEmail)) {
+            throw new ConflictError("Email already registered");
+        }
+
+        if (user.student) {
+            await this._resolveStudentUniversity(newEmail);
+        }
+
+        const changeToken = generateRandomToken();
+        const changeExpires = new Date(Date.now() + 24 * 60 * 60 * 1000); // 24 hours
+
+        await this.authRepository.setPendingEmailChange(
+            user.id,
+            newEmail,
+            hashToken(changeToken),
+            changeExpires
+        );
+
+        await this.mailService.sendEmailChangeConfirmationEmail(newEmail, changeToken);
+
+        return {
+            message: "A confirmation link has been sent to the new email address",
+        };
+    }
+
+    /**
+     * Confirm an email change
+     * Students' university email and university follow the new address
+     * @param {string} token - Email change token
+     * @returns {object} Success message
+     */
+    async confirmEmailChange(token) {
+        const user = await this.authRepository.findUserByEmailChangeToken(hashToken(token));
+
+        if (!user || !user.pendingEmail) {
+            throw new BadRequestError("Invalid or expired confirmation token");
+        }
+
+        const newEmail = user.pendingEmail;
+
+        // Re-check: the address or the university may have changed since the request
+        if (await this.authRepository.isEmailTaken(newEmail)) {
+            throw new ConflictError("Email already registered");
+        }
+
+        let studentChanges;
+
+        if (user.student) {
+            const university = await this._resolveStudentUniversity(newEmail);
+
+            studentChanges = {
+                universityId: university.id,
+                resetVerification: university.id !== user.student.universityId,
+            };
+        }
+
+        await this.authRepository.applyEmailChange(user.id, newEmail, studentChanges);
+        await this.mailService.sendEmailChangedEmail(user.email, newEmail);
+
+        return {
+            message: "Email changed successfully",
+        };
+    }
+
+    /**
+     * Rotate a refresh token and issue a new access token
+     * Presenting a refresh token that was already rotated is treated as theft
+     * and revokes the whole session
      * @param {string} refreshToken - Refresh token
-     * @returns {object} New access token
+     * @param {object} [client] - Client info to record on the session
+     * @param {string} [client.userAgent] - Client user agent
+     * @param {string} [client.ipAddress] - Client IP
+     * @returns {object} New access and refresh tokens
      */
-    async generateAccessToken(refreshToken) {
-        const { decodeToken } = await import("../utils/tokens.js");
-        
-        const decoded = decodeToken("refreshToken", refreshToken);
-        const accessToken = generateToken("accessToken", {
-            userId: decoded.userId,
-            role: decoded.role,
-        });
+    async generateAccessToken(refreshToken, client = {}) {
+        const decoded = this._decodeRefreshToken(refreshToken);
+
+        const session = await this.authRepository.findSessionById(decoded.sid);
+
+        if (!session || session.revokedAt || session.userId !== decoded.userId) {
+            throw new UnauthorizedError("Session has expired or been revoked");
+        }
+
+        const user = await this.authRepository.findUserById(decoded.userId);
+
+        if (!user) {
+            throw new UnauthorizedError("Session has expired or been revoked");
+        }
+
+        const tokens = this._generateTokens(user, session.id, { mfa: Boolean(decoded.mfa) });
+        const rotated = await this.authRepository.rotateSession(
+            session.id,
+            hashToken(decoded.jti),
+            hashToken(tokens.refreshTokenId),
+            tokens.refreshTokenExpiresAt,
+            client
+        );
+
+        if (!rotated) {
+            await this.authRepository.revokeSession(session.id, "REFRESH_TOKEN_REUSE");
+            await this.tokenDenylistRepository.denySession(session.id);
+            logger.warn("⚠️ Refresh token reuse detected, session revoked", {
+                userId: decoded.userId,
+                sessionId: session.id,
+            });
+            throw new UnauthorizedError("Refresh token has already been used. Please log in again");
+        }
+
+        return {
+            accessToken: tokens.accessToken,
+            refreshToken: tokens.refreshToken,
+        };
+    }
+
+    /**
+     * Logout: revoke the session the refresh token belongs to and deny the
+     * access token used for the request
+     * @param {string} refreshToken - Refresh token (may be missing or invalid)
+     * @param {object} [accessToken] - Current access token info ({ id, expiresAt })
+     * @returns {object} Success message
+     */
+    async logout(refreshToken, accessToken) {
+        if (accessToken) {
+            await this.tokenDenylistRepository.denyToken(accessToken.id, accessToken.expiresAt);
+        }
+
+        if (refreshToken) {
+            try {
+                const decoded = this._decodeRefreshToken(refreshToken);
+                await this.authRepository.revokeSession(decoded.sid, "LOGOUT");
+                await this.tokenDenylistRepository.denySession(decoded.sid);
+            } catch (error) {
+                // An invalid token has no session to revoke
+                if (!(error instanceof UnauthorizedError)) {
+                    throw error;
+                }
+            }
+        }
+
+        return { message: "Logged out successfully" };
+    }
+
+    /**
+     * List the user's active sessions
+     * @param {string} userId - User ID
+     * @param {string} currentSessionId - Session of the calling access token
+     * @returns {object[]} Sessions
+     */
+    async getSessions(userId, currentSessionId) {
+        const sessions = await this.authRepository.findActiveSessionsByUser(userId);
+
+        return sessions.map((session) => ({
+            ...session,
+            isCurrent: session.id === currentSessionId,
+        }));
+    }
+
+    /**
+     * Revoke one of the user's sessions
+     * @param {string} userId - User ID
+     * @param {string} sessionId - Session to revoke
+     * @returns {object} Success message
+     */
+    async revokeSession(userId, sessionId) {
+        const revoked = await this.authRepository.revokeUserSession(userId, sessionId, "USER_REVOKED");
+
+        if (!revoked) {
+            throw new NotFoundError("Session not found");
+        }
+
+        await this.tokenDenylistRepository.denySession(sessionId);
+
+        return { message: "Session revoked successfully" };
+    }
+
+    /**
+     * Revoke all of the user's sessions except the current one
+     * @param {string} userId - User ID
+     * @param {string} currentSessionId - Session to keep
+     * @returns {object} Success message with revoked count
+     */
+    async revokeOtherSessions(userId, currentSessionId) {
+        const sessions = await this.authRepository.findActiveSessionsByUser(userId);
+        const otherSessions = sessions.filter((session) => session.id !== currentSessionId);
 
-        return { accessToken };
+        await this.authRepository.revokeAllUserSessions(userId, "USER_REVOKED", currentSessionId);
+        await Promise.all(
+            otherSessions.map((session) => this.tokenDenylistRepository.denySession(session.id))
+        );
+
+        return {
+            message: "Other sessions revoked successfully",
+            revokedCount: otherSessions.length,
+        };
     }
 
     /**
@@ -210,22 +682,122 @@ export default class AuthService {
     }
 
     /**
-     * Generate JWT tokens for user
+     * Send the email verification link or code
+     * @param {object} user - User object
+     * @param {string} mode - 'link' or 'otp'
+     */
+    async _sendEmailVerification(user, mode) {
+        if (mode === "otp") {
+            const { code, expiresInMinutes } = await this.otpService.issue(OtpPurpose.EMAIL_VERIFICATION, user.id);
+            await this.mailService.sendVerificationCodeEmail(user.email, code, expiresInMinutes);
+            return;
+        }
+
+        // Generate email verification token
+        const verificationToken = generateRandomToken();
+        const hashedVerificationToken = hashToken(verificationToken);
+        const verificationExpires = new Date(Date.now() + 24 * 60 * 60 * 1000); // 24 hours
+
+        // Store hashed verification token
+        await this.authRepository.setEmailVerificationToken(
+            user.id,
+            hashedVerificationToken,
+            verificationExpires
+        );
+
+        await this.mailService.sendVerificationEmail(user.email, verificationToken);
+    }
+
+    /**
+     * Resolve the active university a student's new email belongs to
+     * @param {string} email - New email
+     * @returns {object} University
+     */
+    async _resolveStudentUniversity(email) {
+        const university = await this.universityService.resolveByEmail(email);
+
+        if (!university) {
+            throw new BadRequestError("Student emails must belong to a supported university");
+        }
+
+        return university;
+    }
+
+    /**
+     * Start a new session and issue its first token pair
      * @param {object} user - User object
+     * @param {object} [client] - Client info ({ userAgent, ipAddress })
+     * @param {object} [claims] - Extra session claims ({ mfa })
      * @returns {object} Access and refresh tokens
      */
-    _generateTokens(user) {
+    async _startSession(user, client = {}, claims = {}) {
+        const sessionId = generateTokenId();
+        const tokens = this._generateTokens(user, sessionId, claims);
+
+        await this.authRepository.createSession({
+            id: sessionId,
+            userId: user.id,
+            currentTokenId: hashToken(tokens.refreshTokenId),
+            expiresAt: tokens.refreshTokenExpiresAt,
+            userAgent: client.userAgent,
+            ipAddress: client.ipAddress,
+        });
+
+        return {
+            accessToken: tokens.accessToken,
+            refreshToken: tokens.refreshToken,
+        };
+    }
+
+    /**
+     * Generate JWT tokens for user
+     * @param {object} user - User object
+     * @param {string} sessionId - Session the refresh token belongs to
+     * @param {object} [claims] - Extra session claims
+     * @param {boolean} [claims.mfa] - Whether the session passed a second factor
+     * @returns {object} Access and refresh tokens with refresh token ID and expiry
+     */
+    _generateTokens(user, sessionId, { mfa = false } = {}) {
         const payload = {
             userId: user.id,
             role: user.role,
+            sid: sessionId,
+            mfa,
         };
 
+        const refreshTokenId = generateTokenId();
+        const refreshToken = generateToken("refreshToken", payload, { jwtid: refreshTokenId });
+        const { exp } = decodeToken("refreshToken", refreshToken);
+
         return {
-            accessToken: generateToken("accessToken", payload),
-            refreshToken: generateToken("refreshToken", payload),
+            accessToken: generateToken("accessToken", payload, { jwtid: generateTokenId() }),
+            refreshToken,
+            refreshTokenId,
+            refreshTokenExpiresAt: new Date(exp * 1000),
         };
     }
 
+    /**
+     * Verify a refresh token and make sure it belongs to a session
+     * @param {string} refreshToken - Refresh token
+     * @returns {object} Decoded payload
+     */
+    _decodeRefreshToken(refreshToken) {
+        let decoded;
+
+        try {
+            decoded = decodeToken("refreshToken", refreshToken);
+        } catch (error) {
+            throw new UnauthorizedError("Invalid or expired refresh token");
+        }
+
+        if (!decoded.sid || !decoded.jti) {
+            throw new UnauthorizedError("Invalid or expired refresh token");
+        }
+
+        return decoded;
+    }
+
     /**
      * Format user response (remove sensitive data)
      * @param {object} user - User object from database
@@ -233,7 +805,9 @@ export default class AuthService {
      */
     _formatUserResponse(user) {
         const { password, emailVerificationToken, emailVerificationExpires, 
-                passwordResetToken, passwordResetExpires, ...userWithoutSensitive } = user;
+                passwordResetToken, passwordResetExpires, emailChangeToken,
+                emailChangeExpires, twoFactorSecret,
+                twoFactorRecoveryCodes, twoFactorLastUsedStep, ...userWithoutSensitive } = user;
         return userWithoutSensitive;
     }
 }
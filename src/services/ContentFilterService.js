@@ -0,0 +1,453 @@
+import { BadRequestError, NotFoundError } from "../errors/errors.js";
+
+// Letters, digits and underscore; keywords only match as whole words
+const WORD_CHAR = "[\\p{L}\\p{N}_]";
+
+const MASK_CHAR = "*";
+
+// Longest text screened; regex rules run synchronously, so input is bounded
+const MAX_SCREENED_LENGTH = 5000;
+
+// Largest repeat count allowed in a regex rule ({n}, {n,m})
+const MAX_REGEX_REPEAT = 100;
+
+/**
+ * Read a quantifier at a position in a regex pattern
+ * @param {string} pattern - Regex source
+ * @param {number} index - Position
+ * @returns {object|null} { length, repeating, unbounded, count } or null if there is none
+ *   (count is the largest number written in braces, 0 for *, + and ?)
+ */
+const readQuantifier = (pattern, index) => {
+    const char = pattern[index];
+
+    if (char === "*" || char === "+") {
+        return { length: 1, repeating: true, unbounded: true, count: 0 };
+    }
+    if (char === "?") {
+        return { length: 1, repeating: false, unbounded: false, count: 0 };
+    }
+
+    const braces = /^\{(\d+)(,(\d*))?\}/.exec(pattern.slice(index));
+    if (!braces) {
+        return null;
+    }
+
+    const min = Number(braces[1]);
+    const unbounded = braces[2] !== undefined && braces[3] === "";
+    const max = unbounded ? Infinity : Number(braces[3] ?? braces[1]);
+
+    return {
+        length: braces[0].length,
+        repeating: max > 1,
+        unbounded,
+        count: unbounded ? min : Math.max(min, max),
+    };
+};
+
+/**
+ * Find constructs that can make a regex backtrack catastrophically
+ * Rejects backreferences, lookarounds, repeated groups that contain a quantifier or
+ * an alternation (e.g. (a+)+, (a|aa)*), large repeat counts and more than one unbounded quantifier
+ * @param {string} pattern - Regex source (already known to compile)
+ * @returns {string|null} Problem description, or null if the pattern is accepted
+ */
+const findUnsafeRegexConstruct = (pattern) => {
+    const groups = [{ hasQuantifier: false, hasAlternation: false }];
+    let closedGroup = null;
+    let unboundedCount = 0;
+
+    for (let i = 0; i < pattern.length; i++) {
+        const quantifier = readQuantifier(pattern, i);
+
+        if (quantifier) {
+            if (quantifier.count > MAX_REGEX_REPEAT) {
+                return `Repeat counts must be at most ${MAX_REGEX_REPEAT}`;
+            }
+            if (quantifier.repeating && closedGroup && (closedGroup.hasQuantifier || closedGroup.hasAlternation)) {
+                return "Repeated groups must not contain quantifiers or alternations, e.g. (a+)+ or (a|b)*";
+            }
+            if (quantifier.unbounded) {
+                unboundedCount += 1;
+            }
+            if (quantifier.repeating) {
+                groups.at(-1).hasQuantifier = true;
+            }
+
+            i += quantifier.length - 1;
+            // Lazy quantifier (e.g. +?)
+            if (pattern[i + 1] === "?") i++;
+            closedGroup = null;
+            continue;
+        }
+
+        closedGroup = null;
+        const char = pattern[i];
+
+        if (char === "\\") {
+            if (/[1-9k]/.test(pattern[i + 1])) {
+                return "Backreferences are not allowed";
+            }
+            i++;
+        } else if (char === "[") {
+            // Skip the character class
+            for (i++; i < pattern.length && pattern[i] !== "]"; i++) {
+                if (pattern[i] === "\\") i++;
+            }
+        } else if (char === "(") {
+            if (/^\(\?(=|!|<=|<!)/.test(pattern.slice(i))) {
+                return "Lookahead and lookbehind are not allowed";
+            }
+            // Skip the group prefix ((?: or (?<name>)
+            if (pattern[i + 1] === "?") {
+                i = pattern[i + 2] === "<" ? pattern.indexOf(">", i) : i + 2;
+            }
+            groups.push({ hasQuantifier: false, hasAlternation: false });
+        } else if (char === ")") {
+            closedGroup = groups.pop();
+            groups.at(-1).hasQuantifier ||= closedGroup.hasQuantifier;
+            groups.at(-1).hasAlternation ||= closedGroup.hasAlternation;
+        } else if (char === "|") {
+            groups.at(-1).hasAlternation = true;
+        }
+    }
+
+    if (unboundedCount > 1) {
+        return "Use at most one unbounded quantifier (*, + or {n,}); use bounded repeats such as {0,20} instead";
+    }
+
+    return null;
+};
+
+export default class ContentFilterService {
+    /**
+     * @param {import('../repositories/ContentFilterRepository.js').default} contentFilterRepository
+     * @param {import('./AuditLogService.js').default} auditLogService
+     */
+    constructor(contentFilterRepository, auditLogService) {
+        if (!contentFilterRepository) {
+            throw new Error("ContentFilterRepository is required");
+        }
+        if (!auditLogService) {
+            throw new Error("AuditLogService is required");
+        }
+        this.contentFilterRepository = contentFilterRepository;
+        this.auditLogService = auditLogService;
+    }
+
+    /**
+     * Run user-written text through the active rules
+     * KEYWORD and REGEX rules run against the text fields; PROHIBITED_TERM rules run
+     * against the category only. BLOCK matches are stored (without a content ID) and
+     * reject the content; MASK matches are replaced with asterisks; FLAG matches are
+     * returned so the caller can send the content for review and store them once it has an ID
+     * @param {object} fields - Text fields to screen, e.g. { title, description } (undefined fields are skipped)
+     * @param {object} params - Content info
+     * @param {string} params.contentType - Content type, e.g. "Listing"
+     * @param {string} params.authorId - Author user ID
+     * @param {string} [params.category] - Category of the content (listings)
+     * @returns {object} { fields (masked), flagged, matches }
+     */
+    async screen(fields, { contentType, authorId, category }) {
+        const screened = Object.entries(fields).filter(([, text]) => typeof text === "string");
+
+        if (screened.some(([, text]) => text.length > MAX_SCREENED_LENGTH)) {
+            throw new BadRequestError(`Text must be at most ${MAX_SCREENED_LENGTH} characters`);
+        }
+
+        const rules = await this.contentFilterRepository.findActiveRules();
+        const textRules = rules.filter((rule) => rule.type !== "PROHIBITED_TERM");
+        const matches = [];
+
+        const collect = (field, text, fieldRules) => {
+            for (const rule of fieldRules) {
+                for (const [matchedText] of text.matchAll(this._compile(rule))) {
+                    if (matchedText) {
+                        matches.push({ rule, field, matchedText });
+                    }
+                }
+            }
+        };
+
+        for (const [field, text] of screened) {
+            collect(field, text, textRules);
+        }
+
+        if (typeof category === "string") {
+            collect("category", category, rules.filter((rule) => rule.type === "PROHIBITED_TERM"));
+        }
+
+        const blockMatches = matches.filter(({ rule }) => rule.action === "BLOCK");
+
+        if (blockMatches.length > 0) {
+            await this.recordMatches(blockMatches, { contentType, contentId: null, authorId });
+
+            const blockedFields = [...new Set(blockMatches.map(({ field }) => field))];
+            throw new BadRequestError(`Your ${blockedFields.join(" and ")} contains prohibited content`);
+        }
+
+        return {
+            fields: this._mask(fields, textRules.filter((rule) => rule.action === "MASK")),
+            flagged: matches.some(({ rule }) => rule.action === "FLAG"),
+            matches,
+        };
+    }
+
+    /**
+     * Store matches returned by screen() once the content has been saved
+     * @param {object[]} matches - Matches ({ rule, field, matchedText })
+     * @param {object} params - Content info ({ contentType, contentId, authorId })
+     * @returns {Promise<void>}
+     */
+    async recordMatches(matches, { contentType, contentId, authorId }) {
+        if (matches.length === 0) return;
+
+        await this.contentFilterRepository.createMatches(
+            matches.map(({ rule, field, matchedText }) => ({
+                ruleId: rule.id,
+                action: rule.action,
+                contentType,
+                contentId,
+                field,
+                matchedText,
+                authorId,
+            }))
+        );
+    }
+
+    /**
+     * List rules
+     * @param {object} filters - Filters ({ type, action, isActive })
+     * @returns {object[]} Rules
+     */
+    async getRules(filters) {
+        const rules = await this.contentFilterRepository.findRules(filters);
+
+        return rules.map((rule) => this._formatRuleResponse(rule));
+    }
+
+    /**
+     * Create a rule
+     * @param {object} data - Rule data ({ type, pattern, action, description, isActive })
+     * @param {string} creatorUserId - Admin user ID
+     * @param {object} context - Audit context (see auditContext)
+     * @returns {object} Created rule
+     */
+    async createRule(data, creatorUserId, context) {
+        this._assertValidRule(data);
+
+        const rule = await this.contentFilterRepository.createRule({
+            ...data,
+            createdById: creatorUserId,
+        });
+
+        await this.auditLogService.record(context, {
+            action: "content_filter.rule.create",
+            targetType: "ContentFilterRule",
+            targetId: rule.id,
+            after: this._pickAudited(rule),
+        });
+
+        return this._formatRuleResponse(rule);
+    }
+
+    /**
+     * Update a rule
+     * @param {string} id - Rule ID
+     * @param {object} data - Fields to update
+     * @param {object} context - Audit context (see auditContext)
+     * @returns {object} Updated rule
+     */
+    async updateRule(id, data, context) {
+        const existing = await this._getRule(id);
+
+        this._assertValidRule({ ...existing, ...data });
+
+        const rule = await this.contentFilterRepository.updateRule(id, data);
+
+        await this.auditLogService.record(context, {
+            action: "content_filter.rule.update",
+            targetType: "ContentFilterRule",
+            targetId: id,
+            before: this._pickAudited(existing),
+            after: this._pickAudited(rule),
+        });
+
+        return this._formatRuleResponse(rule);
+    }
+
+    /**
+     * Delete a rule; matches it already produced are kept
+     * @param {string} id - Rule ID
+     * @param {object} context - Audit context (see auditContext)
+     * @returns {object} Success message
+     */
+    async deleteRule(id, context) {
+        const existing = await this._getRule(id);
+
+        await this.contentFilterRepository.deleteRule(id);
+
+        await this.auditLogService.record(context, {
+            action: "content_filter.rule.delete",
+            targetType: "ContentFilterRule",
+            targetId: id,
+            before: this._pickAudited(existing),
+        });
+
+        return { message: "Rule deleted successfully" };
+    }
+
+    /**
+     * List stored matches for moderators
+     * @param {object} params - Filters and pagination ({ contentType, contentId, action, ruleId, authorId, page, limit })
+     * @returns {object} Paginated matches
+     */
+    async getMatches(params) {
+        const result = await this.contentFilterRepository.findMatches(params);
+
+        return {
+            items: result.items.map((match) => ({
+                id: match.id,
+                action: match.action,
+                contentType: match.contentType,
+                contentId: match.contentId,
+                field: match.field,
+                matchedText: match.matchedText,
+                rule: match.rule,
+                author: match.author,
+                createdAt: match.createdAt,
+            })),
+            meta: {
+                totalCount: result.totalCount,
+                totalPages: result.totalPages,
+                currentPage: result.currentPage,
+            },
+        };
+    }
+
+    /**
+     * Describe matches for a moderation reason, e.g. 'Content filter: "foo" in title'
+     * @param {object[]} matches - Matches from screen()
+     * @returns {string} Reason
+     */
+    describeMatches(matches) {
+        const found = [...new Set(matches.map(({ field, matchedText }) => `"${matchedText}" in ${field}`))];
+
+        return `Content filter: ${found.join(", ")}`;
+    }
+
+    /**
+     * Load a rule
+     * @param {string} id - Rule ID
+     * @returns {object} Rule
+     */
+    async _getRule(id) {
+        const rule = await this.contentFilterRepository.findRuleById(id);
+
+        if (!rule) {
+            throw new NotFoundError("Rule not found");
+        }
+
+        return rule;
+    }
+
+    /**
+     * Build the regular expression for a rule
+     * Keywords and prohibited terms match whole words, case-insensitively;
+     * regex rules are used as written, case-insensitively (see findUnsafeRegexConstruct)
+     * @param {object} rule - Rule ({ type, pattern })
+     * @returns {RegExp} Global expression
+     */
+    _compile({ type, pattern }) {
+        if (type === "REGEX") {
+            return new RegExp(pattern, "gi");
+        }
+
+        const escaped = pattern.trim().replace(/[.*+?^${}()|[\]\\]/g, "\\$&").replace(/\s+/g, "\\s+");
+        return new RegExp(`(?<!${WORD_CHAR})${escaped}(?!${WORD_CHAR})`, "giu");
+    }
+
+    /**
+     * Reject rules that cannot be applied: masked prohibited terms (a category is not masked),
+     * and regexes that do not compile, match empty text or can backtrack catastrophically
+     * @param {object} rule - Rule ({ type, pattern, action })
+     */
+    _assertValidRule({ type, pattern, action }) {
+        if (type === "PROHIBITED_TERM" && action === "MASK") {
+            throw new BadRequestError("Prohibited terms can only block or flag content");
+        }
+
+        if (type !== "REGEX") return;
+
+        let regex;
+        try {
+            regex = new RegExp(pattern, "gi");
+        } catch (error) {
+            throw new BadRequestError(error.message);
+        }
+
+        if (regex.test("")) {
+            throw new BadRequestError("Regular expression must not match empty text");
+        }
+
+        const problem = findUnsafeRegexConstruct(pattern);
+        if (problem) {
+            throw new BadRequestError(`Regular expression rejected: ${problem}`);
+        }
+    }
+
+    /**
+     * Replace text matched by MASK rules with asterisks
+     * @param {object} fields - Text fields
+     * @param {object[]} maskRules - Active MASK rules
+     * @returns {object} Masked fields
+     */
+    _mask(fields, maskRules) {
+        const masked = { ...fields };
+
+        for (const [field, text] of Object.entries(fields)) {
+            if (typeof text !== "string") continue;
+
+            masked[field] = maskRules.reduce(
+                (value, rule) => value.replace(this._compile(rule), (match) => MASK_CHAR.repeat(match.length)),
+                text
+            );
+        }
+
+        return masked;
+    }
+
+    /**
+     * Pick the audited fields of a rule
+     * @param {object} rule - Rule
+     * @returns {object} Snapshot
+     */
+    _pickAudited(rule) {
+        return {
+            type: rule.type,
+            pattern: rule.pattern,
+            action: rule.action,
+            description: rule.description,
+            isActive: rule.isActive,
+        };
+    }
+
+    /**
+     * Format rule response
+     * @param {object} rule - Rule from database
+     * @returns {object} Formatted rule
+     */
+    _formatRuleResponse(rule) {
+        return {
+            id: rule.id,
+            type: rule.type,
+            pattern: rule.pattern,
+            action: rule.action,
+            description: rule.description,
+            isActive: rule.isActive,
+            createdBy: rule.createdBy,
+            createdAt: rule.createdAt,
+            updatedAt: rule.updatedAt,
+        };
+    }
+}
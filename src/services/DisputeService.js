@@ -0,0 +1,252 @@
+import { BadRequestError, ConflictError, ForbiddenError, NotFoundError } from "../errors/errors.js";
+import { OrderStatus, canDispute } from "../utils/OrderStateMachine.js";
+
+// Final order and payment states for each outcome (null = payment left as is)
+const OUTCOME_STATES = {
+    COMPLETE_FOR_SELLER: { orderStatus: OrderStatus.COMPLETED, paymentStatus: null },
+    REFUND_BUYER: { orderStatus: OrderStatus.REFUNDED, paymentStatus: "REFUNDED" },
+    PARTIAL_REFUND: { orderStatus: OrderStatus.COMPLETED, paymentStatus: "PARTIALLY_REFUNDED" },
+};
+
+export default class DisputeService {
+    /**
+     * @param {import('../repositories/DisputeRepository.js').default} disputeRepository
+     * @param {import('./MailService.js').default} mailService
+     * @param {import('./AuditLogService.js').default} auditLogService
+     */
+    constructor(disputeRepository, mailService, auditLogService) {
+        if (!disputeRepository) {
+            throw new Error("DisputeRepository is required");
+        }
+        if (!mailService) {
+            throw new Error("MailService is required");
+        }
+        if (!auditLogService) {
+            throw new Error("AuditLogService is required");
+        }
+        this.disputeRepository = disputeRepository;
+        this.mailService = mailService;
+        this.auditLogService = auditLogService;
+    }
+
+    /**
+     * Open a dispute on a paid or active order
+     * Either party can open it; the order stays DISPUTED until an admin resolves it
+     * @param {object} params
+     * @param {string} params.orderId - Order ID
+     * @param {string} params.userId - User ID of the buyer or seller
+     * @param {string} params.reason - What went wrong
+     * @param {string} [params.evidence] - Supporting details
+     * @returns {object} Created dispute
+     */
+    async open({ orderId, userId, reason, evidence }) {
+        const order = await this.disputeRepository.findOrderById(orderId);
+
+        if (!order) {
+            throw new NotFoundError("Order not found");
+        }
+
+        if (order.buyer.userId !== userId && order.seller.userId !== userId) {
+            throw new ForbiddenError("You can only dispute your own orders");
+        }
+
+        if (order.dispute) {
+            throw new ConflictError("A dispute has already been opened for this order");
+        }
+
+        if (!canDispute(order.status)) {
+            throw new BadRequestError(
+                `Only PAID or ACTIVE orders can be disputed. This order is ${order.status}`
+            );
+        }
+
+        const dispute = await this.disputeRepository.create({
+            orderId,
+            openedById: userId,
+            previousStatus: order.status,
+            reason,
+            evidence,
+        });
+
+        const openedBy = order.buyer.userId === userId ? "buyer" : "seller";
+        await Promise.all(["buyer", "seller"].map((role) =>
+            this.mailService.sendDisputeOpenedEmail(order[role].user.email, {
+                title: order.listing.title,
+                openedBy: openedBy === role ? "you" : `the ${openedBy}`,
+                reason,
+            })
+        ));
+
+        return this._formatDisputeResponse(dispute);
+    }
+
+    /**
+     * List disputes for the admin queue
+     * Open disputes by default, oldest first
+     * @param {object} params - Filters ({ status, outcome, page, limit })
+     * @returns {object} Paginated disputes
+     */
+    async getQueue({ status, outcome, page, limit }) {
+        const result = await this.disputeRepository.findAll({
+            status: status ?? "OPEN",
+            outcome,
+            page,
+            limit,
+        });
+
+        return {
+            items: result.items.map((dispute) => this._formatDisputeResponse(dispute)),
+            meta: {
+                totalCount: result.totalCount,
+                totalPages: result.totalPages,
+                currentPage: result.currentPage,
+            },
+        };
+    }
+
+    /**
+     * Get a dispute
+     * @param {string} id - Dispute ID
+     * @returns {object} Dispute
+     */
+    async getDispute(id) {
+        const dispute = await this._getDispute(id);
+
+        return this._formatDisputeResponse(dispute);
+    }
+
+    /**
+     * Resolve a dispute
+     * COMPLETE_FOR_SELLER completes the order; REFUND_BUYER refunds the full amount and
+     * marks the order REFUNDED; PARTIAL_REFUND refunds refundAmount and completes the order
+     * @param {string} id - Dispute ID
+     * @param {object} params
+     * @param {string} params.outcome - DisputeOutcome
+     * @param {number} [params.refundAmount] - Amount refunded (PARTIAL_REFUND only)
+     * @param {string} params.resolution - Explanation sent to both parties
+     * @param {string} resolverUserId - Admin user ID
+     * @param {object} context - Audit context (see auditContext)
+     * @returns {object} Resolved dispute
+     */
+    async resolve(id, { outcome, refundAmount, resolution }, resolverUserId, context) {
+        const dispute = await this._getDispute(id);
+
+        if (dispute.status !== "OPEN") {
+            throw new ConflictError("Dispute is already resolved");
+        }
+
+        const paidAmount = dispute.order.payment?.amount ?? dispute.order.totalPrice;
+        const refunded = this._getRefundAmount(outcome, refundAmount, paidAmount);
+
+        const resolved = await this.disputeRepository.resolve(id, {
+            outcome,
+            refundAmount: refunded,
+            resolution,
+            resolvedById: resolverUserId,
+            ...OUTCOME_STATES[outcome],
+        });
+
+        await this.auditLogService.record(context, {
+            action: "dispute.resolve",
+            targetType: "Dispute",
+            targetId: id,
+            before: { status: dispute.status, orderStatus: dispute.order.status },
+            after: {
+                status: resolved.status,
+                orderStatus: resolved.order.status,
+                paymentStatus: resolved.order.payment?.status ?? null,
+            },
+            metadata: { orderId: dispute.orderId, outcome, refundAmount: refunded },
+        });
+
+        await Promise.all(["buyer", "seller"].map((role) =>
+            this.mailService.sendDisputeResolvedEmail(resolved.order[role].user.email, {
+                title: resolved.order.listing.title,
+                outcome,
+                refundAmount: refunded,
+                resolution,
+            })
+        ));
+
+        return this._formatDisputeResponse(resolved);
+    }
+
+    /**
+     * Work out the refunded amount for an outcome
+     * @param {string} outcome - DisputeOutcome
+     * @param {number} [refundAmount] - Requested partial refund
+     * @param {number} paidAmount - Amount the buyer paid
+     * @returns {number|null} Refunded amount, or null when nothing is refunded
+     */
+    _getRefundAmount(outcome, refundAmount, paidAmount) {
+        if (outcome === "REFUND_BUYER") {
+            return paidAmount;
+        }
+
+        if (outcome === "PARTIAL_REFUND") {
+            if (refundAmount === undefined || refundAmount <= 0 || refundAmount >= paidAmount) {
+                throw new BadRequestError(
+                    `A partial refund must be more than 0 and less than the paid amount (${paidAmount})`
+                );
+            }
+            return refundAmount;
+        }
+
+        return null;
+    }
+
+    /**
+     * Load a dispute
+     * @param {string} id - Dispute ID
+     * @returns {object} Dispute
+     */
+    async _getDispute(id) {
+        const dispute = await this.disputeRepository.findById(id);
+
+        if (!dispute) {
+            throw new NotFoundError("Dispute not found");
+        }
+
+        return dispute;
+    }
+
+    /**
+     * Format dispute response
+     * @param {object} dispute - Dispute from database
+     * @returns {object} Formatted dispute
+     */
+    _formatDisputeResponse(dispute) {
+        const { order } = dispute;
+
+        return {
+            id: dispute.id,
+            status: dispute.status,
+            reason: dispute.reason,
+            evidence: dispute.evidence,
+            previousStatus: dispute.previousStatus,
+            outcome: dispute.outcome,
+            refundAmount: dispute.refundAmount,
+            resolution: dispute.resolution,
+            openedBy: dispute.openedBy,
+            resolvedBy: dispute.resolvedBy,
+            resolvedAt: dispute.resolvedAt,
+            order: {
+                id: order.id,
+                status: order.status,
+                type: order.type,
+                totalPrice: order.totalPrice,
+                listing: order.listing,
+                buyer: { id: order.buyer.id, userId: order.buyer.userId, email: order.buyer.user.email },
+                seller: { id: order.seller.id, userId: order.seller.userId, email: order.seller.user.email },
+                payment: order.payment ? {
+                    id: order.payment.id,
+                    amount: order.payment.amount,
+                    status: order.payment.status,
+                    refundedAmount: order.payment.refundedAmount,
+                } : null,
+            },
+            createdAt: dispute.createdAt,
+            updatedAt: dispute.updatedAt,
+        };
+    }
+}
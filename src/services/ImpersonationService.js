@@ -0,0 +1,88 @@
+import environment from "../configs/environment.js";
+import { BadRequestError, NotFoundError } from "../errors/errors.js";
+import { generateToken, decodeToken, generateTokenId } from "../utils/tokens.js";
+
+export default class ImpersonationService {
+    /**
+     * @param {import('../repositories/AuthRepository.js').default} authRepository
+     * @param {import('./AuditLogService.js').default} auditLogService
+     */
+    constructor(authRepository, auditLogService) {
+        if (!authRepository) {
+            throw new Error("AuthRepository is required");
+        }
+        if (!auditLogService) {
+            throw new Error("AuditLogService is required");
+        }
+        this.authRepository = authRepository;
+        this.auditLogService = auditLogService;
+    }
+
+    /**
+     * Issue an access token that acts as a student on behalf of a super admin
+     * The token carries the target as the subject and the impersonator in the `act` claim,
+     * is short-lived, has no refresh token and is read-only unless explicitly requested
+     * @param {object} impersonator - req.user of the super admin
+     * @param {string} targetUserId - User to impersonate
+     * @param {object} params
+     * @param {string} params.reason - Support case / reason (logged)
+     * @param {boolean} [params.readOnly] - Block non-GET requests (default true)
+     * @param {object} context - Audit context (see auditContext)
+     * @returns {object} Access token, expiry and target info
+     */
+    async impersonate(impersonator, targetUserId, { reason, readOnly = true }, context) {
+        if (impersonator.id === targetUserId) {
+            throw new BadRequestError("You cannot impersonate yourself");
+        }
+
+        const target = await this.authRepository.findUserById(targetUserId);
+
+        if (!target || target.deletedAt) {
+            throw new NotFoundError("User not found");
+        }
+
+        // Only students: impersonating staff would be a privilege escalation path
+        if (target.role !== "STUDENT") {
+            throw new BadRequestError("Only student accounts can be impersonated");
+        }
+
+        const tokenId = generateTokenId();
+        const accessToken = generateToken(
+            "accessToken",
+            {
+                userId: target.id,
+                role: target.role,
+                sid: `impersonation:${tokenId}`,
+                mfa: false,
+                act: {
+                    userId: impersonator.id,
+                    role: impersonator.role,
+                    readOnly,
+                },
+            },
+            {
+                jwtid: tokenId,
+                expiresIn: environment.auth.impersonation.expiresIn,
+            }
+        );
+        const { exp } = decodeToken("accessToken", accessToken);
+
+        await this.auditLogService.record(context, {
+            action: "impersonation.start",
+            targetType: "User",
+            targetId: target.id,
+            metadata: { tokenId, readOnly, reason, expiresAt: new Date(exp * 1000) },
+        });
+
+        return {
+            accessToken,
+            expiresAt: new Date(exp * 1000),
+            readOnly,
+            target: {
+                id: target.id,
+                email: target.email,
+                role: target.role,
+            },
+        };
+    }
+}
@@ -0,0 +1,204 @@
+import { BadRequestError, NotFoundError } from "../errors/errors.js";
+import { QUEUED_MODERATION_STATUSES, HIDEABLE_MODERATION_STATUSES } from "../repositories/ListingRepository.js";
+
+export default class ListingModerationService {
+    /**
+     * @param {import('../repositories/ListingRepository.js').default} listingRepository
+     * @param {import('./MailService.js').default} mailService
+     * @param {import('./AuditLogService.js').default} auditLogService
+     */
+    constructor(listingRepository, mailService, auditLogService) {
+        if (!listingRepository) {
+            throw new Error("ListingRepository is required");
+        }
+        if (!mailService) {
+            throw new Error("MailService is required");
+        }
+        if (!auditLogService) {
+            throw new Error("AuditLogService is required");
+        }
+        this.listingRepository = listingRepository;
+        this.mailService = mailService;
+        this.auditLogService = auditLogService;
+    }
+
+    /**
+     * List listings waiting for moderation
+     * Pending (pre-approval) and flagged listings by default, oldest first
+     * @param {object} params - Filters ({ status, category, page, limit })
+     * @returns {object} Paginated listings
+     */
+    async getQueue({ status, category, page, limit }) {
+        const result = await this.listingRepository.findModerationQueue({
+            statuses: status ? [status] : QUEUED_MODERATION_STATUSES,
+            category,
+            page,
+            limit,
+        });
+
+        return {
+            items: result.items.map((listing) => this._formatModerationResponse(listing)),
+            meta: {
+                totalCount: result.totalCount,
+                totalPages: result.totalPages,
+                currentPage: result.currentPage,
+            },
+        };
+    }
+
+    /**
+     * Approve a pending or flagged listing
+     * @param {string} id - Listing ID
+     * @param {string} moderatorId - Admin user ID
+     * @param {object} context - Audit context (see auditContext)
+     * @returns {object} Updated listing
+     */
+    async approve(id, moderatorId, context) {
+        const listing = await this._getListing(id);
+
+        if (!QUEUED_MODERATION_STATUSES.includes(listing.moderationStatus)) {
+            throw new BadRequestError("Only pending or flagged listings can be approved");
+        }
+
+        const approved = await this.listingRepository.moderate(id, {
+            fromStatuses: QUEUED_MODERATION_STATUSES,
+            status: "ACTIVE",
+            reason: null,
+            moderatedById: moderatorId,
+        });
+
+        return this._recordDecision(context, "listing.approve", listing, approved);
+    }
+
+    /**
+     * Hide a listing from the marketplace
+     * The owner still sees it in their inventory, with the reason
+     * @param {string} id - Listing ID
+     * @param {string} reason - Reason shown to the owner
+     * @param {string} moderatorId - Admin user ID
+     * @param {object} context - Audit context (see auditContext)
+     * @returns {object} Updated listing
+     */
+    async hide(id, reason, moderatorId, context) {
+        const listing = await this._getListing(id);
+
+        if (listing.moderationStatus === "HIDDEN") {
+            throw new BadRequestError("Listing is already hidden");
+        }
+
+        const hidden = await this.listingRepository.moderate(id, {
+            fromStatuses: HIDEABLE_MODERATION_STATUSES,
+            status: "HIDDEN",
+            reason,
+            moderatedById: moderatorId,
+        });
+
+        await this.mailService.sendListingModerationEmail(
+            listing.owner.user.email,
+            { title: listing.title, hidden: true, reason }
+        );
+
+        return this._recordDecision(context, "listing.hide", listing, hidden);
+    }
+
+    /**
+     * Restore a hidden listing
+     * @param {string} id - Listing ID
+     * @param {string} [reason] - Reason shown to the owner
+     * @param {string} moderatorId - Admin user ID
+     * @param {object} context - Audit context (see auditContext)
+     * @returns {object} Updated listing
+     */
+    async restore(id, reason, moderatorId, context) {
+        const listing = await this._getListing(id);
+
+        if (listing.moderationStatus !== "HIDDEN") {
+            throw new BadRequestError("Only hidden listings can be restored");
+        }
+
+        const restored = await this.listingRepository.moderate(id, {
+            fromStatuses: ["HIDDEN"],
+            status: "RESTORED",
+            reason: reason ?? null,
+            moderatedById: moderatorId,
+        });
+
+        await this.mailService.sendListingModerationEmail(
+            listing.owner.user.email,
+            { title: listing.title, hidden: false, reason }
+        );
+
+        return this._recordDecision(context, "listing.restore", listing, restored);
+    }
+
+    /**
+     * Load a listing in any moderation state
+     * @param {string} id - Listing ID
+     * @returns {object} Listing
+     */
+    async _getListing(id) {
+        const listing = await this.listingRepository.findByIdForModeration(id);
+
+        if (!listing) {
+            throw new NotFoundError("Listing not found");
+        }
+
+        return listing;
+    }
+
+    /**
+     * Audit-log a moderation decision and format the updated listing
+     * @param {object} context - Audit context
+     * @param {string} action - Audit action
+     * @param {object} before - Listing before the decision
+     * @param {object} after - Listing after the decision
+     * @returns {object} Formatted listing
+     */
+    async _recordDecision(context, action, before, after) {
+        const pick = (listing) => ({
+            moderationStatus: listing.moderationStatus,
+            moderationReason: listing.moderationReason,
+        });
+
+        await this.auditLogService.record(context, {
+            action,
+            targetType: "Listing",
+            targetId: after.id,
+            before: pick(before),
+            after: pick(after),
+        });
+
+        return this._formatModerationResponse(after);
+    }
+
+    /**
+     * Format listing for moderators
+     * @param {object} listing - Listing from database
+     * @returns {object} Formatted listing
+     */
+    _formatModerationResponse(listing) {
+        return {
+            id: listing.id,
+            title: listing.title,
+            description: listing.description,
+            category: listing.category,
+            price: listing.price,
+            listingType: listing.listingType,
+            condition: listing.condition,
+            isAvailable: listing.isAvailable,
+            moderation: {
+                status: listing.moderationStatus,
+                reason: listing.moderationReason,
+                moderatedAt: listing.moderatedAt,
+                moderatedBy: listing.moderatedBy,
+            },
+            owner: {
+                id: listing.owner.id,
+                userId: listing.owner.userId,
+                email: listing.owner.user.email,
+            },
+            createdAt: listing.createdAt,
+            updatedAt: listing.updatedAt,
+        };
+    }
+}
@@ -1,43 +1,75 @@
 import { BadRequestError, ForbiddenError, NotFoundError } from "../errors/errors.js";
+import { listingPolicies } from "../policies/resourcePolicies.js";
+import environment from "../configs/environment.js";
+
+// Edits to these fields send a listing in a pre-approval category back for review
+const REVIEWED_FIELDS = ["title", "description", "category", "price", "listingType", "condition"];
 
 export default class ListingService {
     /**
      * @param {import('../repositories/ListingRepository.js').default} listingRepository
+     * @param {import('./ContentFilterService.js').default} contentFilterService
      */
-    constructor(listingRepository) {
+    constructor(listingRepository, contentFilterService) {
         if (!listingRepository) {
             throw new Error("ListingRepository is required");
         }
+        if (!contentFilterService) {
+            throw new Error("ContentFilterService is required");
+        }
         this.listingRepository = listingRepository;
+        this.contentFilterService = contentFilterService;
     }
 
     /**
      * Create a new listing
      * @param {object} params - Create parameters
      * @param {string} params.ownerId - Owner ID (from authenticated user)
+     * @param {string} params.userId - Owner's user ID (content filter author)
      * @param {string} params.title - Listing title
      * @param {string} params.description - Listing description
      * @param {string} params.category - Listing category
      * @param {number} params.price - Listing price
      * @param {string} params.listingType - Listing type (SELL, RENT, BOTH)
      * @param {string} params.condition - Item condition
+     * @param {boolean} [params.requiresVerifiedBuyer] - Only verified students may order
      * @returns {object} Created listing
      */
-    async create({ ownerId, title, description, category, price, listingType, condition }) {
+    async create({ ownerId, userId, title, description, category, price, listingType, condition, requiresVerifiedBuyer }) {
         // Validate required fields
         if (!ownerId) {
             throw new BadRequestError("Owner ID is required");
         }
 
+        const screening = await this.contentFilterService.screen(
+            { title, description },
+            { contentType: "Listing", authorId: userId, category }
+        );
+
+        let moderationStatus = "ACTIVE";
+        if (this._requiresPreApproval(category)) {
+            moderationStatus = "PENDING_REVIEW";
+        } else if (screening.flagged) {
+            moderationStatus = "FLAGGED";
+        }
+
         const listing = await this.listingRepository.create({
             ownerId,
-            title,
-            description,
+            ...screening.fields,
             category,
             price,
             listingType,
             condition,
             isAvailable: true,
+            requiresVerifiedBuyer,
+            moderationStatus,
+            moderationReason: this._getFilterReason(screening),
+        });
+
+        await this.contentFilterService.recordMatches(screening.matches, {
+            contentType: "Listing",
+            contentId: listing.id,
+            authorId: userId,
         });
 
         return this._formatListingResponse(listing);
@@ -71,14 +103,15 @@ export default class ListingService {
      * @param {object} params - Update parameters
      * @param {string} params.listingId - Listing ID
      * @param {string} params.ownerId - Owner ID (from authenticated user)
+     * @param {string} params.userId - Owner's user ID (content filter author)
      * @param {object} params.updateData - Data to update
      * @returns {object} Updated listing
      */
-    async update({ listingId, ownerId, updateData }) {
-        // Check if listing exists and belongs to user
-        const existingListing = await this.listingRepository.findByIdAndOwner(listingId, ownerId);
+    async update({ listingId, ownerId, userId, updateData }) {
+        // Check if listing exists and belongs to user (others get a 404, not a 403)
+        const existingListing = await this.listingRepository.findByIdForUpdate(listingId);
 
-        if (!existingListing) {
+        if (!existingListing || !listingPolicies.manage(ownerId, existingListing)) {
             throw new NotFoundError("Listing not found");
         }
 
@@ -89,7 +122,22 @@ export default class ListingService {
             throw new BadRequestError("Cannot update listing with active orders");
         }
 
-        const updatedListing = await this.listingRepository.update(listingId, updateData);
+        const screening = await this.contentFilterService.screen(
+            { title: updateData.title, description: updateData.description },
+            { contentType: "Listing", authorId: userId, category: updateData.category ?? existingListing.category }
+        );
+
+        const updatedListing = await this.listingRepository.update(listingId, {
+            ...updateData,
+            ...screening.fields,
+            ...this._getModerationAfterEdit(existingListing, updateData, screening),
+        });
+
+        await this.contentFilterService.recordMatches(screening.matches, {
+            contentType: "Listing",
+            contentId: listingId,
+            authorId: userId,
+        });
 
         return this._formatListingResponse(updatedListing);
     }
@@ -102,10 +150,10 @@ export default class ListingService {
      * @returns {object} Success message
      */
     async delete({ listingId, ownerId }) {
-        // Check if listing exists and belongs to user
-        const existingListing = await this.listingRepository.findByIdAndOwner(listingId, ownerId);
+        // Check if listing exists and belongs to user (others get a 404, not a 403)
+        const existingListing = await this.listingRepository.findByIdForUpdate(listingId);
 
-        if (!existingListing) {
+        if (!existingListing || !listingPolicies.manage(ownerId, existingListing)) {
             throw new NotFoundError("Listing not found");
         }
 
@@ -171,6 +219,70 @@ export default class ListingService {
         return this.listingRepository.getCategories();
     }
 
+    /**
+     * Check whether listings in a category wait for admin approval
+     * @param {string} category - Listing category
+     * @returns {boolean} True if pre-approval is required
+     */
+    _requiresPreApproval(category) {
+        return environment.listings.preApprovalCategories.includes(category.toLowerCase());
+    }
+
+    /**
+     * Decide the moderation state of an edited listing
+     * Hidden listings stay hidden; content edits in pre-approval categories go back to the queue;
+     * edits that trip a FLAG rule are flagged for review
+     * @param {object} listing - Listing before the edit
+     * @param {object} updateData - Edited fields
+     * @param {object} screening - Content filter result for the edited text
+     * @returns {object} Moderation fields to update (empty to keep the current state)
+     */
+    _getModerationAfterEdit(listing, updateData, screening) {
+        if (listing.moderationStatus === "HIDDEN") {
+            return {};
+        }
+
+        const isContentEdit = REVIEWED_FIELDS.some((field) => updateData[field] !== undefined);
+
+        if (isContentEdit && this._requiresPreApproval(updateData.category ?? listing.category)) {
+            return { moderationStatus: "PENDING_REVIEW", moderationReason: this._getFilterReason(screening) };
+        }
+
+        if (screening.flagged && listing.moderationStatus !== "PENDING_REVIEW") {
+            return { moderationStatus: "FLAGGED", moderationReason: this._getFilterReason(screening) };
+        }
+
+        return {};
+    }
+
+    /**
+     * Moderation reason for content that tripped a FLAG rule
+     * @param {object} screening - Content filter result
+     * @returns {string|null} Reason, or null when nothing was flagged
+     */
+    _getFilterReason(screening) {
+        if (!screening.flagged) {
+            return null;
+        }
+
+        return this.contentFilterService.describeMatches(
+            screening.matches.filter(({ rule }) => rule.action === "FLAG")
+        );
+    }
+
+    /**
+     * Format a listing's moderation state for its owner
+     * @param {object} listing - Listing from database
+     * @returns {object} Moderation status and reason
+     */
+    _formatModeration(listing) {
+        return {
+            status: listing.moderationStatus,
+            reason: listing.moderationReason,
+            moderatedAt: listing.moderatedAt,
+        };
+    }
+
     /**
      * Calculate rating summary from reviews
      * @param {Array} reviews - Array of reviews
@@ -208,6 +320,8 @@ export default class ListingService {
             listingType: listing.listingType,
             condition: listing.condition,
             isAvailable: listing.isAvailable,
+            requiresVerifiedBuyer: listing.requiresVerifiedBuyer,
+            moderation: this._formatModeration(listing),
             createdAt: listing.createdAt,
             updatedAt: listing.updatedAt,
             owner: listing.owner ? {
@@ -217,6 +331,7 @@ export default class ListingService {
                 department: listing.owner.department,
                 ratingAverage: listing.owner.ratingAverage,
                 ratingCount: listing.owner.ratingCount,
+                isVerified: listing.owner.verificationStatus === "VERIFIED",
             } : undefined,
         };
     }
@@ -238,6 +353,7 @@ export default class ListingService {
             listingType: listing.listingType,
             condition: listing.condition,
             isAvailable: listing.isAvailable,
+            requiresVerifiedBuyer: listing.requiresVerifiedBuyer,
             createdAt: listing.createdAt,
             updatedAt: listing.updatedAt,
             owner: listing.owner ? {
@@ -246,6 +362,7 @@ export default class ListingService {
                 department: listing.owner.department,
                 ratingAverage: ratingSummary?.averageRating || listing.owner.ratingAverage || 0,
                 ratingCount: ratingSummary?.reviewCount || listing._count?.reviews || 0,
+                isVerified: listing.owner.verificationStatus === "VERIFIED",
             } : undefined,
         };
     }
@@ -265,6 +382,8 @@ export default class ListingService {
             listingType: listing.listingType,
             condition: listing.condition,
             isAvailable: listing.isAvailable,
+            requiresVerifiedBuyer: listing.requiresVerifiedBuyer,
+            moderation: this._formatModeration(listing),
             createdAt: listing.createdAt,
             updatedAt: listing.updatedAt,
             stats: {
@@ -0,0 +1,160 @@
+import environment from "../configs/environment.js";
+import { NotFoundError, TooManyRequestsError } from "../errors/errors.js";
+
+export default class LoginThrottleService {
+    /**
+     * @param {import('../repositories/LoginThrottleRepository.js').default} loginThrottleRepository
+     * @param {import('./MailService.js').default} mailService
+     * @param {import('./AuditLogService.js').default} auditLogService
+     */
+    constructor(loginThrottleRepository, mailService, auditLogService) {
+        if (!loginThrottleRepository) {
+            throw new Error("LoginThrottleRepository is required");
+        }
+        if (!mailService) {
+            throw new Error("MailService is required");
+        }
+        if (!auditLogService) {
+            throw new Error("AuditLogService is required");
+        }
+        this.loginThrottleRepository = loginThrottleRepository;
+        this.mailService = mailService;
+        this.auditLogService = auditLogService;
+        this.config = environment.auth.loginThrottle;
+    }
+
+    /**
+     * Reject the attempt if the email is locked (for this IP or account-wide) or the IP is blocked
+     * Locks apply to any email, registered or not, so the response never
+     * reveals whether an account exists. The regular lock is keyed on email and IP
+     * so failures from one client do not lock the account out everywhere; the
+     * account-wide lock has a higher threshold and stops guessing from many IPs
+     * @param {string} email - Email being logged into
+     * @param {string} [ipAddress] - Client IP
+     */
+    async assertCanAttempt(email, ipAddress) {
+        const [lockRemaining, accountLockRemaining] = await Promise.all([
+            this.loginThrottleRepository.getLoginLockRemaining(email, ipAddress),
+            this.loginThrottleRepository.getAccountLockRemaining(email),
+        ]);
+
+        if (accountLockRemaining > 0) {
+            throw new TooManyRequestsError(this._lockedMessage(accountLockRemaining));
+        }
+
+        if (lockRemaining > 0) {
+            throw new TooManyRequestsError(this._lockedMessage(lockRemaining));
+        }
+
+        if (ipAddress) {
+            const { failures, retryAfterSeconds } = await this.loginThrottleRepository.getFailures("ip", ipAddress);
+
+            if (failures >= this.config.maxAttemptsPerIp) {
+                throw new TooManyRequestsError(this._lockedMessage(retryAfterSeconds));
+            }
+        }
+    }
+
+    /**
+     * Record a failed attempt and lock the email once it hits a limit: for this IP after
+     * maxAttemptsPerEmail failures from it, for every IP after maxAttemptsPerAccount failures overall
+     * Each consecutive lockout doubles the lock duration, up to the configured maximum;
+     * the two locks keep separate backoff histories
+     * @param {object} params - Failure parameters
+     * @param {string} params.email - Email being logged into
+     * @param {string} [params.ipAddress] - Client IP
+     * @param {object} [params.user] - Matching user, if the email is registered
+     */
+    async recordFailure({ email, ipAddress, user }) {
+        const { windowSeconds, maxAttemptsPerEmail, maxAttemptsPerAccount } = this.config;
+
+        if (ipAddress) {
+            await this.loginThrottleRepository.incrementFailures("ip", ipAddress, windowSeconds);
+        }
+
+        const [failures, accountFailures] = await Promise.all([
+            this.loginThrottleRepository.incrementLoginFailures(email, ipAddress, windowSeconds),
+            this.loginThrottleRepository.incrementAccountFailures(email, windowSeconds),
+        ]);
+
+        let lockSeconds = 0;
+
+        if (accountFailures >= maxAttemptsPerAccount) {
+            const previousLockouts = await this.loginThrottleRepository.getAccountLockoutCount(email);
+            lockSeconds = this._lockDuration(previousLockouts);
+
+            await this.loginThrottleRepository.lockAccount(email, lockSeconds);
+        } else if (failures >= maxAttemptsPerEmail) {
+            const previousLockouts = await this.loginThrottleRepository.getLockoutCount(email, ipAddress);
+            lockSeconds = this._lockDuration(previousLockouts);
+
+            await this.loginThrottleRepository.lockLogin(email, ipAddress, lockSeconds);
+        } else {
+            return;
+        }
+
+        // Sent after the response for registered and unknown emails alike,
+        // so its timing does not reveal whether the account exists
+        setImmediate(() => {
+            if (user) {
+                this.mailService.sendAccountLockedEmail(user.email, lockSeconds);
+            }
+        });
+
+        throw new TooManyRequestsError(this._lockedMessage(lockSeconds));
+    }
+
+    /**
+     * Reset failure tracking after a successful login
+     * @param {string} email - Email that logged in
+     * @param {string} [ipAddress] - Client IP
+     */
+    async recordSuccess(email, ipAddress) {
+        await this.loginThrottleRepository.clearLoginLock(email, ipAddress);
+    }
+
+    /**
+     * Clear the lockouts of an email, account-wide and for every IP (admin action)
+     * @param {string} email - Locked email
+     * @param {object} context - Audit context (see auditContext)
+     * @returns {object} Success message
+     */
+    async clearLockout(email, context) {
+        const wasLocked = await this.loginThrottleRepository.clearEmailLocks(email);
+
+        if (!wasLocked) {
+            throw new NotFoundError("No active lockout for this email");
+        }
+
+        await this.auditLogService.record(context, {
+            action: "lockout.clear",
+            targetType: "User",
+            metadata: { email },
+        });
+
+        return {
+            message: "Lockout cleared successfully",
+            email,
+        };
+    }
+
+    /**
+     * Lock duration after a number of consecutive lockouts
+     * @param {number} previousLockouts - Lockouts in the backoff history
+     * @returns {number} Seconds
+     */
+    _lockDuration(previousLockouts) {
+        const { baseLockoutSeconds, maxLockoutSeconds } = this.config;
+        return Math.min(baseLockoutSeconds * 2 ** previousLockouts, maxLockoutSeconds);
+    }
+
+    /**
+     * Build the lockout error message
+     * @param {number} seconds - Seconds until the next attempt is allowed
+     * @returns {string} Message
+     */
+    _lockedMessage(seconds) {
+        const minutes = Math.max(Math.ceil(seconds / 60), 1);
+        return `Too many failed login attempts. Try again in ${minutes} minute${minutes === 1 ? "" : "s"}`;
+    }
+}
@@ -0,0 +1,208 @@
+import environment from "../configs/environment.js";
+import { logger } from "../libs/winston.js";
+import {
+    verificationEmail,
+    verificationCodeEmail,
+    passwordResetEmail,
+    passwordResetCodeEmail,
+    passwordChangedEmail,
+    emailChangeConfirmationEmail,
+    emailChangedEmail,
+    accountLockedEmail,
+    waitlistInviteEmail,
+    studentVerificationDecisionEmail,
+    listingModerationEmail,
+    disputeOpenedEmail,
+    disputeResolvedEmail,
+} from "../templates/emailTemplates.js";
+
+export default class MailService {
+    /**
+     * @param {import('../libs/mailer.js').default} mailer
+     */
+    constructor(mailer) {
+        if (!mailer) {
+            throw new Error("Mailer is required");
+        }
+        this.mailer = mailer;
+    }
+
+    /**
+     * Send email verification link
+     * @param {string} email - Recipient email
+     * @param {string} token - Raw verification token
+     * @returns {boolean} True if the email was handed to the transport
+     */
+    async sendVerificationEmail(email, token) {
+        return this._send(email, () => verificationEmail({
+            verificationUrl: this._buildFrontendUrl("/verify-email", { token }),
+            expiresInHours: 24,
+        }));
+    }
+
+    /**
+     * Send email verification code
+     * @param {string} email - Recipient email
+     * @param {string} code - Numeric code
+     * @param {number} expiresInMinutes - Code lifetime in minutes
+     * @returns {boolean} True if the email was handed to the transport
+     */
+    async sendVerificationCodeEmail(email, code, expiresInMinutes) {
+        return this._send(email, verificationCodeEmail({ code, expiresInMinutes }));
+    }
+
+    /**
+     * Send password reset link
+     * @param {string} email - Recipient email
+     * @param {string} token - Raw reset token
+     * @returns {boolean} True if the email was handed to the transport
+     */
+    async sendPasswordResetEmail(email, token) {
+        return this._send(email, () => passwordResetEmail({
+            resetUrl: this._buildFrontendUrl("/reset-password", { token }),
+            expiresInMinutes: 60,
+        }));
+    }
+
+    /**
+     * Send password reset code
+     * @param {string} email - Recipient email
+     * @param {string} code - Numeric code
+     * @param {number} expiresInMinutes - Code lifetime in minutes
+     * @returns {boolean} True if the email was handed to the transport
+     */
+    async sendPasswordResetCodeEmail(email, code, expiresInMinutes) {
+        return this._send(email, passwordResetCodeEmail({ code, expiresInMinutes }));
+    }
+
+    /**
+     * Send password changed notice
+     * @param {string} email - Recipient email
+     * @returns {boolean} True if the email was handed to the transport
+     */
+    async sendPasswordChangedEmail(email) {
+        return this._send(email, passwordChangedEmail({ changedAt: new Date() }));
+    }
+
+    /**
+     * Send email change confirmation link to the new address
+     * @param {string} email - New email
+     * @param {string} token - Raw confirmation token
+     * @returns {boolean} True if the email was handed to the transport
+     */
+    async sendEmailChangeConfirmationEmail(email, token) {
+        return this._send(email, () => emailChangeConfirmationEmail({
+            confirmUrl: this._buildFrontendUrl("/confirm-email", { token }),
+            expiresInHours: 24,
+        }));
+    }
+
+    /**
+     * Send email changed notice to the old address
+     * @param {string} email - Old email
+     * @param {string} newEmail - New email
+     * @returns {boolean} True if the email was handed to the transport
+     */
+    async sendEmailChangedEmail(email, newEmail) {
+        return this._send(email, emailChangedEmail({ newEmail }));
+    }
+
+    /**
+     * Send account locked notice
+     * @param {string} email - Recipient email
+     * @param {number} lockSeconds - Lock duration in seconds
+     * @returns {boolean} True if the email was handed to the transport
+     */
+    async sendAccountLockedEmail(email, lockSeconds) {
+        return this._send(email, () => accountLockedEmail({
+            lockMinutes: Math.max(Math.ceil(lockSeconds / 60), 1),
+            resetUrl: this._buildFrontendUrl("/forgot-password"),
+        }));
+    }
+
+    /**
+     * Tell a waitlisted student their university is now supported
+     * @param {string} email - Recipient email
+     * @param {string} universityName - University name
+     * @returns {boolean} True if the email was handed to the transport
+     */
+    async sendWaitlistInviteEmail(email, universityName) {
+        return this._send(email, () => waitlistInviteEmail({
+            universityName,
+            registerUrl: this._buildFrontendUrl("/register", { email }),
+        }));
+    }
+
+    /**
+     * Tell a student the outcome of their ID verification
+     * @param {string} email - Recipient email
+     * @param {object} decision - Decision ({ approved, reason })
+     * @returns {boolean} True if the email was handed to the transport
+     */
+    async sendStudentVerificationDecisionEmail(email, decision) {
+        return this._send(email, studentVerificationDecisionEmail(decision));
+    }
+
+    /**
+     * Tell a student a moderator hid or restored one of their listings
+     * @param {string} email - Recipient email
+     * @param {object} params - Listing and decision ({ title, hidden, reason })
+     * @returns {boolean} True if the email was handed to the transport
+     */
+    async sendListingModerationEmail(email, params) {
+        return this._send(email, listingModerationEmail(params));
+    }
+
+    /**
+     * Tell a buyer or seller a dispute was opened on their order
+     * @param {string} email - Recipient email
+     * @param {object} params - Order and dispute ({ title, openedBy, reason })
+     * @returns {boolean} True if the email was handed to the transport
+     */
+    async sendDisputeOpenedEmail(email, params) {
+        return this._send(email, disputeOpenedEmail(params));
+    }
+
+    /**
+     * Tell a buyer or seller how the dispute on their order was resolved
+     * @param {string} email - Recipient email
+     * @param {object} params - Order and decision ({ title, outcome, refundAmount, resolution })
+     * @returns {boolean} True if the email was handed to the transport
+     */
+    async sendDisputeResolvedEmail(email, params) {
+        return this._send(email, disputeResolvedEmail(params));
+    }
+
+    /**
+     * Build a link into the frontend app
+     * @param {string} pathname - Frontend path
+     * @param {object} query - Query parameters
+     * @returns {string} Absolute URL
+     */
+    _buildFrontendUrl(pathname, query = {}) {
+        const url = new URL(pathname, environment.frontend.url);
+        Object.entries(query).forEach(([key, value]) => url.searchParams.set(key, value));
+        return url.toString();
+    }
+
+    /**
+     * Deliver a rendered template
+     * Rendering and delivery failures (e.g. FRONTEND_URL unset for link emails) are
+     * logged, not thrown, so the calling flow still completes
+     * @param {string} to - Recipient email
+     * @param {object|Function} template - Rendered template ({ subject, html, text }), or a function returning one
+     * @returns {boolean} True if the email was handed to the transport
+     */
+    async _send(to, template) {
+        let rendered = template;
+
+        try {
+            rendered = typeof template === "function" ? template() : template;
+            await this.mailer.sendMail({ to, ...rendered });
+            return true;
+        } catch (error) {
+            logger.error("❌ Failed to send email", { to, subject: rendered?.subject, error: error.message });
+            return false;
+        }
+    }
+}
@@ -8,16 +8,23 @@ import {
     validateStatusTransition,
     validateCancellation,
 } from "../utils/OrderStateMachine.js";
+import { orderPolicies, authorizePolicy } from "../policies/resourcePolicies.js";
+import { VISIBLE_MODERATION_STATUSES } from "../repositories/ListingRepository.js";
 
 export default class OrderService {
     /**
      * @param {import('../repositories/OrderRepository.js').default} orderRepository
+     * @param {import('./SuspensionService.js').default} suspensionService
      */
-    constructor(orderRepository) {
+    constructor(orderRepository, suspensionService) {
         if (!orderRepository) {
             throw new Error("OrderRepository is required");
         }
+        if (!suspensionService) {
+            throw new Error("SuspensionService is required");
+        }
         this.orderRepository = orderRepository;
+        this.suspensionService = suspensionService;
     }
 
     /**
@@ -35,6 +42,8 @@ export default class OrderService {
             throw new ForbiddenError("Only students can create orders");
         }
 
+        await this.suspensionService.assertNotSuspended(buyerUserId);
+
         if (!buyerStudent.isActive) {
             throw new ForbiddenError("Your student account is not active");
         }
@@ -46,8 +55,12 @@ export default class OrderService {
             throw new NotFoundError("Listing not found");
         }
 
-        // Check listing is available
-        if (!listing.isAvailable) {
+        // Check listing is available (moderated-out listings and suspended sellers' listings are hidden)
+        if (
+            !listing.isAvailable
+            || !VISIBLE_MODERATION_STATUSES.includes(listing.moderationStatus)
+            || await this.suspensionService.getActiveSuspension(listing.owner.userId)
+        ) {
             throw new BadRequestError("Listing is not available");
         }
 
@@ -56,6 +69,11 @@ export default class OrderService {
             throw new BadRequestError("Listing is not available for sale");
         }
 
+        // Seller may restrict the listing to verified students
+        if (listing.requiresVerifiedBuyer && buyerStudent.verificationStatus !== "VERIFIED") {
+            throw new ForbiddenError("The seller only accepts orders from verified students. Verify your student ID first");
+        }
+
         // Check buyer is not the seller
         if (listing.ownerId === buyerStudent.id) {
             throw new BadRequestError("You cannot buy your own listing");
@@ -141,15 +159,14 @@ export default class OrderService {
             throw new ForbiddenError("Student profile not found");
         }
 
-        // Only seller can approve or reject (not buyer)
-        const isSeller = order.sellerId === student.id;
-        
+        authorizePolicy(orderPolicies.participate, student.id, order, "You can only update your own orders");
+
         // Validate state transition
         validateStatusTransition(order.status, newStatus);
 
         // Business rule: Only seller can approve/reject
-        if ((newStatus === OrderStatus.APPROVED || newStatus === OrderStatus.REJECTED) && !isSeller) {
-            throw new ForbiddenError("Only the seller can approve or reject an order");
+        if (newStatus === OrderStatus.APPROVED || newStatus === OrderStatus.REJECTED) {
+            authorizePolicy(orderPolicies.decide, student.id, order, "Only the seller can approve or reject an order");
         }
 
         // Update order
@@ -192,12 +209,7 @@ export default class OrderService {
         validateCancellation(order.status);
 
         // Business rule: Buyer can cancel, seller can cancel (from pre-paid states)
-        const isBuyer = order.buyerId === student.id;
-        const isSeller = order.sellerId === student.id;
-
-        if (!isBuyer && !isSeller) {
-            throw new ForbiddenError("You can only cancel your own orders");
-        }
+        authorizePolicy(orderPolicies.participate, student.id, order, "You can only cancel your own orders");
 
         // Update order to CANCELLED
         const updatedOrder = await this.orderRepository.updateOrderStatus(
@@ -0,0 +1,100 @@
+import crypto from "crypto";
+import environment from "../configs/environment.js";
+import { TooManyRequestsError } from "../errors/errors.js";
+import { hashToken } from "../utils/tokens.js";
+
+/**
+ * Code purposes
+ */
+export const OtpPurpose = {
+    EMAIL_VERIFICATION: "email-verification",
+    PASSWORD_RESET: "password-reset",
+};
+
+export default class OtpService {
+    /**
+     * @param {import('../repositories/OtpRepository.js').default} otpRepository
+     */
+    constructor(otpRepository) {
+        if (!otpRepository) {
+            throw new Error("OtpRepository is required");
+        }
+        this.otpRepository = otpRepository;
+        this.config = environment.auth.otp;
+    }
+
+    /**
+     * Enforce the resend cooldown for an email
+     * Keyed by email rather than user so the response is the same whether or not the account exists
+     * @param {string} purpose - Code purpose
+     * @param {string} email - Email the code is sent to
+     */
+    async startCooldown(purpose, email) {
+        const started = await this.otpRepository.startCooldown(purpose, email, this.config.resendCooldownSeconds);
+
+        if (!started) {
+            const remaining = await this.otpRepository.getCooldownRemaining(purpose, email);
+            throw new TooManyRequestsError(`Please wait ${Math.max(remaining, 1)} seconds before requesting a new code`);
+        }
+    }
+
+    /**
+     * Issue a new code, invalidating any previous one
+     * @param {string} purpose - Code purpose
+     * @param {string} userId - User ID
+     * @returns {object} Plain code and its lifetime in minutes
+     */
+    async issue(purpose, userId) {
+        const code = String(crypto.randomInt(0, 10 ** this.config.length)).padStart(this.config.length, "0");
+
+        await this.otpRepository.saveCode(purpose, userId, hashToken(code), this.config.expiresInSeconds);
+
+        return {
+            code,
+            expiresInMinutes: Math.ceil(this.config.expiresInSeconds / 60),
+        };
+    }
+
+    /**
+     * Check a code; a correct code is consumed, and the code is discarded
+     * once the attempt limit is reached
+     * The attempt is counted before the code is compared, so concurrent guesses
+     * cannot exceed the limit
+     * @param {string} purpose - Code purpose
+     * @param {string} userId - User ID
+     * @param {string} code - Code entered by the user
+     * @returns {boolean} True if the code was valid
+     */
+    async verify(purpose, userId, code) {
+        const entry = await this.otpRepository.claimAttempt(purpose, userId);
+
+        if (!entry) {
+            return false;
+        }
+
+        if (entry.attempts > this.config.maxAttempts) {
+            await this.otpRepository.deleteCode(purpose, userId);
+            return false;
+        }
+
+        const isMatch = crypto.timingSafeEqual(
+            Buffer.from(hashToken(code)),
+            Buffer.from(entry.codeHash)
+        );
+
+        if (isMatch || entry.attempts >= this.config.maxAttempts) {
+            await this.otpRepository.deleteCode(purpose, userId);
+        }
+
+        return isMatch;
+    }
+
+    /**
+     * Discard any outstanding code (e.g. after the link flow succeeded)
+     * @param {string} purpose - Code purpose
+     * @param {string} userId - User ID
+     */
+    async revoke(purpose, userId) {
+        await this.otpRepository.deleteCode(purpose, userId);
+    }
+}
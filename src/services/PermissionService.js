@@ -0,0 +1,175 @@
+import { BadRequestError, ForbiddenError, NotFoundError } from "../errors/errors.js";
+import { ROLE_PERMISSIONS, GRANTABLE_PERMISSIONS } from "../configs/permissions.js";
+import { adminAccessError } from "./AdminApprovalService.js";
+
+export default class PermissionService {
+    /**
+     * @param {import('../repositories/PermissionRepository.js').default} permissionRepository
+     * @param {import('../repositories/AdminRepository.js').default} adminRepository
+     * @param {import('./AuditLogService.js').default} auditLogService
+     */
+    constructor(permissionRepository, adminRepository, auditLogService) {
+        if (!permissionRepository) {
+            throw new Error("PermissionRepository is required");
+        }
+        if (!adminRepository) {
+            throw new Error("AdminRepository is required");
+        }
+        if (!auditLogService) {
+            throw new Error("AuditLogService is required");
+        }
+        this.permissionRepository = permissionRepository;
+        this.adminRepository = adminRepository;
+        this.auditLogService = auditLogService;
+    }
+
+    /**
+     * Resolve the effective permissions of an authenticated user
+     * Admins only hold permissions once approved; their grants add to the ADMIN role's set
+     * @param {object} user - req.user ({ id, role })
+     * @returns {object} { permissions: Set<string>, admin: object|null }
+     */
+    async resolvePermissions(user) {
+        const permissions = new Set(ROLE_PERMISSIONS[user.role] || []);
+
+        if (user.role !== "ADMIN") {
+            return { permissions, admin: null };
+        }
+
+        const admin = await this.permissionRepository.findAdminWithGrantsByUserId(user.id);
+
+        if (!admin) {
+            throw new ForbiddenError("Admin profile not found");
+        }
+
+        const accessError = adminAccessError(admin);
+
+        if (accessError) {
+            throw accessError;
+        }
+
+        admin.permissionGrants.forEach((grant) => permissions.add(grant.permission));
+
+        return {
+            permissions,
+            admin: {
+                id: admin.id,
+                userId: admin.userId,
+                status: admin.status,
+                approvedAt: admin.approvedAt,
+            },
+        };
+    }
+
+    /**
+     * Get an admin's effective permissions and grants
+     * @param {string} adminId - Admin ID
+     * @returns {object} Role permissions, grants and effective permissions
+     */
+    async getAdminPermissions(adminId) {
+        const admin = await this.adminRepository.findAdminById(adminId);
+
+        if (!admin) {
+            throw new NotFoundError("Admin not found");
+        }
+
+        const grants = await this.permissionRepository.findGrantsByAdmin(adminId);
+
+        return this._formatAdminPermissions(adminId, grants);
+    }
+
+    /**
+     * Grant a permission to an admin
+     * @param {string} adminId - Admin ID
+     * @param {string} permission - Permission name
+     * @param {string} granterUserId - User ID of the granting SuperAdmin
+     * @param {object} context - Audit context (see auditContext)
+     * @returns {object} Updated admin permissions
+     */
+    async grantPermission(adminId, permission, granterUserId, context) {
+        if (!GRANTABLE_PERMISSIONS.includes(permission)) {
+            throw new BadRequestError(`Permission ${permission} cannot be granted. Grantable: ${GRANTABLE_PERMISSIONS.join(", ")}`);
+        }
+
+        const [admin, superAdmin] = await Promise.all([
+            this.adminRepository.findAdminById(adminId),
+            this.adminRepository.findSuperAdminByUserId(granterUserId),
+        ]);
+
+        if (!admin) {
+            throw new NotFoundError("Admin not found");
+        }
+
+        if (!superAdmin) {
+            throw new ForbiddenError("Only super admins can grant permissions");
+        }
+
+        const before = await this.getAdminPermissions(adminId);
+
+        await this.permissionRepository.grant(adminId, permission, superAdmin.id);
+
+        const after = await this.getAdminPermissions(adminId);
+
+        await this.auditLogService.record(context, {
+            action: "admin.permission.grant",
+            targetType: "Admin",
+            targetId: adminId,
+            before: { effectivePermissions: before.effectivePermissions },
+            after: { effectivePermissions: after.effectivePermissions },
+            metadata: { permission },
+        });
+
+        return after;
+    }
+
+    /**
+     * Revoke a granted permission from an admin
+     * @param {string} adminId - Admin ID
+     * @param {string} permission - Permission name
+     * @param {object} context - Audit context (see auditContext)
+     * @returns {object} Updated admin permissions
+     */
+    async revokePermission(adminId, permission, context) {
+        const removed = await this.permissionRepository.revoke(adminId, permission);
+
+        if (removed === 0) {
+            throw new NotFoundError("Permission grant not found");
+        }
+
+        const after = await this.getAdminPermissions(adminId);
+
+        await this.auditLogService.record(context, {
+            action: "admin.permission.revoke",
+            targetType: "Admin",
+            targetId: adminId,
+            after: { effectivePermissions: after.effectivePermissions },
+            metadata: { permission },
+        });
+
+        return after;
+    }
+
+    /**
+     * Format admin permissions response
+     * @param {string} adminId - Admin ID
+     * @param {object[]} grants - Grants from database
+     * @returns {object} Formatted permissions
+     */
+    _formatAdminPermissions(adminId, grants) {
+        const rolePermissions = ROLE_PERMISSIONS.ADMIN;
+
+        return {
+            adminId,
+            rolePermissions,
+            grants: grants.map((grant) => ({
+                permission: grant.permission,
+                grantedAt: grant.createdAt,
+                grantedBy: grant.grantedBy?.user ? {
+                    userId: grant.grantedBy.user.id,
+                    email: grant.grantedBy.user.email,
+                } : null,
+            })),
+            effectivePermissions: [...new Set([...rolePermissions, ...grants.map((grant) => grant.permission)])],
+        };
+    }
+}
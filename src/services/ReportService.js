@@ -0,0 +1,421 @@
+import { BadRequestError, ConflictError, NotFoundError } from "../errors/errors.js";
+import { Permission } from "../configs/permissions.js";
+import { OPEN_REPORT_STATUSES } from "../repositories/ReportRepository.js";
+import { VISIBLE_MODERATION_STATUSES } from "../repositories/ListingRepository.js";
+
+export default class ReportService {
+    /**
+     * @param {import('../repositories/ReportRepository.js').default} reportRepository
+     * @param {import('../repositories/AuthRepository.js').default} authRepository
+     * @param {import('./PermissionService.js').default} permissionService
+     * @param {import('./SuspensionService.js').default} suspensionService
+     * @param {import('./ListingModerationService.js').default} listingModerationService
+     * @param {import('./AuditLogService.js').default} auditLogService
+     */
+    constructor(reportRepository, authRepository, permissionService, suspensionService, listingModerationService, auditLogService) {
+        if (!reportRepository) {
+            throw new Error("ReportRepository is required");
+        }
+        if (!authRepository) {
+            throw new Error("AuthRepository is required");
+        }
+        if (!permissionService) {
+            throw new Error("PermissionService is required");
+        }
+        if (!suspensionService) {
+            throw new Error("SuspensionService is required");
+        }
+        if (!listingModerationService) {
+            throw new Error("ListingModerationService is required");
+        }
+        if (!auditLogService) {
+            throw new Error("AuditLogService is required");
+        }
+        this.reportRepository = reportRepository;
+        this.authRepository = authRepository;
+        this.permissionService = permissionService;
+        this.suspensionService = suspensionService;
+        this.listingModerationService = listingModerationService;
+        this.auditLogService = auditLogService;
+    }
+
+    /**
+     * Report a listing or a user
+     * A reporter can only have one undecided report per target
+     * @param {object} params
+     * @param {string} params.reporterId - Reporting user ID
+     * @param {string} [params.listingId] - Reported listing ID
+     * @param {string} [params.userId] - Reported user ID
+     * @param {string} params.category - ReportCategory
+     * @param {string} params.reason - Details
+     * @returns {object} Created report
+     */
+    async create({ reporterId, listingId, userId, category, reason }) {
+        const target = listingId
+            ? await this._resolveListingTarget(listingId, reporterId)
+            : await this._resolveUserTarget(userId, reporterId);
+
+        const duplicate = await this.reportRepository.findOpenDuplicate({ reporterId, ...target });
+
+        if (duplicate) {
+            throw new ConflictError(
+                `You have already reported this ${listingId ? "listing" : "user"}. It is being reviewed`
+            );
+        }
+
+        const report = await this.reportRepository.create({
+            reporterId,
+            ...target,
+            category,
+            reason,
+        });
+
+        return this._formatReportResponse(report);
+    }
+
+    /**
+     * List reports for the moderation queue
+     * Open and in-review reports by default, oldest first
+     * @param {object} params - Filters ({ status, targetType, category, reportedUserId, reportedListingId, assignee, page, limit })
+     * @param {object} user - req.user
+     * @returns {object} Paginated reports
+     */
+    async getQueue({ status, assignee, ...filters }, user) {
+        let assignedToId;
+
+        if (assignee === "me") {
+            assignedToId = user.id;
+        } else if (assignee === "unassigned") {
+            assignedToId = null;
+        } else if (assignee) {
+            assignedToId = assignee;
+        }
+
+        const result = await this.reportRepository.findAll({
+            ...filters,
+            statuses: status ? [status] : OPEN_REPORT_STATUSES,
+            assignedToId,
+        });
+
+        return {
+            items: result.items.map((report) => this._formatReportResponse(report, { forModerator: true })),
+            meta: {
+                totalCount: result.totalCount,
+                totalPages: result.totalPages,
+                currentPage: result.currentPage,
+            },
+        };
+    }
+
+    /**
+     * Get a report with its notes
+     * @param {string} id - Report ID
+     * @returns {object} Report
+     */
+    async getReport(id) {
+        const report = await this._getReport(id);
+
+        return this._formatReportResponse(report, { forModerator: true });
+    }
+
+    /**
+     * Claim a report for the current moderator
+     * @param {string} id - Report ID
+     * @param {object} user - req.user
+     * @param {object} context - Audit context (see auditContext)
+     * @returns {object} Updated report
+     */
+    async claim(id, user, context) {
+        const report = await this._getOpenReport(id);
+
+        if (report.assignedToId && report.assignedToId !== user.id) {
+            throw new ConflictError("Report is already assigned to another moderator");
+        }
+
+        const claimed = await this.reportRepository.assign(id, user.id);
+
+        await this._recordDecision(context, "report.claim", report, claimed);
+
+        return this._formatReportResponse(claimed, { forModerator: true });
+    }
+
+    /**
+     * Assign a report to a moderator
+     * @param {string} id - Report ID
+     * @param {string} assigneeUserId - User ID of an admin who can resolve reports
+     * @param {object} context - Audit context (see auditContext)
+     * @returns {object} Updated report
+     */
+    async assign(id, assigneeUserId, context) {
+        const report = await this._getOpenReport(id);
+
+        const assignee = await this.authRepository.findUserById(assigneeUserId);
+
+        if (!assignee || !(await this._canModerate(assignee))) {
+            throw new BadRequestError("Assignee must be an admin who can resolve reports");
+        }
+
+        // Reassigning is allowed, but only from the assignee read above
+        const assigned = await this.reportRepository.assign(id, assignee.id, report.assignedToId);
+
+        await this._recordDecision(context, "report.assign", report, assigned);
+
+        return this._formatReportResponse(assigned, { forModerator: true });
+    }
+
+    /**
+     * Add an internal note to a report
+     * @param {string} id - Report ID
+     * @param {string} authorId - Author user ID
+     * @param {string} body - Note text
+     * @returns {object} Created note
+     */
+    async addNote(id, authorId, body) {
+        await this._getReport(id);
+
+        return this.reportRepository.addNote(id, authorId, body);
+    }
+
+    /**
+     * Resolve a report, optionally acting on its target
+     * The action runs before the report is closed and is skipped when it is already
+     * in effect (e.g. the user is already suspended), so a failed resolve can be retried
+     * @param {string} id - Report ID
+     * @param {object} user - req.user
+     * @param {object} params
+     * @param {string} params.resolution - Decision summary
+     * @param {string} [params.action] - HIDE_LISTING or SUSPEND_USER
+     * @param {Date} [params.suspensionExpiresAt] - End of the suspension for SUSPEND_USER
+     * @param {object} context - Audit context (see auditContext)
+     * @returns {object} Updated report
+     */
+    async resolve(id, user, { resolution, action = null, suspensionExpiresAt = null }, context) {
+        const report = await this._getOpenReport(id);
+
+        this._assertCanDecide(report, user);
+
+        if (action === "HIDE_LISTING") {
+            if (!report.reportedListingId) {
+                throw new BadRequestError("Only listing reports can hide a listing");
+            }
+
+            // Hidden like any moderator hide: the owner is emailed and listing.hide is audited
+            if (report.reportedListing.moderationStatus !== "HIDDEN") {
+                await this.listingModerationService.hide(report.reportedListingId, resolution, user.id, context);
+            }
+        }
+
+        if (action === "SUSPEND_USER") {
+            if (!report.reportedUserId) {
+                throw new BadRequestError("Report has no user to suspend");
+            }
+
+            if (!await this.suspensionService.getActiveSuspension(report.reportedUserId)) {
+                await this.suspensionService.suspend(
+                    report.reportedUserId,
+                    { reason: resolution, expiresAt: suspensionExpiresAt },
+                    user.id,
+                    context
+                );
+            }
+        }
+
+        const resolved = await this.reportRepository.decide(id, {
+            status: "RESOLVED",
+            handledById: user.id,
+            resolution,
+            actionTaken: action,
+        });
+
+        await this._recordDecision(context, "report.resolve", report, resolved);
+
+        return this._formatReportResponse(resolved, { forModerator: true });
+    }
+
+    /**
+     * Reject a report (no violation found)
+     * @param {string} id - Report ID
+     * @param {object} user - req.user
+     * @param {object} params
+     * @param {string} params.resolution - Why the report was rejected
+     * @param {object} context - Audit context (see auditContext)
+     * @returns {object} Updated report
+     */
+    async reject(id, user, { resolution }, context) {
+        const report = await this._getOpenReport(id);
+
+        this._assertCanDecide(report, user);
+
+        const rejected = await this.reportRepository.decide(id, {
+            status: "REJECTED",
+            handledById: user.id,
+            resolution,
+            actionTaken: null,
+        });
+
+        await this._recordDecision(context, "report.reject", report, rejected);
+
+        return this._formatReportResponse(rejected, { forModerator: true });
+    }
+
+    /**
+     * Resolve the target of a listing report
+     * @param {string} listingId - Listing ID
+     * @param {string} reporterId - Reporter user ID
+     * @returns {object} { reportedListingId, reportedUserId }
+     */
+    async _resolveListingTarget(listingId, reporterId) {
+        const listing = await this.reportRepository.findListingWithOwner(listingId);
+
+        if (!listing || !listing.isAvailable || !VISIBLE_MODERATION_STATUSES.includes(listing.moderationStatus)) {
+            throw new NotFoundError("Listing not found");
+        }
+
+        if (listing.owner.userId === reporterId) {
+            throw new BadRequestError("You cannot report your own listing");
+        }
+
+        return {
+            reportedListingId: listing.id,
+            reportedUserId: listing.owner.userId,
+        };
+    }
+
+    /**
+     * Resolve the target of a user report (students only)
+     * @param {string} userId - Reported user ID
+     * @param {string} reporterId - Reporter user ID
+     * @returns {object} { reportedListingId, reportedUserId }
+     */
+    async _resolveUserTarget(userId, reporterId) {
+        if (userId === reporterId) {
+            throw new BadRequestError("You cannot report yourself");
+        }
+
+        const user = await this.authRepository.findUserById(userId);
+
+        if (!user || user.deletedAt || user.role !== "STUDENT") {
+            throw new NotFoundError("User not found");
+        }
+
+        return {
+            reportedListingId: null,
+            reportedUserId: user.id,
+        };
+    }
+
+    /**
+     * Check whether a user can take reports
+     * @param {object} user - User record
+     * @returns {boolean} True if they hold reports:resolve
+     */
+    async _canModerate(user) {
+        try {
+            const { permissions } = await this.permissionService.resolvePermissions(user);
+            return permissions.has(Permission.REPORTS_RESOLVE);
+        } catch (error) {
+            // Unapproved admins have no permissions at all
+            return false;
+        }
+    }
+
+    /**
+     * Only the assignee (or a super admin) decides an assigned report
+     * @param {object} report - Report record
+     * @param {object} user - req.user
+     */
+    _assertCanDecide(report, user) {
+        if (report.assignedToId && report.assignedToId !== user.id && user.role !== "SUPER_ADMIN") {
+            throw new ConflictError("Report is assigned to another moderator");
+        }
+    }
+
+    /**
+     * Audit-log a change to a report's assignment or status
+     * @param {object} context - Audit context
+     * @param {string} action - Audit action
+     * @param {object} before - Report before the change
+     * @param {object} after - Report after the change
+     */
+    async _recordDecision(context, action, before, after) {
+        const pick = (report) => ({
+            status: report.status,
+            assignedToId: report.assignedToId,
+            handledById: report.handledById,
+            resolution: report.resolution,
+            actionTaken: report.actionTaken,
+        });
+
+        await this.auditLogService.record(context, {
+            action,
+            targetType: "Report",
+            targetId: after.id,
+            before: pick(before),
+            after: pick(after),
+        });
+    }
+
+    /**
+     * Load a report
+     * @param {string} id - Report ID
+     * @returns {object} Report
+     */
+    async _getReport(id) {
+        const report = await this.reportRepository.findById(id);
+
+        if (!report) {
+            throw new NotFoundError("Report not found");
+        }
+
+        return report;
+    }
+
+    /**
+     * Load a report that is still waiting for a decision
+     * @param {string} id - Report ID
+     * @returns {object} Report
+     */
+    async _getOpenReport(id) {
+        const report = await this._getReport(id);
+
+        if (!OPEN_REPORT_STATUSES.includes(report.status)) {
+            throw new BadRequestError(`Report has already been ${report.status.toLowerCase()}`);
+        }
+
+        return report;
+    }
+
+    /**
+     * Format report response
+     * @param {object} report - Report from database
+     * @param {object} [options]
+     * @param {boolean} [options.forModerator] - Include reporter, assignment, decision and notes
+     * @returns {object} Formatted report
+     */
+    _formatReportResponse(report, { forModerator = false } = {}) {
+        return {
+            id: report.id,
+            targetType: report.reportedListingId ? "listing" : "user",
+            reportedListingId: report.reportedListingId,
+            reportedUserId: report.reportedListingId ? undefined : report.reportedUserId,
+            category: report.category,
+            reason: report.reason,
+            status: report.status,
+            createdAt: report.createdAt,
+            ...(forModerator && {
+                reportedUserId: report.reportedUserId,
+                reporter: report.reporter,
+                reportedUser: report.reportedUser,
+                reportedListing: report.reportedListing,
+                assignedTo: report.assignedTo,
+                assignedAt: report.assignedAt,
+                handledBy: report.handledBy,
+                handledAt: report.handledAt,
+                resolution: report.resolution,
+                actionTaken: report.actionTaken,
+                notes: report.notes,
+                updatedAt: report.updatedAt,
+            }),
+        };
+    }
+}
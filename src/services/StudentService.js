@@ -0,0 +1,241 @@
+import bcrypt from "bcryptjs";
+import { BadRequestError, NotFoundError, UnauthorizedError, ConflictError } from "../errors/errors.js";
+import { getTerminalStatuses } from "../utils/OrderStateMachine.js";
+import { generateRandomToken } from "../utils/tokens.js";
+
+export default class StudentService {
+    /**
+     * @param {import('../repositories/StudentRepository.js').default} studentRepository
+     * @param {import('../repositories/AuthRepository.js').default} authRepository
+     * @param {import('../repositories/TokenDenylistRepository.js').default} tokenDenylistRepository
+     */
+    constructor(studentRepository, authRepository, tokenDenylistRepository) {
+        if (!studentRepository) {
+            throw new Error("StudentRepository is required");
+        }
+        if (!authRepository) {
+            throw new Error("AuthRepository is required");
+        }
+        if (!tokenDenylistRepository) {
+            throw new Error("TokenDenylistRepository is required");
+        }
+        this.studentRepository = studentRepository;
+        this.authRepository = authRepository;
+        this.tokenDenylistRepository = tokenDenylistRepository;
+    }
+
+    /**
+     * Get the current student's own profile
+     * @param {string} userId - User ID
+     * @returns {object} Student profile
+     */
+    async getMyProfile(userId) {
+        const student = await this.studentRepository.findByUserId(userId);
+
+        if (!student) {
+            throw new NotFoundError("Student profile not found");
+        }
+
+        return this._formatOwnProfileResponse(student);
+    }
+
+    /**
+     * Update the current student's own profile
+     * @param {string} userId - User ID
+     * @param {object} updateData - Fields to update (studentId, grade, department)
+     * @returns {object} Updated student profile
+     */
+    async updateMyProfile(userId, updateData) {
+        const student = await this.studentRepository.findByUserId(userId);
+
+        if (!student) {
+            throw new NotFoundError("Student profile not found");
+        }
+
+        // The student ID is what an admin checked against the ID card
+        const isLockedForVerification = ["PENDING", "VERIFIED"].includes(student.verificationStatus);
+
+        if (
+            updateData.studentId !== undefined &&
+            updateData.studentId !== student.studentId &&
+            isLockedForVerification
+        ) {
+            throw new BadRequestError("Student ID cannot be changed while verification is pending or approved");
+        }
+
+        const updatedStudent = await this.studentRepository.update(student.id, updateData);
+
+        return this._formatOwnProfileResponse(updatedStudent);
+    }
+
+    /**
+     * Get a student's public seller profile
+     * @param {string} id - Student ID
+     * @returns {object} Public profile with active listings and stats
+     */
+    async getPublicProfile(id) {
+        const student = await this.studentRepository.findPublicById(id);
+
+        // Closed accounts and suspended sellers have no public profile
+        if (!student || !student.isActive || student.user.suspensions.length > 0) {
+            throw new NotFoundError("Student not found");
+        }
+
+        const [completedOrderCount, ratingCounts] = await Promise.all([
+            this.studentRepository.countCompletedOrders(id),
+            this.studentRepository.countReviewsByRating(id),
+        ]);
+
+        return {
+            id: student.id,
+            grade: student.grade,
+            department: student.department,
+            university: student.university,
+            isVerified: student.verificationStatus === "VERIFIED",
+            memberSince: student.createdAt,
+            completedOrderCount,
+            rating: this._formatRatingSummary(student, ratingCounts),
+            listings: student.listings,
+        };
+    }
+
+    /**
+     * Export everything stored about the current student
+     * @param {string} userId - User ID
+     * @returns {object} Export archive
+     */
+    async exportMyData(userId) {
+        const data = await this.studentRepository.findExportData(userId);
+
+        if (!data || !data.student) {
+            throw new NotFoundError("Student profile not found");
+        }
+
+        const {
+            student: {
+                listings,
+                ordersAsBuyer,
+                ordersAsSeller,
+                reviewsGiven,
+                reviewsReceived,
+                verifications,
+                ...profile
+            },
+            chatsSent,
+            reportsMade,
+            sessions,
+            ...user
+        } = data;
+
+        return {
+            exportedAt: new Date().toISOString(),
+            user,
+            studentProfile: profile,
+            verifications,
+            listings,
+            orders: {
+                asBuyer: ordersAsBuyer,
+                asSeller: ordersAsSeller,
+            },
+            messages: chatsSent,
+            reviews: {
+                given: reviewsGiven,
+                received: reviewsReceived,
+            },
+            reports: reportsMade,
+            sessions,
+        };
+    }
+
+    /**
+     * Close the current student's account
+     * Personal data is anonymized rather than deleted so orders and reviews
+     * stay consistent for the other party
+     * @param {string} userId - User ID
+     * @param {string} password - Current password (confirmation)
+     * @returns {object} Success message
+     */
+    async deleteMyAccount(userId, password) {
+        const user = await this.authRepository.findUserById(userId);
+
+        if (!user || !user.student) {
+            throw new NotFoundError("Student profile not found");
+        }
+
+        const isPasswordValid = await bcrypt.compare(password, user.password);
+
+        if (!isPasswordValid) {
+            throw new UnauthorizedError("Password is incorrect");
+        }
+
+        const openOrders = await this.studentRepository.countOpenOrders(user.student.id, getTerminalStatuses());
+
+        if (openOrders > 0) {
+            throw new ConflictError(
+                `You have ${openOrders} order(s) in progress. Complete or cancel them before deleting your account`
+            );
+        }
+
+        const unusablePassword = await bcrypt.hash(generateRandomToken(), 12);
+
+        // Deny access tokens first: if this fails nothing is deleted and the request can be retried.
+        // The open-order check is repeated inside the transaction, which also revokes the sessions
+        await this.tokenDenylistRepository.denyAllUserTokens(user.id);
+
+        await this.studentRepository.anonymize({
+            userId: user.id,
+            studentId: user.student.id,
+            placeholderEmail: `deleted-${user.id}@deleted.invalid`,
+            unusablePassword,
+            terminalStatuses: getTerminalStatuses(),
+        });
+
+        return {
+            message: "Account deleted successfully",
+        };
+    }
+
+    /**
+     * Build the rating summary with a 1-5 star breakdown
+     * @param {object} student - Student with rating aggregates
+     * @param {object[]} ratingCounts - [{ rating, count }]
+     * @returns {object} Rating summary
+     */
+    _formatRatingSummary(student, ratingCounts) {
+        const distribution = {};
+
+        for (let stars = 1; stars <= 5; stars++) {
+            distribution[stars] = ratingCounts.find((entry) => entry.rating === stars)?.count ?? 0;
+        }
+
+        return {
+            averageRating: Math.round(student.ratingAverage * 10) / 10,
+            reviewCount: student.ratingCount,
+            distribution,
+        };
+    }
+
+    /**
+     * Format the profile returned to its owner
+     * @param {object} student - Student from database
+     * @returns {object} Formatted student profile
+     */
+    _formatOwnProfileResponse(student) {
+        return {
+            id: student.id,
+            email: student.user?.email,
+            universityEmail: student.universityEmail,
+            university: student.university,
+            studentId: student.studentId,
+            grade: student.grade,
+            department: student.department,
+            verificationStatus: student.verificationStatus,
+            verifiedAt: student.verifiedAt,
+            ratingAverage: student.ratingAverage,
+            ratingCount: student.ratingCount,
+            isActive: student.isActive,
+            isEmailVerified: student.user?.isEmailVerified,
+            memberSince: student.createdAt,
+        };
+    }
+}
@@ -0,0 +1,204 @@
+import { BadRequestError, ConflictError, ForbiddenError, NotFoundError } from "../errors/errors.js";
+
+export default class StudentVerificationService {
+    /**
+     * @param {import('../repositories/StudentVerificationRepository.js').default} studentVerificationRepository
+     * @param {import('./MailService.js').default} mailService
+     * @param {import('./AuditLogService.js').default} auditLogService
+     */
+    constructor(studentVerificationRepository, mailService, auditLogService) {
+        if (!studentVerificationRepository) {
+            throw new Error("StudentVerificationRepository is required");
+        }
+        if (!mailService) {
+            throw new Error("MailService is required");
+        }
+        if (!auditLogService) {
+            throw new Error("AuditLogService is required");
+        }
+        this.studentVerificationRepository = studentVerificationRepository;
+        this.mailService = mailService;
+        this.auditLogService = auditLogService;
+    }
+
+    /**
+     * Submit a student ID for verification
+     * @param {object} params - Submission parameters
+     * @param {string} params.userId - Student's user ID
+     * @param {string} params.studentNumber - Student ID number
+     * @param {string} params.idCardImageUrl - URL of the uploaded ID-card image
+     * @returns {object} Created verification request
+     */
+    async submit({ userId, studentNumber, idCardImageUrl }) {
+        const student = await this._getStudent(userId);
+
+        if (student.verificationStatus === "VERIFIED") {
+            throw new BadRequestError("Your student ID is already verified");
+        }
+
+        if (student.verificationStatus === "PENDING") {
+            throw new ConflictError("You already have a verification request under review");
+        }
+
+        const verification = await this.studentVerificationRepository.create({
+            studentId: student.id,
+            studentNumber,
+            idCardImageUrl,
+        });
+
+        return this._formatVerificationResponse(verification);
+    }
+
+    /**
+     * Get the current student's verification status
+     * @param {string} userId - Student's user ID
+     * @returns {object} Status and latest request
+     */
+    async getMyStatus(userId) {
+        const student = await this._getStudent(userId);
+        const latest = await this.studentVerificationRepository.findLatestByStudent(student.id);
+
+        return {
+            status: student.verificationStatus,
+            verifiedAt: student.verifiedAt,
+            latestRequest: latest ? this._formatVerificationResponse(latest) : null,
+        };
+    }
+
+    /**
+     * List verification requests for review
+     * @param {object} params - Query parameters ({ status, page, limit })
+     * @returns {object} Paginated requests
+     */
+    async getRequests(params) {
+        const result = await this.studentVerificationRepository.findAll(params);
+
+        return {
+            items: result.items.map((verification) => this._formatVerificationResponse(verification, { forReviewer: true })),
+            meta: {
+                totalCount: result.totalCount,
+                totalPages: result.totalPages,
+                currentPage: result.currentPage,
+            },
+        };
+    }
+
+    /**
+     * Approve a verification request
+     * @param {string} id - Verification request ID
+     * @param {string} reviewerId - Reviewing user ID
+     * @param {object} context - Audit context (see auditContext)
+     * @returns {object} Updated request
+     */
+    async approve(id, reviewerId, context) {
+        await this._getPendingRequest(id);
+
+        const verification = await this.studentVerificationRepository.approve(id, reviewerId);
+
+        await this.auditLogService.record(context, {
+            action: "verification.approve",
+            targetType: "StudentVerification",
+            targetId: id,
+            after: { status: verification.status, studentId: verification.studentId },
+        });
+
+        await this.mailService.sendStudentVerificationDecisionEmail(
+            verification.student.user.email,
+            { approved: true }
+        );
+
+        return this._formatVerificationResponse(verification, { forReviewer: true });
+    }
+
+    /**
+     * Reject a verification request
+     * @param {string} id - Verification request ID
+     * @param {string} reviewerId - Reviewing user ID
+     * @param {string} reason - Rejection reason shown to the student
+     * @param {object} context - Audit context (see auditContext)
+     * @returns {object} Updated request
+     */
+    async reject(id, reviewerId, reason, context) {
+        await this._getPendingRequest(id);
+
+        const verification = await this.studentVerificationRepository.reject(id, reviewerId, reason);
+
+        await this.auditLogService.record(context, {
+            action: "verification.reject",
+            targetType: "StudentVerification",
+            targetId: id,
+            after: { status: verification.status, studentId: verification.studentId, reason },
+        });
+
+        await this.mailService.sendStudentVerificationDecisionEmail(
+            verification.student.user.email,
+            { approved: false, reason }
+        );
+
+        return this._formatVerificationResponse(verification, { forReviewer: true });
+    }
+
+    /**
+     * Load a request that is still awaiting review
+     * @param {string} id - Verification request ID
+     * @returns {object} Verification request
+     */
+    async _getPendingRequest(id) {
+        const verification = await this.studentVerificationRepository.findById(id);
+
+        if (!verification) {
+            throw new NotFoundError("Verification request not found");
+        }
+
+        if (verification.status !== "PENDING") {
+            throw new BadRequestError(`Verification request has already been ${verification.status.toLowerCase()}`);
+        }
+
+        return verification;
+    }
+
+    /**
+     * Load the student profile of a user
+     * @param {string} userId - User ID
+     * @returns {object} Student record
+     */
+    async _getStudent(userId) {
+        const student = await this.studentVerificationRepository.findStudentByUserId(userId);
+
+        if (!student) {
+            throw new ForbiddenError("Student profile not found");
+        }
+
+        return student;
+    }
+
+    /**
+     * Format verification response
+     * @param {object} verification - Verification request from database
+     * @param {object} [options]
+     * @param {boolean} [options.forReviewer] - Include student and reviewer details
+     * @returns {object} Formatted verification request
+     */
+    _formatVerificationResponse(verification, { forReviewer = false } = {}) {
+        return {
+            id: verification.id,
+            status: verification.status,
+            studentNumber: verification.studentNumber,
+            idCardImageUrl: verification.idCardImageUrl,
+            rejectionReason: verification.rejectionReason,
+            reviewedAt: verification.reviewedAt,
+            createdAt: verification.createdAt,
+            ...(forReviewer && {
+                student: verification.student ? {
+                    id: verification.student.id,
+                    userId: verification.student.userId,
+                    universityEmail: verification.student.universityEmail,
+                } : undefined,
+                reviewedBy: verification.reviewedBy ? {
+                    id: verification.reviewedBy.id,
+                    email: verification.reviewedBy.email,
+                } : undefined,
+            }),
+        };
+    }
+}
@@ -0,0 +1,198 @@
+import { BadRequestError, ConflictError, ForbiddenError, NotFoundError } from "../errors/errors.js";
+
+export default class SuspensionService {
+    /**
+     * @param {import('../repositories/SuspensionRepository.js').default} suspensionRepository
+     * @param {import('../repositories/AuthRepository.js').default} authRepository
+     * @param {import('../repositories/TokenDenylistRepository.js').default} tokenDenylistRepository
+     * @param {import('./AuditLogService.js').default} auditLogService
+     */
+    constructor(suspensionRepository, authRepository, tokenDenylistRepository, auditLogService) {
+        if (!suspensionRepository) {
+            throw new Error("SuspensionRepository is required");
+        }
+        if (!authRepository) {
+            throw new Error("AuthRepository is required");
+        }
+        if (!tokenDenylistRepository) {
+            throw new Error("TokenDenylistRepository is required");
+        }
+        if (!auditLogService) {
+            throw new Error("AuditLogService is required");
+        }
+        this.suspensionRepository = suspensionRepository;
+        this.authRepository = authRepository;
+        this.tokenDenylistRepository = tokenDenylistRepository;
+        this.auditLogService = auditLogService;
+    }
+
+    /**
+     * Suspend a student account
+     * Ends every session and blocks the user's access tokens until the suspension ends
+     * @param {string} userId - User to suspend
+     * @param {object} params
+     * @param {string} params.reason - Reason (shown to the user)
+     * @param {Date} [params.expiresAt] - End of the suspension (until reinstated if omitted)
+     * @param {string} suspendedById - User ID of the admin
+     * @param {object} context - Audit context (see auditContext)
+     * @returns {object} Suspension
+     */
+    async suspend(userId, { reason, expiresAt = null }, suspendedById, context) {
+        const user = await this.authRepository.findUserById(userId);
+
+        if (!user || user.deletedAt) {
+            throw new NotFoundError("User not found");
+        }
+
+        if (user.role !== "STUDENT") {
+            throw new BadRequestError("Only student accounts can be suspended");
+        }
+
+        if (await this.getActiveSuspension(userId)) {
+            throw new ConflictError("User is already suspended");
+        }
+
+        const suspension = await this.suspensionRepository.create({
+            userId,
+            reason,
+            expiresAt,
+            suspendedById,
+        });
+
+        await this.authRepository.revokeAllUserSessions(userId, "SUSPENDED");
+        await this.tokenDenylistRepository.denySuspendedUser(userId, expiresAt);
+
+        await this.auditLogService.record(context, {
+            action: "user.suspend",
+            targetType: "User",
+            targetId: userId,
+            after: this._formatSuspensionResponse(suspension),
+        });
+
+        return this._formatSuspensionResponse(suspension);
+    }
+
+    /**
+     * Reinstate a suspended account before its suspension ends
+     * @param {string} userId - Suspended user
+     * @param {object} params
+     * @param {string} params.reason - Reason
+     * @param {string} liftedById - User ID of the admin
+     * @param {object} context - Audit context (see auditContext)
+     * @returns {object} Lifted suspension
+     */
+    async reinstate(userId, { reason }, liftedById, context) {
+        const active = await this.getActiveSuspension(userId);
+
+        if (!active) {
+            throw new BadRequestError("User is not suspended");
+        }
+
+        const suspension = await this.suspensionRepository.lift(active.id, {
+            liftedById,
+            liftReason: reason,
+        });
+
+        await this.tokenDenylistRepository.allowSuspendedUser(userId);
+
+        await this.auditLogService.record(context, {
+            action: "user.reinstate",
+            targetType: "User",
+            targetId: userId,
+            before: this._formatSuspensionResponse(active),
+            after: this._formatSuspensionResponse(suspension),
+        });
+
+        return this._formatSuspensionResponse(suspension);
+    }
+
+    /**
+     * Get a user's suspension history
+     * @param {string} userId - User ID
+     * @returns {object[]} Suspensions, newest first
+     */
+    async getSuspensions(userId) {
+        const user = await this.authRepository.findUserById(userId);
+
+        if (!user) {
+            throw new NotFoundError("User not found");
+        }
+
+        const suspensions = await this.suspensionRepository.findByUser(userId);
+
+        return suspensions.map((suspension) => this._formatSuspensionResponse(suspension));
+    }
+
+    /**
+     * Get the suspension currently in force for a user
+     * A suspension found past its expiry is closed here (recorded as expired, with an audit entry)
+     * @param {string} userId - User ID
+     * @returns {object|null} Active suspension
+     */
+    async getActiveSuspension(userId) {
+        const suspension = await this.suspensionRepository.findUnliftedByUser(userId);
+
+        if (!suspension) {
+            return null;
+        }
+
+        if (suspension.expiresAt && suspension.expiresAt <= new Date()) {
+            const lifted = await this.suspensionRepository.lift(suspension.id, {
+                liftedById: null,
+                liftReason: "Expired",
+            });
+
+            await this.auditLogService.record(null, {
+                action: "user.suspension_expire",
+                targetType: "User",
+                targetId: userId,
+                after: this._formatSuspensionResponse(lifted),
+            });
+
+            return null;
+        }
+
+        return suspension;
+    }
+
+    /**
+     * Throw if the user is suspended
+     * @param {string} userId - User ID
+     */
+    async assertNotSuspended(userId) {
+        const suspension = await this.getActiveSuspension(userId);
+
+        if (!suspension) {
+            return;
+        }
+
+        const until = suspension.expiresAt
+            ? ` until ${suspension.expiresAt.toISOString()}`
+            : "";
+
+        throw new ForbiddenError(`Your account is suspended${until}. Reason: ${suspension.reason}`);
+    }
+
+    /**
+     * Format suspension for response
+     * @param {object} suspension - Suspension record
+     * @returns {object} Formatted suspension
+     */
+    _formatSuspensionResponse(suspension) {
+        const isActive = !suspension.liftedAt
+            && (!suspension.expiresAt || suspension.expiresAt > new Date());
+
+        return {
+            id: suspension.id,
+            userId: suspension.userId,
+            reason: suspension.reason,
+            expiresAt: suspension.expiresAt,
+            isActive,
+            suspendedBy: suspension.suspendedBy,
+            liftedAt: suspension.liftedAt,
+            liftedBy: suspension.liftedBy,
+            liftReason: suspension.liftReason,
+            createdAt: suspension.createdAt,
+        };
+    }
+}
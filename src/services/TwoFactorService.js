@@ -0,0 +1,212 @@
+import bcrypt from "bcryptjs";
+import crypto from "crypto";
+import environment from "../configs/environment.js";
+import { BadRequestError, ForbiddenError, NotFoundError, UnauthorizedError } from "../errors/errors.js";
+import { generateTotpSecret, verifyTotp, buildOtpauthUri } from "../utils/totp.js";
+import { hashToken } from "../utils/tokens.js";
+
+/**
+ * Roles that must keep two-factor authentication enabled
+ */
+export const MFA_REQUIRED_ROLES = ["ADMIN", "SUPER_ADMIN"];
+
+export default class TwoFactorService {
+    /**
+     * @param {import('../repositories/AuthRepository.js').default} authRepository
+     */
+    constructor(authRepository) {
+        if (!authRepository) {
+            throw new Error("AuthRepository is required");
+        }
+        this.authRepository = authRepository;
+        this.config = environment.auth.twoFactor;
+    }
+
+    /**
+     * Start enrollment: generate a secret and its otpauth URI
+     * The secret is not active until confirmed with a valid code
+     * @param {string} userId - User ID
+     * @returns {object} Secret and otpauth URI
+     */
+    async setup(userId) {
+        const user = await this._getUser(userId);
+
+        if (user.twoFactorEnabled) {
+            throw new BadRequestError("Two-factor authentication is already enabled");
+        }
+
+        const secret = generateTotpSecret();
+        await this.authRepository.setTwoFactorSecret(user.id, secret);
+
+        return {
+            secret,
+            otpauthUri: buildOtpauthUri({
+                secret,
+                accountName: user.email,
+                issuer: this.config.issuer,
+            }),
+        };
+    }
+
+    /**
+     * Confirm enrollment with a code from the authenticator app
+     * @param {string} userId - User ID
+     * @param {string} code - TOTP code
+     * @returns {object} One-time view of the recovery codes
+     */
+    async confirm(userId, code) {
+        const user = await this._getUser(userId);
+
+        if (user.twoFactorEnabled) {
+            throw new BadRequestError("Two-factor authentication is already enabled");
+        }
+
+        if (!user.twoFactorSecret) {
+            throw new BadRequestError("Start two-factor setup first");
+        }
+
+        const step = verifyTotp(user.twoFactorSecret, code);
+
+        if (step === null) {
+            throw new BadRequestError("Invalid authentication code");
+        }
+
+        const recoveryCodes = this._generateRecoveryCodes();
+        await this.authRepository.enableTwoFactor(
+            user.id,
+            recoveryCodes.map((recoveryCode) => hashToken(recoveryCode)),
+            step
+        );
+
+        return {
+            message: "Two-factor authentication enabled",
+            recoveryCodes,
+        };
+    }
+
+    /**
+     * Disable two-factor authentication (not allowed for admin roles)
+     * @param {string} userId - User ID
+     * @param {object} params - Confirmation parameters
+     * @param {string} params.password - Current password
+     * @param {string} params.code - TOTP code
+     * @returns {object} Success message
+     */
+    async disable(userId, { password, code }) {
+        const user = await this._getUser(userId);
+
+        if (MFA_REQUIRED_ROLES.includes(user.role)) {
+            throw new ForbiddenError("Two-factor authentication is mandatory for admin accounts");
+        }
+
+        if (!user.twoFactorEnabled) {
+            throw new BadRequestError("Two-factor authentication is not enabled");
+        }
+
+        const isMatch = await bcrypt.compare(password, user.password);
+
+        if (!isMatch || !(await this._consumeTotp(user, code))) {
+            throw new UnauthorizedError("Invalid credentials");
+        }
+
+        await this.authRepository.disableTwoFactor(user.id);
+
+        return { message: "Two-factor authentication disabled" };
+    }
+
+    /**
+     * Replace all recovery codes
+     * @param {string} userId - User ID
+     * @param {string} code - TOTP code
+     * @returns {object} One-time view of the new recovery codes
+     */
+    async regenerateRecoveryCodes(userId, code) {
+        const user = await this._getUser(userId);
+
+        if (!user.twoFactorEnabled) {
+            throw new BadRequestError("Two-factor authentication is not enabled");
+        }
+
+        if (!(await this._consumeTotp(user, code))) {
+            throw new UnauthorizedError("Invalid authentication code");
+        }
+
+        const recoveryCodes = this._generateRecoveryCodes();
+        await this.authRepository.setRecoveryCodes(
+            user.id,
+            recoveryCodes.map((recoveryCode) => hashToken(recoveryCode))
+        );
+
+        return { recoveryCodes };
+    }
+
+    /**
+     * Check the second factor during login
+     * Both TOTP codes and recovery codes are single-use
+     * @param {object} user - User record
+     * @param {object} params - Second factor
+     * @param {string} [params.code] - TOTP code
+     * @param {string} [params.recoveryCode] - Recovery code
+     * @returns {boolean} True if the second factor is valid
+     */
+    async verifyChallenge(user, { code, recoveryCode }) {
+        if (code) {
+            return this._consumeTotp(user, code);
+        }
+
+        if (recoveryCode) {
+            const hashedCode = hashToken(recoveryCode.trim().toLowerCase());
+            const remainingCodes = user.twoFactorRecoveryCodes.filter((stored) => stored !== hashedCode);
+
+            if (remainingCodes.length === user.twoFactorRecoveryCodes.length) {
+                return false;
+            }
+
+            return this.authRepository.consumeRecoveryCode(user.id, hashedCode, remainingCodes);
+        }
+
+        return false;
+    }
+
+    /**
+     * Verify a TOTP code and mark its time step as used
+     * @param {object} user - User record
+     * @param {string} code - TOTP code
+     * @returns {boolean} True if the code was valid and unused
+     */
+    async _consumeTotp(user, code) {
+        const step = verifyTotp(user.twoFactorSecret, code);
+
+        if (step === null) {
+            return false;
+        }
+
+        return this.authRepository.consumeTotpStep(user.id, step);
+    }
+
+    /**
+     * Generate plain recovery codes (xxxxx-xxxxx)
+     * @returns {string[]} Recovery codes
+     */
+    _generateRecoveryCodes() {
+        return Array.from({ length: this.config.recoveryCodeCount }, () => {
+            const raw = crypto.randomBytes(5).toString("hex");
+            return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+        });
+    }
+
+    /**
+     * Load a user or throw
+     * @param {string} userId - User ID
+     * @returns {object} User record
+     */
+    async _getUser(userId) {
+        const user = await this.authRepository.findUserById(userId);
+
+        if (!user) {
+            throw new NotFoundError("User not found");
+        }
+
+        return user;
+    }
+}
@@ -0,0 +1,283 @@
+import { BadRequestError, ConflictError, NotFoundError } from "../errors/errors.js";
+import { getEmailDomain, getCandidateDomains } from "../utils/emailDomains.js";
+
+export default class UniversityService {
+    /**
+     * @param {import('../repositories/UniversityRepository.js').default} universityRepository
+     * @param {import('./MailService.js').default} mailService
+     * @param {import('./AuditLogService.js').default} auditLogService
+     */
+    constructor(universityRepository, mailService, auditLogService) {
+        if (!universityRepository) {
+            throw new Error("UniversityRepository is required");
+        }
+        if (!mailService) {
+            throw new Error("MailService is required");
+        }
+        if (!auditLogService) {
+            throw new Error("AuditLogService is required");
+        }
+        this.universityRepository = universityRepository;
+        this.mailService = mailService;
+        this.auditLogService = auditLogService;
+    }
+
+    /**
+     * List universities
+     * @param {object} [params] - Filters
+     * @param {boolean} [params.includeInactive] - Include deactivated universities (super admin)
+     * @returns {object[]} Universities
+     */
+    async getUniversities({ includeInactive = false } = {}) {
+        const universities = await this.universityRepository.findAll({ activeOnly: !includeInactive });
+
+        return universities.map((university) => this._formatUniversityResponse(university));
+    }
+
+    /**
+     * Get a university by ID
+     * @param {string} id - University ID
+     * @returns {object} University
+     */
+    async getById(id) {
+        const university = await this.universityRepository.findById(id);
+
+        if (!university) {
+            throw new NotFoundError("University not found");
+        }
+
+        return this._formatUniversityResponse(university);
+    }
+
+    /**
+     * Create a university
+     * @param {object} params - University parameters
+     * @param {string} params.name - University name
+     * @param {string[]} params.domains - Allowed email domains
+     * @param {object} context - Audit context (see auditContext)
+     * @returns {object} Created university
+     */
+    async create({ name, domains }, context) {
+        const normalizedDomains = [...new Set(domains.map((domain) => domain.toLowerCase()))];
+
+        const university = await this.universityRepository.create({
+            name,
+            domains: normalizedDomains,
+        });
+
+        await Promise.all(
+            normalizedDomains.map((domain) => this._inviteWaitlist(domain, university.name))
+        );
+
+        const created = this._formatUniversityResponse(university);
+
+        await this.auditLogService.record(context, {
+            action: "university.create",
+            targetType: "University",
+            targetId: university.id,
+            after: created,
+        });
+
+        return created;
+    }
+
+    /**
+     * Update a university's name or active flag
+     * @param {string} id - University ID
+     * @param {object} updateData - Data to update
+     * @param {object} context - Audit context (see auditContext)
+     * @returns {object} Updated university
+     */
+    async update(id, updateData, context) {
+        const before = await this.getById(id);
+
+        const university = await this.universityRepository.update(id, updateData);
+        const after = this._formatUniversityResponse(university);
+
+        await this.auditLogService.record(context, {
+            action: "university.update",
+            targetType: "University",
+            targetId: id,
+            before,
+            after,
+        });
+
+        return after;
+    }
+
+    /**
+     * Delete a university that has no students
+     * @param {string} id - University ID
+     * @param {object} context - Audit context (see auditContext)
+     * @returns {object} Success message
+     */
+    async delete(id, context) {
+        const university = await this.getById(id);
+
+        if (university.studentCount > 0) {
+            throw new ConflictError("University has registered students. Deactivate it instead");
+        }
+
+        await this.universityRepository.delete(id);
+
+        await this.auditLogService.record(context, {
+            action: "university.delete",
+            targetType: "University",
+            targetId: id,
+            before: university,
+        });
+
+        return { message: "University deleted successfully" };
+    }
+
+    /**
+     * Allow a new email domain and invite waitlisted students on it
+     * @param {string} id - University ID
+     * @param {string} domain - Domain
+     * @param {object} context - Audit context (see auditContext)
+     * @returns {object} Updated university
+     */
+    async addDomain(id, domain, context) {
+        const university = await this.getById(id);
+        const normalizedDomain = domain.toLowerCase();
+
+        await this.universityRepository.addDomain(id, normalizedDomain);
+        await this._inviteWaitlist(normalizedDomain, university.name);
+
+        await this.auditLogService.record(context, {
+            action: "university.domain.add",
+            targetType: "University",
+            targetId: id,
+            metadata: { domain: normalizedDomain },
+        });
+
+        return this.getById(id);
+    }
+
+    /**
+     * Remove an allowed email domain
+     * Existing students stay linked; only new registrations are affected
+     * @param {string} id - University ID
+     * @param {string} domain - Domain
+     * @param {object} context - Audit context (see auditContext)
+     * @returns {object} Updated university
+     */
+    async removeDomain(id, domain, context) {
+        await this.getById(id);
+
+        const removed = await this.universityRepository.removeDomain(id, domain.toLowerCase());
+
+        if (!removed) {
+            throw new NotFoundError("Domain not found for this university");
+        }
+
+        await this.auditLogService.record(context, {
+            action: "university.domain.remove",
+            targetType: "University",
+            targetId: id,
+            metadata: { domain: domain.toLowerCase() },
+        });
+
+        return this.getById(id);
+    }
+
+    /**
+     * Find the active university an email belongs to
+     * The most specific registered domain wins
+     * @param {string} email - Email address
+     * @returns {object|null} University
+     */
+    async resolveByEmail(email) {
+        const candidates = getCandidateDomains(getEmailDomain(email));
+
+        if (candidates.length === 0) {
+            return null;
+        }
+
+        const matches = await this.universityRepository.findDomains(candidates);
+        const match = candidates
+            .map((candidate) => matches.find((record) => record.domain === candidate))
+            .find((record) => record && record.university.isActive);
+
+        return match ? match.university : null;
+    }
+
+    /**
+     * Require an email to belong to an active university
+     * @param {string} email - Email address
+     * @returns {object} University
+     */
+    async requireUniversityForEmail(email) {
+        const university = await this.resolveByEmail(email);
+
+        if (!university) {
+            throw new BadRequestError(
+                "Registration is limited to supported universities. Join the waitlist to be notified when yours is added"
+            );
+        }
+
+        return university;
+    }
+
+    /**
+     * Join the waitlist for an unsupported university
+     * @param {string} email - Email address
+     * @returns {object} Success message
+     */
+    async joinWaitlist(email) {
+        const university = await this.resolveByEmail(email);
+
+        if (university) {
+            throw new BadRequestError(`${university.name} is already supported. You can register now`);
+        }
+
+        await this.universityRepository.addToWaitlist(email, getEmailDomain(email));
+
+        return { message: "You have been added to the waitlist" };
+    }
+
+    /**
+     * Get waitlist entries and per-domain demand
+     * @param {object} [params] - Filters
+     * @param {string} [params.domain] - Only entries for this domain
+     * @returns {object} Entries and counts by domain
+     */
+    async getWaitlist({ domain } = {}) {
+        const [entries, byDomain] = await Promise.all([
+            this.universityRepository.findWaitlist({ domain: domain?.toLowerCase() }),
+            this.universityRepository.countWaitlistByDomain(),
+        ]);
+
+        return { entries, byDomain };
+    }
+
+    /**
+     * Email waitlisted students whose domain just became supported
+     * @param {string} domain - Newly allowed domain
+     * @param {string} universityName - University name
+     */
+    async _inviteWaitlist(domain, universityName) {
+        const entries = await this.universityRepository.takeWaitlistForDomain(domain);
+
+        await Promise.all(
+            entries.map((entry) => this.mailService.sendWaitlistInviteEmail(entry.email, universityName))
+        );
+    }
+
+    /**
+     * Format university response
+     * @param {object} university - University from database
+     * @returns {object} Formatted university
+     */
+    _formatUniversityResponse(university) {
+        return {
+            id: university.id,
+            name: university.name,
+            isActive: university.isActive,
+            domains: university.domains?.map((record) => record.domain) || [],
+            studentCount: university._count?.students,
+            createdAt: university.createdAt,
+            updatedAt: university.updatedAt,
+        };
+    }
+}
@@ -0,0 +1,126 @@
+import { NotFoundError } from "../errors/errors.js";
+
+export default class UserDirectoryService {
+    /**
+     * @param {import('../repositories/UserRepository.js').default} userRepository
+     */
+    constructor(userRepository) {
+        if (!userRepository) {
+            throw new Error("UserRepository is required");
+        }
+        this.userRepository = userRepository;
+    }
+
+    /**
+     * Search users for the admin directory
+     * @param {object} params - Filters and pagination (see UserRepository.findAll)
+     * @returns {object} Paginated users
+     */
+    async listUsers(params) {
+        const result = await this.userRepository.findAll(params);
+
+        return {
+            items: result.items.map((user) => this._formatDirectoryEntry(user)),
+            meta: {
+                totalCount: result.totalCount,
+                totalPages: result.totalPages,
+                currentPage: result.currentPage,
+            },
+        };
+    }
+
+    /**
+     * Get the admin detail view of a user
+     * Listings, orders, reports and moderation history are limited to the latest 50 of each
+     * @param {string} userId - User ID
+     * @returns {object} User detail
+     */
+    async getUserDetail(userId) {
+        const user = await this.userRepository.findDetailById(userId);
+
+        if (!user) {
+            throw new NotFoundError("User not found");
+        }
+
+        const reportsAgainst = await this.userRepository.findReportsAgainst(userId);
+        const { student, suspensions, ...account } = user;
+
+        const now = new Date();
+        const activeSuspension = suspensions.find(
+            (suspension) => !suspension.liftedAt && (!suspension.expiresAt || suspension.expiresAt > now)
+        );
+
+        return {
+            user: {
+                ...account,
+                status: this._resolveStatus(user, Boolean(activeSuspension)),
+            },
+            student: student
+                ? {
+                    id: student.id,
+                    studentId: student.studentId,
+                    universityEmail: student.universityEmail,
+                    university: student.university,
+                    grade: student.grade,
+                    department: student.department,
+                    verificationStatus: student.verificationStatus,
+                    verifiedAt: student.verifiedAt,
+                    rating: {
+                        averageRating: student.ratingAverage,
+                        reviewCount: student.ratingCount,
+                    },
+                    isActive: student.isActive,
+                }
+                : null,
+            listings: student?.listings ?? [],
+            orders: {
+                asBuyer: student?.ordersAsBuyer ?? [],
+                asSeller: student?.ordersAsSeller ?? [],
+            },
+            reportsAgainst,
+            moderation: {
+                activeSuspension: activeSuspension ?? null,
+                suspensions,
+                verifications: student?.verifications ?? [],
+            },
+        };
+    }
+
+    /**
+     * Resolve a user's account status
+     * @param {object} user - User record
+     * @param {boolean} isSuspended - Whether a suspension is in force
+     * @returns {string} 'deleted', 'suspended' or 'active'
+     */
+    _resolveStatus(user, isSuspended) {
+        if (user.deletedAt) {
+            return "deleted";
+        }
+
+        return isSuspended ? "suspended" : "active";
+    }
+
+    /**
+     * Format a user for the directory listing
+     * @param {object} user - User record
+     * @returns {object} Directory entry
+     */
+    _formatDirectoryEntry(user) {
+        const [activeSuspension] = user.suspensions;
+
+        return {
+            id: user.id,
+            email: user.email,
+            role: user.role,
+            isEmailVerified: user.isEmailVerified,
+            twoFactorEnabled: user.twoFactorEnabled,
+            status: this._resolveStatus(user, Boolean(activeSuspension)),
+            suspendedUntil: activeSuspension ? activeSuspension.expiresAt : undefined,
+            university: user.student?.university ?? null,
+            verificationStatus: user.student?.verificationStatus ?? null,
+            admin: user.admin,
+            createdAt: user.createdAt,
+            deletedAt: user.deletedAt,
+        };
+    }
+}
@@ -0,0 +1,329 @@
+/**
+ * Email templates
+ * Each template returns { subject, html, text } ready to hand to the mailer
+ */
+
+const APP_NAME = "Campus Market";
+
+/**
+ * Escape a value for safe interpolation into HTML
+ * @param {string} value - Raw value
+ * @returns {string} Escaped value
+ */
+const escapeHtml = (value) =>
+    String(value)
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;")
+        .replace(/'/g, "&#39;");
+
+/**
+ * Wrap body content in the shared HTML layout
+ * @param {string} title - Heading shown at the top of the email
+ * @param {string} body - Inner HTML
+ * @returns {string} Full HTML document
+ */
+const layout = (title, body) => `<!DOCTYPE html>
+<html>
+  <body style="margin:0;padding:24px;background:#f4f4f5;font-family:Arial,Helvetica,sans-serif;color:#18181b;">
+    <table role="presentation" width="100%" style="max-width:560px;margin:0 auto;background:#ffffff;border-radius:8px;padding:32px;">
+      <tr><td>
+        <h2 style="margin-top:0;">${escapeHtml(title)}</h2>
+        ${body}
+        <p style="margin-top:32px;font-size:12px;color:#71717a;">${APP_NAME} &middot; This is an automated message, please do not reply.</p>
+      </td></tr>
+    </table>
+  </body>
+</html>`;
+
+/**
+ * Render a call-to-action button
+ * @param {string} url - Target URL
+ * @param {string} label - Button label
+ * @returns {string} Button HTML
+ */
+const button = (url, label) =>
+    `<p><a href="${escapeHtml(url)}" style="display:inline-block;padding:12px 20px;background:#2563eb;color:#ffffff;text-decoration:none;border-radius:6px;">${escapeHtml(label)}</a></p>`;
+
+/**
+ * Email verification
+ * @param {object} params
+ * @param {string} params.verificationUrl - Link containing the verification token
+ * @param {number} params.expiresInHours - Token lifetime in hours
+ */
+export const verificationEmail = ({ verificationUrl, expiresInHours }) => ({
+    subject: `Verify your ${APP_NAME} email`,
+    html: layout(
+        "Verify your email",
+        `<p>Welcome to ${APP_NAME}! Confirm your email address to start buying and renting.</p>
+        ${button(verificationUrl, "Verify email")}
+        <p>This link expires in ${expiresInHours} hours. If you did not create an account, you can ignore this email.</p>`
+    ),
+    text:
+        `Welcome to ${APP_NAME}!\n\n` +
+        `Confirm your email address by opening this link:\n${verificationUrl}\n\n` +
+        `This link expires in ${expiresInHours} hours. If you did not create an account, you can ignore this email.`,
+});
+
+/**
+ * Render a one-time code in large monospaced digits
+ * @param {string} code - Numeric code
+ * @returns {string} Code HTML
+ */
+const codeBlock = (code) =>
+    `<p style="font-size:28px;font-family:'Courier New',monospace;letter-spacing:6px;font-weight:bold;">${escapeHtml(code)}</p>`;
+
+/**
+ * Email verification code
+ * @param {object} params
+ * @param {string} params.code - Numeric code
+ * @param {number} params.expiresInMinutes - Code lifetime in minutes
+ */
+export const verificationCodeEmail = ({ code, expiresInMinutes }) => ({
+    subject: `Your ${APP_NAME} verification code`,
+    html: layout(
+        "Verify your email",
+        `<p>Enter this code to confirm your email address:</p>
+        ${codeBlock(code)}
+        <p>This code expires in ${expiresInMinutes} minutes. If you did not create an account, you can ignore this email.</p>`
+    ),
+    text:
+        `Your ${APP_NAME} verification code is ${code}\n\n` +
+        `This code expires in ${expiresInMinutes} minutes. If you did not create an account, you can ignore this email.`,
+});
+
+/**
+ * Password reset
+ * @param {object} params
+ * @param {string} params.resetUrl - Link containing the reset token
+ * @param {number} params.expiresInMinutes - Token lifetime in minutes
+ */
+export const passwordResetEmail = ({ resetUrl, expiresInMinutes }) => ({
+    subject: `Reset your ${APP_NAME} password`,
+    html: layout(
+        "Reset your password",
+        `<p>We received a request to reset your password.</p>
+        ${button(resetUrl, "Reset password")}
+        <p>This link expires in ${expiresInMinutes} minutes. If you did not request a reset, you can ignore this email.</p>`
+    ),
+    text:
+        "We received a request to reset your password.\n\n" +
+        `Reset it by opening this link:\n${resetUrl}\n\n` +
+        `This link expires in ${expiresInMinutes} minutes. If you did not request a reset, you can ignore this email.`,
+});
+
+/**
+ * Password reset code
+ * @param {object} params
+ * @param {string} params.code - Numeric code
+ * @param {number} params.expiresInMinutes - Code lifetime in minutes
+ */
+export const passwordResetCodeEmail = ({ code, expiresInMinutes }) => ({
+    subject: `Your ${APP_NAME} password reset code`,
+    html: layout(
+        "Reset your password",
+        `<p>We received a request to reset your password. Enter this code to continue:</p>
+        ${codeBlock(code)}
+        <p>This code expires in ${expiresInMinutes} minutes. If you did not request a reset, you can ignore this email.</p>`
+    ),
+    text:
+        `Your ${APP_NAME} password reset code is ${code}\n\n` +
+        `This code expires in ${expiresInMinutes} minutes. If you did not request a reset, you can ignore this email.`,
+});
+
+/**
+ * Password changed notice
+ * @param {object} params
+ * @param {Date} params.changedAt - When the password was changed
+ */
+export const passwordChangedEmail = ({ changedAt }) => ({
+    subject: `Your ${APP_NAME} password was changed`,
+    html: layout(
+        "Your password was changed",
+        `<p>The password for your account was changed on ${escapeHtml(changedAt.toUTCString())}.</p>
+        <p>If this was not you, reset your password immediately and contact support.</p>`
+    ),
+    text:
+        `The password for your account was changed on ${changedAt.toUTCString()}.\n\n` +
+        "If this was not you, reset your password immediately and contact support.",
+});
+
+/**
+ * Email change confirmation (sent to the new address)
+ * @param {object} params
+ * @param {string} params.confirmUrl - Link containing the confirmation token
+ * @param {number} params.expiresInHours - Token lifetime in hours
+ */
+export const emailChangeConfirmationEmail = ({ confirmUrl, expiresInHours }) => ({
+    subject: `Confirm your new ${APP_NAME} email`,
+    html: layout(
+        "Confirm your new email",
+        `<p>We received a request to use this address for your ${APP_NAME} account.</p>
+        ${button(confirmUrl, "Confirm email")}
+        <p>This link expires in ${expiresInHours} hours. If you did not request this change, you can ignore this email.</p>`
+    ),
+    text:
+        `We received a request to use this address for your ${APP_NAME} account.\n\n` +
+        `Confirm it by opening this link:\n${confirmUrl}\n\n` +
+        `This link expires in ${expiresInHours} hours. If you did not request this change, you can ignore this email.`,
+});
+
+/**
+ * Email changed notice (sent to the old address)
+ * @param {object} params
+ * @param {string} params.newEmail - Address the account now uses
+ */
+export const emailChangedEmail = ({ newEmail }) => ({
+    subject: `Your ${APP_NAME} email was changed`,
+    html: layout(
+        "Your email was changed",
+        `<p>Your account email was changed to ${escapeHtml(newEmail)}. This address will no longer receive account emails.</p>
+        <p>If this was not you, contact support immediately.</p>`
+    ),
+    text:
+        `Your account email was changed to ${newEmail}. This address will no longer receive account emails.\n\n` +
+        "If this was not you, contact support immediately.",
+});
+
+/**
+ * Account locked notice
+ * @param {object} params
+ * @param {number} params.lockMinutes - How long the account stays locked
+ * @param {string} params.resetUrl - Link to the forgot-password page
+ */
+export const accountLockedEmail = ({ lockMinutes, resetUrl }) => ({
+    subject: `Your ${APP_NAME} account was temporarily locked`,
+    html: layout(
+        "Your account was locked",
+        `<p>We paused sign-in to your account from one device or network for ${lockMinutes} minutes after several failed login attempts.</p>
+        <p>If this was you, wait and try again. If not, we recommend resetting your password.</p>
+        ${button(resetUrl, "Reset password")}`
+    ),
+    text:
+        `We paused sign-in to your account from one device or network for ${lockMinutes} minutes after several failed login attempts.\n\n` +
+        "If this was you, wait and try again. If not, we recommend resetting your password:\n" +
+        resetUrl,
+});
+
+/**
+ * Waitlist invite (university now supported)
+ * @param {object} params
+ * @param {string} params.universityName - University that was added
+ * @param {string} params.registerUrl - Link to the registration page
+ */
+export const waitlistInviteEmail = ({ universityName, registerUrl }) => ({
+    subject: `${universityName} is now on ${APP_NAME}`,
+    html: layout(
+        `${universityName} is now supported`,
+        `<p>Good news: students from ${escapeHtml(universityName)} can now join ${APP_NAME}.</p>
+        ${button(registerUrl, "Create your account")}`
+    ),
+    text:
+        `Good news: students from ${universityName} can now join ${APP_NAME}.\n\n` +
+        `Create your account here:\n${registerUrl}`,
+});
+
+/**
+ * Student ID verification decision
+ * @param {object} params
+ * @param {boolean} params.approved - Whether the request was approved
+ * @param {string} [params.reason] - Rejection reason
+ */
+export const studentVerificationDecisionEmail = ({ approved, reason }) => approved
+    ? {
+        subject: `Your ${APP_NAME} student ID was verified`,
+        html: layout(
+            "You're verified",
+            "<p>Your student ID was approved. A verified badge now appears on your listings.</p>"
+        ),
+        text: "Your student ID was approved. A verified badge now appears on your listings.",
+    }
+    : {
+        subject: `Your ${APP_NAME} student ID verification was rejected`,
+        html: layout(
+            "Verification rejected",
+            `<p>We could not verify your student ID.</p>
+            <p><strong>Reason:</strong> ${escapeHtml(reason)}</p>
+            <p>You can submit a new request at any time.</p>`
+        ),
+        text:
+            "We could not verify your student ID.\n\n" +
+            `Reason: ${reason}\n\n` +
+            "You can submit a new request at any time.",
+    };
+
+/**
+ * A moderator hid or restored one of the student's listings
+ * @param {object} params
+ * @param {string} params.title - Listing title
+ * @param {boolean} params.hidden - Whether the listing was hidden (false = restored)
+ * @param {string} [params.reason] - Moderator's reason
+ */
+export const listingModerationEmail = ({ title, hidden, reason }) => {
+    const summary = hidden
+        ? `Your listing "${title}" was hidden from the marketplace by a moderator.`
+        : `Your listing "${title}" was restored and is visible on the marketplace again.`;
+    const reasonText = reason ? `\n\nReason: ${reason}` : "";
+
+    return {
+        subject: hidden
+            ? `Your ${APP_NAME} listing was hidden`
+            : `Your ${APP_NAME} listing was restored`,
+        html: layout(
+            hidden ? "Listing hidden" : "Listing restored",
+            `<p>${escapeHtml(summary)}</p>
+            ${reason ? `<p><strong>Reason:</strong> ${escapeHtml(reason)}</p>` : ""}`
+        ),
+        text: summary + reasonText,
+    };
+};
+
+/**
+ * A dispute was opened on one of the student's orders (sent to buyer and seller)
+ * @param {object} params
+ * @param {string} params.title - Listing title
+ * @param {string} params.openedBy - Who opened it ("you", "the buyer" or "the seller")
+ * @param {string} params.reason - Reason given
+ */
+export const disputeOpenedEmail = ({ title, openedBy, reason }) => {
+    const summary = `A dispute was opened by ${openedBy} on the order for "${title}". ` +
+        "The order is on hold until an admin reviews it.";
+
+    return {
+        subject: `A dispute was opened on your ${APP_NAME} order`,
+        html: layout(
+            "Order disputed",
+            `<p>${escapeHtml(summary)}</p>
+            <p><strong>Reason:</strong> ${escapeHtml(reason)}</p>`
+        ),
+        text: `${summary}\n\nReason: ${reason}`,
+    };
+};
+
+/**
+ * An admin resolved a dispute on one of the student's orders (sent to buyer and seller)
+ * @param {object} params
+ * @param {string} params.title - Listing title
+ * @param {string} params.outcome - COMPLETE_FOR_SELLER, REFUND_BUYER or PARTIAL_REFUND
+ * @param {number|null} params.refundAmount - Amount refunded to the buyer
+ * @param {string} params.resolution - Admin's explanation
+ */
+export const disputeResolvedEmail = ({ title, outcome, refundAmount, resolution }) => {
+    const outcomes = {
+        COMPLETE_FOR_SELLER: "The order was completed in the seller's favour; no refund was issued.",
+        REFUND_BUYER: `The buyer was refunded in full (${refundAmount}).`,
+        PARTIAL_REFUND: `The buyer was refunded ${refundAmount} and the order was completed.`,
+    };
+    const summary = `The dispute on the order for "${title}" was resolved. ${outcomes[outcome]}`;
+
+    return {
+        subject: `The dispute on your ${APP_NAME} order was resolved`,
+        html: layout(
+            "Dispute resolved",
+            `<p>${escapeHtml(summary)}</p>
+            <p><strong>Resolution:</strong> ${escapeHtml(resolution)}</p>`
+        ),
+        text: `${summary}\n\nResolution: ${resolution}`,
+    };
+};
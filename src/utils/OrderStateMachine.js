@@ -9,7 +9,10 @@ export const OrderStatus = {
     REJECTED: "REJECTED",
     PAYMENT_PENDING: "PAYMENT_PENDING",
     PAID: "PAID",
+    ACTIVE: "ACTIVE",
+    DISPUTED: "DISPUTED",
     COMPLETED: "COMPLETED",
+    REFUNDED: "REFUNDED",
     CANCELLED: "CANCELLED",
 };
 
@@ -23,7 +26,11 @@ const validTransitions = {
     [OrderStatus.APPROVED]: [OrderStatus.PAYMENT_PENDING, OrderStatus.CANCELLED],
     [OrderStatus.PAYMENT_PENDING]: [OrderStatus.PAID, OrderStatus.CANCELLED],
     [OrderStatus.PAID]: [OrderStatus.COMPLETED],
+    [OrderStatus.ACTIVE]: [OrderStatus.COMPLETED],
+    // Disputes are opened and resolved through the dispute workflow only
+    [OrderStatus.DISPUTED]: [],
     [OrderStatus.COMPLETED]: [],
+    [OrderStatus.REFUNDED]: [],
     [OrderStatus.REJECTED]: [],
     [OrderStatus.CANCELLED]: [],
 };
@@ -43,11 +50,32 @@ const cancellableStatuses = [
  */
 const nonCancellableStatuses = [
     OrderStatus.PAID,
+    OrderStatus.ACTIVE,
+    OrderStatus.DISPUTED,
     OrderStatus.COMPLETED,
+    OrderStatus.REFUNDED,
     OrderStatus.REJECTED,
     OrderStatus.CANCELLED,
 ];
 
+/**
+ * Statuses an order never leaves
+ */
+const terminalStatuses = [
+    OrderStatus.COMPLETED,
+    OrderStatus.REFUNDED,
+    OrderStatus.REJECTED,
+    OrderStatus.CANCELLED,
+];
+
+/**
+ * Statuses from which the buyer or seller can open a dispute
+ */
+const disputableStatuses = [
+    OrderStatus.PAID,
+    OrderStatus.ACTIVE,
+];
+
 /**
  * Check if a status transition is valid
  * @param {string} currentStatus - Current order status
@@ -95,6 +123,40 @@ export const isPrePaidState = (status) => {
     return cancellableStatuses.includes(status);
 };
 
+/**
+ * Check if the status is terminal (the order is finished)
+ * @param {string} status - Order status
+ * @returns {boolean} True if status is terminal
+ */
+export const isTerminalStatus = (status) => {
+    return terminalStatuses.includes(status);
+};
+
+/**
+ * Check if a dispute can be opened from the current status
+ * @param {string} status - Order status
+ * @returns {boolean} True if the order can be disputed
+ */
+export const canDispute = (status) => {
+    return disputableStatuses.includes(status);
+};
+
+/**
+ * Get all terminal statuses
+ * @returns {string[]} Array of terminal statuses
+ */
+export const getTerminalStatuses = () => {
+    return [...terminalStatuses];
+};
+
+/**
+ * Get all statuses a dispute can be opened from
+ * @returns {string[]} Array of disputable statuses
+ */
+export const getDisputableStatuses = () => {
+    return [...disputableStatuses];
+};
+
 /**
  * Validate status update and return error if invalid
  * @param {string} currentStatus - Current order status
@@ -120,7 +182,7 @@ export const validateCancellation = (currentStatus) => {
     if (cannotCancel(currentStatus)) {
         throw new Error(
             `Cannot cancel order with status ${currentStatus}. ` +
-            "Orders that are PAID, COMPLETED, REJECTED, or already CANCELLED cannot be cancelled."
+            "Orders that are PAID, ACTIVE, DISPUTED, COMPLETED, REFUNDED, REJECTED, or already CANCELLED cannot be cancelled."
         );
     }
 };
@@ -0,0 +1,31 @@
+/**
+ * Escape one CSV cell
+ * Cells that a spreadsheet would run as a formula are prefixed with a quote
+ * @param {*} value - Cell value
+ * @returns {string} Escaped cell
+ */
+const escapeCell = (value) => {
+    if (value === undefined || value === null) {
+        return "";
+    }
+
+    let text = String(value);
+
+    if (/^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, "\"\"")}"` : text;
+};
+
+/**
+ * Render rows as an RFC 4180 CSV document
+ * @param {string[]} header - Column names
+ * @param {Array<Array<*>>} rows - Row values
+ * @returns {string} CSV document
+ */
+export const toCsv = (header, rows) => {
+    return [header, ...rows]
+        .map((row) => row.map(escapeCell).join(","))
+        .join("\r\n") + "\r\n";
+};
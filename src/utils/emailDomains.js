@@ -0,0 +1,25 @@
+/**
+ * Get the lower-cased domain part of an email address
+ * @param {string} email - Email address
+ * @returns {string} Domain (e.g. "eng.cu.edu.eg")
+ */
+export const getEmailDomain = (email) => {
+    return email.slice(email.lastIndexOf("@") + 1).toLowerCase();
+};
+
+/**
+ * List a domain and all of its parent domains, most specific first
+ * so "eng.cu.edu.eg" matches a university registered as "cu.edu.eg"
+ * @param {string} domain - Domain
+ * @returns {string[]} Candidate domains (never a bare TLD)
+ */
+export const getCandidateDomains = (domain) => {
+    const labels = domain.split(".");
+    const candidates = [];
+
+    for (let i = 0; i < labels.length - 1; i++) {
+        candidates.push(labels.slice(i).join("."));
+    }
+
+    return candidates;
+};
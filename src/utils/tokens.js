@@ -2,28 +2,50 @@ import jwt from "jsonwebtoken";
 import crypto from "crypto";
 import environment from "../configs/environment.js";
 import AppError from "../errors/AppError.js";
+import jwtKeys from "../libs/jwtKeys.js";
 
 /**
  * Generate a JWT token
- * @param {string} type - Token type: 'accessToken', 'refreshToken', or 'resetToken'
+ * Signed with the active RS256 key (kid header) or, in HS256 mode, the type's secret.
+ * The token type is embedded so one key can't be used to pass off one type as another.
+ * @param {string} type - Token type: 'accessToken', 'refreshToken', 'resetToken' or 'mfaToken'
  * @param {object} payload - Data to encode in the token
+ * @param {object} [options] - Extra jsonwebtoken sign options (e.g. jwtid)
  * @returns {string} The generated token
  */
-export const generateToken = (type, payload) => {
+export const generateToken = (type, payload, options = {}) => {
     const tokenConfig = environment.jwt[type];
     
     if (!tokenConfig) {
         throw new AppError("Invalid token type", 500);
     }
 
-    return jwt.sign(payload, tokenConfig.secret, {
+    const claims = { ...payload, tokenType: type };
+
+    if (environment.jwt.algorithm === "RS256") {
+        const { kid, privateKey } = jwtKeys.getSigningKey();
+
+        return jwt.sign(claims, privateKey, {
+            algorithm: "RS256",
+            keyid: kid,
+            expiresIn: tokenConfig.expiresIn,
+            ...options,
+        });
+    }
+
+    return jwt.sign(claims, tokenConfig.secret, {
+        algorithm: "HS256",
         expiresIn: tokenConfig.expiresIn,
+        ...options,
     });
 };
 
 /**
  * Verify and decode a JWT token
- * @param {string} type - Token type: 'accessToken', 'refreshToken', or 'resetToken'
+ * Tokens with a kid header are verified with that RS256 public key; tokens without
+ * one fall back to the type's HS256 secret (if configured), so tokens issued before
+ * switching algorithms stay valid until they expire
+ * @param {string} type - Token type: 'accessToken', 'refreshToken', 'resetToken' or 'mfaToken'
  * @param {string} token - The token to verify
  * @returns {object} The decoded token payload
  */
@@ -34,7 +56,56 @@ export const decodeToken = (type, token) => {
         throw new AppError("Invalid token type", 500);
     }
 
-    return jwt.verify(token, tokenConfig.secret);
+    const { kid } = jwt.decode(token, { complete: true })?.header ?? {};
+    let decoded;
+
+    if (kid) {
+        const publicKey = jwtKeys.getVerificationKey(kid);
+
+        if (!publicKey) {
+            throw new jwt.JsonWebTokenError("Unknown signing key");
+        }
+
+        decoded = jwt.verify(token, publicKey, { algorithms: ["RS256"] });
+    } else {
+        if (!tokenConfig.secret) {
+            throw new jwt.JsonWebTokenError("Token has no key ID");
+        }
+
+        decoded = jwt.verify(token, tokenConfig.secret, { algorithms: ["HS256"] });
+    }
+
+    // HS256 tokens issued before the tokenType claim existed are already separated by per-type secrets
+    if (decoded.tokenType !== type && (kid || decoded.tokenType !== undefined)) {
+        throw new jwt.JsonWebTokenError("Invalid token type");
+    }
+
+    return decoded;
+};
+
+/**
+ * Get the configured lifetime of a token type
+ * @param {string} type - Token type: 'accessToken', 'refreshToken', or 'resetToken'
+ * @returns {number} Lifetime in seconds
+ */
+export const getTokenLifetime = (type) => {
+    const tokenConfig = environment.jwt[type];
+
+    if (!tokenConfig) {
+        throw new AppError("Invalid token type", 500);
+    }
+
+    // Let jsonwebtoken parse expiresIn ("24h", "7d", 3600, ...) the same way it does when signing
+    const { iat, exp } = jwt.decode(jwt.sign({}, "lifetime", { expiresIn: tokenConfig.expiresIn }));
+    return exp - iat;
+};
+
+/**
+ * Generate a unique token ID (jti claim)
+ * @returns {string} A random UUID
+ */
+export const generateTokenId = () => {
+    return crypto.randomUUID();
 };
 
 /**
@@ -0,0 +1,153 @@
+import crypto from "crypto";
+
+/**
+ * TOTP (RFC 6238) helpers
+ * SHA-1, 6 digits, 30 second steps — the defaults every authenticator app supports
+ */
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+/**
+ * Encode bytes as RFC 4648 base32 (no padding)
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string} Base32 string
+ */
+const base32Encode = (buffer) => {
+    let bits = 0;
+    let value = 0;
+    let output = "";
+
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+
+    return output;
+};
+
+/**
+ * Decode an RFC 4648 base32 string
+ * @param {string} input - Base32 string (case-insensitive, padding ignored)
+ * @returns {Buffer} Decoded bytes
+ */
+const base32Decode = (input) => {
+    const cleaned = input.toUpperCase().replace(/=+$/, "");
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of cleaned) {
+        const index = BASE32_ALPHABET.indexOf(char);
+
+        if (index === -1) {
+            throw new Error("Invalid base32 character");
+        }
+
+        value = (value << 5) | index;
+        bits += 5;
+
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+
+    return Buffer.from(bytes);
+};
+
+/**
+ * Compute the HOTP code for a counter
+ * @param {Buffer} key - Shared secret
+ * @param {number} counter - Time step
+ * @returns {string} Zero-padded code
+ */
+const hotp = (key, counter) => {
+    const message = Buffer.alloc(8);
+    message.writeBigUInt64BE(BigInt(counter));
+
+    const digest = crypto.createHmac("sha1", key).update(message).digest();
+    const offset = digest[digest.length - 1] & 0x0f;
+    const binary = digest.readUInt32BE(offset) & 0x7fffffff;
+
+    return String(binary % 10 ** DIGITS).padStart(DIGITS, "0");
+};
+
+/**
+ * Get the time step for a timestamp
+ * @param {number} [timestamp] - Milliseconds since epoch
+ * @returns {number} Time step
+ */
+export const getTimeStep = (timestamp = Date.now()) => Math.floor(timestamp / 1000 / STEP_SECONDS);
+
+/**
+ * Generate a new base32 TOTP secret
+ * @returns {string} Base32 secret (160 bits)
+ */
+export const generateTotpSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * Generate the TOTP code for a secret
+ * @param {string} secret - Base32 secret
+ * @param {number} [timestamp] - Milliseconds since epoch
+ * @returns {string} 6-digit code
+ */
+export const generateTotp = (secret, timestamp = Date.now()) => hotp(base32Decode(secret), getTimeStep(timestamp));
+
+/**
+ * Verify a TOTP code, allowing for clock drift
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by the user
+ * @param {number} [window] - Steps of drift allowed on either side
+ * @returns {number|null} Matched time step, or null if the code is invalid
+ */
+export const verifyTotp = (secret, code, window = 1) => {
+    if (!/^\d{6}$/.test(code)) {
+        return null;
+    }
+
+    const key = base32Decode(secret);
+    const currentStep = getTimeStep();
+
+    for (let offset = -window; offset <= window; offset++) {
+        const step = currentStep + offset;
+        const expected = hotp(key, step);
+
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(code))) {
+            return step;
+        }
+    }
+
+    return null;
+};
+
+/**
+ * Build the otpauth:// URI authenticator apps scan as a QR code
+ * @param {object} params
+ * @param {string} params.secret - Base32 secret
+ * @param {string} params.accountName - Account label (usually the email)
+ * @param {string} params.issuer - Issuer shown in the app
+ * @returns {string} otpauth URI
+ */
+export const buildOtpauthUri = ({ secret, accountName, issuer }) => {
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    const params = new URLSearchParams({
+        secret,
+        issuer,
+        algorithm: "SHA1",
+        digits: String(DIGITS),
+        period: String(STEP_SECONDS),
+    });
+
+    return `otpauth://totp/${label}?${params.toString()}`;
+};
@@ -1,4 +1,6 @@
-import { param } from "express-validator";
+import { isIP } from "net";
+import { body, param, query } from "express-validator";
+import { GRANTABLE_PERMISSIONS, API_KEY_SCOPES } from "../configs/permissions.js";
 
 /**
  * Validator for admin ID parameter (UUID)
@@ -15,6 +17,294 @@ export const adminIdParamValidator = [
 export const approveAdminValidator = adminIdParamValidator;
 
 /**
- * Validator for reject admin ID parameter
+ * Validator for rejecting an admin application
  */
-export const rejectAdminValidator = adminIdParamValidator;
+export const rejectAdminValidator = [
+    ...adminIdParamValidator,
+    body("reason")
+        .trim()
+        .isLength({ min: 5, max: 500 })
+        .withMessage("Reason must be between 5 and 500 characters"),
+];
+
+/**
+ * Validator for revoking an approved admin
+ */
+export const revokeAdminValidator = rejectAdminValidator;
+
+/**
+ * Validator for reinstating a revoked admin
+ */
+export const reinstateAdminValidator = [
+    ...adminIdParamValidator,
+    body("reason")
+        .optional()
+        .trim()
+        .isLength({ min: 5, max: 500 })
+        .withMessage("Reason must be between 5 and 500 characters"),
+];
+
+/**
+ * Validator for clearing a login lockout
+ */
+export const clearLockoutValidator = [
+    param("email")
+        .isEmail()
+        .withMessage("Please provide a valid email address")
+        .normalizeEmail(),
+];
+
+/**
+ * Validator for granting a permission to an admin
+ */
+export const grantPermissionValidator = [
+    ...adminIdParamValidator,
+    body("permission")
+        .isIn(GRANTABLE_PERMISSIONS)
+        .withMessage(`Permission must be one of: ${GRANTABLE_PERMISSIONS.join(", ")}`),
+];
+
+/**
+ * Validator for revoking a permission from an admin
+ */
+export const revokePermissionValidator = [
+    ...adminIdParamValidator,
+    param("permission")
+        .isIn(GRANTABLE_PERMISSIONS)
+        .withMessage(`Permission must be one of: ${GRANTABLE_PERMISSIONS.join(", ")}`),
+];
+
+/**
+ * Validator for starting an impersonation session
+ */
+export const impersonateValidator = [
+    param("userId")
+        .isUUID()
+        .withMessage("User ID must be a valid UUID"),
+    body("reason")
+        .trim()
+        .isLength({ min: 5, max: 500 })
+        .withMessage("Reason must be between 5 and 500 characters"),
+    body("readOnly")
+        .optional()
+        .isBoolean()
+        .withMessage("readOnly must be a boolean")
+        .toBoolean(),
+];
+
+/**
+ * Check an IP address or CIDR range (e.g. 203.0.113.7, 10.0.0.0/8, 2001:db8::/32)
+ * @param {string} value - Entry
+ * @returns {boolean} True if valid
+ */
+const isIpOrCidr = (value) => {
+    if (typeof value !== "string") {
+        return false;
+    }
+
+    const [address, prefix, ...rest] = value.split("/");
+    const family = isIP(address);
+
+    if (!family || rest.length > 0) {
+        return false;
+    }
+
+    if (prefix === undefined) {
+        return true;
+    }
+
+    const bits = Number(prefix);
+    return /^\d+$/.test(prefix) && bits <= (family === 6 ? 128 : 32);
+};
+
+/**
+ * Validator for creating an API key
+ */
+export const createApiKeyValidator = [
+    body("name")
+        .trim()
+        .isLength({ min: 3, max: 100 })
+        .withMessage("Name must be between 3 and 100 characters"),
+    body("scopes")
+        .isArray({ min: 1 })
+        .withMessage("At least one scope is required"),
+    body("scopes.*")
+        .isIn(API_KEY_SCOPES)
+        .withMessage(`Scope must be one of: ${API_KEY_SCOPES.join(", ")}`),
+    body("allowedIps")
+        .optional()
+        .isArray({ max: 20 })
+        .withMessage("allowedIps must be an array of at most 20 entries"),
+    body("allowedIps.*")
+        .custom(isIpOrCidr)
+        .withMessage("Each allowed IP must be an IP address or CIDR range"),
+    body("expiresAt")
+        .optional()
+        .isISO8601()
+        .withMessage("expiresAt must be an ISO 8601 date")
+        .bail()
+        .custom((value) => new Date(value) > new Date())
+        .withMessage("expiresAt must be in the future")
+        .toDate(),
+];
+
+/**
+ * Validator for API key ID parameter (UUID)
+ */
+export const apiKeyIdParamValidator = [
+    param("id")
+        .isUUID()
+        .withMessage("API key ID must be a valid UUID"),
+];
+
+/**
+ * Validator for user ID parameter (UUID)
+ */
+export const userIdParamValidator = [
+    param("userId")
+        .isUUID()
+        .withMessage("User ID must be a valid UUID"),
+];
+
+/**
+ * Validator for suspending a user
+ */
+export const suspendUserValidator = [
+    ...userIdParamValidator,
+    body("reason")
+        .trim()
+        .isLength({ min: 5, max: 500 })
+        .withMessage("Reason must be between 5 and 500 characters"),
+    body("expiresAt")
+        .optional()
+        .isISO8601()
+        .withMessage("expiresAt must be an ISO 8601 date")
+        .bail()
+        .custom((value) => new Date(value) > new Date())
+        .withMessage("expiresAt must be in the future")
+        .toDate(),
+];
+
+/**
+ * Validator for reinstating a user
+ */
+export const reinstateUserValidator = [
+    ...userIdParamValidator,
+    body("reason")
+        .trim()
+        .isLength({ min: 5, max: 500 })
+        .withMessage("Reason must be between 5 and 500 characters"),
+];
+
+/**
+ * Validator for searching the user directory
+ */
+export const listUsersValidator = [
+    query("page")
+        .optional()
+        .isInt({ min: 1 })
+        .withMessage("Page must be a positive integer")
+        .toInt(),
+    query("limit")
+        .optional()
+        .isInt({ min: 1, max: 100 })
+        .withMessage("Limit must be between 1 and 100")
+        .toInt(),
+    query("email")
+        .optional()
+        .trim()
+        .isLength({ min: 1, max: 254 })
+        .withMessage("Email search must be between 1 and 254 characters"),
+    query("role")
+        .optional()
+        .isIn(["STUDENT", "ADMIN", "SUPER_ADMIN"])
+        .withMessage("Role must be one of: STUDENT, ADMIN, SUPER_ADMIN"),
+    query("isEmailVerified")
+        .optional()
+        .isBoolean()
+        .withMessage("isEmailVerified must be a boolean")
+        .toBoolean(),
+    query("status")
+        .optional()
+        .isIn(["active", "suspended", "deleted"])
+        .withMessage("Status must be one of: active, suspended, deleted"),
+    query("universityId")
+        .optional()
+        .isUUID()
+        .withMessage("University ID must be a valid UUID"),
+    query("createdFrom")
+        .optional()
+        .isISO8601()
+        .withMessage("createdFrom must be an ISO 8601 date")
+        .toDate(),
+    query("createdTo")
+        .optional()
+        .isISO8601()
+        .withMessage("createdTo must be an ISO 8601 date")
+        .bail()
+        .custom((value, { req }) => {
+            if (req.query.createdFrom && new Date(value) < new Date(req.query.createdFrom)) {
+                throw new Error("createdTo must be on or after createdFrom");
+            }
+            return true;
+        })
+        .toDate(),
+];
+
+export const listAuditLogValidator = [
+    query("page")
+        .optional()
+        .isInt({ min: 1 })
+        .withMessage("Page must be a positive integer")
+        .toInt(),
+    query("limit")
+        .optional()
+        .isInt({ min: 1, max: 100 })
+        .withMessage("Limit must be between 1 and 100")
+        .toInt(),
+    query("actorId")
+        .optional()
+        .isUUID()
+        .withMessage("Actor ID must be a valid UUID"),
+    query("action")
+        .optional()
+        .trim()
+        .matches(/^[a-z_]+(\.[a-z_]+)*\.?$/)
+        .withMessage("Action must be a dotted action name, e.g. user.suspend or user."),
+    query("targetType")
+        .optional()
+        .trim()
+        .isLength({ min: 1, max: 50 })
+        .withMessage("Target type must be between 1 and 50 characters"),
+    query("targetId")
+        .optional()
+        .trim()
+        .isLength({ min: 1, max: 100 })
+        .withMessage("Target ID must be between 1 and 100 characters"),
+    query("requestId")
+        .optional()
+        .trim()
+        .isLength({ min: 1, max: 128 })
+        .withMessage("Request ID must be between 1 and 128 characters"),
+    query("from")
+        .optional()
+        .isISO8601()
+        .withMessage("from must be an ISO 8601 date")
+        .toDate(),
+    query("to")
+        .optional()
+        .isISO8601()
+        .withMessage("to must be an ISO 8601 date")
+        .bail()
+        .custom((value, { req }) => {
+            if (req.query.from && new Date(value) < new Date(req.query.from)) {
+                throw new Error("to must be on or after from");
+            }
+            return true;
+        })
+        .toDate(),
+    query("format")
+        .optional()
+        .isIn(["json", "csv"])
+        .withMessage("Format must be one of: json, csv"),
+];
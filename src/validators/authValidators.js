@@ -1,19 +1,11 @@
-import { body, query, param } from "express-validator";
+import { body, query, param, oneOf } from "express-validator";
 
 /**
- * Validation rules for user registration
+ * Password strength rules
+ * @param {string} field - Body field holding the password
  */
-export const registerValidator = [
-    body("email")
-        .isEmail()
-        .withMessage("Please provide a valid email address")
-        .normalizeEmail()
-        .custom((value) => {
-            // Check for university email pattern (optional)
-            // You can add custom validation here if needed
-            return true;
-        }),
-    body("password")
+const strongPassword = (field) =>
+    body(field)
         .isLength({ min: 8 })
         .withMessage("Password must be at least 8 characters long")
         .matches(/\d/)
@@ -23,7 +15,32 @@ export const registerValidator = [
         .matches(/[a-z]/)
         .withMessage("Password must contain at least one lowercase letter")
         .matches(/[!@#$%^&*(),.?":{}|<>]/)
-        .withMessage("Password must contain at least one special character"),
+        .withMessage("Password must contain at least one special character");
+
+/**
+ * Validation rules for user registration
+ */
+export const registerValidator = [
+    body("email")
+        .isEmail()
+        .withMessage("Please provide a valid email address")
+        .normalizeEmail(),
+    strongPassword("password"),
+    body("verificationMode")
+        .optional()
+        .isIn(["link", "otp"])
+        .withMessage("Verification mode must be 'link' or 'otp'"),
+];
+
+/**
+ * Validation rules for admin registration
+ */
+export const registerAdminValidator = [
+    body("email")
+        .isEmail()
+        .withMessage("Please provide a valid email address")
+        .normalizeEmail(),
+    strongPassword("password"),
 ];
 
 /**
@@ -43,13 +60,32 @@ export const loginValidator = [
  * Validation rules for email verification
  */
 export const verifyEmailValidator = [
-    body("token")
-        .notEmpty()
-        .withMessage("Verification token is required")
-        .isLength({ min: 64, max: 64 })
-        .withMessage("Invalid verification token format")
-        .isHexadecimal()
-        .withMessage("Verification token must be a valid hex string"),
+    oneOf(
+        [
+            body("token").isLength({ min: 64, max: 64 }).isHexadecimal(),
+            [
+                body("email").isEmail(),
+                body("code").trim().matches(/^\d{6}$/),
+            ],
+        ],
+        { message: "Provide a verification token, or an email and 6-digit code" }
+    ),
+    body("email").optional().normalizeEmail(),
+    body("code").optional().trim(),
+];
+
+/**
+ * Validation rules for resending the verification email
+ */
+export const resendVerificationValidator = [
+    body("email")
+        .isEmail()
+        .withMessage("Please provide a valid email address")
+        .normalizeEmail(),
+    body("mode")
+        .optional()
+        .isIn(["link", "otp"])
+        .withMessage("Mode must be 'link' or 'otp'"),
 ];
 
 /**
@@ -60,36 +96,77 @@ export const forgotPasswordValidator = [
         .isEmail()
         .withMessage("Please provide a valid email address")
         .normalizeEmail(),
+    body("mode")
+        .optional()
+        .isIn(["link", "otp"])
+        .withMessage("Mode must be 'link' or 'otp'"),
 ];
 
 /**
  * Validation rules for password reset
  */
 export const resetPasswordValidator = [
+    oneOf(
+        [
+            body("token").isLength({ min: 64, max: 64 }).isHexadecimal(),
+            [
+                body("email").isEmail(),
+                body("code").trim().matches(/^\d{6}$/),
+            ],
+        ],
+        { message: "Provide a reset token, or an email and 6-digit code" }
+    ),
+    body("email").optional().normalizeEmail(),
+    body("code").optional().trim(),
+    strongPassword("newPassword"),
+];
+
+/**
+ * Validation rules for changing password
+ */
+export const changePasswordValidator = [
+    body("currentPassword")
+        .notEmpty()
+        .withMessage("Current password is required"),
+    strongPassword("newPassword"),
+];
+
+/**
+ * Validation rules for requesting an email change
+ */
+export const requestEmailChangeValidator = [
+    body("newEmail")
+        .isEmail()
+        .withMessage("Please provide a valid email address")
+        .normalizeEmail(),
+    body("password")
+        .notEmpty()
+        .withMessage("Password is required"),
+];
+
+/**
+ * Validation rules for confirming an email change
+ */
+export const confirmEmailChangeValidator = [
     body("token")
         .notEmpty()
-        .withMessage("Reset token is required")
+        .withMessage("Confirmation token is required")
         .isLength({ min: 64, max: 64 })
-        .withMessage("Invalid reset token format")
+        .withMessage("Invalid confirmation token format")
         .isHexadecimal()
-        .withMessage("Reset token must be a valid hex string"),
-    body("newPassword")
-        .isLength({ min: 8 })
-        .withMessage("Password must be at least 8 characters long")
-        .matches(/\d/)
-        .withMessage("Password must contain at least one number")
-        .matches(/[A-Z]/)
-        .withMessage("Password must contain at least one uppercase letter")
-        .matches(/[a-z]/)
-        .withMessage("Password must contain at least one lowercase letter")
-        .matches(/[!@#$%^&*(),.?":{}|<>]/)
-        .withMessage("Password must contain at least one special character"),
+        .withMessage("Confirmation token must be a valid hex string"),
 ];
 
 /**
  * Validation rules for token refresh
+ * The refresh token is read from the body; the query string is still accepted
+ * but deprecated (it leaks into access logs and browser history)
  */
 export const refreshTokenValidator = [
+    body("refreshToken")
+        .optional()
+        .isJWT()
+        .withMessage("Invalid refresh token"),
     query("refreshToken")
         .optional()
         .isJWT()
@@ -107,3 +184,50 @@ export const tokenParamValidator = [
         .isHexadecimal()
         .withMessage("Token must be a valid hex string"),
 ];
+
+/**
+ * Validation rules for session ID parameter
+ */
+export const sessionIdParamValidator = [
+    param("id")
+        .isUUID()
+        .withMessage("Session ID must be a valid UUID"),
+];
+
+/**
+ * Validation rules for a TOTP code
+ */
+export const totpCodeValidator = [
+    body("code")
+        .trim()
+        .matches(/^\d{6}$/)
+        .withMessage("Authentication code must be 6 digits"),
+];
+
+/**
+ * Validation rules for disabling 2FA
+ */
+export const disableTwoFactorValidator = [
+    body("password")
+        .notEmpty()
+        .withMessage("Password is required"),
+    ...totpCodeValidator,
+];
+
+/**
+ * Validation rules for the second login step
+ */
+export const verifyMfaValidator = [
+    body("mfaToken")
+        .isJWT()
+        .withMessage("Invalid MFA token"),
+    oneOf(
+        [
+            body("code").trim().matches(/^\d{6}$/),
+            body("recoveryCode").trim().matches(/^[a-fA-F0-9]{5}-[a-fA-F0-9]{5}$/),
+        ],
+        { message: "Provide a 6-digit code or a recovery code" }
+    ),
+    body("code").optional().trim(),
+    body("recoveryCode").optional().trim(),
+];
@@ -0,0 +1,125 @@
+import { body, param, query } from "express-validator";
+
+const RULE_TYPES = ["KEYWORD", "REGEX", "PROHIBITED_TERM"];
+const RULE_ACTIONS = ["BLOCK", "FLAG", "MASK"];
+
+/**
+ * Validator for content filter rule ID parameter (UUID)
+ */
+export const ruleIdParamValidator = [
+    param("id")
+        .isUUID()
+        .withMessage("Rule ID must be a valid UUID"),
+];
+
+/**
+ * Validator for listing content filter rules
+ */
+export const listRulesValidator = [
+    query("type")
+        .optional()
+        .isIn(RULE_TYPES)
+        .withMessage(`Type must be one of: ${RULE_TYPES.join(", ")}`),
+    query("action")
+        .optional()
+        .isIn(RULE_ACTIONS)
+        .withMessage(`Action must be one of: ${RULE_ACTIONS.join(", ")}`),
+    query("isActive")
+        .optional()
+        .isBoolean()
+        .withMessage("isActive must be a boolean")
+        .toBoolean(),
+];
+
+/**
+ * Validator for creating a content filter rule
+ */
+export const createRuleValidator = [
+    body("type")
+        .isIn(RULE_TYPES)
+        .withMessage(`Type must be one of: ${RULE_TYPES.join(", ")}`),
+    body("pattern")
+        .trim()
+        .isLength({ min: 1, max: 200 })
+        .withMessage("Pattern must be between 1 and 200 characters"),
+    body("action")
+        .isIn(RULE_ACTIONS)
+        .withMessage(`Action must be one of: ${RULE_ACTIONS.join(", ")}`),
+    body("description")
+        .optional()
+        .trim()
+        .isLength({ max: 500 })
+        .withMessage("Description must be at most 500 characters"),
+    body("isActive")
+        .optional()
+        .isBoolean()
+        .withMessage("isActive must be a boolean")
+        .toBoolean(),
+];
+
+/**
+ * Validator for updating a content filter rule
+ */
+export const updateRuleValidator = [
+    ...ruleIdParamValidator,
+    body("type")
+        .optional()
+        .isIn(RULE_TYPES)
+        .withMessage(`Type must be one of: ${RULE_TYPES.join(", ")}`),
+    body("pattern")
+        .optional()
+        .trim()
+        .isLength({ min: 1, max: 200 })
+        .withMessage("Pattern must be between 1 and 200 characters"),
+    body("action")
+        .optional()
+        .isIn(RULE_ACTIONS)
+        .withMessage(`Action must be one of: ${RULE_ACTIONS.join(", ")}`),
+    body("description")
+        .optional()
+        .trim()
+        .isLength({ max: 500 })
+        .withMessage("Description must be at most 500 characters"),
+    body("isActive")
+        .optional()
+        .isBoolean()
+        .withMessage("isActive must be a boolean")
+        .toBoolean(),
+];
+
+/**
+ * Validator for listing stored content filter matches
+ */
+export const listMatchesValidator = [
+    query("page")
+        .optional()
+        .isInt({ min: 1 })
+        .withMessage("Page must be a positive integer")
+        .toInt(),
+    query("limit")
+        .optional()
+        .isInt({ min: 1, max: 100 })
+        .withMessage("Limit must be between 1 and 100")
+        .toInt(),
+    query("contentType")
+        .optional()
+        .trim()
+        .isLength({ min: 1, max: 50 })
+        .withMessage("Content type must be between 1 and 50 characters"),
+    query("contentId")
+        .optional()
+        .isUUID()
+        .withMessage("Content ID must be a valid UUID"),
+    query("action")
+        .optional()
+        .isIn(RULE_ACTIONS)
+        .withMessage(`Action must be one of: ${RULE_ACTIONS.join(", ")}`),
+    query("ruleId")
+        .optional()
+        .isUUID()
+        .withMessage("Rule ID must be a valid UUID"),
+    query("authorId")
+        .optional()
+        .isUUID()
+        .withMessage("Author ID must be a valid UUID"),
+];
@@ -0,0 +1,78 @@
+import { body, param, query } from "express-validator";
+
+const DISPUTE_OUTCOMES = ["COMPLETE_FOR_SELLER", "REFUND_BUYER", "PARTIAL_REFUND"];
+
+/**
+ * Validator for dispute ID parameter (UUID)
+ */
+export const disputeIdParamValidator = [
+    param("id")
+        .isUUID()
+        .withMessage("Dispute ID must be a valid UUID"),
+];
+
+/**
+ * Validator for opening a dispute
+ */
+export const openDisputeValidator = [
+    body("orderId")
+        .isUUID()
+        .withMessage("Order ID must be a valid UUID"),
+    body("reason")
+        .trim()
+        .isLength({ min: 10, max: 1000 })
+        .withMessage("Reason must be between 10 and 1000 characters"),
+    body("evidence")
+        .optional()
+        .trim()
+        .isLength({ max: 5000 })
+        .withMessage("Evidence must be at most 5000 characters"),
+];
+
+/**
+ * Validator for the dispute queue
+ */
+export const listDisputesValidator = [
+    query("status")
+        .optional()
+        .isIn(["OPEN", "RESOLVED"])
+        .withMessage("Status must be OPEN or RESOLVED"),
+    query("outcome")
+        .optional()
+        .isIn(DISPUTE_OUTCOMES)
+        .withMessage(`Outcome must be one of: ${DISPUTE_OUTCOMES.join(", ")}`),
+    query("page")
+        .optional()
+        .isInt({ min: 1 })
+        .withMessage("Page must be a positive integer")
+        .toInt(),
+    query("limit")
+        .optional()
+        .isInt({ min: 1, max: 100 })
+        .withMessage("Limit must be between 1 and 100")
+        .toInt(),
+];
+
+/**
+ * Validator for resolving a dispute
+ */
+export const resolveDisputeValidator = [
+    ...disputeIdParamValidator,
+    body("outcome")
+        .isIn(DISPUTE_OUTCOMES)
+        .withMessage(`Outcome must be one of: ${DISPUTE_OUTCOMES.join(", ")}`),
+    body("refundAmount")
+        .if(body("outcome").equals("PARTIAL_REFUND"))
+        .isFloat({ gt: 0 })
+        .withMessage("refundAmount must be a positive number for PARTIAL_REFUND")
+        .toFloat(),
+    body("refundAmount")
+        .if(body("outcome").not().equals("PARTIAL_REFUND"))
+        .not()
+        .exists()
+        .withMessage("refundAmount only applies to PARTIAL_REFUND"),
+    body("resolution")
+        .trim()
+        .isLength({ min: 5, max: 1000 })
+        .withMessage("Resolution must be between 5 and 1000 characters"),
+];
@@ -38,6 +38,10 @@ export const createListingValidator = [
         .withMessage("Condition is required")
         .isLength({ min: 2, max: 50 })
         .withMessage("Condition must be between 2 and 50 characters"),
+    body("requiresVerifiedBuyer")
+        .optional()
+        .isBoolean()
+        .withMessage("requiresVerifiedBuyer must be a boolean"),
 ];
 
 /**
@@ -87,6 +91,10 @@ export const updateListingValidator = [
         .optional()
         .isBoolean()
         .withMessage("isAvailable must be a boolean"),
+    body("requiresVerifiedBuyer")
+        .optional()
+        .isBoolean()
+        .withMessage("requiresVerifiedBuyer must be a boolean"),
 ];
 
 /**
@@ -167,3 +175,51 @@ export const deleteListingValidator = [
         .isUUID()
         .withMessage("Invalid listing ID"),
 ];
+
+/**
+ * Validation rules for the listing moderation queue
+ */
+export const moderationQueueValidator = [
+    query("page")
+        .optional()
+        .isInt({ min: 1 })
+        .withMessage("Page must be a positive integer")
+        .toInt(),
+    query("limit")
+        .optional()
+        .isInt({ min: 1, max: 100 })
+        .withMessage("Limit must be between 1 and 100")
+        .toInt(),
+    query("status")
+        .optional()
+        .isIn(["ACTIVE", "PENDING_REVIEW", "FLAGGED", "HIDDEN", "RESTORED"])
+        .withMessage("Status must be one of: ACTIVE, PENDING_REVIEW, FLAGGED, HIDDEN, RESTORED"),
+    query("category")
+        .optional()
+        .trim()
+        .isLength({ min: 1, max: 100 })
+        .withMessage("Category must be between 1 and 100 characters"),
+];
+
+/**
+ * Validation rules for hiding a listing
+ */
+export const hideListingValidator = [
+    ...listingIdParamValidator,
+    body("reason")
+        .trim()
+        .isLength({ min: 5, max: 500 })
+        .withMessage("Reason must be between 5 and 500 characters"),
+];
+
+/**
+ * Validation rules for restoring a listing
+ */
+export const restoreListingValidator = [
+    ...listingIdParamValidator,
+    body("reason")
+        .optional()
+        .trim()
+        .isLength({ min: 5, max: 500 })
+        .withMessage("Reason must be between 5 and 500 characters"),
+];
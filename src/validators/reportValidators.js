@@ -0,0 +1,143 @@
+import { body, param, query } from "express-validator";
+
+export const REPORT_CATEGORIES = [
+    "SPAM",
+    "SCAM",
+    "PROHIBITED_ITEM",
+    "COUNTERFEIT",
+    "HARASSMENT",
+    "INAPPROPRIATE_CONTENT",
+    "OTHER",
+];
+
+/**
+ * Validator for report ID parameter (UUID)
+ */
+export const reportIdParamValidator = [
+    param("id")
+        .isUUID()
+        .withMessage("Report ID must be a valid UUID"),
+];
+
+/**
+ * Validator for filing a report
+ * Exactly one target: listingId or userId
+ */
+export const createReportValidator = [
+    body()
+        .custom((value) => Boolean(value?.listingId) !== Boolean(value?.userId))
+        .withMessage("Provide either listingId or userId"),
+    body("listingId")
+        .optional()
+        .isUUID()
+        .withMessage("Listing ID must be a valid UUID"),
+    body("userId")
+        .optional()
+        .isUUID()
+        .withMessage("User ID must be a valid UUID"),
+    body("category")
+        .isIn(REPORT_CATEGORIES)
+        .withMessage(`Category must be one of: ${REPORT_CATEGORIES.join(", ")}`),
+    body("reason")
+        .trim()
+        .isLength({ min: 10, max: 1000 })
+        .withMessage("Reason must be between 10 and 1000 characters"),
+];
+
+/**
+ * Validator for the moderation queue
+ */
+export const listReportsValidator = [
+    query("status")
+        .optional()
+        .isIn(["OPEN", "IN_REVIEW", "RESOLVED", "REJECTED"])
+        .withMessage("Status must be OPEN, IN_REVIEW, RESOLVED, or REJECTED"),
+    query("targetType")
+        .optional()
+        .isIn(["listing", "user"])
+        .withMessage("Target type must be listing or user"),
+    query("category")
+        .optional()
+        .isIn(REPORT_CATEGORIES)
+        .withMessage(`Category must be one of: ${REPORT_CATEGORIES.join(", ")}`),
+    query("reportedUserId")
+        .optional()
+        .isUUID()
+        .withMessage("Reported user ID must be a valid UUID"),
+    query("reportedListingId")
+        .optional()
+        .isUUID()
+        .withMessage("Reported listing ID must be a valid UUID"),
+    query("assignee")
+        .optional()
+        .custom((value) => ["me", "unassigned"].includes(value) || /^[0-9a-f-]{36}$/i.test(value))
+        .withMessage("Assignee must be me, unassigned, or a user ID"),
+    query("page")
+        .optional()
+        .isInt({ min: 1 })
+        .withMessage("Page must be a positive integer")
+        .toInt(),
+    query("limit")
+        .optional()
+        .isInt({ min: 1, max: 100 })
+        .withMessage("Limit must be between 1 and 100")
+        .toInt(),
+];
+
+/**
+ * Validator for assigning a report
+ */
+export const assignReportValidator = [
+    ...reportIdParamValidator,
+    body("assigneeUserId")
+        .isUUID()
+        .withMessage("Assignee user ID must be a valid UUID"),
+];
+
+/**
+ * Validator for adding a note to a report
+ */
+export const addReportNoteValidator = [
+    ...reportIdParamValidator,
+    body("body")
+        .trim()
+        .isLength({ min: 1, max: 2000 })
+        .withMessage("Note must be between 1 and 2000 characters"),
+];
+
+/**
+ * Validator for resolving a report
+ */
+export const resolveReportValidator = [
+    ...reportIdParamValidator,
+    body("resolution")
+        .trim()
+        .isLength({ min: 5, max: 1000 })
+        .withMessage("Resolution must be between 5 and 1000 characters"),
+    body("action")
+        .optional()
+        .isIn(["HIDE_LISTING", "SUSPEND_USER"])
+        .withMessage("Action must be HIDE_LISTING or SUSPEND_USER"),
+    body("suspensionExpiresAt")
+        .optional()
+        .custom((value, { req }) => req.body.action === "SUSPEND_USER")
+        .withMessage("suspensionExpiresAt only applies to SUSPEND_USER")
+        .bail()
+        .isISO8601()
+        .withMessage("suspensionExpiresAt must be an ISO 8601 date")
+        .bail()
+        .custom((value) => new Date(value) > new Date())
+        .withMessage("suspensionExpiresAt must be in the future")
+        .toDate(),
+];
+
+/**
+ * Validator for rejecting a report
+ */
+export const rejectReportValidator = [
+    ...reportIdParamValidator,
+    body("resolution")
+        .trim()
+        .isLength({ min: 5, max: 1000 })
+        .withMessage("Resolution must be between 5 and 1000 characters"),
+];
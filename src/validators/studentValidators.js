@@ -0,0 +1,45 @@
+import { body, param } from "express-validator";
+
+/**
+ * Validation rules for updating own profile
+ */
+export const updateProfileValidator = [
+    body()
+        .custom((value) => ["studentId", "grade", "department"].some((field) => value?.[field] !== undefined))
+        .withMessage("Provide at least one of studentId, grade or department"),
+    body("studentId")
+        .optional()
+        .trim()
+        .isLength({ min: 3, max: 30 })
+        .withMessage("Student ID must be between 3 and 30 characters")
+        .matches(/^[A-Za-z0-9-]+$/)
+        .withMessage("Student ID may only contain letters, numbers and dashes"),
+    body("grade")
+        .optional()
+        .trim()
+        .isLength({ min: 1, max: 50 })
+        .withMessage("Grade must be between 1 and 50 characters"),
+    body("department")
+        .optional()
+        .trim()
+        .isLength({ min: 2, max: 100 })
+        .withMessage("Department must be between 2 and 100 characters"),
+];
+
+/**
+ * Validation rules for deleting own account
+ */
+export const deleteAccountValidator = [
+    body("password")
+        .notEmpty()
+        .withMessage("Password is required to delete your account"),
+];
+
+/**
+ * Validation rules for a student ID parameter
+ */
+export const studentIdParamValidator = [
+    param("id")
+        .isUUID()
+        .withMessage("Student ID must be a valid UUID"),
+];
@@ -0,0 +1,67 @@
+import { body, param, query } from "express-validator";
+
+/**
+ * Validator for verification request ID parameter (UUID)
+ */
+export const verificationIdParamValidator = [
+    param("id")
+        .isUUID()
+        .withMessage("Verification ID must be a valid UUID"),
+];
+
+/**
+ * Validator for submitting a student ID
+ * The ID-card image is uploaded to storage by the client first; only its URL is sent here
+ */
+export const submitVerificationValidator = [
+    body("studentNumber")
+        .trim()
+        .notEmpty()
+        .withMessage("Student ID number is required")
+        .isLength({ min: 3, max: 50 })
+        .withMessage("Student ID number must be between 3 and 50 characters")
+        .matches(/^[A-Za-z0-9-]+$/)
+        .withMessage("Student ID number may only contain letters, digits and dashes"),
+    body("idCardImageUrl")
+        .trim()
+        .isURL({ protocols: ["https"], require_protocol: true })
+        .withMessage("ID-card image must be an https URL"),
+];
+
+/**
+ * Validator for listing verification requests
+ */
+export const listVerificationsValidator = [
+    query("status")
+        .optional()
+        .isIn(["PENDING", "VERIFIED", "REJECTED"])
+        .withMessage("Status must be PENDING, VERIFIED, or REJECTED"),
+    query("page")
+        .optional()
+        .isInt({ min: 1 })
+        .withMessage("Page must be a positive integer")
+        .toInt(),
+    query("limit")
+        .optional()
+        .isInt({ min: 1, max: 100 })
+        .withMessage("Limit must be between 1 and 100")
+        .toInt(),
+];
+
+/**
+ * Validator for approving a verification request
+ */
+export const approveVerificationValidator = verificationIdParamValidator;
+
+/**
+ * Validator for rejecting a verification request
+ */
+export const rejectVerificationValidator = [
+    ...verificationIdParamValidator,
+    body("reason")
+        .trim()
+        .notEmpty()
+        .withMessage("Rejection reason is required")
+        .isLength({ max: 500 })
+        .withMessage("Reason cannot exceed 500 characters"),
+];
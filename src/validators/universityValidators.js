@@ -0,0 +1,103 @@
+import { body, param, query } from "express-validator";
+
+/**
+ * Domain format: labels separated by dots, at least one dot (e.g. cu.edu.eg)
+ */
+const isDomain = (field) =>
+    field
+        .trim()
+        .toLowerCase()
+        .isFQDN({ require_tld: true })
+        .withMessage("Invalid domain");
+
+/**
+ * Validator for university ID parameter (UUID)
+ */
+export const universityIdParamValidator = [
+    param("id")
+        .isUUID()
+        .withMessage("University ID must be a valid UUID"),
+];
+
+/**
+ * Validator for listing universities
+ */
+export const listUniversitiesValidator = [
+    query("includeInactive")
+        .optional()
+        .isBoolean()
+        .withMessage("includeInactive must be a boolean")
+        .toBoolean(),
+];
+
+/**
+ * Validator for creating a university
+ */
+export const createUniversityValidator = [
+    body("name")
+        .trim()
+        .notEmpty()
+        .withMessage("Name is required")
+        .isLength({ min: 2, max: 200 })
+        .withMessage("Name must be between 2 and 200 characters"),
+    body("domains")
+        .isArray({ min: 1, max: 20 })
+        .withMessage("Domains must be an array of 1 to 20 domains"),
+    isDomain(body("domains.*")),
+];
+
+/**
+ * Validator for updating a university
+ */
+export const updateUniversityValidator = [
+    ...universityIdParamValidator,
+    body("name")
+        .optional()
+        .trim()
+        .notEmpty()
+        .withMessage("Name cannot be empty")
+        .isLength({ min: 2, max: 200 })
+        .withMessage("Name must be between 2 and 200 characters"),
+    body("isActive")
+        .optional()
+        .isBoolean()
+        .withMessage("isActive must be a boolean"),
+];
+
+/**
+ * Validator for adding a domain
+ */
+export const addDomainValidator = [
+    ...universityIdParamValidator,
+    isDomain(body("domain")),
+];
+
+/**
+ * Validator for removing a domain
+ */
+export const removeDomainValidator = [
+    ...universityIdParamValidator,
+    isDomain(param("domain")),
+];
+
+/**
+ * Validator for joining the waitlist
+ */
+export const joinWaitlistValidator = [
+    body("email")
+        .isEmail()
+        .withMessage("Please provide a valid email address")
+        .normalizeEmail(),
+];
+
+/**
+ * Validator for viewing the waitlist
+ */
+export const getWaitlistValidator = [
+    query("domain")
+        .optional()
+        .trim()
+        .toLowerCase()
+        .isFQDN({ require_tld: true })
+        .withMessage("Invalid domain"),
+];
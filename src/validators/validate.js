@@ -7,7 +7,8 @@ const validate = (req, res, next) => {
   if (!errors.isEmpty()) {
     const message = errors
       .array()
-      .map((err) => `${err.path}: ${err.msg}`)
+      // oneOf() errors are not tied to a single field
+      .map((err) => (err.path ? `${err.path}: ${err.msg}` : err.msg))
       .join(", ");
 
     return next(new BadRequestError(message));